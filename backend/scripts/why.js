@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// Print the decisions linked to a file or directory, for editors and pre-commit hooks.
+//
+//   node scripts/why.js [--project <id>] [--json] <path or glob>...
+//
+// Paths are made relative to the git repository you run it in (or the current directory).
+// Configure with BRAIN_URL (default http://localhost:3001), BRAIN_TOKEN (a session token
+// from POST /api/auth/login) and BRAIN_PROJECT (default project ID).
+// Exits 0 whether or not decisions were found, so it never blocks a commit on its own.
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+const USAGE = 'Usage: node scripts/why.js [--project <id>] [--json] <path or glob>...';
+
+function parseArgs(argv) {
+  const options = { project: process.env.BRAIN_PROJECT, json: false, paths: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--project' || arg === '-p') {
+      options.project = argv[++i];
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      options.paths.push(arg);
+    }
+  }
+  return options;
+}
+
+function repositoryRoot() {
+  try {
+    return execFileSync('git', ['rev-parse', '--show-toplevel'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return process.cwd();
+  }
+}
+
+// File links are stored relative to the repository root
+function toRepoPath(root, filePath) {
+  return path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+async function lookup(baseUrl, token, projectId, filePath) {
+  const url = `${baseUrl}/api/decisions/project/${projectId}/files?path=${encodeURIComponent(filePath)}`;
+  const response = await fetch(url, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed with status ${response.status}`);
+  }
+  return body;
+}
+
+function formatDecision(decision) {
+  const date = (decision.updatedAt || decision.createdAt).slice(0, 10);
+  let line = `  #${decision.id} ${decision.title} [${decision.status}, ${date}] (${decision.match}: ${decision.references.join(', ')})`;
+  if (decision.superseded) {
+    const successors = decision.supersededBy.map(d => `#${d.id} ${d.title}`).join(', ');
+    line += successors ? `\n      superseded by ${successors}` : '\n      superseded';
+  }
+  return line;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options.project || options.paths.length === 0) {
+    console.error(USAGE);
+    console.error('Set the project with --project or BRAIN_PROJECT.');
+    process.exit(2);
+  }
+
+  const baseUrl = (process.env.BRAIN_URL || 'http://localhost:3001').replace(/\/+$/, '');
+  const root = repositoryRoot();
+  const results = [];
+
+  for (const filePath of options.paths) {
+    const repoPath = toRepoPath(root, filePath);
+    results.push({ path: repoPath, decisions: await lookup(baseUrl, process.env.BRAIN_TOKEN, options.project, repoPath) });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  for (const result of results) {
+    if (result.decisions.length === 0) {
+      console.log(`${result.path}: no linked decisions`);
+      continue;
+    }
+    console.log(`${result.path}:`);
+    for (const decision of result.decisions) {
+      console.log(formatDecision(decision));
+    }
+  }
+}
+
+main().catch(err => {
+  console.error(`why: ${err.message}`);
+  process.exit(1);
+});
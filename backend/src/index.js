@@ -1,50 +1,140 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
+import authRouter from './routes/auth.js';
 import projectsRouter from './routes/projects.js';
 import decisionsRouter from './routes/decisions.js';
 import recordingsRouter from './routes/recordings.js';
 import tasksRouter from './routes/tasks.js';
+import boardRouter from './routes/board.js';
+import checklistsRouter from './routes/checklists.js';
 import tagsRouter from './routes/tags.js';
 import relationsRouter from './routes/relations.js';
 import searchRouter from './routes/search.js';
 import ocrRouter from './routes/ocr.js';
 import assistantRouter from './routes/assistant.js';
-import { isOpenAIConfigured } from './services/openai.js';
+import jobsRouter from './routes/jobs.js';
+import auditRouter from './routes/audit.js';
+import gitRouter from './routes/git.js';
+import webhooksRouter from './routes/webhooks.js';
+import { getAIStatus } from './services/llm/index.js';
+import { registerJobHandlers, scheduleTrashPurge } from './services/jobHandlers.js';
+import { startJobWorker } from './services/jobQueue.js';
+import { streamProjectEvents } from './services/events.js';
+import { requireAuth, requireProjectRole } from './services/auth.js';
+import { validate, validationErrorBody, buildOpenApiDocument } from './openapi/index.js';
+import { object, download } from './openapi/schemas.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// The frontend is served from the same origin (Vite proxy in development);
+// list other allowed origins in CORS_ORIGIN (comma separated)
+app.use(cors({
+  origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(o => o.trim()) : false,
+  credentials: true
+}));
 app.use(express.json());
 
-// Routes
-app.use('/api/projects', projectsRouter);
-app.use('/api/decisions', decisionsRouter);
-app.use('/api/recordings', recordingsRouter);
-app.use('/api/tasks', tasksRouter);
-app.use('/api/tags', tagsRouter);
-app.use('/api/relations', relationsRouter);
-app.use('/api/search', searchRouter);
-app.use('/api/ocr', ocrRouter);
-app.use('/api/assistant', assistantRouter);
+// Routes that need a logged-in user, by mount path
+const routers = [
+  ['/api/projects', projectsRouter],
+  ['/api/decisions', decisionsRouter],
+  ['/api/recordings', recordingsRouter],
+  ['/api/tasks', tasksRouter],
+  ['/api/board', boardRouter],
+  ['/api/checklists', checklistsRouter],
+  ['/api/tags', tagsRouter],
+  ['/api/relations', relationsRouter],
+  ['/api/search', searchRouter],
+  ['/api/ocr', ocrRouter],
+  ['/api/assistant', assistantRouter],
+  ['/api/jobs', jobsRouter],
+  ['/api/audit', auditRouter],
+  ['/api/git', gitRouter],
+  ['/api/webhooks', webhooksRouter]
+];
+
+// Public routes
+app.use('/api/auth', authRouter);
+
+// OpenAPI description of every route (built on first request, once all routes are registered)
+let openApiDocument = null;
+app.get('/api/openapi.json', validate({
+  public: true,
+  summary: 'This OpenAPI document',
+  responses: { 200: object({ openapi: { type: 'string' }, paths: { type: 'object' } }, ['openapi', 'paths']) }
+}), (req, res) => {
+  openApiDocument ??= buildOpenApiDocument([['', app], ['/api/auth', authRouter], ...routers]);
+  res.json(openApiDocument);
+});
 
 // Health check
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validate({
+  public: true,
+  summary: 'Server and AI provider status',
+  responses: {
+    200: object({
+      status: { const: 'ok' },
+      timestamp: { type: 'string', format: 'date-time' },
+      openai: { type: 'string', enum: ['configured', 'not configured'] },
+      ai: { type: 'object' }
+    }, ['status', 'timestamp', 'ai'])
+  }
+}), (req, res) => {
+  const ai = getAIStatus();
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    openai: isOpenAIConfigured() ? 'configured' : 'not configured'
+    openai: ai.provider === 'openai' && ai.capabilities.chat.available ? 'configured' : 'not configured',
+    ai
   });
 });
 
+// Everything below needs a logged-in user; project access is checked per route
+app.use('/api', requireAuth);
+
+// Live create/update/delete events for one project (Server-Sent Events)
+app.get('/api/projects/:id/events', validate({
+  summary: 'Live create/update/delete events for one project',
+  description: 'Server-Sent Events stream; each message is { entity, action, data }.',
+  responses: {
+    200: download('text/event-stream'),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), requireProjectRole('viewer', req => req.params.id), streamProjectEvents);
+
+for (const [mountPath, router] of routers) {
+  app.use(mountPath, router);
+}
+
 // Error handling
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies, stale cursors, bad recurrence rules and rejected uploads are the client's fault
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(validationErrorBody([{ location: 'body', field: 'body', message: 'must be valid JSON' }]));
+  }
+  if (err.name === 'CursorError') {
+    return res.status(400).json(validationErrorBody([{ location: 'query', field: 'cursor', message: err.message }]));
+  }
+  if (err.name === 'RecurrenceError') {
+    return res.status(400).json(validationErrorBody([{ location: 'body', field: 'recurrence', message: err.message }]));
+  }
+  if (err.name === 'MulterError' || err.name === 'UploadError') {
+    const message = err.message.charAt(0).toLowerCase() + err.message.slice(1);
+    return res.status(400).json(validationErrorBody([{ location: 'files', field: err.field || 'file', message }]));
+  }
   console.error(err.stack);
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// Background jobs (transcription, OCR, embeddings, trash purge)
+registerJobHandlers();
+
 app.listen(PORT, () => {
   console.log(`Second Brain API running on http://localhost:${PORT}`);
+  startJobWorker();
+  scheduleTrashPurge();
 });
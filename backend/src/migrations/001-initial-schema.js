@@ -0,0 +1,173 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Schema as it existed before versioned migrations. Everything here is idempotent
+// so databases created by the old ad-hoc setup are adopted without changes.
+export default {
+  version: 1,
+  name: 'initial schema',
+  up(db) {
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      createdAt TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      projectId INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      reason TEXT,
+      consequences TEXT,
+      createdAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      decisionId INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('commit', 'pr', 'task', 'file', 'note')),
+      reference TEXT NOT NULL,
+      FOREIGN KEY (decisionId) REFERENCES decisions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_decisions_project ON decisions(projectId);
+    CREATE INDEX IF NOT EXISTS idx_links_decision ON links(decisionId);
+
+    CREATE TABLE IF NOT EXISTS recordings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      projectId INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      duration INTEGER,
+      transcript TEXT,
+      status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('recording', 'processing', 'completed', 'failed')),
+      createdAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      projectId INTEGER NOT NULL,
+      recordingId INTEGER,
+      decisionId INTEGER,
+      title TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'done')),
+      priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+      createdAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (recordingId) REFERENCES recordings(id) ON DELETE SET NULL,
+      FOREIGN KEY (decisionId) REFERENCES decisions(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_recordings_project ON recordings(projectId);
+    CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(projectId);
+    CREATE INDEX IF NOT EXISTS idx_tasks_recording ON tasks(recordingId);
+    CREATE INDEX IF NOT EXISTS idx_tasks_decision ON tasks(decisionId);
+
+    -- Tags system
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      projectId INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      color TEXT DEFAULT '#667eea',
+      createdAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE,
+      UNIQUE(projectId, name)
+    );
+
+    CREATE TABLE IF NOT EXISTS decision_tags (
+      decisionId INTEGER NOT NULL,
+      tagId INTEGER NOT NULL,
+      PRIMARY KEY (decisionId, tagId),
+      FOREIGN KEY (decisionId) REFERENCES decisions(id) ON DELETE CASCADE,
+      FOREIGN KEY (tagId) REFERENCES tags(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tags_project ON tags(projectId);
+    CREATE INDEX IF NOT EXISTS idx_decision_tags_decision ON decision_tags(decisionId);
+    CREATE INDEX IF NOT EXISTS idx_decision_tags_tag ON decision_tags(tagId);
+
+    -- Decision relations for graph
+    CREATE TABLE IF NOT EXISTS decision_relations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fromDecisionId INTEGER NOT NULL,
+      toDecisionId INTEGER NOT NULL,
+      relationType TEXT NOT NULL CHECK (relationType IN ('supersedes', 'relates', 'blocks', 'implements')),
+      createdAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (fromDecisionId) REFERENCES decisions(id) ON DELETE CASCADE,
+      FOREIGN KEY (toDecisionId) REFERENCES decisions(id) ON DELETE CASCADE,
+      UNIQUE(fromDecisionId, toDecisionId)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_relations_from ON decision_relations(fromDecisionId);
+    CREATE INDEX IF NOT EXISTS idx_relations_to ON decision_relations(toDecisionId);
+
+    -- Image OCR analyses
+    CREATE TABLE IF NOT EXISTS image_analyses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      projectId INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      analysisType TEXT NOT NULL DEFAULT 'conversation',
+      extractedText TEXT,
+      summary TEXT,
+      tasks TEXT,
+      createdAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_image_analyses_project ON image_analyses(projectId);
+
+    -- Decision revision history (snapshots of previous versions)
+    CREATE TABLE IF NOT EXISTS decision_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      decisionId INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      reason TEXT,
+      consequences TEXT,
+      createdAt TEXT,
+      replacedAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (decisionId) REFERENCES decisions(id) ON DELETE CASCADE,
+      UNIQUE(decisionId, revision)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_decision_revisions_decision ON decision_revisions(decisionId);
+
+    -- Decision lifecycle transitions
+    CREATE TABLE IF NOT EXISTS decision_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      decisionId INTEGER NOT NULL,
+      fromStatus TEXT,
+      toStatus TEXT NOT NULL,
+      changedAt TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (decisionId) REFERENCES decisions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_decision_status_history_decision ON decision_status_history(decisionId);
+    `);
+
+    // Semantic search vectors
+    addColumnIfMissing(db, 'decisions', 'embedding', 'BLOB');
+    // Set when a decision is edited
+    addColumnIfMissing(db, 'decisions', 'updatedAt', 'TEXT');
+    // Lifecycle status, existing decisions count as accepted
+    addColumnIfMissing(db, 'decisions', 'status', `TEXT NOT NULL DEFAULT 'accepted' CHECK (status IN ('proposed', 'accepted', 'deprecated', 'superseded'))`);
+    // ...unless a "supersedes" relation already points at them. Only decisions without a status
+    // history are touched, the others had their status set on purpose.
+    db.exec(`
+      UPDATE decisions SET status = 'superseded'
+      WHERE status = 'accepted'
+        AND id IN (SELECT toDecisionId FROM decision_relations WHERE relationType = 'supersedes')
+        AND id NOT IN (SELECT decisionId FROM decision_status_history);
+
+      INSERT INTO decision_status_history (decisionId, fromStatus, toStatus, changedAt)
+      SELECT id, NULL, status, createdAt FROM decisions
+      WHERE id NOT IN (SELECT decisionId FROM decision_status_history);
+    `);
+    addColumnIfMissing(db, 'tasks', 'notes', 'TEXT');
+  }
+};
@@ -0,0 +1,44 @@
+// FTS5 indexes over decisions, tasks, recording transcripts and OCR text.
+// External-content tables: the text lives in the source table, triggers keep the index in sync.
+const INDEXES = [
+  { table: 'decisions', fts: 'decisions_fts', columns: ['title', 'description', 'reason', 'consequences'] },
+  { table: 'tasks', fts: 'tasks_fts', columns: ['title', 'notes'] },
+  { table: 'recordings', fts: 'recordings_fts', columns: ['title', 'transcript'] },
+  { table: 'image_analyses', fts: 'image_analyses_fts', columns: ['extractedText', 'summary'] }
+];
+
+export default {
+  version: 2,
+  name: 'full-text search',
+  up(db) {
+    for (const { table, fts, columns } of INDEXES) {
+      const list = columns.join(', ');
+      const newValues = columns.map(c => `new.${c}`).join(', ');
+      const oldValues = columns.map(c => `old.${c}`).join(', ');
+
+      db.exec(`
+        CREATE VIRTUAL TABLE ${fts} USING fts5(
+          ${list},
+          content='${table}',
+          content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER ${table}_fts_insert AFTER INSERT ON ${table} BEGIN
+          INSERT INTO ${fts} (rowid, ${list}) VALUES (new.id, ${newValues});
+        END;
+
+        CREATE TRIGGER ${table}_fts_delete AFTER DELETE ON ${table} BEGIN
+          INSERT INTO ${fts} (${fts}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+        END;
+
+        CREATE TRIGGER ${table}_fts_update AFTER UPDATE OF ${list} ON ${table} BEGIN
+          INSERT INTO ${fts} (${fts}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+          INSERT INTO ${fts} (rowid, ${list}) VALUES (new.id, ${newValues});
+        END;
+
+        INSERT INTO ${fts} (${fts}) VALUES ('rebuild');
+      `);
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// Persistent background job queue (see services/jobQueue.js)
+export default {
+  version: 3,
+  name: 'jobs',
+  up(db) {
+    db.exec(`
+      CREATE TABLE jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        projectId INTEGER,
+        payload TEXT NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+        progress INTEGER,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        maxAttempts INTEGER NOT NULL DEFAULT 3,
+        runAt TEXT NOT NULL DEFAULT (datetime('now')),
+        result TEXT,
+        error TEXT,
+        createdAt TEXT DEFAULT (datetime('now')),
+        startedAt TEXT,
+        finishedAt TEXT,
+        FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_jobs_status_run_at ON jobs(status, runAt);
+      CREATE INDEX idx_jobs_project ON jobs(projectId);
+    `);
+  }
+};
@@ -0,0 +1,44 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// User accounts, login sessions and per-project membership roles
+export default {
+  version: 4,
+  name: 'users and project roles',
+  up(db) {
+    db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT,
+        passwordHash TEXT NOT NULL,
+        createdAt TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        tokenHash TEXT NOT NULL UNIQUE,
+        createdAt TEXT DEFAULT (datetime('now')),
+        expiresAt TEXT NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE project_members (
+        projectId INTEGER NOT NULL,
+        userId INTEGER NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        createdAt TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (projectId, userId),
+        FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_sessions_user ON sessions(userId);
+      CREATE INDEX idx_project_members_user ON project_members(userId);
+    `);
+
+    for (const table of ['decisions', 'tasks', 'recordings']) {
+      addColumnIfMissing(db, table, 'createdBy', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    }
+  }
+};
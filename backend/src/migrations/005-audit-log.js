@@ -0,0 +1,36 @@
+// Append-only audit log of every write (see services/audit.js)
+export default {
+  version: 5,
+  name: 'audit log',
+  up(db) {
+    // No foreign keys: entries must outlive the projects, users and rows they describe
+    db.exec(`
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        projectId INTEGER,
+        userId INTEGER,
+        actorName TEXT,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        entityType TEXT NOT NULL,
+        entityId INTEGER,
+        context TEXT,
+        before TEXT,
+        after TEXT,
+        createdAt TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX idx_audit_log_project ON audit_log(projectId, createdAt);
+      CREATE INDEX idx_audit_log_entity ON audit_log(entityType, entityId);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `);
+  }
+};
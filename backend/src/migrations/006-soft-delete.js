@@ -0,0 +1,14 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Deleted projects, decisions, tasks and recordings go to the trash first and are purged later
+export default {
+  version: 6,
+  name: 'soft delete',
+  up(db) {
+    for (const table of ['projects', 'decisions', 'tasks', 'recordings']) {
+      addColumnIfMissing(db, table, 'deletedAt', 'TEXT');
+      addColumnIfMissing(db, table, 'deletedBy', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table}(deletedAt)`);
+    }
+  }
+};
@@ -0,0 +1,10 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Local git repository a project's commit links are resolved against
+export default {
+  version: 7,
+  name: 'git repository',
+  up(db) {
+    addColumnIfMissing(db, 'projects', 'repoPath', 'TEXT');
+  }
+};
@@ -0,0 +1,42 @@
+// Outgoing webhook subscriptions and their delivery log (see services/webhooks.js)
+export default {
+  version: 8,
+  name: 'webhooks',
+  up(db) {
+    db.exec(`
+      CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        projectId INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '[]',
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        createdBy INTEGER,
+        createdAt TEXT DEFAULT (datetime('now')),
+        updatedAt TEXT,
+        FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhookId INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        responseStatus INTEGER,
+        responseBody TEXT,
+        error TEXT,
+        durationMs INTEGER,
+        createdAt TEXT DEFAULT (datetime('now')),
+        lastAttemptAt TEXT,
+        FOREIGN KEY (webhookId) REFERENCES webhooks(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_webhooks_project ON webhooks(projectId);
+      CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhookId, id);
+    `);
+  }
+};
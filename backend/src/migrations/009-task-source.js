@@ -0,0 +1,28 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Where a task came from (manual, recording, decision or ocr), so lists can be filtered by it,
+// plus indexes for the paged project lists
+export default {
+  version: 9,
+  name: 'task source',
+  up(db) {
+    addColumnIfMissing(db, 'tasks', 'source', "TEXT NOT NULL DEFAULT 'manual'");
+
+    db.exec(`
+      UPDATE tasks SET source = 'recording' WHERE recordingId IS NOT NULL;
+      UPDATE tasks SET source = 'decision' WHERE recordingId IS NULL AND decisionId IS NOT NULL;
+    `);
+    // Tasks saved from a photo or document only left a trace in the audit log
+    db.exec(`
+      UPDATE tasks SET source = 'ocr'
+      WHERE source = 'manual' AND id IN (
+        SELECT entityId FROM audit_log
+        WHERE entityType = 'task' AND action = 'create' AND context = 'ocr save-tasks'
+      )
+    `);
+
+    for (const table of ['decisions', 'tasks', 'recordings', 'image_analyses']) {
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_project_created ON ${table}(projectId, createdAt)`);
+    }
+  }
+};
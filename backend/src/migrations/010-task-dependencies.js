@@ -0,0 +1,28 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Subtasks (tasks.parentId) and "must finish first" edges between tasks (see services/taskGraph.js)
+export default {
+  version: 10,
+  name: 'task dependencies',
+  up(db) {
+    addColumnIfMissing(db, 'tasks', 'parentId', 'INTEGER REFERENCES tasks(id) ON DELETE CASCADE');
+
+    db.exec(`
+      CREATE TABLE task_dependencies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        taskId INTEGER NOT NULL,
+        dependsOnTaskId INTEGER NOT NULL,
+        createdBy INTEGER,
+        createdAt TEXT DEFAULT (datetime('now')),
+        UNIQUE (taskId, dependsOnTaskId),
+        CHECK (taskId != dependsOnTaskId),
+        FOREIGN KEY (taskId) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (dependsOnTaskId) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX idx_tasks_parent ON tasks(parentId);
+      CREATE INDEX idx_task_dependencies_depends_on ON task_dependencies(dependsOnTaskId);
+    `);
+  }
+};
@@ -0,0 +1,30 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Due dates, effort estimates and when work on a task started and finished
+export default {
+  version: 11,
+  name: 'task schedule',
+  up(db) {
+    addColumnIfMissing(db, 'tasks', 'dueDate', 'TEXT');
+    addColumnIfMissing(db, 'tasks', 'estimateMinutes', 'INTEGER');
+    addColumnIfMissing(db, 'tasks', 'startedAt', 'TEXT');
+    addColumnIfMissing(db, 'tasks', 'completedAt', 'TEXT');
+
+    // Recover the timestamps of past status changes from the audit log where it has them
+    db.exec(`
+      UPDATE tasks SET startedAt = (
+        SELECT MIN(createdAt) FROM audit_log
+        WHERE entityType = 'task' AND entityId = tasks.id AND json_extract(after, '$.status') = 'in_progress'
+      )
+      WHERE status != 'pending';
+
+      UPDATE tasks SET completedAt = COALESCE((
+        SELECT MAX(createdAt) FROM audit_log
+        WHERE entityType = 'task' AND entityId = tasks.id AND json_extract(after, '$.status') = 'done'
+      ), createdAt)
+      WHERE status = 'done';
+
+      CREATE INDEX IF NOT EXISTS idx_tasks_project_due ON tasks(projectId, dueDate);
+    `);
+  }
+};
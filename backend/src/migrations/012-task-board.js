@@ -0,0 +1,28 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Kanban board: per-project columns (each maps to a task status) and the manual order of tasks in them
+export default {
+  version: 12,
+  name: 'task board',
+  up(db) {
+    db.exec(`
+      CREATE TABLE board_columns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        projectId INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('pending', 'in_progress', 'done')),
+        position INTEGER NOT NULL DEFAULT 0,
+        wipLimit INTEGER CHECK (wipLimit IS NULL OR wipLimit > 0),
+        createdAt TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_board_columns_project ON board_columns(projectId, position);
+    `);
+
+    addColumnIfMissing(db, 'tasks', 'columnId', 'INTEGER REFERENCES board_columns(id) ON DELETE SET NULL');
+    addColumnIfMissing(db, 'tasks', 'position', 'INTEGER');
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_tasks_column ON tasks(columnId, position)');
+  }
+};
@@ -0,0 +1,30 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Recurring tasks (see services/recurrence.js) and per-project checklist templates
+export default {
+  version: 13,
+  name: 'recurring tasks and checklists',
+  up(db) {
+    addColumnIfMissing(db, 'tasks', 'recurrence', 'TEXT');
+    addColumnIfMissing(db, 'tasks', 'recurrenceOfId', 'INTEGER REFERENCES tasks(id) ON DELETE SET NULL');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_of ON tasks(recurrenceOfId);
+
+      CREATE TABLE checklist_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        projectId INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        items TEXT NOT NULL DEFAULT '[]',
+        createdBy INTEGER,
+        createdAt TEXT DEFAULT (datetime('now')),
+        updatedAt TEXT,
+        FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX idx_checklist_templates_project ON checklist_templates(projectId);
+    `);
+  }
+};
@@ -0,0 +1,17 @@
+// Cached title embeddings for duplicate task detection (see services/taskDuplicates.js).
+// Kept out of the tasks table so they never end up in task responses, audits or exports.
+export default {
+  version: 14,
+  name: 'task embeddings',
+  up(db) {
+    db.exec(`
+      CREATE TABLE task_embeddings (
+        taskId INTEGER PRIMARY KEY,
+        text TEXT NOT NULL,
+        embedding BLOB NOT NULL,
+        createdAt TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (taskId) REFERENCES tasks(id) ON DELETE CASCADE
+      );
+    `);
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Check whether a table has a column
+ * @param {Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean}
+ */
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Add a column unless it already exists
+ * @param {Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+export function addColumnIfMissing(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Recreate a table with a new definition, keeping its rows, indexes and triggers.
+ * This is the only way to change CHECK constraints or foreign keys in SQLite.
+ * Must run with foreign keys disabled (the migration runner takes care of that).
+ * @param {Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} columnsSql - New column and constraint definitions (the part inside CREATE TABLE (...))
+ * @param {object} options - { copy: map of new column -> SQL expression over the old table }
+ */
+export function rebuildTable(db, table, columnsSql, { copy = {} } = {}) {
+  const tempTable = `${table}__rebuild`;
+  const oldColumns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+  // Indexes and triggers are dropped with the table, remember them to recreate afterwards
+  const dependents = db.prepare(`
+    SELECT sql FROM sqlite_master
+    WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL
+  `).all(table);
+
+  db.exec(`CREATE TABLE ${tempTable} (${columnsSql})`);
+
+  const newColumns = db.prepare(`PRAGMA table_info(${tempTable})`).all().map(c => c.name);
+  const targets = newColumns.filter(name => copy[name] || oldColumns.includes(name));
+  const sources = targets.map(name => copy[name] || name);
+
+  db.exec(`
+    INSERT INTO ${tempTable} (${targets.join(', ')})
+    SELECT ${sources.join(', ')} FROM ${table}
+  `);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+
+  for (const { sql } of dependents) {
+    db.exec(sql);
+  }
+}
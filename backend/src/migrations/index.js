@@ -0,0 +1,102 @@
+import initialSchema from './001-initial-schema.js';
+import fullTextSearch from './002-full-text-search.js';
+import jobs from './003-jobs.js';
+import auth from './004-auth.js';
+import auditLog from './005-audit-log.js';
+import softDelete from './006-soft-delete.js';
+import gitRepository from './007-git-repository.js';
+import webhooks from './008-webhooks.js';
+import taskSource from './009-task-source.js';
+import taskDependencies from './010-task-dependencies.js';
+import taskSchedule from './011-task-schedule.js';
+import taskBoard from './012-task-board.js';
+import recurringTasks from './013-recurring-tasks.js';
+import taskEmbeddings from './014-task-embeddings.js';
+
+// Ordered list of migrations. Append new ones with the next version number;
+// never edit or renumber a migration once it has shipped.
+export const MIGRATIONS = [
+  initialSchema,
+  fullTextSearch,
+  jobs,
+  auth,
+  auditLog,
+  softDelete,
+  gitRepository,
+  webhooks,
+  taskSource,
+  taskDependencies,
+  taskSchedule,
+  taskBoard,
+  recurringTasks,
+  taskEmbeddings
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the applied migration versions
+ * @param {Database} db - Database connection
+ * @returns {Array<number>}
+ */
+export function getAppliedVersions(db) {
+  return db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(r => r.version);
+}
+
+/**
+ * Apply pending migrations, each in its own transaction
+ * @param {Database} db - Database connection
+ * @returns {Array<number>} - Versions applied by this run
+ * @throws {Error} - If the database was migrated by a newer version of the code,
+ *   or a migration leaves foreign key violations behind
+ */
+export function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  const applied = getAppliedVersions(db);
+  const current = applied.length > 0 ? applied[applied.length - 1] : 0;
+
+  if (current > LATEST_VERSION) {
+    throw new Error(
+      `Database schema version ${current} is newer than this code supports (${LATEST_VERSION}). ` +
+      'Upgrade the application before starting it against this database.'
+    );
+  }
+
+  const pending = MIGRATIONS.filter(m => !applied.includes(m.version));
+  if (pending.length === 0) {
+    return [];
+  }
+
+  // Table rebuilds need foreign keys off; the pragma is a no-op inside a transaction
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+
+  try {
+    for (const migration of pending) {
+      const apply = db.transaction(() => {
+        migration.up(db);
+
+        const violations = db.pragma('foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`Migration ${migration.version} (${migration.name}) left ${violations.length} foreign key violation(s)`);
+        }
+
+        db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      });
+
+      apply();
+      console.log(`Applied migration ${migration.version}: ${migration.name}`);
+    }
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  return pending.map(m => m.version);
+}
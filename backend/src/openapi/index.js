@@ -0,0 +1,273 @@
+import fs from 'fs';
+import { validateSchema } from './validator.js';
+import { components, Id } from './schemas.js';
+import { SESSION_COOKIE } from '../services/auth.js';
+
+const API_TITLE = 'Second Brain for Devs API';
+const API_VERSION = '1.0.0';
+
+// off: never check responses, warn: log mismatches, strict: answer 500 instead of a response that breaks the schema
+const RESPONSE_VALIDATION = process.env.RESPONSE_VALIDATION
+  || (process.env.NODE_ENV === 'production' ? 'off' : 'warn');
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content'
+};
+
+const pathParamNames = (routePath) => [...routePath.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// Path params are IDs unless the route says otherwise
+const paramSchema = (spec, name) => spec.params?.[name] || Id;
+
+/**
+ * Rejected upload (wrong file type...), answered with a 400 like other invalid requests.
+ * Pass it to multer's fileFilter callback.
+ */
+export class UploadError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'UploadError';
+    this.field = field;
+  }
+}
+
+function withLocation(location, problems) {
+  return problems.map(({ field, message }) => ({ location, field: field || location, message }));
+}
+
+/**
+ * Build the 400 response body for a list of problems
+ * @param {Array} details - { location, field, message }
+ * @returns {object} - { error, details }
+ */
+export function validationErrorBody(details) {
+  return {
+    error: details.map(({ field, message }) => `${field} ${message}`).join('; '),
+    details
+  };
+}
+
+function checkRequest(spec, req) {
+  const problems = [];
+
+  for (const [name, value] of Object.entries(req.params)) {
+    problems.push(...withLocation('path', validateSchema(paramSchema(spec, name), value, { components, coerce: true, path: name })));
+  }
+
+  if (spec.query) {
+    problems.push(...withLocation('query', validateSchema(spec.query, req.query, { components, coerce: true })));
+  }
+
+  if (spec.body) {
+    // Multipart fields are strings like query params
+    const multipart = Boolean(spec.files);
+    problems.push(...withLocation('body', validateSchema(spec.body, req.body ?? {}, { components, coerce: multipart })));
+  }
+
+  for (const [field, { required, multiple }] of Object.entries(spec.files || {})) {
+    const uploaded = multiple ? req.files : req.file;
+    if (required && (!uploaded || uploaded.length === 0)) {
+      problems.push({ location: 'files', field, message: 'is required' });
+    }
+  }
+
+  return problems;
+}
+
+// Uploads land on disk before validation runs, don't keep them for a rejected request
+function discardUploads(req) {
+  for (const file of [req.file, ...(Array.isArray(req.files) ? req.files : [])]) {
+    if (file?.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+}
+
+function checkResponses(spec, req, res) {
+  const send = res.json.bind(res);
+
+  res.json = (body) => {
+    const schema = spec.responses?.[res.statusCode];
+    if (!schema || typeof schema !== 'object' || res.statusCode >= 400) {
+      return send(body);
+    }
+
+    // Check what the client will receive, not the in-memory rows (Buffers, undefined fields...)
+    const problems = validateSchema(schema, JSON.parse(JSON.stringify(body) ?? 'null'), { components, path: 'response' });
+    if (problems.length === 0) {
+      return send(body);
+    }
+
+    const summary = problems.slice(0, 5).map(({ field, message }) => `${field} ${message}`).join('; ');
+    console.warn(`Response of ${req.method} ${req.originalUrl} does not match the API schema: ${summary}`);
+    if (RESPONSE_VALIDATION === 'strict') {
+      res.status(500);
+      return send({ error: 'Response does not match the API schema', details: problems });
+    }
+    return send(body);
+  };
+}
+
+/**
+ * Describe a route and validate its requests (and, outside production, its responses) against the description.
+ * The same description is published in the OpenAPI document.
+ * @param {object} spec - {
+ *   summary, description,
+ *   public: true for routes that don't need a session,
+ *   params: schemas of path params that aren't positive integer IDs,
+ *   query: object schema of the query string,
+ *   body: object schema of the JSON (or multipart) body,
+ *   files: { field: { required, multiple, description } } for multipart uploads,
+ *   responses: { status: schema | null (no body) | 'description' (error) }
+ * }
+ * @returns {Function} - Express middleware (spec is kept on .openapi)
+ */
+export function validate(spec) {
+  const middleware = (req, res, next) => {
+    const problems = checkRequest(spec, req);
+    if (problems.length > 0) {
+      discardUploads(req);
+      return res.status(400).json(validationErrorBody(problems));
+    }
+
+    if (RESPONSE_VALIDATION !== 'off') {
+      checkResponses(spec, req, res);
+    }
+    next();
+  };
+  middleware.openapi = spec;
+  return middleware;
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function buildResponses(spec, hasInput) {
+  const responses = {};
+
+  for (const [status, schema] of Object.entries(spec.responses || {})) {
+    if (schema === null) {
+      responses[status] = { description: STATUS_DESCRIPTIONS[status] || 'No body' };
+    } else if (typeof schema === 'string') {
+      responses[status] = { description: schema, content: jsonContent({ $ref: '#/components/schemas/Error' }) };
+    } else if (schema.contentMediaType) {
+      responses[status] = {
+        description: schema.description || STATUS_DESCRIPTIONS[status] || 'OK',
+        content: { [schema.contentMediaType]: { schema: { type: 'string', format: 'binary' } } }
+      };
+    } else {
+      responses[status] = { description: STATUS_DESCRIPTIONS[status] || 'OK', content: jsonContent(schema) };
+    }
+  }
+
+  if (hasInput && !responses[400]) {
+    responses[400] = { description: 'Invalid request', content: jsonContent({ $ref: '#/components/schemas/ValidationError' }) };
+  } else if (hasInput) {
+    responses[400].content = jsonContent({
+      oneOf: [{ $ref: '#/components/schemas/ValidationError' }, { $ref: '#/components/schemas/Error' }]
+    });
+  }
+  if (!spec.public && !responses[401]) {
+    responses[401] = { description: 'Not logged in', content: jsonContent({ $ref: '#/components/schemas/Error' }) };
+  }
+
+  return responses;
+}
+
+function buildOperation(spec, routePath, tag) {
+  const parameters = [
+    ...pathParamNames(routePath).map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: paramSchema(spec, name)
+    })),
+    ...Object.entries(spec.query?.properties || {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (spec.query.required || []).includes(name),
+      ...(schema.description ? { description: schema.description } : {}),
+      schema
+    }))
+  ];
+
+  const operation = { tags: [tag] };
+  if (spec.summary) operation.summary = spec.summary;
+  if (spec.description) operation.description = spec.description;
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (spec.files) {
+    const properties = { ...(spec.body?.properties || {}) };
+    const required = [...(spec.body?.required || [])];
+    for (const [field, { multiple, required: isRequired, description }] of Object.entries(spec.files)) {
+      const file = { type: 'string', format: 'binary', ...(description ? { description } : {}) };
+      properties[field] = multiple ? { type: 'array', items: file } : file;
+      if (isRequired) required.push(field);
+    }
+    operation.requestBody = {
+      required: true,
+      content: { 'multipart/form-data': { schema: { type: 'object', properties, ...(required.length ? { required } : {}) } } }
+    };
+  } else if (spec.body) {
+    operation.requestBody = { required: true, content: jsonContent(spec.body) };
+  }
+
+  const hasInput = Boolean(spec.query || spec.body || spec.files || parameters.length > 0);
+  operation.responses = buildResponses(spec, hasInput);
+  if (spec.public) operation.security = [];
+
+  return operation;
+}
+
+// "/api/decisions/:id/links" -> "/api/decisions/{id}/links"
+const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Build the OpenAPI document from the routes described with validate()
+ * @param {Array} mounts - [mountPath, router] pairs; pass ['', app] for routes defined on the app itself
+ * @returns {object} - OpenAPI 3.1 document
+ */
+export function buildOpenApiDocument(mounts) {
+  const paths = {};
+
+  for (const [mountPath, router] of mounts) {
+    const stack = router._router?.stack || router.stack;
+    for (const layer of stack) {
+      if (!layer.route) continue;
+
+      const spec = layer.route.stack.map(handler => handler.handle.openapi).find(Boolean);
+      if (!spec) continue;
+
+      const routePath = mountPath + (layer.route.path === '/' ? '' : layer.route.path);
+      const tag = routePath.split('/')[2] || 'api';
+      const path = toOpenApiPath(routePath);
+      paths[path] = paths[path] || {};
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path][method] = buildOperation(spec, routePath, tag);
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: API_TITLE,
+      version: API_VERSION,
+      description: 'Request bodies, query strings and path params are validated against these schemas; invalid requests get a 400 with a ValidationError body.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/auth/login' },
+        sessionCookie: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE }
+      }
+    }
+  };
+}
@@ -0,0 +1,424 @@
+import { DECISION_STATUSES } from '../services/decisionStatus.js';
+import { JOB_STATUSES } from '../services/jobQueue.js';
+import { AUDIT_ACTIONS } from '../services/audit.js';
+import { PROJECT_ROLES } from '../services/auth.js';
+import { WEBHOOK_EVENTS } from '../services/webhooks.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../services/pagination.js';
+
+// Building blocks for route schemas
+
+export const TASK_STATUSES = ['pending', 'in_progress', 'done'];
+export const TASK_PRIORITIES = ['low', 'medium', 'high'];
+export const TASK_SOURCES = ['manual', 'recording', 'decision', 'ocr'];
+export const RECORDING_STATUSES = ['recording', 'processing', 'completed', 'failed'];
+export const LINK_TYPES = ['commit', 'pr', 'task', 'file', 'note'];
+export const RELATION_TYPES = ['supersedes', 'relates', 'blocks', 'implements'];
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+export const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+export const object = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  ...extra
+});
+
+export function nullable(schema) {
+  if (schema.$ref) return { anyOf: [schema, { type: 'null' }] };
+  return {
+    ...schema,
+    type: [...[].concat(schema.type), 'null'],
+    ...(schema.enum ? { enum: [...schema.enum, null] } : {})
+  };
+}
+
+// Path and query IDs
+export const Id = { type: 'integer', minimum: 1 };
+
+// IDs in JSON bodies; the frontend passes route params through, so "3" is accepted as well as 3
+export const IdInput = {
+  type: ['integer', 'string'],
+  minimum: 1,
+  pattern: '^[1-9][0-9]*$',
+  'x-pattern-message': 'must be a positive integer',
+  description: 'Positive integer (numeric strings are accepted)'
+};
+
+export const Text = { type: 'string' };
+export const NonBlank = { type: 'string', pattern: '\\S', 'x-pattern-message': 'must not be empty' };
+export const DateString = { type: 'string', format: 'date', description: 'YYYY-MM-DD' };
+export const Timestamp = { type: 'string', description: 'SQLite UTC timestamp (YYYY-MM-DD HH:MM:SS)' };
+export const Limit = (max, defaultValue) => ({ type: 'integer', minimum: 1, maximum: max, default: defaultValue });
+
+// Comma separated list of allowed values, e.g. ?status=proposed,accepted
+export function csvOf(values) {
+  const option = values.map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  return {
+    type: 'string',
+    pattern: `^\\s*(${option})\\s*(,\\s*(${option})\\s*)*$`,
+    'x-pattern-message': `must be a comma separated list of: ${values.join(', ')}`
+  };
+}
+
+// Zip, image and other non-JSON responses
+export const download = (mediaType) => ({ type: 'string', format: 'binary', contentMediaType: mediaType });
+
+export const JobAccepted = object({ job: ref('Job') }, ['job']);
+
+// Paged lists take ?limit=&cursor=&sort= ...
+export function pageQuery(sortFields, defaultSort) {
+  return {
+    limit: Limit(MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE),
+    cursor: { type: 'string', description: 'nextCursor of the previous page (keep the same filters and sort)' },
+    sort: {
+      ...csvOf(sortFields.flatMap(field => [field, `-${field}`])),
+      default: defaultSort,
+      description: `Comma separated fields, "-" for descending: ${sortFields.join(', ')}`
+    }
+  };
+}
+
+// ... and answer with one page of items
+export const Page = (items) => object({
+  items: arrayOf(items),
+  total: { type: 'integer', minimum: 0, description: 'Items matching the filters, across all pages' },
+  nextCursor: { ...nullable(Text), description: 'Pass as ?cursor= for the next page; null on the last page' }
+}, ['items', 'total', 'nextCursor']);
+
+// Created date range and text filters shared by the paged lists
+export const listFilters = {
+  from: { ...DateString, description: 'Created on or after (YYYY-MM-DD)' },
+  to: { ...DateString, description: 'Created on or before (YYYY-MM-DD)' },
+  q: { type: 'string', description: 'Text the item contains (case-insensitive)' }
+};
+
+const Deletion = {
+  deletedAt: nullable(Timestamp),
+  deletedBy: nullable(Id)
+};
+
+// Entities shared by several routes, published under components.schemas
+
+const Decision = object({
+  id: Id,
+  projectId: Id,
+  title: Text,
+  description: nullable(Text),
+  reason: nullable(Text),
+  consequences: nullable(Text),
+  status: { type: 'string', enum: DECISION_STATUSES },
+  createdBy: nullable(Id),
+  createdByUsername: nullable(Text),
+  createdAt: Timestamp,
+  updatedAt: nullable(Timestamp),
+  ...Deletion
+}, ['id', 'projectId', 'title', 'status']);
+
+const Link = object({
+  id: Id,
+  decisionId: Id,
+  type: { type: 'string', enum: LINK_TYPES },
+  reference: Text
+}, ['id', 'decisionId', 'type', 'reference']);
+
+const TagSummary = object({
+  id: Id,
+  name: Text,
+  color: Text
+}, ['id', 'name']);
+
+const Relation = object({
+  id: Id,
+  fromDecisionId: Id,
+  toDecisionId: Id,
+  relationType: { type: 'string', enum: RELATION_TYPES },
+  fromTitle: Text,
+  toTitle: Text,
+  createdAt: Timestamp
+}, ['id', 'fromDecisionId', 'toDecisionId', 'relationType']);
+
+const StatusChange = object({
+  fromStatus: nullable({ type: 'string', enum: DECISION_STATUSES }),
+  toStatus: { type: 'string', enum: DECISION_STATUSES },
+  changedAt: Timestamp
+}, ['toStatus']);
+
+export const components = {
+  Error: object({
+    error: { type: 'string', description: 'What went wrong' }
+  }, ['error']),
+
+  ValidationError: object({
+    error: { type: 'string', description: 'All problems in one sentence, for display' },
+    details: arrayOf(object({
+      location: { type: 'string', enum: ['path', 'query', 'body', 'files'] },
+      field: { type: 'string', description: 'Dotted path of the field, e.g. links[0].type' },
+      message: Text
+    }, ['location', 'field', 'message']))
+  }, ['error', 'details']),
+
+  User: object({
+    id: Id,
+    username: Text,
+    name: nullable(Text),
+    createdAt: Timestamp
+  }, ['id', 'username']),
+
+  Session: object({
+    user: ref('User'),
+    token: { type: 'string', description: 'Send as "Authorization: Bearer <token>"' },
+    expiresAt: Text
+  }, ['user', 'token', 'expiresAt']),
+
+  Project: object({
+    id: Id,
+    name: Text,
+    description: nullable(Text),
+    repoPath: nullable(Text),
+    role: { type: 'string', enum: PROJECT_ROLES, description: 'Your role in the project' },
+    createdAt: Timestamp,
+    ...Deletion
+  }, ['id', 'name']),
+
+  Member: object({
+    id: Id,
+    username: Text,
+    name: nullable(Text),
+    role: { type: 'string', enum: PROJECT_ROLES },
+    createdAt: Timestamp
+  }, ['id', 'username', 'role']),
+
+  TrashItem: object({
+    type: { type: 'string', enum: ['decision', 'task', 'recording'] },
+    id: Id,
+    title: Text,
+    deletedAt: Timestamp,
+    deletedByUsername: nullable(Text),
+    purgeAt: Timestamp,
+    dependents: { type: 'object', additionalProperties: { type: 'integer' } }
+  }, ['type', 'id', 'title', 'deletedAt']),
+
+  Decision,
+
+  DecisionWithLinks: {
+    ...Decision,
+    properties: { ...Decision.properties, links: arrayOf(ref('Link')) },
+    required: [...Decision.required, 'links']
+  },
+
+  DecisionDetail: {
+    ...Decision,
+    properties: {
+      ...Decision.properties,
+      links: arrayOf(ref('Link')),
+      tags: arrayOf(ref('TagSummary')),
+      relations: object({
+        outgoing: arrayOf(ref('Relation')),
+        incoming: arrayOf(ref('Relation'))
+      }, ['outgoing', 'incoming']),
+      statusHistory: arrayOf(ref('StatusChange')),
+      allowedTransitions: arrayOf({ type: 'string', enum: DECISION_STATUSES })
+    },
+    required: [...Decision.required, 'links', 'tags', 'relations', 'statusHistory', 'allowedTransitions']
+  },
+
+  Revision: object({
+    id: Id,
+    decisionId: Id,
+    revision: { type: 'integer', minimum: 1 },
+    title: Text,
+    description: nullable(Text),
+    reason: nullable(Text),
+    consequences: nullable(Text),
+    createdAt: nullable(Timestamp),
+    replacedAt: Timestamp
+  }, ['id', 'decisionId', 'revision', 'title']),
+
+  StatusChange,
+  Link,
+  TagSummary,
+
+  Tag: object({
+    id: Id,
+    projectId: Id,
+    name: Text,
+    color: Text,
+    usageCount: { type: 'integer', minimum: 0 },
+    createdAt: Timestamp
+  }, ['id', 'projectId', 'name', 'color']),
+
+  Relation,
+
+  Task: object({
+    id: Id,
+    projectId: Id,
+    recordingId: nullable(Id),
+    decisionId: nullable(Id),
+    title: Text,
+    status: { type: 'string', enum: TASK_STATUSES },
+    priority: { type: 'string', enum: TASK_PRIORITIES },
+    source: { type: 'string', enum: TASK_SOURCES },
+    parentId: { ...nullable(Id), description: 'Task this is a subtask of' },
+    columnId: { ...nullable(Id), description: 'Board column it was last put in' },
+    position: { ...nullable({ type: 'integer', minimum: 0 }), description: 'Manual order in its board column, null until it is ordered' },
+    notes: nullable(Text),
+    dueDate: nullable(DateString),
+    estimateMinutes: { ...nullable({ type: 'integer', minimum: 1 }), description: 'Estimated effort in minutes' },
+    startedAt: { ...nullable(Timestamp), description: 'First time the task went in progress' },
+    completedAt: { ...nullable(Timestamp), description: 'When the task was marked done, null while it is open' },
+    recurrence: { ...nullable(Text), description: 'Repeat rule; completing the task creates the next instance' },
+    recurrenceOfId: { ...nullable(Id), description: 'Previous instance of this recurring task' },
+    createdBy: nullable(Id),
+    createdAt: Timestamp,
+    blockedBy: { ...arrayOf(Id), description: 'Unfinished tasks this one waits on' },
+    blocked: { type: 'boolean', description: 'Not done and waiting on an unfinished task' },
+    urgency: { type: 'number', description: 'Computed from priority, due date, age and blocking relationships (higher is more urgent, 0 when done)' },
+    subtasks: object({
+      total: { type: 'integer', minimum: 0 },
+      done: { type: 'integer', minimum: 0 }
+    }, ['total', 'done']),
+    ...Deletion
+  }, ['id', 'projectId', 'title', 'status', 'priority']),
+
+  TaskSummary: object({
+    id: Id,
+    title: Text,
+    status: { type: 'string', enum: TASK_STATUSES },
+    priority: { type: 'string', enum: TASK_PRIORITIES }
+  }, ['id', 'title', 'status', 'priority']),
+
+  BoardColumn: object({
+    id: Id,
+    projectId: Id,
+    name: Text,
+    status: { type: 'string', enum: TASK_STATUSES, description: 'Status of the tasks in this column' },
+    position: { type: 'integer', minimum: 0 },
+    wipLimit: { ...nullable({ type: 'integer', minimum: 1 }), description: 'Most tasks the column takes, null for no limit' },
+    createdAt: Timestamp
+  }, ['id', 'projectId', 'name', 'status', 'position', 'wipLimit']),
+
+  Board: object({
+    columns: arrayOf({
+      allOf: [ref('BoardColumn'), object({ tasks: arrayOf(ref('Task')) }, ['tasks'])]
+    })
+  }, ['columns']),
+
+  ChecklistTemplate: object({
+    id: Id,
+    projectId: Id,
+    name: Text,
+    description: nullable(Text),
+    items: arrayOf(object({
+      title: Text,
+      priority: { type: 'string', enum: TASK_PRIORITIES },
+      estimateMinutes: nullable({ type: 'integer', minimum: 1 }),
+      notes: nullable(Text)
+    }, ['title', 'priority'])),
+    createdBy: nullable(Id),
+    createdAt: Timestamp,
+    updatedAt: nullable(Timestamp)
+  }, ['id', 'projectId', 'name', 'items']),
+
+  Recording: object({
+    id: Id,
+    projectId: Id,
+    title: Text,
+    filename: Text,
+    duration: nullable({ type: 'integer' }),
+    transcript: nullable(Text),
+    status: { type: 'string', enum: RECORDING_STATUSES },
+    createdBy: nullable(Id),
+    createdAt: Timestamp,
+    ...Deletion
+  }, ['id', 'projectId', 'title', 'status']),
+
+  Analysis: object({
+    id: Id,
+    projectId: Id,
+    filename: Text,
+    analysisType: Text,
+    extractedText: nullable(Text),
+    summary: nullable(Text),
+    tasks: arrayOf({ type: ['object', 'string'] }),
+    createdAt: Timestamp
+  }, ['id', 'projectId', 'filename', 'tasks']),
+
+  Job: object({
+    id: Id,
+    type: Text,
+    projectId: nullable(Id),
+    payload: { type: 'object' },
+    status: { type: 'string', enum: JOB_STATUSES },
+    progress: nullable({ type: 'integer', minimum: 0, maximum: 100 }),
+    attempts: { type: 'integer', minimum: 0 },
+    maxAttempts: { type: 'integer', minimum: 1 },
+    runAt: Timestamp,
+    result: { description: 'Whatever the job returned, null until it completes' },
+    error: nullable(Text),
+    createdAt: Timestamp,
+    startedAt: nullable(Timestamp),
+    finishedAt: nullable(Timestamp)
+  }, ['id', 'type', 'status']),
+
+  AuditEntry: object({
+    id: Id,
+    projectId: nullable(Id),
+    userId: nullable(Id),
+    actorName: nullable(Text),
+    action: { type: 'string', enum: AUDIT_ACTIONS },
+    entityType: Text,
+    entityId: nullable({ type: 'integer' }),
+    context: nullable(Text),
+    before: { description: 'Entity before the change (null for creates)' },
+    after: { description: 'Entity after the change (null for deletes)' },
+    createdAt: Timestamp
+  }, ['id', 'action', 'entityType']),
+
+  Commit: object({
+    sha: Text,
+    shortSha: Text,
+    author: Text,
+    authorEmail: Text,
+    date: Text,
+    subject: Text,
+    body: Text,
+    files: arrayOf(object({
+      status: Text,
+      path: Text,
+      previousPath: Text
+    }, ['status', 'path']))
+  }, ['sha', 'subject']),
+
+  Webhook: object({
+    id: Id,
+    projectId: Id,
+    url: { type: 'string', format: 'uri' },
+    events: arrayOf({ type: 'string', enum: WEBHOOK_EVENTS }),
+    description: nullable(Text),
+    active: { type: 'boolean' },
+    createdBy: nullable(Id),
+    createdAt: Timestamp,
+    updatedAt: nullable(Timestamp),
+    lastDeliveryStatus: nullable(Text),
+    lastDeliveryAt: nullable(Timestamp),
+    secret: { type: 'string', description: 'Only returned when the webhook is created or its secret rotated' },
+    secretHint: { type: 'string', description: 'Last characters of the secret' }
+  }, ['id', 'projectId', 'url', 'events', 'active']),
+
+  WebhookDelivery: object({
+    id: Id,
+    webhookId: Id,
+    event: Text,
+    payload: { type: 'object' },
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    attempts: { type: 'integer', minimum: 0 },
+    responseStatus: nullable({ type: 'integer' }),
+    responseBody: nullable(Text),
+    error: nullable(Text),
+    durationMs: nullable({ type: 'integer' }),
+    createdAt: Timestamp,
+    lastAttemptAt: nullable(Timestamp)
+  }, ['id', 'webhookId', 'event', 'status', 'attempts'])
+};
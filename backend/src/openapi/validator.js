@@ -0,0 +1,184 @@
+// A small JSON Schema validator covering the keywords the API schemas use:
+// type, enum, const, properties, required, additionalProperties, items, minItems, maxItems,
+// uniqueItems, minLength, maxLength, pattern, minimum, maximum, format, anyOf, oneOf, allOf and $ref.
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Query strings, path params and multipart fields always arrive as strings
+function coerceString(value, types) {
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return Number(value);
+  if (types.includes('number') && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function describeType(types) {
+  const names = types.map(type => (type === 'null' ? 'null' : `${['array', 'integer', 'object'].includes(type) ? 'an' : 'a'} ${type}`));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names.at(-1)}` : names[0];
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {object} options - { components: schemas $ref can point to, coerce: accept strings for numbers and booleans, path }
+ * @returns {Array} - Problems as { field, message }, empty when the value is valid
+ */
+export function validateSchema(schema, value, { components = {}, coerce = false, path = '' } = {}) {
+  const problems = [];
+  check(schema, value, path);
+  return problems;
+
+  function fail(field, message) {
+    problems.push({ field, message });
+  }
+
+  function resolve(node) {
+    let current = node;
+    while (current?.$ref) {
+      const name = current.$ref.replace('#/components/schemas/', '');
+      if (!components[name]) {
+        throw new Error(`Unknown schema reference: ${current.$ref}`);
+      }
+      current = components[name];
+    }
+    return current;
+  }
+
+  // Run a sub-check and report how many problems it added, without keeping them
+  function trial(node, input, field) {
+    const before = problems.length;
+    check(node, input, field);
+    return problems.splice(before).length === 0;
+  }
+
+  function check(node, input, field) {
+    const current = resolve(node);
+    if (!current || input === undefined) return;
+
+    let value = input;
+
+    if (current.type) {
+      const types = [].concat(current.type);
+      if (coerce && typeof value === 'string') {
+        value = coerceString(value, types);
+      }
+      if (!types.some(type => matchesType(value, type))) {
+        return fail(field, `must be ${describeType(types)}`);
+      }
+    }
+
+    if (current.const !== undefined && value !== current.const) {
+      return fail(field, `must be ${JSON.stringify(current.const)}`);
+    }
+
+    if (current.enum && !current.enum.includes(value)) {
+      return fail(field, `must be one of: ${current.enum.filter(option => option !== null).join(', ')}`);
+    }
+
+    if (current.allOf) {
+      for (const part of current.allOf) check(part, value, field);
+    }
+
+    if (current.anyOf && !current.anyOf.some(option => trial(option, value, field))) {
+      // Report the problems of the closest option: the first one whose type fits
+      const fitting = current.anyOf.find(option => {
+        const types = [].concat(resolve(option).type || []);
+        return types.length === 0 || types.some(type => matchesType(value, type));
+      });
+      if (fitting) check(fitting, value, field);
+      else fail(field, 'does not match any of the allowed shapes');
+      return;
+    }
+
+    if (current.oneOf) {
+      const matching = current.oneOf.filter(option => trial(option, value, field)).length;
+      if (matching !== 1) {
+        fail(field, matching === 0 ? 'does not match any of the allowed shapes' : 'matches more than one of the allowed shapes');
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (current.minLength !== undefined && value.length < current.minLength) {
+        fail(field, current.minLength === 1 ? 'must not be empty' : `must be at least ${current.minLength} characters`);
+      }
+      if (current.maxLength !== undefined && value.length > current.maxLength) {
+        fail(field, `must be at most ${current.maxLength} characters`);
+      }
+      if (current.pattern && !new RegExp(current.pattern).test(value)) {
+        fail(field, current['x-pattern-message'] || `must match ${current.pattern}`);
+      }
+      if (current.format && FORMATS[current.format] && !FORMATS[current.format](value)) {
+        fail(field, current.format === 'date' ? 'must be a date (YYYY-MM-DD)' : `must be a valid ${current.format}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (current.minimum !== undefined && value < current.minimum) {
+        fail(field, `must be at least ${current.minimum}`);
+      }
+      if (current.maximum !== undefined && value > current.maximum) {
+        fail(field, `must be at most ${current.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (current.minItems !== undefined && value.length < current.minItems) {
+        fail(field, current.minItems === 1 ? 'must not be empty' : `must have at least ${current.minItems} items`);
+      }
+      if (current.maxItems !== undefined && value.length > current.maxItems) {
+        fail(field, `must have at most ${current.maxItems} items`);
+      }
+      if (current.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+        fail(field, 'must not contain duplicates');
+      }
+      if (current.items) {
+        value.forEach((item, index) => check(current.items, item, joinPath(field, index)));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      for (const key of current.required || []) {
+        if (value[key] === undefined) fail(joinPath(field, key), 'is required');
+      }
+      const properties = current.properties || {};
+      for (const [key, propertyValue] of Object.entries(value)) {
+        if (properties[key]) {
+          check(properties[key], propertyValue, joinPath(field, key));
+        } else if (current.additionalProperties === false) {
+          fail(joinPath(field, key), 'is not allowed');
+        } else if (typeof current.additionalProperties === 'object') {
+          check(current.additionalProperties, propertyValue, joinPath(field, key));
+        }
+      }
+    }
+  }
+}
@@ -1,29 +1,35 @@
 import { Router } from 'express';
 import db from '../db.js';
-import { isOpenAIConfigured } from '../services/openai.js';
-import OpenAI from 'openai';
+import { complete, isAIAvailable } from '../services/llm/index.js';
+import { checkProjectAccess } from '../services/auth.js';
+import { validate } from '../openapi/index.js';
+import { object, nullable, IdInput, NonBlank, Text } from '../openapi/schemas.js';
 
 const router = Router();
 
-let openai = null;
-
-function getClient() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+router.post('/ask', validate({
+  summary: 'Ask the AI assistant about a project\'s tasks and recent decisions',
+  body: object({ projectId: IdInput, question: NonBlank }, ['projectId', 'question']),
+  responses: {
+    200: object({
+      answer: Text,
+      context: object({
+        totalPending: { type: 'integer', minimum: 0 },
+        highPriority: { type: 'integer', minimum: 0 },
+        completed: { type: 'integer', minimum: 0 }
+      }, ['totalPending', 'highPriority', 'completed'])
+    }, ['answer', 'context']),
+    403: 'Not allowed in this project',
+    404: 'Project not found',
+    503: 'AI provider not configured'
   }
-  return openai;
-}
-
-// Ask the AI assistant
-router.post('/ask', async (req, res) => {
+}), async (req, res) => {
   const { projectId, question } = req.body;
   
-  if (!projectId || !question) {
-    return res.status(400).json({ error: 'projectId and question are required' });
-  }
+  if (!checkProjectAccess(req, res, projectId, 'viewer')) return;
   
-  if (!isOpenAIConfigured()) {
-    return res.status(503).json({ error: 'OpenAI API not configured' });
+  if (!isAIAvailable('assistant')) {
+    return res.status(503).json({ error: 'AI provider not configured' });
   }
   
   try {
@@ -35,7 +41,7 @@ router.post('/ask', async (req, res) => {
     
     // Get tasks grouped by priority and status
     const tasks = db.prepare(`
-      SELECT * FROM tasks WHERE projectId = ? ORDER BY 
+      SELECT * FROM tasks WHERE projectId = ? AND deletedAt IS NULL ORDER BY 
         CASE priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 WHEN 'low' THEN 3 END,
         createdAt DESC
     `).all(projectId);
@@ -49,7 +55,7 @@ router.post('/ask', async (req, res) => {
     // Get recent decisions for context
     const decisions = db.prepare(`
       SELECT title, description, reason FROM decisions 
-      WHERE projectId = ? 
+      WHERE projectId = ? AND deletedAt IS NULL
       ORDER BY createdAt DESC 
       LIMIT 5
     `).all(projectId);
@@ -81,10 +87,8 @@ ${decisions.map(d => `- ${d.title}${d.reason ? `: ${d.reason}` : ''}`).join('\n'
 ` : ''}
 `.trim();
     
-    const client = getClient();
-    
-    const response = await client.chat.completions.create({
-      model: process.env.OPENAI_CHAT_MODEL || process.env.OPENAI_VISION_MODEL || 'gpt-4.1',
+    const response = await complete({
+      capability: 'assistant',
       messages: [
         {
           role: 'system',
@@ -104,10 +108,10 @@ Respond in the same language as the user's question.`
         }
       ],
       temperature: 0.7,
-      max_tokens: 500
+      maxTokens: 500
     });
     
-    const answer = response.choices[0]?.message?.content || 'Sorry, I could not generate a response.';
+    const answer = response || 'Sorry, I could not generate a response.';
     
     res.json({
       answer,
@@ -124,21 +128,33 @@ Respond in the same language as the user's question.`
   }
 });
 
-// Ask AI about a specific task
-router.post('/ask-task', async (req, res) => {
+router.post('/ask-task', validate({
+  summary: 'Ask the AI assistant about a specific task',
+  body: object({
+    projectId: IdInput,
+    task: object({
+      title: NonBlank,
+      status: Text,
+      priority: Text,
+      notes: nullable(Text)
+    }, ['title']),
+    question: NonBlank
+  }, ['task', 'question']),
+  responses: {
+    200: object({ answer: Text }, ['answer']),
+    403: 'Not allowed in this project',
+    503: 'AI provider not configured'
+  }
+}), async (req, res) => {
   const { projectId, task, question } = req.body;
   
-  if (!task || !question) {
-    return res.status(400).json({ error: 'task and question are required' });
-  }
+  if (projectId && !checkProjectAccess(req, res, projectId, 'viewer')) return;
   
-  if (!isOpenAIConfigured()) {
-    return res.status(503).json({ error: 'OpenAI API not configured' });
+  if (!isAIAvailable('assistant')) {
+    return res.status(503).json({ error: 'AI provider not configured' });
   }
   
   try {
-    const client = getClient();
-    
     const taskContext = `
 Task: ${task.title}
 Status: ${task.status}
@@ -146,8 +162,8 @@ Priority: ${task.priority}
 ${task.notes ? `Notes: ${task.notes}` : ''}
 `.trim();
     
-    const response = await client.chat.completions.create({
-      model: process.env.OPENAI_CHAT_MODEL || process.env.OPENAI_VISION_MODEL || 'gpt-4.1',
+    const response = await complete({
+      capability: 'assistant',
       messages: [
         {
           role: 'system',
@@ -168,10 +184,10 @@ Respond in the same language as the user's question.`
         }
       ],
       temperature: 0.7,
-      max_tokens: 800
+      maxTokens: 800
     });
     
-    const answer = response.choices[0]?.message?.content || 'Sorry, I could not generate a response.';
+    const answer = response || 'Sorry, I could not generate a response.';
     
     res.json({ answer });
     
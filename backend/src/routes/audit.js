@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { AUDIT_ACTIONS, queryAuditLog } from '../services/audit.js';
+import { checkProjectAccess } from '../services/auth.js';
+import { validate } from '../openapi/index.js';
+import { object, ref, arrayOf, Id, Text, DateString, Limit } from '../openapi/schemas.js';
+
+const router = Router();
+
+const MAX_LIMIT = 200;
+
+router.get('/', validate({
+  summary: 'List audit entries, newest first',
+  description: 'Without projectId, entries of all your projects are listed.',
+  query: object({
+    projectId: Id,
+    entityType: { ...Text, description: 'e.g. decision, task, webhook' },
+    entityId: Id,
+    action: { type: 'string', enum: AUDIT_ACTIONS },
+    from: { ...DateString, description: 'On or after (YYYY-MM-DD)' },
+    to: { ...DateString, description: 'On or before (YYYY-MM-DD)' },
+    beforeId: { ...Id, description: 'Only entries older than this one (for paging)' },
+    limit: Limit(MAX_LIMIT, 50)
+  }),
+  responses: { 200: arrayOf(ref('AuditEntry')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
+  const { projectId, entityType, entityId, action, from, to, beforeId, limit = 50 } = req.query;
+  
+  if (projectId && !checkProjectAccess(req, res, projectId, 'viewer')) return;
+  
+  res.json(queryAuditLog({
+    projectId,
+    userId: projectId ? null : req.user.id,
+    entityType,
+    entityId,
+    action,
+    from,
+    to,
+    beforeId,
+    limit: Number(limit)
+  }));
+});
+
+export default router;
@@ -0,0 +1,140 @@
+import { Router } from 'express';
+import db from '../db.js';
+import {
+  SESSION_COOKIE,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  deleteSession,
+  getRequestToken,
+  requireAuth,
+  claimUnownedProjects
+} from '../services/auth.js';
+import { validate } from '../openapi/index.js';
+import { object, ref, NonBlank, nullable } from '../openapi/schemas.js';
+
+const router = Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const Username = {
+  type: 'string',
+  pattern: '^[a-zA-Z0-9_.-]{3,32}$',
+  'x-pattern-message': 'must be 3-32 characters: letters, numbers, ".", "_" or "-"'
+};
+
+// New accounts can't see anything until a project owner adds them,
+// set ALLOW_REGISTRATION=false to close sign-up once the team is in
+function isRegistrationOpen() {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM users').get();
+  return count === 0 || process.env.ALLOW_REGISTRATION !== 'false';
+}
+
+// Log the user in: session cookie for the browser, token in the body for API clients
+function startSession(req, res, user, status = 200) {
+  const { token, expiresAt } = createSession(user.id);
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    expires: new Date(expiresAt),
+    path: '/'
+  });
+  res.status(status).json({
+    user: { id: user.id, username: user.username, name: user.name, createdAt: user.createdAt },
+    token,
+    expiresAt
+  });
+}
+
+router.get('/config', validate({
+  public: true,
+  summary: 'Whether the login page should offer sign-up',
+  responses: { 200: object({ registrationOpen: { type: 'boolean' } }, ['registrationOpen']) }
+}), (req, res) => {
+  res.json({ registrationOpen: isRegistrationOpen() });
+});
+
+router.post('/register', validate({
+  public: true,
+  summary: 'Create an account',
+  description: 'The first account also becomes owner of existing projects. Also starts a session (cookie and token).',
+  body: object({
+    username: Username,
+    password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+    name: nullable({ type: 'string' })
+  }, ['username', 'password']),
+  responses: {
+    201: ref('Session'),
+    403: 'Registration is closed',
+    409: 'Username is already taken'
+  }
+}), (req, res) => {
+  const { username, password, name } = req.body;
+
+  if (!isRegistrationOpen()) {
+    return res.status(403).json({ error: 'Registration is closed' });
+  }
+
+  const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+  if (existing) {
+    return res.status(409).json({ error: 'Username is already taken' });
+  }
+
+  const register = db.transaction(() => {
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM users').get();
+    const result = db.prepare(`
+      INSERT INTO users (username, name, passwordHash) VALUES (?, ?, ?)
+    `).run(username, name?.trim() || null, hashPassword(password));
+
+    if (count === 0) {
+      claimUnownedProjects(result.lastInsertRowid);
+    }
+    return result.lastInsertRowid;
+  });
+
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(register());
+  startSession(req, res, user, 201);
+});
+
+router.post('/login', validate({
+  public: true,
+  summary: 'Log in with username and password',
+  description: 'Sets the session cookie for the browser and returns the token for API clients.',
+  body: object({ username: NonBlank, password: NonBlank }, ['username', 'password']),
+  responses: {
+    200: ref('Session'),
+    401: 'Invalid username or password'
+  }
+}), (req, res) => {
+  const { username, password } = req.body;
+
+  const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  startSession(req, res, user);
+});
+
+router.post('/logout', validate({
+  public: true,
+  summary: 'Log out of the current session',
+  responses: { 204: null }
+}), (req, res) => {
+  const token = getRequestToken(req);
+  if (token) {
+    deleteSession(token);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.status(204).send();
+});
+
+router.get('/me', validate({
+  summary: 'Get the logged-in user',
+  responses: { 200: ref('User') }
+}), requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+export default router;
@@ -0,0 +1,212 @@
+import { Router } from 'express';
+import db from '../db.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { getBoard, getBoardColumns, wipLimitError } from '../services/board.js';
+import { getTaskWithState } from '../services/taskGraph.js';
+import { statusAssignments } from '../services/taskStatus.js';
+import { spawnNextOccurrence } from '../services/recurrence.js';
+import { validate } from '../openapi/index.js';
+import { TASK_STATUSES, object, ref, arrayOf, nullable, IdInput, NonBlank } from '../openapi/schemas.js';
+
+const router = Router();
+
+const WipLimit = { ...nullable({ type: 'integer', minimum: 1 }), description: 'Most tasks the column takes, null for no limit' };
+
+const columnErrors = { 403: 'Not allowed in this project', 404: 'Column not found' };
+
+// Load a column and check that the user can edit its project, or send the error response
+function getEditableColumn(req, res) {
+  const column = db.prepare('SELECT * FROM board_columns WHERE id = ?').get(req.params.id);
+  if (!column) {
+    res.status(404).json({ error: 'Column not found' });
+    return null;
+  }
+  if (!checkProjectAccess(req, res, column.projectId, 'editor')) return null;
+  return column;
+}
+
+router.get('/project/:projectId', validate({
+  summary: 'Get a project\'s task board: its columns with their tasks in order',
+  description: 'A task shows in the column it was moved to while that column matches its status, otherwise in the first column of its status. Projects start with one column per status.',
+  responses: { 200: ref('Board'), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('viewer'), (req, res) => {
+  res.json(getBoard(req.params.projectId));
+});
+
+router.post('/project/:projectId/columns', validate({
+  summary: 'Add a column to a project\'s board (at the end)',
+  body: object({
+    name: NonBlank,
+    status: { type: 'string', enum: TASK_STATUSES, description: 'Status tasks get when they are moved into the column' },
+    wipLimit: WipLimit
+  }, ['name', 'status']),
+  responses: { 201: ref('BoardColumn'), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('editor'), (req, res) => {
+  const { projectId } = req.params;
+  const { name, status, wipLimit } = req.body;
+
+  // Create the default columns first so the new one lands after them
+  const columns = getBoardColumns(projectId);
+  const result = db.prepare(`
+    INSERT INTO board_columns (projectId, name, status, position, wipLimit) VALUES (?, ?, ?, ?, ?)
+  `).run(projectId, name.trim(), status, Math.max(...columns.map(column => column.position)) + 1, wipLimit || null);
+
+  const column = db.prepare('SELECT * FROM board_columns WHERE id = ?').get(result.lastInsertRowid);
+  recordAudit(req.user, column.projectId, 'create', 'board_column', column.id, { after: column });
+  publishEvent(column.projectId, 'board', 'updated', { id: column.id });
+  res.status(201).json(column);
+});
+
+router.put('/project/:projectId/columns/order', validate({
+  summary: 'Reorder the columns of a project\'s board',
+  body: object({
+    columnIds: { ...arrayOf(IdInput, { minItems: 1 }), description: 'Every column of the board once, left to right' }
+  }, ['columnIds']),
+  responses: {
+    200: ref('Board'),
+    400: 'columnIds must list every column of the board once',
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), requireProjectRole('editor'), (req, res) => {
+  const { projectId } = req.params;
+  const columnIds = req.body.columnIds.map(Number);
+
+  const existing = getBoardColumns(projectId).map(column => column.id);
+  if (columnIds.length !== existing.length || new Set(columnIds).size !== columnIds.length
+    || !columnIds.every(id => existing.includes(id))) {
+    return res.status(400).json({ error: 'columnIds must list every column of the board once' });
+  }
+
+  const setPosition = db.prepare('UPDATE board_columns SET position = ? WHERE id = ?');
+  db.transaction(() => columnIds.forEach((id, index) => setPosition.run(index, id)))();
+
+  publishEvent(projectId, 'board', 'updated', { id: null });
+  res.json(getBoard(projectId));
+});
+
+router.patch('/columns/:id', validate({
+  summary: 'Rename a board column or change its WIP limit',
+  description: 'Lowering the limit below the tasks already in the column only stops new tasks from coming in.',
+  body: object({ name: NonBlank, wipLimit: WipLimit }),
+  responses: { 200: ref('BoardColumn'), 400: 'No valid updates provided', ...columnErrors }
+}), (req, res) => {
+  const column = getEditableColumn(req, res);
+  if (!column) return;
+
+  const { name, wipLimit } = req.body;
+  const updates = [];
+  const params = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    params.push(name.trim());
+  }
+
+  if (wipLimit !== undefined) {
+    updates.push('wipLimit = ?');
+    params.push(wipLimit || null);
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No valid updates provided' });
+  }
+
+  params.push(column.id);
+  db.prepare(`UPDATE board_columns SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+
+  const updated = db.prepare('SELECT * FROM board_columns WHERE id = ?').get(column.id);
+  recordAudit(req.user, column.projectId, 'update', 'board_column', column.id, { before: column, after: updated });
+  publishEvent(column.projectId, 'board', 'updated', { id: column.id });
+  res.json(updated);
+});
+
+router.delete('/columns/:id', validate({
+  summary: 'Remove a board column',
+  description: 'Its tasks move to the first remaining column of their status. The last column of a status can\'t be removed.',
+  responses: { 204: null, ...columnErrors, 409: 'Every status needs a column' }
+}), (req, res) => {
+  const column = getEditableColumn(req, res);
+  if (!column) return;
+
+  const { count } = db.prepare(`
+    SELECT COUNT(*) as count FROM board_columns WHERE projectId = ? AND status = ? AND id != ?
+  `).get(column.projectId, column.status, column.id);
+  if (count === 0) {
+    return res.status(409).json({ error: `"${column.name}" is the only column for ${column.status} tasks, add another one first` });
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE tasks SET columnId = NULL, position = NULL WHERE columnId = ?').run(column.id);
+    db.prepare('DELETE FROM board_columns WHERE id = ?').run(column.id);
+  })();
+
+  recordAudit(req.user, column.projectId, 'delete', 'board_column', column.id, { before: column });
+  publishEvent(column.projectId, 'board', 'updated', { id: column.id });
+  res.status(204).send();
+});
+
+router.post('/project/:projectId/reorder', validate({
+  summary: 'Move tasks into a board column and set their order',
+  description: 'taskIds is the new order of the column from the top; tasks already in the column that aren\'t listed keep '
+    + 'their order after them. Tasks coming from a column of another status take the status of this one. '
+    + 'Moving tasks into a column that would then hold more than its WIP limit is refused.',
+  body: object({
+    columnId: IdInput,
+    taskIds: arrayOf(IdInput, { minItems: 1, uniqueItems: true })
+  }, ['columnId', 'taskIds']),
+  responses: {
+    200: ref('Board'),
+    400: 'Task is not on this board',
+    403: 'Not allowed in this project',
+    404: 'Project or column not found',
+    409: 'The column is at its WIP limit'
+  }
+}), requireProjectRole('editor'), (req, res) => {
+  const { projectId } = req.params;
+  const board = getBoard(projectId);
+
+  const column = board.columns.find(candidate => candidate.id === Number(req.body.columnId));
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
+  }
+
+  const tasks = new Map(board.columns.flatMap(candidate => candidate.tasks).map(task => [task.id, task]));
+  const listed = req.body.taskIds.map(Number);
+  const unknown = listed.find(id => !tasks.has(id));
+  if (unknown) {
+    return res.status(400).json({ error: `Task ${unknown} is not on this board` });
+  }
+
+  const order = [...listed, ...column.tasks.map(task => task.id).filter(id => !listed.includes(id))];
+  const arriving = listed.filter(id => !column.tasks.some(task => task.id === id));
+  if (column.wipLimit && arriving.length > 0 && order.length > column.wipLimit) {
+    return res.status(409).json({ error: wipLimitError(column) });
+  }
+
+  const assignments = statusAssignments(column.status);
+  const moveTask = db.prepare(`UPDATE tasks SET columnId = ?, position = ?, ${assignments.sql} WHERE id = ?`);
+  db.transaction(() => {
+    order.forEach((id, index) => moveTask.run(column.id, index, ...assignments.params, id));
+  })();
+
+  // Reordering within a column isn't worth an audit entry, moving to another column is
+  for (const id of arriving) {
+    const before = tasks.get(id);
+    const after = getTaskWithState(id);
+    recordAudit(req.user, after.projectId, 'update', 'task', id, { before, after, context: `moved to "${column.name}" on the board` });
+    publishEvent(after.projectId, 'task', 'updated', after);
+    if (after.status === 'done' && before.status !== 'done') {
+      dispatchWebhookEvent(after.projectId, 'task.done', after);
+      spawnNextOccurrence(req.user, after);
+    }
+  }
+
+  publishEvent(projectId, 'board', 'updated', { id: column.id });
+  res.json(getBoard(projectId));
+});
+
+export default router;
@@ -0,0 +1,190 @@
+import { Router } from 'express';
+import db from '../db.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { getTaskWithState } from '../services/taskGraph.js';
+import { validate } from '../openapi/index.js';
+import {
+  TASK_PRIORITIES,
+  object,
+  ref,
+  arrayOf,
+  nullable,
+  IdInput,
+  NonBlank,
+  Text,
+  DateString
+} from '../openapi/schemas.js';
+
+const router = Router();
+
+const ChecklistItems = arrayOf(object({
+  title: NonBlank,
+  priority: { type: 'string', enum: TASK_PRIORITIES, default: 'medium' },
+  estimateMinutes: nullable({ type: 'integer', minimum: 1 }),
+  notes: nullable(Text)
+}, ['title']), { minItems: 1, description: 'Tasks created when the checklist is used, in order' });
+
+const templateErrors = { 403: 'Not allowed in this project', 404: 'Checklist not found' };
+
+function serializeTemplate(template) {
+  return { ...template, items: JSON.parse(template.items) };
+}
+
+// Fill in item defaults so every stored item has the same shape
+function normalizeItems(items) {
+  return JSON.stringify(items.map(({ title, priority = 'medium', estimateMinutes, notes }) => ({
+    title: title.trim(),
+    priority,
+    estimateMinutes: estimateMinutes || null,
+    notes: notes?.trim() || null
+  })));
+}
+
+// Load a template and check the user's role in its project, or send the error response
+function getTemplate(req, res, minRole) {
+  const template = db.prepare('SELECT * FROM checklist_templates WHERE id = ?').get(req.params.id);
+  if (!template) {
+    res.status(404).json({ error: 'Checklist not found' });
+    return null;
+  }
+  if (!checkProjectAccess(req, res, template.projectId, minRole)) return null;
+  return template;
+}
+
+router.get('/project/:projectId', validate({
+  summary: 'List a project\'s checklist templates',
+  responses: { 200: arrayOf(ref('ChecklistTemplate')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('viewer'), (req, res) => {
+  const templates = db.prepare('SELECT * FROM checklist_templates WHERE projectId = ? ORDER BY lower(name), id').all(req.params.projectId);
+  res.json(templates.map(serializeTemplate));
+});
+
+router.post('/project/:projectId', validate({
+  summary: 'Create a checklist template (e.g. a release checklist)',
+  body: object({ name: NonBlank, description: nullable(Text), items: ChecklistItems }, ['name', 'items']),
+  responses: { 201: ref('ChecklistTemplate'), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('editor'), (req, res) => {
+  const { name, description, items } = req.body;
+
+  const result = db.prepare(`
+    INSERT INTO checklist_templates (projectId, name, description, items, createdBy) VALUES (?, ?, ?, ?, ?)
+  `).run(req.params.projectId, name.trim(), description?.trim() || null, normalizeItems(items), req.user.id);
+
+  const template = serializeTemplate(db.prepare('SELECT * FROM checklist_templates WHERE id = ?').get(result.lastInsertRowid));
+  recordAudit(req.user, template.projectId, 'create', 'checklist_template', template.id, { after: template });
+  res.status(201).json(template);
+});
+
+router.patch('/:id', validate({
+  summary: 'Update a checklist template',
+  description: 'items replaces the whole list. Tasks already created from the checklist don\'t change.',
+  body: object({ name: NonBlank, description: nullable(Text), items: ChecklistItems }),
+  responses: { 200: ref('ChecklistTemplate'), 400: 'No valid updates provided', ...templateErrors }
+}), (req, res) => {
+  const template = getTemplate(req, res, 'editor');
+  if (!template) return;
+
+  const { name, description, items } = req.body;
+  const updates = [];
+  const params = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    params.push(name.trim());
+  }
+
+  if (description !== undefined) {
+    updates.push('description = ?');
+    params.push(description?.trim() || null);
+  }
+
+  if (items !== undefined) {
+    updates.push('items = ?');
+    params.push(normalizeItems(items));
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No valid updates provided' });
+  }
+
+  params.push(template.id);
+  db.prepare(`UPDATE checklist_templates SET ${updates.join(', ')}, updatedAt = datetime('now') WHERE id = ?`).run(...params);
+
+  const updated = serializeTemplate(db.prepare('SELECT * FROM checklist_templates WHERE id = ?').get(template.id));
+  recordAudit(req.user, template.projectId, 'update', 'checklist_template', template.id, {
+    before: serializeTemplate(template),
+    after: updated
+  });
+  res.json(updated);
+});
+
+router.delete('/:id', validate({
+  summary: 'Delete a checklist template',
+  description: 'Tasks already created from it are kept.',
+  responses: { 204: null, ...templateErrors }
+}), (req, res) => {
+  const template = getTemplate(req, res, 'editor');
+  if (!template) return;
+
+  db.prepare('DELETE FROM checklist_templates WHERE id = ?').run(template.id);
+  recordAudit(req.user, template.projectId, 'delete', 'checklist_template', template.id, { before: serializeTemplate(template) });
+  res.status(204).send();
+});
+
+router.post('/:id/instantiate', validate({
+  summary: 'Create the tasks of a checklist in its project',
+  description: 'With a decisionId the tasks are linked to that decision (source "decision").',
+  body: object({
+    decisionId: { ...nullable(IdInput), description: 'Decision of the same project to link the tasks to' },
+    dueDate: { ...nullable(DateString), description: 'Due date for every created task' }
+  }),
+  responses: {
+    201: object({ tasks: arrayOf(ref('Task')) }, ['tasks']),
+    400: 'Decision must be in the same project',
+    403: 'Not allowed in this project',
+    404: 'Checklist or decision not found'
+  }
+}), (req, res) => {
+  const template = getTemplate(req, res, 'editor');
+  if (!template) return;
+
+  const { decisionId, dueDate } = req.body;
+  if (decisionId) {
+    const decision = db.prepare('SELECT id, projectId FROM decisions WHERE id = ? AND deletedAt IS NULL').get(decisionId);
+    if (!decision) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+    if (decision.projectId !== template.projectId) {
+      return res.status(400).json({ error: 'Decision must be in the same project' });
+    }
+  }
+
+  const insertTask = db.prepare(`
+    INSERT INTO tasks (projectId, decisionId, title, notes, priority, estimateMinutes, dueDate, source, createdBy)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const taskIds = db.transaction(() => JSON.parse(template.items).map(item => insertTask.run(
+    template.projectId,
+    decisionId || null,
+    item.title,
+    item.notes,
+    item.priority,
+    item.estimateMinutes,
+    dueDate || null,
+    decisionId ? 'decision' : 'manual',
+    req.user.id
+  ).lastInsertRowid))();
+
+  const tasks = taskIds.map(id => getTaskWithState(id));
+  for (const task of tasks) {
+    recordAudit(req.user, task.projectId, 'create', 'task', task.id, { after: task, context: `checklist "${template.name}"` });
+    publishEvent(task.projectId, 'task', 'created', task);
+    dispatchWebhookEvent(task.projectId, 'task.created', task);
+  }
+  res.status(201).json({ tasks });
+});
+
+export default router;
@@ -1,8 +1,77 @@
 import { Router } from 'express';
 import db from '../db.js';
+import { isEmbeddingsAvailable } from '../services/embeddings.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { moveToTrash, restoreFromTrash, getTrashedRow } from '../services/trash.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { validateLink } from '../services/git.js';
+import { findDecisionsForPath, normalizeFilePath } from '../services/fileLinks.js';
+import { paginate, parseSort, dateRange, textFilter } from '../services/pagination.js';
+import {
+  DECISION_STATUSES,
+  STATUS_TRANSITIONS,
+  recordInitialStatus,
+  transitionDecisionStatus,
+  getStatusHistory
+} from '../services/decisionStatus.js';
+import { validate } from '../openapi/index.js';
+import {
+  LINK_TYPES,
+  object,
+  ref,
+  arrayOf,
+  nullable,
+  csvOf,
+  pageQuery,
+  Page,
+  listFilters,
+  IdInput,
+  NonBlank,
+  Text
+} from '../openapi/schemas.js';
 
 const router = Router();
 
+// Text fields that can be edited (and are snapshotted into decision_revisions)
+const EDITABLE_FIELDS = ['title', 'description', 'reason', 'consequences'];
+
+const LinkInput = object({
+  type: { type: 'string', enum: LINK_TYPES },
+  reference: { ...NonBlank, description: 'Commit SHA or URL, PR number or URL, task, file path or glob, or note' }
+}, ['type', 'reference']);
+
+const DecisionStatus = { type: 'string', enum: DECISION_STATUSES };
+
+// ?sort= fields of the decision list
+const SORT_FIELDS = {
+  createdAt: 'd.createdAt',
+  updatedAt: 'COALESCE(d.updatedAt, d.createdAt)',
+  title: 'lower(d.title)',
+  status: 'd.status'
+};
+
+function getProjectRepoPath(projectId) {
+  return db.prepare('SELECT repoPath FROM projects WHERE id = ?').get(projectId)?.repoPath || null;
+}
+
+// Unknown commits are a bad link, not a missing resource; git itself missing stays a 503
+function sendLinkError(res, err) {
+  if (err.name !== 'GitError') {
+    console.error('Link validation error:', err);
+    return res.status(500).json({ error: 'Could not validate link: ' + err.message });
+  }
+  return res.status(err.status === 503 ? 503 : 400).json({ error: err.message });
+}
+
+// The embedding is internal and large; responses and live events leave it out
+function serializeDecision(decision) {
+  const { embedding, ...rest } = decision;
+  return rest;
+}
+
 // Helper to get tags for a decision
 function getDecisionTags(decisionId) {
   return db.prepare(`
@@ -13,47 +82,128 @@ function getDecisionTags(decisionId) {
   `).all(decisionId);
 }
 
-// List decisions by project (ordered by createdAt desc)
-router.get('/project/:projectId', (req, res) => {
-  const { tag } = req.query;
-  
-  let decisions;
-  
-  if (tag) {
-    // Filter by tag
-    decisions = db.prepare(`
-      SELECT DISTINCT d.* FROM decisions d
-      JOIN decision_tags dt ON d.id = dt.decisionId
-      JOIN tags t ON dt.tagId = t.id
-      WHERE d.projectId = ? AND t.name = ?
-      ORDER BY d.createdAt DESC
-    `).all(req.params.projectId, tag.toLowerCase());
-  } else {
-    decisions = db.prepare(`
-      SELECT * FROM decisions 
-      WHERE projectId = ? 
-      ORDER BY createdAt DESC
-    `).all(req.params.projectId);
-  }
-  
-  // Add tags to each decision
-  const decisionsWithTags = decisions.map(d => ({
-    ...d,
-    tags: getDecisionTags(d.id)
-  }));
-  
-  res.json(decisionsWithTags);
+// Tags of several decisions in one query, by decision ID
+function getTagsByDecision(decisionIds) {
+  const tagsByDecision = new Map(decisionIds.map(id => [id, []]));
+  if (decisionIds.length === 0) return tagsByDecision;
+
+  const rows = db.prepare(`
+    SELECT dt.decisionId, t.id, t.name, t.color
+    FROM tags t
+    JOIN decision_tags dt ON t.id = dt.tagId
+    WHERE dt.decisionId IN (${decisionIds.map(() => '?').join(', ')})
+    ORDER BY t.name
+  `).all(...decisionIds);
+
+  for (const { decisionId, ...tag } of rows) {
+    tagsByDecision.get(decisionId).push(tag);
+  }
+  return tagsByDecision;
+}
+
+router.get('/project/:projectId', validate({
+  summary: 'List decisions by project, one page at a time (newest first by default)',
+  query: object({
+    tag: { type: 'string', description: 'Only decisions with all of these tags (comma separated)' },
+    status: { ...csvOf(DECISION_STATUSES), description: 'One status or several, e.g. proposed,accepted' },
+    ...listFilters,
+    q: { type: 'string', description: 'Text in the title, description, reason or consequences' },
+    ...pageQuery(Object.keys(SORT_FIELDS), '-createdAt')
+  }),
+  responses: {
+    200: Page({ ...ref('Decision'), description: 'With tags' }),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), requireProjectRole('viewer'), (req, res) => {
+  const { tag, status, from, to, q, sort, cursor, limit } = req.query;
+  
+  const where = ['d.projectId = ?', 'd.deletedAt IS NULL'];
+  const params = [req.params.projectId];
+  
+  const tagNames = tag ? tag.split(',').map(t => t.trim().toLowerCase()).filter(Boolean) : [];
+  for (const name of tagNames) {
+    where.push(`EXISTS (
+      SELECT 1 FROM decision_tags dt JOIN tags t ON t.id = dt.tagId
+      WHERE dt.decisionId = d.id AND t.name = ?
+    )`);
+    params.push(name);
+  }
+  
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.push(`d.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  
+  for (const filter of [
+    dateRange('d.createdAt', { from, to }),
+    textFilter(['d.title', 'd.description', 'd.reason', 'd.consequences'], q)
+  ]) {
+    where.push(...filter.where);
+    params.push(...filter.params);
+  }
+  
+  const page = paginate({
+    select: 'd.*, u.username as createdByUsername',
+    from: 'decisions d LEFT JOIN users u ON u.id = d.createdBy',
+    where,
+    params,
+    sort: parseSort(sort, SORT_FIELDS, '-createdAt'),
+    id: 'd.id'
+  }, { limit: Number(limit) || undefined, cursor });
+  
+  const tagsByDecision = getTagsByDecision(page.items.map(d => d.id));
+  res.json({
+    ...page,
+    items: page.items.map(d => ({ ...serializeDecision(d), tags: tagsByDecision.get(d.id) }))
+  });
+});
+
+router.get('/project/:projectId/files', validate({
+  summary: 'Decisions linked to a file, a glob matching it or a parent directory',
+  description: 'Current decisions first, newest first; superseded and deprecated ones follow and are flagged.',
+  query: object({
+    path: { ...NonBlank, description: 'Repository-relative path or glob, e.g. src/db.js or src/**/*.js' }
+  }, ['path']),
+  responses: {
+    200: arrayOf(object({
+      id: IdInput,
+      title: Text,
+      status: DecisionStatus,
+      match: { type: 'string', enum: ['exact', 'pattern', 'directory'] },
+      references: arrayOf(Text),
+      superseded: { type: 'boolean' },
+      supersededBy: arrayOf(object({ id: IdInput, title: Text }))
+    }, ['id', 'title', 'status', 'match', 'references', 'superseded', 'supersededBy'])),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), requireProjectRole('viewer'), (req, res) => {
+  const { path } = req.query;
+  
+  if (!normalizeFilePath(path)) {
+    return res.status(400).json({ error: 'path must name a file, directory or glob' });
+  }
+  
+  res.json(findDecisionsForPath(req.params.projectId, path));
 });
 
-// Get single decision with its links and tags
-router.get('/:id', (req, res) => {
+router.get('/:id', validate({
+  summary: 'Get a decision with its links, tags, relations and status history',
+  responses: { 200: ref('DecisionDetail'), 403: 'Not allowed in this project', 404: 'Decision not found' }
+}), (req, res) => {
   const decision = db.prepare(`
-    SELECT * FROM decisions WHERE id = ?
+    SELECT d.*, u.username as createdByUsername
+    FROM decisions d
+    LEFT JOIN users u ON u.id = d.createdBy
+    WHERE d.id = ? AND d.deletedAt IS NULL
   `).get(req.params.id);
   
   if (!decision) {
     return res.status(404).json({ error: 'Decision not found' });
   }
+  if (!checkProjectAccess(req, res, decision.projectId, 'viewer')) return;
   
   const links = db.prepare(`
     SELECT * FROM links WHERE decisionId = ?
@@ -66,45 +216,65 @@ router.get('/:id', (req, res) => {
     SELECT r.*, d.title as toTitle
     FROM decision_relations r
     JOIN decisions d ON r.toDecisionId = d.id
-    WHERE r.fromDecisionId = ?
+    WHERE r.fromDecisionId = ? AND d.deletedAt IS NULL
   `).all(req.params.id);
   
   const relationsIn = db.prepare(`
     SELECT r.*, d.title as fromTitle
     FROM decision_relations r
     JOIN decisions d ON r.fromDecisionId = d.id
-    WHERE r.toDecisionId = ?
+    WHERE r.toDecisionId = ? AND d.deletedAt IS NULL
   `).all(req.params.id);
   
   res.json({ 
-    ...decision, 
+    ...serializeDecision(decision), 
     links, 
     tags,
-    relations: { outgoing: relationsOut, incoming: relationsIn }
+    relations: { outgoing: relationsOut, incoming: relationsIn },
+    statusHistory: getStatusHistory(decision.id),
+    allowedTransitions: STATUS_TRANSITIONS[decision.status] || []
   });
 });
 
-// Create decision for a project
-router.post('/', (req, res) => {
-  const { projectId, title, description, reason, consequences, links } = req.body;
-  
-  if (!projectId) {
-    return res.status(400).json({ error: 'Project ID is required' });
-  }
-  if (!title || !title.trim()) {
-    return res.status(400).json({ error: 'Decision title is required' });
+router.post('/', validate({
+  summary: 'Create a decision',
+  description: 'Commit links are checked against the project\'s git repository when one is configured.',
+  body: object({
+    projectId: IdInput,
+    title: NonBlank,
+    description: nullable(Text),
+    reason: nullable(Text),
+    consequences: nullable(Text),
+    status: { ...DecisionStatus, default: 'accepted' },
+    links: arrayOf(LinkInput)
+  }, ['projectId', 'title']),
+  responses: {
+    201: ref('DecisionWithLinks'),
+    400: 'Invalid link reference',
+    403: 'Not allowed in this project',
+    404: 'Project not found'
   }
+}), async (req, res) => {
+  const { projectId, title, description, reason, consequences, links = [], status = 'accepted' } = req.body;
+  
+  if (!checkProjectAccess(req, res, projectId, 'editor')) return;
   
-  // Check project exists
-  const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(projectId);
-  if (!project) {
-    return res.status(404).json({ error: 'Project not found' });
+  const validLinks = [];
+  if (links.length > 0) {
+    const repoPath = getProjectRepoPath(projectId);
+    for (const link of links) {
+      try {
+        validLinks.push(await validateLink(repoPath, link));
+      } catch (err) {
+        return sendLinkError(res, err);
+      }
+    }
   }
   
   // Use transaction to insert decision and links
   const insertDecision = db.prepare(`
-    INSERT INTO decisions (projectId, title, description, reason, consequences)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO decisions (projectId, title, description, reason, consequences, status, createdBy)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `);
   
   const insertLink = db.prepare(`
@@ -117,18 +287,16 @@ router.post('/', (req, res) => {
       title.trim(),
       description?.trim() || null,
       reason?.trim() || null,
-      consequences?.trim() || null
+      consequences?.trim() || null,
+      status,
+      req.user.id
     );
     
     const decisionId = result.lastInsertRowid;
+    recordInitialStatus(decisionId, status);
     
-    // Insert links if provided
-    if (links && Array.isArray(links)) {
-      for (const link of links) {
-        if (link.type && link.reference) {
-          insertLink.run(decisionId, link.type, link.reference);
-        }
-      }
+    for (const link of validLinks) {
+      insertLink.run(decisionId, link.type, link.reference);
     }
     
     return decisionId;
@@ -140,53 +308,246 @@ router.post('/', (req, res) => {
   const decision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(decisionId);
   const decisionLinks = db.prepare('SELECT * FROM links WHERE decisionId = ?').all(decisionId);
   
-  res.status(201).json({ ...decision, links: decisionLinks });
+  recordAudit(req.user, decision.projectId, 'create', 'decision', decision.id, { after: { ...decision, links: decisionLinks } });
+  publishEvent(decision.projectId, 'decision', 'created', serializeDecision(decision));
+  dispatchWebhookEvent(decision.projectId, 'decision.created', { ...decision, links: decisionLinks });
+  res.status(201).json({ ...serializeDecision(decision), links: decisionLinks });
 });
 
-// Add link to a decision
-router.post('/:id/links', (req, res) => {
-  const { type, reference } = req.body;
+router.patch('/:id', validate({
+  summary: 'Update decision text (the previous version is kept as a revision)',
+  body: object({
+    title: NonBlank,
+    description: nullable(Text),
+    reason: nullable(Text),
+    consequences: nullable(Text)
+  }),
+  responses: { 200: ref('DecisionWithLinks'), 403: 'Not allowed in this project', 404: 'Decision not found' }
+}), (req, res) => {
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
+  if (!decision) {
+    return res.status(404).json({ error: 'Decision not found' });
+  }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
+  
+  const changes = {};
   
-  if (!type || !reference) {
-    return res.status(400).json({ error: 'Link type and reference are required' });
+  for (const field of EDITABLE_FIELDS) {
+    const value = req.body[field];
+    if (value === undefined) continue;
+    
+    changes[field] = field === 'title' ? value.trim() : value?.trim() || null;
   }
   
-  const validTypes = ['commit', 'pr', 'task', 'file', 'note'];
-  if (!validTypes.includes(type)) {
-    return res.status(400).json({ error: `Invalid link type. Must be one of: ${validTypes.join(', ')}` });
+  // Ignore fields that didn't actually change
+  for (const field of Object.keys(changes)) {
+    if (changes[field] === decision[field]) {
+      delete changes[field];
+    }
   }
   
+  const decisionLinks = db.prepare('SELECT * FROM links WHERE decisionId = ?').all(req.params.id);
+  
+  if (Object.keys(changes).length === 0) {
+    return res.json({ ...serializeDecision(decision), links: decisionLinks });
+  }
+  
+  const transaction = db.transaction(() => {
+    const { nextRevision } = db.prepare(`
+      SELECT COALESCE(MAX(revision), 0) + 1 as nextRevision
+      FROM decision_revisions WHERE decisionId = ?
+    `).get(decision.id);
+    
+    // Snapshot the current version before overwriting it
+    db.prepare(`
+      INSERT INTO decision_revisions (decisionId, revision, title, description, reason, consequences, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      decision.id,
+      nextRevision,
+      decision.title,
+      decision.description,
+      decision.reason,
+      decision.consequences,
+      decision.updatedAt || decision.createdAt
+    );
+    
+    const fields = Object.keys(changes);
+    // Stale embedding is cleared so the decision gets re-embedded
+    db.prepare(`
+      UPDATE decisions 
+      SET ${fields.map(f => `${f} = ?`).join(', ')}, updatedAt = datetime('now'), embedding = NULL
+      WHERE id = ?
+    `).run(...fields.map(f => changes[f]), decision.id);
+  });
+  
+  transaction();
+  
+  const updated = db.prepare('SELECT * FROM decisions WHERE id = ?').get(req.params.id);
+  
+  // Refresh embedding in the background
+  if (isEmbeddingsAvailable()) {
+    enqueueJob('embed-decision', { decisionId: updated.id }, { projectId: updated.projectId });
+  }
+  
+  recordAudit(req.user, updated.projectId, 'update', 'decision', updated.id, { before: decision, after: updated });
+  publishEvent(updated.projectId, 'decision', 'updated', serializeDecision(updated));
+  res.json({ ...serializeDecision(updated), links: decisionLinks });
+});
+
+router.post('/:id/status', validate({
+  summary: 'Change decision lifecycle status (only allowed transitions)',
+  body: object({ status: DecisionStatus }, ['status']),
+  responses: {
+    200: ref('Decision'),
+    400: 'Transition not allowed from the current status',
+    403: 'Not allowed in this project',
+    404: 'Decision not found'
+  }
+}), (req, res) => {
+  const { status } = req.body;
+  
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
+  if (!decision) {
+    return res.status(404).json({ error: 'Decision not found' });
+  }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
+  
+  if (decision.status === status) {
+    return res.json(serializeDecision(decision));
+  }
+  
+  if (!transitionDecisionStatus(decision, status)) {
+    const allowed = STATUS_TRANSITIONS[decision.status] || [];
+    return res.status(400).json({ 
+      error: `Cannot change status from ${decision.status} to ${status}. Allowed: ${allowed.join(', ') || 'none'}` 
+    });
+  }
+  
+  const updated = db.prepare('SELECT * FROM decisions WHERE id = ?').get(req.params.id);
+  recordAudit(req.user, updated.projectId, 'update', 'decision', updated.id, {
+    before: decision,
+    after: updated,
+    context: 'status change'
+  });
+  publishEvent(updated.projectId, 'decision', 'updated', serializeDecision(updated));
+  if (updated.status === 'superseded') {
+    dispatchWebhookEvent(updated.projectId, 'decision.superseded', updated);
+  }
+  res.json({
+    ...serializeDecision(updated),
+    statusHistory: getStatusHistory(updated.id),
+    allowedTransitions: STATUS_TRANSITIONS[updated.status] || []
+  });
+});
+
+router.get('/:id/revisions', validate({
+  summary: 'Get the revision history of a decision, newest first',
+  responses: { 200: arrayOf(ref('Revision')), 403: 'Not allowed in this project', 404: 'Decision not found' }
+}), (req, res) => {
+  const decision = db.prepare('SELECT id, projectId FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
+  if (!decision) {
+    return res.status(404).json({ error: 'Decision not found' });
+  }
+  if (!checkProjectAccess(req, res, decision.projectId, 'viewer')) return;
+  
+  const revisions = db.prepare(`
+    SELECT * FROM decision_revisions 
+    WHERE decisionId = ? 
+    ORDER BY revision DESC
+  `).all(req.params.id);
+  
+  res.json(revisions);
+});
+
+router.post('/:id/links', validate({
+  summary: 'Add a link to a decision',
+  description: 'Commit links are a SHA or a URL. When the project has a git repository the commit must exist in it (a commit URL must name the SHA) and is stored with the full SHA.',
+  body: LinkInput,
+  responses: {
+    201: ref('Link'),
+    400: 'Invalid link reference',
+    403: 'Not allowed in this project',
+    404: 'Decision not found',
+    503: 'git is not available on the server'
+  }
+}), async (req, res) => {
+  const { type, reference } = req.body;
+  
   // Check decision exists
-  const decision = db.prepare('SELECT id FROM decisions WHERE id = ?').get(req.params.id);
+  const decision = db.prepare('SELECT id, projectId FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
   if (!decision) {
     return res.status(404).json({ error: 'Decision not found' });
   }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
+  
+  let valid;
+  try {
+    valid = await validateLink(getProjectRepoPath(decision.projectId), { type, reference });
+  } catch (err) {
+    return sendLinkError(res, err);
+  }
   
   const result = db.prepare(`
     INSERT INTO links (decisionId, type, reference) VALUES (?, ?, ?)
-  `).run(req.params.id, type, reference);
+  `).run(req.params.id, valid.type, valid.reference);
   
   const link = db.prepare('SELECT * FROM links WHERE id = ?').get(result.lastInsertRowid);
+  recordAudit(req.user, decision.projectId, 'create', 'link', link.id, { after: link });
+  publishEvent(decision.projectId, 'decision', 'updated', { id: decision.id });
   res.status(201).json(link);
 });
 
-// Delete decision
-router.delete('/:id', (req, res) => {
-  const result = db.prepare('DELETE FROM decisions WHERE id = ?').run(req.params.id);
-  
-  if (result.changes === 0) {
+router.delete('/:id', validate({
+  summary: 'Move a decision to the trash (restorable until it is purged)',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Decision not found' }
+}), (req, res) => {
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
+  if (!decision) {
     return res.status(404).json({ error: 'Decision not found' });
   }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
+  
+  moveToTrash('decision', decision.id, req.user.id);
+  recordAudit(req.user, decision.projectId, 'delete', 'decision', decision.id, { before: decision, context: 'moved to trash' });
+  publishEvent(decision.projectId, 'decision', 'deleted', { id: decision.id });
   res.status(204).send();
 });
 
-// Delete link
-router.delete('/links/:linkId', (req, res) => {
-  const result = db.prepare('DELETE FROM links WHERE id = ?').run(req.params.linkId);
+router.post('/:id/restore', validate({
+  summary: 'Restore a decision from the trash (its links, tags and relations come back with it)',
+  responses: { 200: ref('Decision'), 403: 'Not allowed in this project', 404: 'Decision not found in trash' }
+}), (req, res) => {
+  const decision = getTrashedRow('decision', req.params.id);
+  if (!decision) {
+    return res.status(404).json({ error: 'Decision not found in trash' });
+  }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
   
-  if (result.changes === 0) {
+  const restored = restoreFromTrash('decision', decision.id);
+  recordAudit(req.user, restored.projectId, 'update', 'decision', restored.id, { before: decision, after: restored, context: 'restore' });
+  publishEvent(restored.projectId, 'decision', 'created', serializeDecision(restored));
+  res.json(serializeDecision(restored));
+});
+
+router.delete('/links/:linkId', validate({
+  summary: 'Delete a link',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Link not found' }
+}), (req, res) => {
+  const link = db.prepare(`
+    SELECT l.*, d.projectId
+    FROM links l
+    JOIN decisions d ON d.id = l.decisionId
+    WHERE l.id = ? AND d.deletedAt IS NULL
+  `).get(req.params.linkId);
+  if (!link) {
     return res.status(404).json({ error: 'Link not found' });
   }
+  if (!checkProjectAccess(req, res, link.projectId, 'editor')) return;
+  
+  db.prepare('DELETE FROM links WHERE id = ?').run(link.id);
+  recordAudit(req.user, link.projectId, 'delete', 'link', link.id, { before: link });
+  publishEvent(link.projectId, 'decision', 'updated', { id: link.decisionId });
   res.status(204).send();
 });
 
@@ -0,0 +1,98 @@
+import { Router } from 'express';
+import db from '../db.js';
+import { requireProjectRole } from '../services/auth.js';
+import { COMMIT_SHA_PATTERN, getCommit, suggestDecisionsFromHistory } from '../services/git.js';
+import { validate } from '../openapi/index.js';
+import { object, ref, arrayOf, Text, DateString, Limit } from '../openapi/schemas.js';
+
+const router = Router();
+
+const MAX_SUGGESTIONS = 50;
+
+const gitErrors = {
+  403: 'Not allowed in this project, or the repository is outside GIT_REPOS_ROOT',
+  404: 'Project or commit not found',
+  409: 'No git repository is configured for this project',
+  503: 'git is not available on the server'
+};
+
+// Repository configured for the project, or null after sending the error response
+function getRepoPath(req, res) {
+  const project = db.prepare('SELECT repoPath FROM projects WHERE id = ?').get(req.params.projectId);
+  if (!project?.repoPath) {
+    res.status(409).json({ error: 'No git repository is configured for this project' });
+    return null;
+  }
+  return project.repoPath;
+}
+
+function sendGitError(res, err) {
+  if (err.name === 'GitError') {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error('Git error:', err);
+  res.status(500).json({ error: 'Git lookup failed: ' + err.message });
+}
+
+router.get('/project/:projectId/commits/:sha', validate({
+  summary: 'Resolve a commit SHA to author, date, message and changed files',
+  params: {
+    sha: {
+      type: 'string',
+      pattern: COMMIT_SHA_PATTERN.source,
+      'x-pattern-message': 'must be a commit SHA (4 to 40 hex characters)'
+    }
+  },
+  responses: { 200: ref('Commit'), ...gitErrors }
+}), requireProjectRole('viewer'), async (req, res) => {
+  const repoPath = getRepoPath(req, res);
+  if (!repoPath) return;
+
+  try {
+    res.json(await getCommit(repoPath, req.params.sha));
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+router.get('/project/:projectId/suggestions', validate({
+  summary: 'Suggest decisions from commit messages with ADR-like wording, best matches first',
+  description: 'Commits already linked to a decision are left out.',
+  query: object({
+    since: { ...DateString, description: 'Only commits on or after (YYYY-MM-DD)' },
+    limit: Limit(MAX_SUGGESTIONS, 20)
+  }),
+  responses: {
+    200: arrayOf({
+      allOf: [ref('Commit'), object({
+        suggestedTitle: Text,
+        matches: arrayOf(Text),
+        score: { type: 'number' }
+      }, ['suggestedTitle'])]
+    }),
+    ...gitErrors
+  }
+}), requireProjectRole('viewer'), async (req, res) => {
+  const { since, limit = 20 } = req.query;
+
+  const repoPath = getRepoPath(req, res);
+  if (!repoPath) return;
+
+  const linked = db.prepare(`
+    SELECT l.reference FROM links l
+    JOIN decisions d ON d.id = l.decisionId
+    WHERE d.projectId = ? AND d.deletedAt IS NULL AND l.type = 'commit'
+  `).all(req.params.projectId).map(l => l.reference).filter(ref => COMMIT_SHA_PATTERN.test(ref));
+
+  try {
+    res.json(await suggestDecisionsFromHistory(repoPath, {
+      since,
+      limit: Number(limit),
+      exclude: linked
+    }));
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+export default router;
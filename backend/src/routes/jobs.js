@@ -0,0 +1,69 @@
+import { Router } from 'express';
+import { getJob, listJobs, cancelJob, retryJob, JOB_STATUSES } from '../services/jobQueue.js';
+import { checkProjectAccess } from '../services/auth.js';
+import { validate } from '../openapi/index.js';
+import { object, ref, arrayOf, Id, Text } from '../openapi/schemas.js';
+
+const router = Router();
+
+// Look up a job the user may see; answers the request and returns null otherwise
+function findJob(req, res, minRole) {
+  const job = getJob(req.params.id);
+  
+  if (!job || !job.projectId) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  if (!checkProjectAccess(req, res, job.projectId, minRole)) return null;
+  return job;
+}
+
+router.get('/', validate({
+  summary: 'List recent jobs in your projects',
+  query: object({
+    projectId: Id,
+    status: { type: 'string', enum: JOB_STATUSES },
+    type: { ...Text, description: 'Job type, e.g. transcribe-recording' }
+  }),
+  responses: { 200: arrayOf(ref('Job')) }
+}), (req, res) => {
+  const { projectId, status, type } = req.query;
+  
+  res.json(listJobs({ projectId, userId: req.user.id, status, type }));
+});
+
+router.get('/:id', validate({
+  summary: 'Get job status, progress and result',
+  responses: { 200: ref('Job'), 403: 'Not allowed in this project', 404: 'Job not found' }
+}), (req, res) => {
+  const job = findJob(req, res, 'viewer');
+  if (job) res.json(job);
+});
+
+router.post('/:id/cancel', validate({
+  summary: 'Cancel a queued or running job',
+  responses: { 200: ref('Job'), 403: 'Not allowed in this project', 404: 'Job not found', 409: 'Job already finished' }
+}), (req, res) => {
+  if (!findJob(req, res, 'editor')) return;
+  
+  const job = cancelJob(req.params.id);
+  if (job.status !== 'cancelled') {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  res.json(job);
+});
+
+router.post('/:id/retry', validate({
+  summary: 'Queue a failed or cancelled job again',
+  responses: { 200: ref('Job'), 403: 'Not allowed in this project', 404: 'Job not found', 409: 'Job is not failed or cancelled' }
+}), (req, res) => {
+  if (!findJob(req, res, 'editor')) return;
+  
+  const job = retryJob(req.params.id);
+  if (job.status !== 'queued') {
+    return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${job.status})` });
+  }
+  res.json(job);
+});
+
+export default router;
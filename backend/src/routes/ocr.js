@@ -3,10 +3,50 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import db, { uploadsDir } from '../db.js';
-import { analyzeImage, analyzeText, isOpenAIConfigured } from '../services/openai.js';
+import { isAIAvailable } from '../services/llm/index.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { paginate, parseSort, dateRange, textFilter } from '../services/pagination.js';
+import { statusAssignments } from '../services/taskStatus.js';
+import { spawnNextOccurrence } from '../services/recurrence.js';
+import { normalizeTitle } from '../services/taskDuplicates.js';
+import { checkWipLimits } from '../services/board.js';
+import { validate, UploadError } from '../openapi/index.js';
+import {
+  object,
+  ref,
+  arrayOf,
+  csvOf,
+  download,
+  pageQuery,
+  Page,
+  listFilters,
+  JobAccepted,
+  IdInput,
+  Text
+} from '../openapi/schemas.js';
 
 const router = Router();
 
+const ANALYSIS_TYPES = ['conversation', 'document', 'screenshot', 'whiteboard'];
+const AnalysisType = { type: 'string', enum: ANALYSIS_TYPES, default: 'conversation' };
+
+// ?sort= fields of the analysis history
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  filename: 'filename'
+};
+
+// Stored upload names: <timestamp>-<random><ext>
+const ImageFilename = {
+  type: 'string',
+  pattern: '^[\\w-]+(\\.\\w+)?$',
+  'x-pattern-message': 'must be an uploaded image filename'
+};
+
 // Configure multer for image uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -60,139 +100,132 @@ const upload = multer({
     if (isAllowedFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Allowed: JPEG, PNG, GIF, WebP, TXT, VTT, DOCX'));
+      cb(new UploadError(file.fieldname, 'must be a JPEG, PNG, GIF, WebP, TXT, VTT or DOCX file'));
     }
   }
 });
 
-// Extract text from DOCX file (simple extraction without external dependencies)
-async function extractDocxText(filePath) {
-  const AdmZip = (await import('adm-zip')).default;
-  const zip = new AdmZip(filePath);
-  const documentXml = zip.readAsText('word/document.xml');
-  
-  // Simple XML text extraction - get text between <w:t> tags
-  const textMatches = documentXml.match(/<w:t[^>]*>([^<]*)<\/w:t>/g) || [];
-  const text = textMatches
-    .map(match => match.replace(/<[^>]+>/g, ''))
-    .join('');
-  
-  // Add paragraph breaks
-  return text.replace(/([.!?])\s*/g, '$1\n');
-}
-
-// Analyze image with OCR
-router.post('/analyze', upload.single('image'), async (req, res) => {
-  if (!isOpenAIConfigured()) {
-    return res.status(503).json({ error: 'OpenAI API key not configured' });
+router.post('/analyze', upload.single('image'), validate({
+  summary: 'Queue OCR analysis of an uploaded image, text or docx file (poll GET /api/jobs/{id} for the result)',
+  files: { image: { required: true, description: 'JPEG, PNG, GIF, WebP, TXT, VTT or DOCX, up to 20MB' } },
+  body: object({ projectId: IdInput, analysisType: AnalysisType }, ['projectId']),
+  responses: {
+    202: JobAccepted,
+    400: 'Unsupported file type',
+    403: 'Not allowed in this project',
+    404: 'Project not found',
+    503: 'AI provider not configured'
   }
-
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file provided' });
+}), (req, res) => {
+  // Images need a vision model, text and docx files only a chat model
+  if (!isAIAvailable(isImageFile(req.file) ? 'vision' : 'chat')) {
+    fs.unlinkSync(req.file.path);
+    return res.status(503).json({ error: 'AI provider not configured' });
   }
 
   const { projectId, analysisType = 'conversation' } = req.body;
 
-  try {
-    const filePath = req.file.path;
-    let analysis;
-
-    if (isImageFile(req.file)) {
-      // Read image as base64
-      const imageBuffer = fs.readFileSync(filePath);
-      const base64Image = imageBuffer.toString('base64');
-      const mimeType = req.file.mimetype;
-
-      // Analyze with GPT-4 Vision
-      analysis = await analyzeImage(base64Image, mimeType, analysisType);
-    } else if (isTextFile(req.file)) {
-      // Read text content directly
-      const textContent = fs.readFileSync(filePath, 'utf-8');
-      analysis = await analyzeText(textContent, analysisType);
-    } else if (isDocxFile(req.file)) {
-      // Extract text from DOCX
-      const textContent = await extractDocxText(filePath);
-      analysis = await analyzeText(textContent, analysisType);
-    } else {
-      throw new Error('Unsupported file type');
-    }
+  if (!checkProjectAccess(req, res, projectId, 'editor')) {
+    fs.unlinkSync(req.file.path);
+    return;
+  }
 
-    // Save to database if projectId provided
-    let savedAnalysis = null;
-    if (projectId) {
-      const result = db.prepare(`
-        INSERT INTO image_analyses (projectId, filename, analysisType, extractedText, summary, tasks, createdAt)
-        VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-      `).run(
-        projectId,
-        req.file.filename,
-        analysisType,
-        analysis.extractedText || null,
-        analysis.summary || null,
-        analysis.tasks ? JSON.stringify(analysis.tasks) : null
-      );
+  let kind = null;
+  if (isImageFile(req.file)) kind = 'image';
+  else if (isTextFile(req.file)) kind = 'text';
+  else if (isDocxFile(req.file)) kind = 'docx';
 
-      savedAnalysis = db.prepare('SELECT * FROM image_analyses WHERE id = ?').get(result.lastInsertRowid);
-      
-      // Note: Tasks are NOT auto-created anymore
-      // User can choose to merge or create new via the UI buttons
-    }
+  if (!kind) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ error: 'Unsupported file type' });
+  }
 
-    // Clean up image file after processing (optional - keep if you want history)
-    // fs.unlinkSync(imagePath);
+  const job = enqueueJob('analyze-upload', {
+    projectId: Number(projectId),
+    filename: req.file.filename,
+    kind,
+    mimeType: req.file.mimetype,
+    analysisType
+  }, { projectId: Number(projectId) });
 
-    res.json({
-      success: true,
-      analysis: {
-        ...analysis,
-        id: savedAnalysis?.id,
-        filename: req.file.filename
-      }
-    });
+  res.status(202).json({ job });
+});
 
-  } catch (err) {
-    console.error('OCR analysis error:', err);
-    // Clean up on error
-    if (req.file?.path && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+router.get('/project/:projectId', validate({
+  summary: 'Get the analysis history of a project, one page at a time (newest first by default)',
+  query: object({
+    includeAll: { type: 'boolean', description: 'Include analyses of all your projects (one per image)' },
+    analysisType: { ...csvOf(ANALYSIS_TYPES), description: 'One analysis type or several' },
+    ...listFilters,
+    q: { type: 'string', description: 'Text in the filename, summary or extracted text' },
+    ...pageQuery(Object.keys(SORT_FIELDS), '-createdAt')
+  }),
+  responses: { 200: Page(ref('Analysis')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('viewer'), (req, res) => {
+  const { includeAll, analysisType, from, to, q, sort, cursor, limit } = req.query;
+  
+  // Unique images from all projects the user can see (by filename), or this project's analyses
+  const source = includeAll === 'true'
+    ? {
+      from: `(
+        SELECT * FROM image_analyses
+        WHERE projectId IN (
+          SELECT pm.projectId FROM project_members pm
+          JOIN projects p ON p.id = pm.projectId
+          WHERE pm.userId = ? AND p.deletedAt IS NULL
+        )
+        GROUP BY filename
+      )`,
+      params: [req.user.id]
     }
-    res.status(500).json({ error: 'Analysis failed: ' + err.message });
+    : { from: '(SELECT * FROM image_analyses WHERE projectId = ?)', params: [req.params.projectId] };
+  
+  const where = [];
+  const params = [...source.params];
+  
+  if (analysisType) {
+    const types = analysisType.split(',').map(type => type.trim()).filter(Boolean);
+    where.push(`analysisType IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
   }
-});
-
-// Get analysis history for a project (with option to include all projects)
-router.get('/project/:projectId', (req, res) => {
-  const { includeAll } = req.query;
   
-  let analyses;
-  if (includeAll === 'true') {
-    // Get unique images from all projects (by filename)
-    analyses = db.prepare(`
-      SELECT * FROM image_analyses 
-      GROUP BY filename
-      ORDER BY createdAt DESC
-    `).all();
-  } else {
-    analyses = db.prepare(`
-      SELECT * FROM image_analyses 
-      WHERE projectId = ? 
-      ORDER BY createdAt DESC
-    `).all(req.params.projectId);
+  for (const filter of [dateRange('createdAt', { from, to }), textFilter(['filename', 'summary', 'extractedText'], q)]) {
+    where.push(...filter.where);
+    params.push(...filter.params);
   }
   
-  res.json(analyses.map(a => ({
-    ...a,
-    tasks: a.tasks ? JSON.parse(a.tasks) : []
-  })));
+  const page = paginate({
+    from: source.from,
+    where,
+    params,
+    sort: parseSort(sort, SORT_FIELDS, '-createdAt')
+  }, { limit: Number(limit) || undefined, cursor });
+  
+  res.json({
+    ...page,
+    items: page.items.map(a => ({
+      ...a,
+      tasks: a.tasks ? JSON.parse(a.tasks) : []
+    }))
+  });
 });
 
-// Copy image history from one project to another
-router.post('/copy-history', (req, res) => {
+router.post('/copy-history', validate({
+  summary: 'Copy image analyses from one project to another (images already in the target are skipped)',
+  body: object({ fromProjectId: IdInput, toProjectId: IdInput }, ['fromProjectId', 'toProjectId']),
+  responses: {
+    200: object({
+      copied: { type: 'integer', minimum: 0 },
+      total: { type: 'integer', minimum: 0 }
+    }, ['copied', 'total']),
+    403: 'Not allowed in one of the projects',
+    404: 'Project not found'
+  }
+}), (req, res) => {
   const { fromProjectId, toProjectId } = req.body;
   
-  if (!fromProjectId || !toProjectId) {
-    return res.status(400).json({ error: 'fromProjectId and toProjectId required' });
-  }
+  if (!checkProjectAccess(req, res, fromProjectId, 'viewer')) return;
+  if (!checkProjectAccess(req, res, toProjectId, 'editor')) return;
   
   const analyses = db.prepare('SELECT * FROM image_analyses WHERE projectId = ?').all(fromProjectId);
   
@@ -209,7 +242,7 @@ router.post('/copy-history', (req, res) => {
     ).get(toProjectId, analysis.filename);
     
     if (!exists) {
-      copyAnalysis.run(
+      const result = copyAnalysis.run(
         toProjectId,
         analysis.filename,
         analysis.analysisType,
@@ -218,6 +251,11 @@ router.post('/copy-history', (req, res) => {
         analysis.tasks,
         analysis.createdAt
       );
+      recordAudit(req.user, toProjectId, 'create', 'analysis', result.lastInsertRowid, {
+        after: { ...analysis, id: result.lastInsertRowid, projectId: Number(toProjectId) },
+        context: 'copy history'
+      });
+      publishEvent(toProjectId, 'analysis', 'created', { id: result.lastInsertRowid });
       copied++;
     }
   }
@@ -225,13 +263,16 @@ router.post('/copy-history', (req, res) => {
   res.json({ copied, total: analyses.length });
 });
 
-// Get single analysis
-router.get('/:id', (req, res) => {
+router.get('/:id', validate({
+  summary: 'Get an analysis',
+  responses: { 200: ref('Analysis'), 403: 'Not allowed in this project', 404: 'Analysis not found' }
+}), (req, res) => {
   const analysis = db.prepare('SELECT * FROM image_analyses WHERE id = ?').get(req.params.id);
   
   if (!analysis) {
     return res.status(404).json({ error: 'Analysis not found' });
   }
+  if (!checkProjectAccess(req, res, analysis.projectId, 'viewer')) return;
   
   res.json({
     ...analysis,
@@ -239,37 +280,72 @@ router.get('/:id', (req, res) => {
   });
 });
 
-// Normalize title for matching (remove punctuation, extra spaces, lowercase)
-function normalizeTitle(title) {
-  return title
-    .toLowerCase()
-    .trim()
-    .replace(/[.,!?;:]+$/g, '') // remove trailing punctuation
-    .replace(/['"]/g, '') // remove quotes
-    .replace(/\s+/g, ' '); // normalize whitespace
-}
-
-// Save tasks from OCR with different modes
-router.post('/save-tasks', (req, res) => {
+router.post('/save-tasks', validate({
+  summary: 'Save tasks found by an analysis',
+  description: 'merge updates tasks with the same title (marking them done when the analysis says so) and creates the rest; create_new always creates. '
+    + 'Nothing is saved when marking tasks done would put a board column over its WIP limit.',
+  body: object({
+    projectId: IdInput,
+    tasks: arrayOf({
+      anyOf: [
+        Text,
+        object({
+          title: Text,
+          status: { type: 'string', description: 'done marks the task done, anything else is pending' },
+          priority: { type: 'string', description: 'low, medium or high; anything else becomes medium' }
+        })
+      ]
+    }),
+    mode: { type: 'string', enum: ['merge', 'create_new'], default: 'merge' }
+  }, ['projectId', 'tasks']),
+  responses: {
+    200: object({
+      success: { type: 'boolean' },
+      stats: object({
+        created: { type: 'integer', minimum: 0 },
+        updated: { type: 'integer', minimum: 0 },
+        skipped: { type: 'integer', minimum: 0 },
+        total: { type: 'integer', minimum: 0 }
+      }, ['created', 'updated', 'skipped', 'total']),
+      mode: { type: 'string', enum: ['merge', 'create_new'] }
+    }, ['success', 'stats', 'mode']),
+    403: 'Not allowed in this project',
+    404: 'Project not found',
+    409: 'A board column would go over its WIP limit'
+  }
+}), (req, res) => {
   const { projectId, tasks, mode = 'merge' } = req.body;
   
-  if (!projectId || !tasks || !Array.isArray(tasks)) {
-    return res.status(400).json({ error: 'projectId and tasks array are required' });
-  }
+  if (!checkProjectAccess(req, res, projectId, 'editor')) return;
   
   // Get all existing tasks for fuzzy matching
-  const allExistingTasks = db.prepare('SELECT * FROM tasks WHERE projectId = ?').all(projectId);
+  const allExistingTasks = db.prepare('SELECT * FROM tasks WHERE projectId = ? AND deletedAt IS NULL').all(projectId);
   const existingTasksMap = new Map();
   for (const t of allExistingTasks) {
     existingTasksMap.set(normalizeTitle(t.title), t);
   }
   
+  // Existing tasks a merge marks done have to fit in their board column
+  if (mode === 'merge') {
+    const completing = new Map();
+    for (const task of tasks) {
+      const existingTask = typeof task === 'object' && task.status === 'done' && task.title
+        && existingTasksMap.get(normalizeTitle(task.title));
+      if (existingTask) completing.set(existingTask.id, 'done');
+    }
+    const wipError = checkWipLimits(projectId, completing);
+    if (wipError) {
+      return res.status(409).json({ error: wipError });
+    }
+  }
+  
   const insertTask = db.prepare(`
-    INSERT INTO tasks (projectId, title, status, priority) VALUES (?, ?, ?, ?)
-  `);
-  const updateTaskStatus = db.prepare(`
-    UPDATE tasks SET status = ? WHERE id = ?
+    INSERT INTO tasks (projectId, title, status, priority, source, createdBy, completedAt)
+    VALUES (?, ?, ?, ?, 'ocr', ?, CASE WHEN ? = 'done' THEN datetime('now') END)
   `);
+  const markDone = statusAssignments('done');
+  const markTaskDone = db.prepare(`UPDATE tasks SET ${markDone.sql} WHERE id = ?`);
+  const getTask = db.prepare('SELECT * FROM tasks WHERE id = ?');
   
   let created = 0;
   let updated = 0;
@@ -289,19 +365,36 @@ router.post('/save-tasks', (req, res) => {
     
     if (mode === 'create_new') {
       // Always create new tasks with AI-determined priority
-      insertTask.run(projectId, title.trim(), status, priority);
+      const result = insertTask.run(projectId, title.trim(), status, priority, req.user.id, status);
+      const createdTask = getTask.get(result.lastInsertRowid);
+      recordAudit(req.user, projectId, 'create', 'task', createdTask.id, { after: createdTask, context: 'ocr save-tasks' });
+      publishEvent(projectId, 'task', 'created', { id: createdTask.id });
+      dispatchWebhookEvent(projectId, 'task.created', createdTask);
       created++;
     } else {
       // Merge mode: update existing or create new
       if (existingTask) {
         if (status === 'done' && existingTask.status !== 'done') {
-          updateTaskStatus.run('done', existingTask.id);
+          markTaskDone.run(...markDone.params, existingTask.id);
+          const doneTask = getTask.get(existingTask.id);
+          recordAudit(req.user, projectId, 'update', 'task', existingTask.id, {
+            before: existingTask,
+            after: doneTask,
+            context: 'ocr save-tasks'
+          });
+          publishEvent(projectId, 'task', 'updated', doneTask);
+          dispatchWebhookEvent(projectId, 'task.done', doneTask);
+          spawnNextOccurrence(req.user, doneTask);
           updated++;
         } else {
           skipped++;
         }
       } else {
-        insertTask.run(projectId, title.trim(), status, priority);
+        const result = insertTask.run(projectId, title.trim(), status, priority, req.user.id, status);
+        const createdTask = getTask.get(result.lastInsertRowid);
+        recordAudit(req.user, projectId, 'create', 'task', createdTask.id, { after: createdTask, context: 'ocr save-tasks' });
+        publishEvent(projectId, 'task', 'created', { id: createdTask.id });
+        dispatchWebhookEvent(projectId, 'task.created', createdTask);
         created++;
       }
     }
@@ -314,17 +407,27 @@ router.post('/save-tasks', (req, res) => {
   });
 });
 
-// Re-analyze existing image
-router.post('/reanalyze', async (req, res) => {
-  if (!isOpenAIConfigured()) {
-    return res.status(503).json({ error: 'OpenAI API key not configured' });
+router.post('/reanalyze', validate({
+  summary: 'Queue re-analysis of an existing image (poll GET /api/jobs/{id} for the result)',
+  body: object({
+    projectId: IdInput,
+    filename: ImageFilename,
+    analysisType: AnalysisType
+  }, ['projectId', 'filename']),
+  responses: {
+    202: JobAccepted,
+    403: 'Not allowed in this project',
+    404: 'Image not found',
+    503: 'AI provider not configured'
+  }
+}), (req, res) => {
+  if (!isAIAvailable('vision')) {
+    return res.status(503).json({ error: 'AI provider not configured' });
   }
 
   const { projectId, filename, analysisType = 'conversation' } = req.body;
 
-  if (!filename) {
-    return res.status(400).json({ error: 'Filename is required' });
-  }
+  if (!checkProjectAccess(req, res, projectId, 'editor')) return;
 
   const imagePath = path.join(uploadsDir, 'images', filename);
   
@@ -332,62 +435,30 @@ router.post('/reanalyze', async (req, res) => {
     return res.status(404).json({ error: 'Image not found' });
   }
 
-  try {
-    // Read image as base64
-    const imageBuffer = fs.readFileSync(imagePath);
-    const base64Image = imageBuffer.toString('base64');
-    
-    // Determine MIME type from extension
-    const ext = path.extname(filename).toLowerCase();
-    const mimeTypes = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp'
-    };
-    const mimeType = mimeTypes[ext] || 'image/jpeg';
-
-    // Analyze with GPT-4 Vision
-    const analysis = await analyzeImage(base64Image, mimeType, analysisType);
-
-    // Update the database record if projectId provided
-    if (projectId) {
-      const existingAnalysis = db.prepare(
-        'SELECT id FROM image_analyses WHERE projectId = ? AND filename = ?'
-      ).get(projectId, filename);
-
-      if (existingAnalysis) {
-        db.prepare(`
-          UPDATE image_analyses 
-          SET analysisType = ?, extractedText = ?, summary = ?, tasks = ?, createdAt = datetime('now')
-          WHERE id = ?
-        `).run(
-          analysisType,
-          analysis.extractedText || null,
-          analysis.summary || null,
-          analysis.tasks ? JSON.stringify(analysis.tasks) : null,
-          existingAnalysis.id
-        );
-      }
-    }
+  const job = enqueueJob('reanalyze-image', {
+    projectId: Number(projectId),
+    filename,
+    analysisType
+  }, { projectId: Number(projectId) });
 
-    res.json({
-      success: true,
-      analysis: {
-        ...analysis,
-        filename
-      }
-    });
-
-  } catch (err) {
-    console.error('Re-analysis error:', err);
-    res.status(500).json({ error: 'Re-analysis failed: ' + err.message });
-  }
+  res.status(202).json({ job });
 });
 
-// Serve image file
-router.get('/image/:filename', (req, res) => {
+router.get('/image/:filename', validate({
+  summary: 'Get an analyzed image',
+  params: { filename: ImageFilename },
+  responses: { 200: download('image/*'), 404: 'Image not found' }
+}), (req, res) => {
+  // Images are shared between archived and current boards, any project holding it grants access
+  const visible = db.prepare(`
+    SELECT 1 FROM image_analyses i
+    JOIN project_members pm ON pm.projectId = i.projectId
+    WHERE i.filename = ? AND pm.userId = ?
+  `).get(req.params.filename, req.user.id);
+  if (!visible) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
   const imagePath = path.join(uploadsDir, 'images', req.params.filename);
   
   if (!fs.existsSync(imagePath)) {
@@ -397,13 +468,16 @@ router.get('/image/:filename', (req, res) => {
   res.sendFile(imagePath);
 });
 
-// Delete analysis
-router.delete('/:id', (req, res) => {
+router.delete('/:id', validate({
+  summary: 'Delete an analysis and its image',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Analysis not found' }
+}), (req, res) => {
   const analysis = db.prepare('SELECT * FROM image_analyses WHERE id = ?').get(req.params.id);
   
   if (!analysis) {
     return res.status(404).json({ error: 'Analysis not found' });
   }
+  if (!checkProjectAccess(req, res, analysis.projectId, 'editor')) return;
   
   // Delete image file
   const imagePath = path.join(uploadsDir, 'images', analysis.filename);
@@ -412,6 +486,8 @@ router.delete('/:id', (req, res) => {
   }
   
   db.prepare('DELETE FROM image_analyses WHERE id = ?').run(req.params.id);
+  recordAudit(req.user, analysis.projectId, 'delete', 'analysis', analysis.id, { before: analysis });
+  publishEvent(analysis.projectId, 'analysis', 'deleted', { id: analysis.id });
   res.status(204).send();
 });
 
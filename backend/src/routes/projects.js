@@ -1,50 +1,198 @@
 import { Router } from 'express';
+import multer from 'multer';
+import path from 'path';
+import AdmZip from 'adm-zip';
 import db from '../db.js';
+import {
+  ADR_FORMATS,
+  loadProjectRecords,
+  renderMadr,
+  renderNygard,
+  renderIndex,
+  slugify,
+  parseAdr,
+  findImportConflicts,
+  importAdrRecords
+} from '../services/adr.js';
+import { buildProjectBundle, restoreProjectBundle } from '../services/backup.js';
+import { validateRepoPath, validateLink } from '../services/git.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { moveToTrash, restoreFromTrash, getTrashedRow, listProjectTrash, listDeletedProjects } from '../services/trash.js';
+import {
+  PROJECT_ROLES,
+  checkProjectAccess,
+  getProjectRole,
+  getProjectMembers,
+  setProjectMember
+} from '../services/auth.js';
+import { validate, UploadError } from '../openapi/index.js';
+import { object, ref, arrayOf, nullable, download, NonBlank, Id, Text } from '../openapi/schemas.js';
 
 const router = Router();
 
-// List all projects
-router.get('/', (req, res) => {
+const ImportConflict = object({
+  type: Text,
+  filename: Text,
+  message: Text
+}, ['type', 'message']);
+
+const AdrImportResult = object({
+  dryRun: { type: 'boolean' },
+  records: arrayOf(object({ filename: Text, title: Text, willImport: { type: 'boolean' } }, ['filename', 'title', 'willImport'])),
+  conflicts: arrayOf(ImportConflict),
+  imported: object({
+    decisions: { type: 'integer' },
+    relations: { type: 'integer' },
+    skipped: { type: 'integer' }
+  })
+}, ['dryRun', 'records', 'conflicts']);
+
+// ADR imports are small text files, keep them in memory
+const adrUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB max
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.md', '.markdown', '.zip'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new UploadError(file.fieldname, 'must be .md, .markdown or .zip files'));
+    }
+  }
+});
+
+// Project bundles carry audio and images, allow larger archives
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 500 * 1024 * 1024 }, // 500MB max
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new UploadError(file.fieldname, 'must be a .zip project bundle'));
+    }
+  }
+});
+
+// Index/template files that live next to ADRs but aren't decisions
+const ADR_IGNORED_FILES = ['readme.md', 'index.md', 'template.md', 'adr-template.md'];
+
+// Collect markdown files from uploaded .md files and zip archives
+function collectMarkdownFiles(files) {
+  const markdownFiles = [];
+  
+  for (const file of files) {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      const zip = new AdmZip(file.buffer);
+      for (const entry of zip.getEntries()) {
+        if (entry.isDirectory || !/\.(md|markdown)$/i.test(entry.entryName)) continue;
+        if (entry.entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX')) continue;
+        markdownFiles.push({ filename: entry.entryName, content: entry.getData().toString('utf-8') });
+      }
+    } else {
+      markdownFiles.push({ filename: file.originalname, content: file.buffer.toString('utf-8') });
+    }
+  }
+  
+  return markdownFiles.filter(f => !ADR_IGNORED_FILES.includes(path.basename(f.filename).toLowerCase()));
+}
+
+router.get('/', validate({
+  summary: 'List the projects the user is a member of (with their role)',
+  responses: { 200: arrayOf(ref('Project')) }
+}), (req, res) => {
   const projects = db.prepare(`
-    SELECT * FROM projects ORDER BY createdAt DESC
-  `).all();
+    SELECT p.*, pm.role FROM projects p
+    JOIN project_members pm ON pm.projectId = p.id
+    WHERE pm.userId = ? AND p.deletedAt IS NULL
+    ORDER BY p.createdAt DESC
+  `).all(req.user.id);
   res.json(projects);
 });
 
-// Get single project
-router.get('/:id', (req, res) => {
+router.get('/trash', validate({
+  summary: 'List deleted projects the user can restore (owners only)',
+  responses: { 200: arrayOf(ref('Project')) }
+}), (req, res) => {
+  res.json(listDeletedProjects(req.user.id));
+});
+
+router.get('/:id', validate({
+  summary: 'Get a project',
+  responses: { 200: ref('Project'), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.id, 'viewer')) return;
+  
   const project = db.prepare(`
     SELECT * FROM projects WHERE id = ?
   `).get(req.params.id);
   
-  if (!project) {
-    return res.status(404).json({ error: 'Project not found' });
-  }
-  res.json(project);
+  res.json({ ...project, role: getProjectRole(project.id, req.user.id) });
 });
 
-// Create project
-router.post('/', (req, res) => {
+router.post('/', validate({
+  summary: 'Create a project (you become its owner)',
+  body: object({ name: NonBlank, description: nullable(Text) }, ['name']),
+  responses: { 201: ref('Project') }
+}), (req, res) => {
   const { name, description } = req.body;
   
-  if (!name || !name.trim()) {
-    return res.status(400).json({ error: 'Project name is required' });
-  }
-  
-  const result = db.prepare(`
-    INSERT INTO projects (name, description) VALUES (?, ?)
-  `).run(name.trim(), description?.trim() || null);
+  const create = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO projects (name, description) VALUES (?, ?)
+    `).run(name.trim(), description?.trim() || null);
+    setProjectMember(result.lastInsertRowid, req.user.id, 'owner');
+    return result.lastInsertRowid;
+  });
   
   const project = db.prepare(`
     SELECT * FROM projects WHERE id = ?
-  `).get(result.lastInsertRowid);
+  `).get(create());
   
-  res.status(201).json(project);
+  recordAudit(req.user, project.id, 'create', 'project', project.id, { after: project });
+  res.status(201).json({ ...project, role: 'owner' });
 });
 
-// Update project
-router.patch('/:id', (req, res) => {
-  const { name, description } = req.body;
+router.post('/import/bundle', bundleUpload.single('bundle'), validate({
+  summary: 'Restore a project bundle (zip from /:id/export/bundle) as a new project',
+  files: { bundle: { required: true, description: 'Project bundle (.zip)' } },
+  body: object({ name: { type: 'string', description: 'Name of the new project (defaults to the bundled name)' } }),
+  responses: {
+    201: object({ project: ref('Project'), manifest: { type: 'object' }, restored: { type: 'object' } }, ['project']),
+    400: 'Could not restore bundle'
+  }
+}), (req, res) => {
+  try {
+    const result = restoreProjectBundle(req.file.buffer, { name: req.body.name, userId: req.user.id });
+    recordAudit(req.user, result.project.id, 'create', 'project', result.project.id, {
+      after: result.project,
+      context: 'bundle restore'
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(400).json({ error: 'Could not restore bundle: ' + err.message });
+  }
+});
+
+router.patch('/:id', validate({
+  summary: 'Update a project (only owners can change the git repository path)',
+  body: object({
+    name: NonBlank,
+    description: nullable(Text),
+    repoPath: nullable({ type: 'string', description: 'Absolute path to a git repository inside GIT_REPOS_ROOT on the server, null to remove it' })
+  }),
+  responses: {
+    200: ref('Project'),
+    400: 'Repository path does not exist or is not a git repository',
+    403: 'Not allowed in this project, or the path is outside GIT_REPOS_ROOT',
+    404: 'Project not found'
+  }
+}), async (req, res) => {
+  const { name, description, repoPath } = req.body;
+  
+  if (!checkProjectAccess(req, res, req.params.id, repoPath !== undefined ? 'owner' : 'editor')) return;
   
   const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
   if (!project) {
@@ -55,9 +203,6 @@ router.patch('/:id', (req, res) => {
   const params = [];
   
   if (name !== undefined) {
-    if (!name.trim()) {
-      return res.status(400).json({ error: 'Project name cannot be empty' });
-    }
     updates.push('name = ?');
     params.push(name.trim());
   }
@@ -67,31 +212,91 @@ router.patch('/:id', (req, res) => {
     params.push(description?.trim() || null);
   }
   
+  if (repoPath !== undefined) {
+    let validated = null;
+    if (repoPath?.trim()) {
+      try {
+        validated = await validateRepoPath(repoPath.trim());
+      } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+      }
+    }
+    updates.push('repoPath = ?');
+    params.push(validated);
+  }
+  
+  const role = getProjectRole(project.id, req.user.id);
+  
   if (updates.length === 0) {
-    return res.json(project);
+    return res.json({ ...project, role });
   }
   
   params.push(req.params.id);
   db.prepare(`UPDATE projects SET ${updates.join(', ')} WHERE id = ?`).run(...params);
   
   const updated = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
-  res.json(updated);
+  recordAudit(req.user, project.id, 'update', 'project', project.id, { before: project, after: updated });
+  res.json({ ...updated, role });
 });
 
-// Delete project
-router.delete('/:id', (req, res) => {
-  const result = db.prepare(`
-    DELETE FROM projects WHERE id = ?
-  `).run(req.params.id);
+router.delete('/:id', validate({
+  summary: 'Move a project to the trash (owners only, restorable until it is purged)',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.id, 'owner')) return;
   
-  if (result.changes === 0) {
+  const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
+  if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
+  
+  moveToTrash('project', project.id, req.user.id);
+  recordAudit(req.user, project.id, 'delete', 'project', project.id, { before: project, context: 'moved to trash' });
   res.status(204).send();
 });
 
-// Archive project and create fresh copy
-router.post('/:id/archive', (req, res) => {
+router.post('/:id/restore', validate({
+  summary: 'Restore a project from the trash with everything in it (owners only)',
+  responses: { 200: ref('Project'), 403: 'This action requires the owner role', 404: 'Project not found in trash' }
+}), (req, res) => {
+  const project = getTrashedRow('project', req.params.id);
+  const role = project && getProjectRole(project.id, req.user.id, { includeDeleted: true });
+  
+  if (!role) {
+    return res.status(404).json({ error: 'Project not found in trash' });
+  }
+  if (role !== 'owner') {
+    return res.status(403).json({ error: 'This action requires the owner role' });
+  }
+  
+  const restored = restoreFromTrash('project', project.id);
+  recordAudit(req.user, project.id, 'update', 'project', project.id, { before: project, after: restored, context: 'restore' });
+  res.json({ ...restored, role });
+});
+
+router.get('/:id/trash', validate({
+  summary: "List the project's trash: deleted decisions, tasks and recordings with their purge date",
+  responses: { 200: arrayOf(ref('TrashItem')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.id, 'viewer')) return;
+  
+  res.json(listProjectTrash(req.params.id));
+});
+
+router.post('/:id/archive', validate({
+  summary: 'Archive a project and create a fresh copy (owners only, members carry over)',
+  responses: {
+    200: object({
+      archived: object({ id: Id, name: Text, tasks: { type: 'integer' }, decisions: { type: 'integer' } }),
+      newProject: ref('Project'),
+      imagesCopied: { type: 'integer' }
+    }, ['archived', 'newProject']),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.id, 'owner')) return;
+  
   const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
   
   if (!project) {
@@ -103,13 +308,23 @@ router.post('/:id/archive', (req, res) => {
   
   // Rename current project to archived
   db.prepare('UPDATE projects SET name = ? WHERE id = ?').run(archivedName, req.params.id);
+  recordAudit(req.user, project.id, 'update', 'project', project.id, {
+    before: project,
+    after: { ...project, name: archivedName },
+    context: 'archive'
+  });
   
   // Create new fresh project with original name
   const result = db.prepare(`
-    INSERT INTO projects (name, description) VALUES (?, ?)
-  `).run(project.name, project.description);
+    INSERT INTO projects (name, description, repoPath) VALUES (?, ?, ?)
+  `).run(project.name, project.description, project.repoPath);
   
   const newProject = db.prepare('SELECT * FROM projects WHERE id = ?').get(result.lastInsertRowid);
+  recordAudit(req.user, newProject.id, 'create', 'project', newProject.id, { after: newProject, context: 'archive' });
+  
+  for (const member of getProjectMembers(req.params.id)) {
+    setProjectMember(newProject.id, member.id, member.role);
+  }
   
   // Copy image analyses to new project (so history is preserved)
   const imageAnalyses = db.prepare('SELECT * FROM image_analyses WHERE projectId = ?').all(req.params.id);
@@ -119,7 +334,7 @@ router.post('/:id/archive', (req, res) => {
   `);
   
   for (const analysis of imageAnalyses) {
-    copyAnalysis.run(
+    const copy = copyAnalysis.run(
       newProject.id,
       analysis.filename,
       analysis.analysisType,
@@ -128,15 +343,19 @@ router.post('/:id/archive', (req, res) => {
       analysis.tasks,
       analysis.createdAt
     );
+    recordAudit(req.user, newProject.id, 'create', 'analysis', copy.lastInsertRowid, {
+      after: { ...analysis, id: copy.lastInsertRowid, projectId: newProject.id },
+      context: 'archive'
+    });
   }
   
   // Count what was archived
-  const tasksCount = db.prepare('SELECT COUNT(*) as count FROM tasks WHERE projectId = ?').get(req.params.id);
-  const decisionsCount = db.prepare('SELECT COUNT(*) as count FROM decisions WHERE projectId = ?').get(req.params.id);
+  const tasksCount = db.prepare('SELECT COUNT(*) as count FROM tasks WHERE projectId = ? AND deletedAt IS NULL').get(req.params.id);
+  const decisionsCount = db.prepare('SELECT COUNT(*) as count FROM decisions WHERE projectId = ? AND deletedAt IS NULL').get(req.params.id);
   
   res.json({
     archived: {
-      id: req.params.id,
+      id: project.id,
       name: archivedName,
       tasks: tasksCount.count,
       decisions: decisionsCount.count
@@ -146,4 +365,268 @@ router.post('/:id/archive', (req, res) => {
   });
 });
 
+router.get('/:id/export/adr', validate({
+  summary: 'Export project decisions as numbered ADR markdown files (zip)',
+  query: object({ format: { type: 'string', enum: ADR_FORMATS, default: 'madr' } }),
+  responses: { 200: download('application/zip'), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
+  const { format = 'madr' } = req.query;
+  
+  if (!checkProjectAccess(req, res, req.params.id, 'viewer')) return;
+  
+  const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  const records = loadProjectRecords(project.id);
+  const render = format === 'nygard' ? renderNygard : renderMadr;
+  
+  const zip = new AdmZip();
+  for (const record of records) {
+    zip.addFile(`adr/${record.filename}`, Buffer.from(render(record), 'utf-8'));
+  }
+  zip.addFile('adr/README.md', Buffer.from(renderIndex(project, records), 'utf-8'));
+  
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="${slugify(project.name)}-adr-${format}.zip"`);
+  res.send(zip.toBuffer());
+});
+
+router.get('/:id/export/bundle', validate({
+  summary: 'Export a complete project backup (data, recordings and images) as a zip bundle',
+  responses: { 200: download('application/zip'), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.id, 'viewer')) return;
+  
+  const bundle = buildProjectBundle(req.params.id);
+  if (!bundle) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  const date = bundle.manifest.exportedAt.split('T')[0];
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="${slugify(bundle.manifest.project.name)}-backup-${date}.zip"`);
+  res.send(bundle.zip.toBuffer());
+});
+
+router.post('/:id/import/adr', adrUpload.array('files'), validate({
+  summary: 'Import ADR markdown files (zip or multiple .md uploads) into a project',
+  description: 'dryRun=true returns the parsed preview and conflicts without writing anything. '
+    + 'onConflict=skip (default) leaves out decisions whose title already exists, onConflict=import keeps them. '
+    + 'Links are validated like POST /decisions/:id/links; invalid ones are left out and reported as invalid_link conflicts.',
+  files: { files: { required: true, multiple: true, description: '.md, .markdown or .zip files' } },
+  body: object({
+    dryRun: { type: 'boolean', default: false },
+    onConflict: { type: 'string', enum: ['skip', 'import'], default: 'skip' }
+  }),
+  responses: {
+    200: AdrImportResult,
+    201: AdrImportResult,
+    400: 'No ADR markdown files found or the zip could not be read',
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), async (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.id, 'editor')) return;
+  
+  const project = db.prepare('SELECT id, repoPath FROM projects WHERE id = ?').get(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  const dryRun = req.body.dryRun === 'true';
+  const onConflict = req.body.onConflict || 'skip';
+  
+  let markdownFiles;
+  try {
+    markdownFiles = collectMarkdownFiles(req.files);
+  } catch (err) {
+    return res.status(400).json({ error: 'Could not read zip archive: ' + err.message });
+  }
+  
+  if (markdownFiles.length === 0) {
+    return res.status(400).json({ error: 'No ADR markdown files found' });
+  }
+  
+  const records = [];
+  const unparsed = [];
+  for (const file of markdownFiles) {
+    const record = parseAdr(file.content, file.filename);
+    if (record) {
+      records.push(record);
+    } else {
+      unparsed.push({ type: 'parse_error', filename: file.filename, message: 'No title heading found, file skipped' });
+    }
+  }
+  
+  // Import in ADR order so numbering and dates line up with the timeline
+  records.sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity) || a.filename.localeCompare(b.filename));
+  
+  // Links go through the same checks as links added by hand; ones that fail are left out
+  const invalidLinks = [];
+  for (const record of records) {
+    const links = [];
+    for (const link of record.links) {
+      try {
+        links.push(await validateLink(project.repoPath, link));
+      } catch (err) {
+        invalidLinks.push({
+          type: 'invalid_link',
+          filename: record.filename,
+          message: `${link.type} link "${link.reference}" skipped: ${err.message}`
+        });
+      }
+    }
+    record.links = links;
+  }
+  
+  const conflicts = [...unparsed, ...findImportConflicts(project.id, records), ...invalidLinks];
+  const skipFilenames = new Set(
+    onConflict === 'skip'
+      ? conflicts.filter(c => c.type === 'duplicate_title').map(c => c.filename)
+      : []
+  );
+  
+  const preview = records.map(({ decisionId, ...record }) => ({
+    ...record,
+    willImport: !skipFilenames.has(record.filename)
+  }));
+  
+  if (dryRun) {
+    return res.json({ dryRun: true, records: preview, conflicts });
+  }
+  
+  const { superseded, ...imported } = importAdrRecords(project.id, records, { skipFilenames, createdBy: req.user.id });
+  for (const record of records) {
+    if (record.decisionId) {
+      recordAudit(req.user, project.id, 'create', 'decision', record.decisionId, {
+        after: db.prepare('SELECT * FROM decisions WHERE id = ?').get(record.decisionId),
+        context: 'adr import'
+      });
+      publishEvent(project.id, 'decision', 'created', { id: record.decisionId });
+    }
+  }
+  // Existing decisions an imported ADR supersedes
+  for (const decision of superseded) {
+    const after = { ...decision, status: 'superseded' };
+    recordAudit(req.user, project.id, 'update', 'decision', decision.id, { before: decision, after, context: 'superseded by adr import' });
+    publishEvent(project.id, 'decision', 'updated', { id: decision.id, status: 'superseded' });
+    dispatchWebhookEvent(project.id, 'decision.superseded', after);
+  }
+  
+  res.status(201).json({ dryRun: false, records: preview, conflicts, imported });
+});
+
+router.get('/:id/members', validate({
+  summary: 'List project members and their roles',
+  responses: { 200: arrayOf(ref('Member')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.id, 'viewer')) return;
+  
+  res.json(getProjectMembers(req.params.id));
+});
+
+router.post('/:id/members', validate({
+  summary: 'Add a user to the project by username (owners only)',
+  body: object({
+    username: NonBlank,
+    role: { type: 'string', enum: PROJECT_ROLES, default: 'viewer' }
+  }, ['username']),
+  responses: {
+    201: ref('Member'),
+    403: 'Not allowed in this project',
+    404: 'User or project not found',
+    409: 'User is already a member of this project'
+  }
+}), (req, res) => {
+  const { username, role = 'viewer' } = req.body;
+  
+  if (!checkProjectAccess(req, res, req.params.id, 'owner')) return;
+  
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get(username.trim());
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  if (getProjectRole(req.params.id, user.id)) {
+    return res.status(409).json({ error: 'User is already a member of this project' });
+  }
+  
+  setProjectMember(req.params.id, user.id, role);
+  const member = getProjectMembers(req.params.id).find(m => m.id === user.id);
+  recordAudit(req.user, req.params.id, 'create', 'member', user.id, { after: member });
+  res.status(201).json(member);
+});
+
+// Projects must always keep at least one owner
+function isLastOwner(projectId, userId) {
+  const { count } = db.prepare(`
+    SELECT COUNT(*) as count FROM project_members WHERE projectId = ? AND role = 'owner'
+  `).get(projectId);
+  return count === 1 && getProjectRole(projectId, userId) === 'owner';
+}
+
+router.patch('/:id/members/:userId', validate({
+  summary: "Change a member's role (owners only)",
+  body: object({ role: { type: 'string', enum: PROJECT_ROLES } }, ['role']),
+  responses: {
+    200: ref('Member'),
+    400: 'A project needs at least one owner',
+    403: 'Not allowed in this project',
+    404: 'Member not found'
+  }
+}), (req, res) => {
+  const { role } = req.body;
+  
+  if (!checkProjectAccess(req, res, req.params.id, 'owner')) return;
+  
+  const before = getProjectMembers(req.params.id).find(m => m.id === Number(req.params.userId));
+  if (!before) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  
+  if (role !== 'owner' && isLastOwner(req.params.id, req.params.userId)) {
+    return res.status(400).json({ error: 'A project needs at least one owner' });
+  }
+  
+  setProjectMember(req.params.id, req.params.userId, role);
+  const member = getProjectMembers(req.params.id).find(m => m.id === Number(req.params.userId));
+  recordAudit(req.user, req.params.id, 'update', 'member', member.id, { before, after: member });
+  res.json(member);
+});
+
+router.delete('/:id/members/:userId', validate({
+  summary: 'Remove a member (owners), or leave the project (any member)',
+  responses: {
+    204: null,
+    400: 'A project needs at least one owner',
+    403: 'Not allowed in this project',
+    404: 'Member not found'
+  }
+}), (req, res) => {
+  const leaving = Number(req.params.userId) === req.user.id;
+  
+  if (!checkProjectAccess(req, res, req.params.id, leaving ? 'viewer' : 'owner')) return;
+  
+  if (isLastOwner(req.params.id, req.params.userId)) {
+    return res.status(400).json({ error: 'A project needs at least one owner' });
+  }
+  
+  const member = getProjectMembers(req.params.id).find(m => m.id === Number(req.params.userId));
+  if (!member) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  
+  db.prepare(`
+    DELETE FROM project_members WHERE projectId = ? AND userId = ?
+  `).run(req.params.id, req.params.userId);
+  
+  recordAudit(req.user, req.params.id, 'delete', 'member', member.id, {
+    before: member,
+    context: leaving ? 'left project' : null
+  });
+  res.status(204).send();
+});
+
 export default router;
@@ -3,10 +3,37 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import db, { uploadsDir } from '../db.js';
-import { transcribeAudio, extractTasksFromTranscript, isOpenAIConfigured } from '../services/openai.js';
+import { isAIAvailable } from '../services/llm/index.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { moveToTrash, restoreFromTrash, getTrashedRow } from '../services/trash.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { paginate, parseSort, dateRange, textFilter } from '../services/pagination.js';
+import { validate, UploadError } from '../openapi/index.js';
+import {
+  RECORDING_STATUSES,
+  object,
+  ref,
+  arrayOf,
+  csvOf,
+  pageQuery,
+  Page,
+  listFilters,
+  JobAccepted,
+  IdInput,
+  Text
+} from '../openapi/schemas.js';
 
 const router = Router();
 
+// ?sort= fields of the recording list
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  title: 'lower(title)',
+  duration: 'COALESCE(duration, 0)'
+};
+
 // Configure multer for audio uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -29,85 +56,123 @@ const upload = multer({
     if (allowedMimes.includes(file.mimetype) || file.mimetype.startsWith('audio/')) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only audio files are allowed.'));
+      cb(new UploadError(file.fieldname, 'must be an audio file'));
     }
   }
 });
 
-// List recordings by project
-router.get('/project/:projectId', (req, res) => {
-  const recordings = db.prepare(`
-    SELECT * FROM recordings 
-    WHERE projectId = ? 
-    ORDER BY createdAt DESC
-  `).all(req.params.projectId);
-  res.json(recordings);
+router.get('/project/:projectId', validate({
+  summary: 'List recordings by project, one page at a time (newest first by default)',
+  query: object({
+    status: { ...csvOf(RECORDING_STATUSES), description: 'One status or several, e.g. processing,failed' },
+    ...listFilters,
+    q: { type: 'string', description: 'Text in the title or transcript' },
+    ...pageQuery(Object.keys(SORT_FIELDS), '-createdAt')
+  }),
+  responses: { 200: Page(ref('Recording')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('viewer'), (req, res) => {
+  const { status, from, to, q, sort, cursor, limit } = req.query;
+  
+  const where = ['projectId = ?', 'deletedAt IS NULL'];
+  const params = [req.params.projectId];
+  
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  
+  for (const filter of [dateRange('createdAt', { from, to }), textFilter(['title', 'transcript'], q)]) {
+    where.push(...filter.where);
+    params.push(...filter.params);
+  }
+  
+  res.json(paginate({
+    from: 'recordings',
+    where,
+    params,
+    sort: parseSort(sort, SORT_FIELDS, '-createdAt')
+  }, { limit: Number(limit) || undefined, cursor }));
 });
 
-// Get single recording with tasks
-router.get('/:id', (req, res) => {
+router.get('/:id', validate({
+  summary: 'Get a recording with the tasks extracted from it',
+  responses: {
+    200: { allOf: [ref('Recording'), object({ tasks: arrayOf(ref('Task')) }, ['tasks'])] },
+    403: 'Not allowed in this project',
+    404: 'Recording not found'
+  }
+}), (req, res) => {
   const recording = db.prepare(`
-    SELECT * FROM recordings WHERE id = ?
+    SELECT * FROM recordings WHERE id = ? AND deletedAt IS NULL
   `).get(req.params.id);
   
   if (!recording) {
     return res.status(404).json({ error: 'Recording not found' });
   }
+  if (!checkProjectAccess(req, res, recording.projectId, 'viewer')) return;
   
   const tasks = db.prepare(`
-    SELECT * FROM tasks WHERE recordingId = ? ORDER BY createdAt ASC
+    SELECT * FROM tasks WHERE recordingId = ? AND deletedAt IS NULL ORDER BY createdAt ASC
   `).all(req.params.id);
   
   res.json({ ...recording, tasks });
 });
 
-// Upload new recording
-router.post('/upload', upload.single('audio'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No audio file uploaded' });
-  }
-  
+router.post('/upload', upload.single('audio'), validate({
+  summary: 'Upload a new recording (transcribe it with POST /api/recordings/{id}/transcribe)',
+  files: { audio: { required: true, description: 'Audio file, up to 50MB' } },
+  body: object({
+    projectId: IdInput,
+    title: Text,
+    duration: { type: 'integer', minimum: 0, description: 'Length in seconds' }
+  }, ['projectId']),
+  responses: { 201: ref('Recording'), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), (req, res) => {
   const { projectId, title, duration } = req.body;
   
-  if (!projectId) {
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
-    return res.status(400).json({ error: 'Project ID is required' });
-  }
-  
-  // Check project exists
-  const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(projectId);
-  if (!project) {
+  if (!checkProjectAccess(req, res, projectId, 'editor')) {
     fs.unlinkSync(req.file.path);
-    return res.status(404).json({ error: 'Project not found' });
+    return;
   }
   
   const result = db.prepare(`
-    INSERT INTO recordings (projectId, title, filename, duration, status)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO recordings (projectId, title, filename, duration, status, createdBy)
+    VALUES (?, ?, ?, ?, ?, ?)
   `).run(
     projectId,
     title || `Recording ${new Date().toLocaleString()}`,
     req.file.filename,
     duration ? parseInt(duration) : null,
-    'processing'
+    'processing',
+    req.user.id
   );
   
   const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(result.lastInsertRowid);
   
+  recordAudit(req.user, recording.projectId, 'create', 'recording', recording.id, { after: recording });
+  publishEvent(recording.projectId, 'recording', 'created', recording);
   res.status(201).json(recording);
 });
 
-// Transcribe recording and extract tasks
-router.post('/:id/transcribe', async (req, res) => {
-  const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(req.params.id);
+router.post('/:id/transcribe', validate({
+  summary: 'Queue transcription and task extraction (poll GET /api/jobs/{id} for the result)',
+  responses: {
+    202: JobAccepted,
+    403: 'Not allowed in this project',
+    404: 'Recording or its audio file not found',
+    503: 'AI provider is not configured for transcription'
+  }
+}), (req, res) => {
+  const recording = db.prepare('SELECT * FROM recordings WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
   
   if (!recording) {
     return res.status(404).json({ error: 'Recording not found' });
   }
+  if (!checkProjectAccess(req, res, recording.projectId, 'editor')) return;
   
-  if (!isOpenAIConfigured()) {
-    return res.status(503).json({ error: 'OpenAI API key is not configured' });
+  if (!isAIAvailable('transcription') || !isAIAvailable('chat')) {
+    return res.status(503).json({ error: 'AI provider is not configured for transcription' });
   }
   
   const audioPath = path.join(uploadsDir, recording.filename);
@@ -117,79 +182,58 @@ router.post('/:id/transcribe', async (req, res) => {
     return res.status(404).json({ error: 'Audio file not found' });
   }
   
-  try {
-    // Update status to processing
-    db.prepare('UPDATE recordings SET status = ? WHERE id = ?').run('processing', recording.id);
-    
-    // Transcribe audio
-    const transcript = await transcribeAudio(audioPath);
-    
-    // Extract tasks from transcript
-    const extractedTasks = await extractTasksFromTranscript(transcript);
-    
-    // Update recording with transcript
-    db.prepare(`
-      UPDATE recordings SET transcript = ?, status = ? WHERE id = ?
-    `).run(transcript, 'completed', recording.id);
-    
-    // Insert extracted tasks
-    const insertTask = db.prepare(`
-      INSERT INTO tasks (projectId, recordingId, title, priority)
-      VALUES (?, ?, ?, ?)
-    `);
-    
-    const createdTasks = [];
-    for (const task of extractedTasks) {
-      const result = insertTask.run(recording.projectId, recording.id, task.title, task.priority);
-      createdTasks.push({
-        id: result.lastInsertRowid,
-        projectId: recording.projectId,
-        recordingId: recording.id,
-        title: task.title,
-        priority: task.priority,
-        status: 'pending'
-      });
-    }
-    
-    // Return updated recording with tasks
-    const updatedRecording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recording.id);
-    
-    res.json({ 
-      ...updatedRecording, 
-      tasks: createdTasks,
-      message: `Transcribed successfully. Extracted ${createdTasks.length} tasks.`
-    });
-    
-  } catch (error) {
-    console.error('Transcription error:', error);
-    db.prepare('UPDATE recordings SET status = ? WHERE id = ?').run('failed', recording.id);
-    res.status(500).json({ error: 'Transcription failed: ' + error.message });
-  }
+  db.prepare('UPDATE recordings SET status = ? WHERE id = ?').run('processing', recording.id);
+  recordAudit(req.user, recording.projectId, 'update', 'recording', recording.id, {
+    before: recording,
+    after: { ...recording, status: 'processing' },
+    context: 'transcribe'
+  });
+  publishEvent(recording.projectId, 'recording', 'updated', { ...recording, status: 'processing' });
+  const job = enqueueJob('transcribe-recording', { recordingId: recording.id }, { projectId: recording.projectId });
+  
+  res.status(202).json({ job });
 });
 
-// Delete recording
-router.delete('/:id', (req, res) => {
-  const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(req.params.id);
+router.delete('/:id', validate({
+  summary: 'Move a recording to the trash (the audio file is removed when the trash is purged)',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Recording not found' }
+}), (req, res) => {
+  const recording = db.prepare('SELECT * FROM recordings WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
   
   if (!recording) {
     return res.status(404).json({ error: 'Recording not found' });
   }
+  if (!checkProjectAccess(req, res, recording.projectId, 'editor')) return;
   
-  // Delete audio file
-  const audioPath = path.join(uploadsDir, recording.filename);
-  if (fs.existsSync(audioPath)) {
-    fs.unlinkSync(audioPath);
-  }
-  
-  // Delete from database (tasks will be set to NULL due to ON DELETE SET NULL)
-  db.prepare('DELETE FROM recordings WHERE id = ?').run(req.params.id);
+  moveToTrash('recording', recording.id, req.user.id);
+  recordAudit(req.user, recording.projectId, 'delete', 'recording', recording.id, { before: recording, context: 'moved to trash' });
   
+  publishEvent(recording.projectId, 'recording', 'deleted', { id: recording.id });
   res.status(204).send();
 });
 
-// Check OpenAI status
-router.get('/status/openai', (req, res) => {
-  res.json({ configured: isOpenAIConfigured() });
+router.post('/:id/restore', validate({
+  summary: 'Restore a recording from the trash',
+  responses: { 200: ref('Recording'), 403: 'Not allowed in this project', 404: 'Recording not found in trash' }
+}), (req, res) => {
+  const recording = getTrashedRow('recording', req.params.id);
+  if (!recording) {
+    return res.status(404).json({ error: 'Recording not found in trash' });
+  }
+  if (!checkProjectAccess(req, res, recording.projectId, 'editor')) return;
+  
+  const restored = restoreFromTrash('recording', recording.id);
+  recordAudit(req.user, restored.projectId, 'update', 'recording', restored.id, { before: recording, after: restored, context: 'restore' });
+  publishEvent(restored.projectId, 'recording', 'created', restored);
+  res.json(restored);
+});
+
+router.get('/status/openai', validate({
+  summary: 'Check whether recordings can be transcribed',
+  description: 'Kept at /status/openai for existing clients; any configured provider counts.',
+  responses: { 200: object({ configured: { type: 'boolean' } }, ['configured']) }
+}), (req, res) => {
+  res.json({ configured: isAIAvailable('transcription') && isAIAvailable('chat') });
 });
 
 export default router;
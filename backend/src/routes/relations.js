@@ -1,12 +1,35 @@
 import { Router } from 'express';
 import db from '../db.js';
+import { transitionDecisionStatus } from '../services/decisionStatus.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { validate } from '../openapi/index.js';
+import { RELATION_TYPES, object, ref, arrayOf, nullable, Id, IdInput, Text, Timestamp } from '../openapi/schemas.js';
 
 const router = Router();
 
-const RELATION_TYPES = ['supersedes', 'relates', 'blocks', 'implements'];
+const RelationType = { type: 'string', enum: RELATION_TYPES };
 
-// Get all relations for a project (for graph)
-router.get('/project/:projectId', (req, res) => {
+// A decision that gets superseded moves to the 'superseded' status automatically
+function markSuperseded(actor, relationType, targetDecision) {
+  if (relationType === 'supersedes' && targetDecision.status !== 'superseded') {
+    transitionDecisionStatus(targetDecision, 'superseded');
+    recordAudit(actor, targetDecision.projectId, 'update', 'decision', targetDecision.id, {
+      before: targetDecision,
+      after: { ...targetDecision, status: 'superseded' },
+      context: 'superseded by relation'
+    });
+    publishEvent(targetDecision.projectId, 'decision', 'updated', { id: targetDecision.id, status: 'superseded' });
+    dispatchWebhookEvent(targetDecision.projectId, 'decision.superseded', { ...targetDecision, status: 'superseded' });
+  }
+}
+
+router.get('/project/:projectId', validate({
+  summary: 'Get all relations between the decisions of a project',
+  responses: { 200: arrayOf(ref('Relation')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('viewer'), (req, res) => {
   const relations = db.prepare(`
     SELECT r.*, 
            d1.title as fromTitle, 
@@ -14,53 +37,72 @@ router.get('/project/:projectId', (req, res) => {
     FROM decision_relations r
     JOIN decisions d1 ON r.fromDecisionId = d1.id
     JOIN decisions d2 ON r.toDecisionId = d2.id
-    WHERE d1.projectId = ?
+    WHERE d1.projectId = ? AND d1.deletedAt IS NULL AND d2.deletedAt IS NULL
     ORDER BY r.createdAt DESC
   `).all(req.params.projectId);
   
   res.json(relations);
 });
 
-// Get relations for a specific decision
-router.get('/decision/:decisionId', (req, res) => {
+router.get('/decision/:decisionId', validate({
+  summary: 'Get the outgoing and incoming relations of a decision',
+  responses: {
+    200: object({
+      outgoing: arrayOf({ ...ref('Relation'), description: 'With toTitle and toId' }),
+      incoming: arrayOf({ ...ref('Relation'), description: 'With fromTitle and fromId' })
+    }, ['outgoing', 'incoming']),
+    403: 'Not allowed in this project',
+    404: 'Decision not found'
+  }
+}), (req, res) => {
+  const decision = db.prepare('SELECT id, projectId FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.decisionId);
+  if (!decision) {
+    return res.status(404).json({ error: 'Decision not found' });
+  }
+  if (!checkProjectAccess(req, res, decision.projectId, 'viewer')) return;
+  
   const outgoing = db.prepare(`
     SELECT r.*, d.title as toTitle, d.id as toId
     FROM decision_relations r
     JOIN decisions d ON r.toDecisionId = d.id
-    WHERE r.fromDecisionId = ?
+    WHERE r.fromDecisionId = ? AND d.deletedAt IS NULL
   `).all(req.params.decisionId);
   
   const incoming = db.prepare(`
     SELECT r.*, d.title as fromTitle, d.id as fromId
     FROM decision_relations r
     JOIN decisions d ON r.fromDecisionId = d.id
-    WHERE r.toDecisionId = ?
+    WHERE r.toDecisionId = ? AND d.deletedAt IS NULL
   `).all(req.params.decisionId);
   
   res.json({ outgoing, incoming });
 });
 
-// Create relation
-router.post('/', (req, res) => {
-  const { fromDecisionId, toDecisionId, relationType } = req.body;
-  
-  if (!fromDecisionId || !toDecisionId) {
-    return res.status(400).json({ error: 'Both fromDecisionId and toDecisionId are required' });
+router.post('/', validate({
+  summary: 'Create a relation between two decisions (or change the type of an existing one)',
+  description: 'A supersedes relation moves the target decision to the superseded status.',
+  body: object({
+    fromDecisionId: IdInput,
+    toDecisionId: IdInput,
+    relationType: RelationType
+  }, ['fromDecisionId', 'toDecisionId', 'relationType']),
+  responses: {
+    200: { ...ref('Relation'), description: 'Relation already existed' },
+    201: ref('Relation'),
+    400: 'Cannot create relation to self',
+    403: 'Not allowed in this project',
+    404: 'Source or target decision not found'
   }
+}), (req, res) => {
+  const { fromDecisionId, toDecisionId, relationType } = req.body;
   
-  if (fromDecisionId === toDecisionId) {
+  if (Number(fromDecisionId) === Number(toDecisionId)) {
     return res.status(400).json({ error: 'Cannot create relation to self' });
   }
   
-  if (!relationType || !RELATION_TYPES.includes(relationType)) {
-    return res.status(400).json({ 
-      error: `Invalid relation type. Must be one of: ${RELATION_TYPES.join(', ')}` 
-    });
-  }
-  
   // Check both decisions exist
-  const fromDecision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(fromDecisionId);
-  const toDecision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(toDecisionId);
+  const fromDecision = db.prepare('SELECT * FROM decisions WHERE id = ? AND deletedAt IS NULL').get(fromDecisionId);
+  const toDecision = db.prepare('SELECT * FROM decisions WHERE id = ? AND deletedAt IS NULL').get(toDecisionId);
   
   if (!fromDecision) {
     return res.status(404).json({ error: 'Source decision not found' });
@@ -68,6 +110,8 @@ router.post('/', (req, res) => {
   if (!toDecision) {
     return res.status(404).json({ error: 'Target decision not found' });
   }
+  if (!checkProjectAccess(req, res, fromDecision.projectId, 'editor')) return;
+  if (!checkProjectAccess(req, res, toDecision.projectId, 'editor')) return;
   
   // Check if relation already exists
   const existing = db.prepare(`
@@ -80,6 +124,12 @@ router.post('/', (req, res) => {
     if (existing.relationType !== relationType) {
       db.prepare('UPDATE decision_relations SET relationType = ? WHERE id = ?')
         .run(relationType, existing.id);
+      markSuperseded(req.user, relationType, toDecision);
+      recordAudit(req.user, fromDecision.projectId, 'update', 'relation', existing.id, {
+        before: existing,
+        after: { ...existing, relationType }
+      });
+      publishEvent(fromDecision.projectId, 'relation', 'updated', { ...existing, relationType });
       return res.json({ ...existing, relationType });
     }
     return res.json(existing);
@@ -90,32 +140,68 @@ router.post('/', (req, res) => {
     VALUES (?, ?, ?)
   `).run(fromDecisionId, toDecisionId, relationType);
   
+  markSuperseded(req.user, relationType, toDecision);
+  
   const relation = db.prepare('SELECT * FROM decision_relations WHERE id = ?')
     .get(result.lastInsertRowid);
   
+  recordAudit(req.user, fromDecision.projectId, 'create', 'relation', relation.id, { after: relation });
+  publishEvent(fromDecision.projectId, 'relation', 'created', relation);
   res.status(201).json(relation);
 });
 
-// Delete relation
-router.delete('/:id', (req, res) => {
-  const result = db.prepare('DELETE FROM decision_relations WHERE id = ?').run(req.params.id);
+router.delete('/:id', validate({
+  summary: 'Delete a relation',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Relation not found' }
+}), (req, res) => {
+  const relation = db.prepare(`
+    SELECT r.*, d.projectId
+    FROM decision_relations r
+    JOIN decisions d ON d.id = r.fromDecisionId
+    WHERE r.id = ? AND d.deletedAt IS NULL
+  `).get(req.params.id);
   
-  if (result.changes === 0) {
+  if (!relation) {
     return res.status(404).json({ error: 'Relation not found' });
   }
+  if (!checkProjectAccess(req, res, relation.projectId, 'editor')) return;
   
+  db.prepare('DELETE FROM decision_relations WHERE id = ?').run(relation.id);
+  recordAudit(req.user, relation.projectId, 'delete', 'relation', relation.id, { before: relation });
+  publishEvent(relation.projectId, 'relation', 'deleted', { id: relation.id });
   res.status(204).send();
 });
 
-// Get graph data for a project (nodes + edges)
-router.get('/graph/:projectId', (req, res) => {
+router.get('/graph/:projectId', validate({
+  summary: 'Get graph data for a project: decisions as nodes, relations as edges',
+  responses: {
+    200: object({
+      nodes: arrayOf(object({
+        id: Id,
+        title: Text,
+        description: nullable(Text),
+        status: Text,
+        createdAt: Timestamp,
+        tags: arrayOf(ref('TagSummary'))
+      }, ['id', 'title', 'status', 'tags'])),
+      edges: arrayOf(object({
+        id: Id,
+        source: Id,
+        target: Id,
+        relationType: RelationType
+      }, ['id', 'source', 'target', 'relationType']))
+    }, ['nodes', 'edges']),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), requireProjectRole('viewer'), (req, res) => {
   const { projectId } = req.params;
   
   // Get all decisions as nodes
   const decisions = db.prepare(`
-    SELECT d.id, d.title, d.description, d.createdAt
+    SELECT d.id, d.title, d.description, d.status, d.createdAt
     FROM decisions d
-    WHERE d.projectId = ?
+    WHERE d.projectId = ? AND d.deletedAt IS NULL
     ORDER BY d.createdAt ASC
   `).all(projectId);
   
@@ -135,15 +221,18 @@ router.get('/graph/:projectId', (req, res) => {
   const edges = db.prepare(`
     SELECT r.id, r.fromDecisionId as source, r.toDecisionId as target, r.relationType
     FROM decision_relations r
-    JOIN decisions d ON r.fromDecisionId = d.id
-    WHERE d.projectId = ?
+    JOIN decisions d1 ON r.fromDecisionId = d1.id
+    JOIN decisions d2 ON r.toDecisionId = d2.id
+    WHERE d1.projectId = ? AND d1.deletedAt IS NULL AND d2.deletedAt IS NULL
   `).all(projectId);
   
   res.json({ nodes, edges });
 });
 
-// Get relation types
-router.get('/types', (req, res) => {
+router.get('/types', validate({
+  summary: 'Get the relation types with their labels',
+  responses: { 200: arrayOf(object({ value: RelationType, label: Text }, ['value', 'label'])) }
+}), (req, res) => {
   res.json(RELATION_TYPES.map(type => ({
     value: type,
     label: {
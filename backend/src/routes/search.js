@@ -1,81 +1,104 @@
 import { Router } from 'express';
 import db from '../db.js';
 import { 
-  searchDecisions, 
   generateAnswer, 
-  isEmbeddingsAvailable,
-  embedDecision,
-  embedProjectDecisions
+  isEmbeddingsAvailable
 } from '../services/embeddings.js';
+import { searchProjectText, SEARCH_TYPES } from '../services/fullTextSearch.js';
+import { hybridSearch, SEARCH_MODES } from '../services/hybridSearch.js';
+import { isAIAvailable } from '../services/llm/index.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { checkProjectAccess } from '../services/auth.js';
+import { validate } from '../openapi/index.js';
+import { object, ref, arrayOf, nullable, csvOf, JobAccepted, Id, IdInput, NonBlank, Text, DateString } from '../openapi/schemas.js';
 
 const router = Router();
 
-// Smart search with AI
-router.post('/', async (req, res) => {
-  const { projectId, query } = req.body;
+// Tag and date filters, accepted by both search routes
+const filterProperties = {
+  tags: {
+    anyOf: [arrayOf(Text), Text],
+    description: 'Only decisions with all of these tags (array or comma separated)'
+  },
+  from: { ...DateString, description: 'Created on or after (YYYY-MM-DD)' },
+  to: { ...DateString, description: 'Created on or before (YYYY-MM-DD)' }
+};
+
+const SearchResult = object({
+  type: { type: 'string', enum: SEARCH_TYPES },
+  id: Id,
+  title: nullable(Text),
+  snippet: nullable(Text),
+  tags: arrayOf(ref('TagSummary')),
+  createdAt: Text
+}, ['type', 'id']);
+
+// Read tag and date filters from a (validated) request body or query string
+function parseSearchFilters({ tags, from, to }) {
+  const tagList = Array.isArray(tags)
+    ? tags
+    : (tags ? tags.split(',') : []);
   
-  if (!projectId) {
-    return res.status(400).json({ error: 'Project ID is required' });
+  return {
+    tags: [...new Set(tagList.map(t => t.trim()).filter(Boolean))],
+    from: from || undefined,
+    to: to || undefined
+  };
+}
+
+router.post('/', validate({
+  summary: 'Search a project: hybrid (keyword + semantic fused), semantic-only or keyword-only',
+  description: 'Hybrid search falls back to keyword-only without embeddings. An AI answer is generated from the best matching decisions when a chat model is configured.',
+  body: object({
+    projectId: IdInput,
+    query: NonBlank,
+    mode: { type: 'string', enum: SEARCH_MODES, default: 'hybrid' },
+    ...filterProperties
+  }, ['projectId', 'query']),
+  responses: {
+    200: object({
+      results: arrayOf({
+        ...SearchResult,
+        properties: {
+          ...SearchResult.properties,
+          score: { type: 'number' },
+          match: { type: 'object', description: 'Rank and evidence per ranking (keyword, semantic)' },
+          reason: Text
+        }
+      }),
+      answer: nullable(Text),
+      mode: { type: 'string', enum: SEARCH_MODES, description: 'Mode actually used' }
+    }, ['results', 'answer', 'mode']),
+    403: 'Not allowed in this project',
+    404: 'Project not found',
+    503: 'Embeddings are not configured'
   }
+}), async (req, res) => {
+  const { projectId, query, mode = 'hybrid' } = req.body;
   
-  if (!query || !query.trim()) {
-    return res.status(400).json({ error: 'Search query is required' });
-  }
+  if (!checkProjectAccess(req, res, projectId, 'viewer')) return;
   
-  // Check if AI search is available
-  if (!isEmbeddingsAvailable()) {
-    // Fall back to simple text search
-    const results = db.prepare(`
-      SELECT id, title, description, reason, consequences, createdAt
-      FROM decisions
-      WHERE projectId = ? AND (
-        title LIKE ? OR
-        description LIKE ? OR
-        reason LIKE ? OR
-        consequences LIKE ?
-      )
-      ORDER BY createdAt DESC
-      LIMIT 10
-    `).all(
-      projectId,
-      `%${query}%`,
-      `%${query}%`,
-      `%${query}%`,
-      `%${query}%`
-    );
-    
-    return res.json({
-      results: results.map(r => ({ ...r, score: 1 })),
-      answer: null,
-      mode: 'text'
-    });
+  if (mode === 'semantic' && !isEmbeddingsAvailable()) {
+    return res.status(503).json({ error: 'Embeddings are not configured' });
   }
   
+  const filters = parseSearchFilters(req.body);
+  
   try {
-    // Semantic search
-    const results = await searchDecisions(projectId, query, 5);
+    const { mode: usedMode, results } = await hybridSearch(projectId, query, { ...filters, mode });
     
-    // Generate AI answer if we have results
+    // Generate AI answer from the best matching decisions
     let answer = null;
-    if (results.length > 0) {
-      answer = await generateAnswer(query, results);
+    const topDecisions = results.filter(r => r.type === 'decision').slice(0, 5);
+    if (isAIAvailable('answers') && usedMode !== 'keyword' && topDecisions.length > 0) {
+      const getDecision = db.prepare('SELECT * FROM decisions WHERE id = ?');
+      answer = await generateAnswer(query, topDecisions.map(r => getDecision.get(r.id)));
     }
     
-    // Add tags to results
-    const resultsWithTags = results.map(r => {
-      const tags = db.prepare(`
-        SELECT t.id, t.name, t.color
-        FROM tags t
-        JOIN decision_tags dt ON t.id = dt.tagId
-        WHERE dt.decisionId = ?
-      `).all(r.id);
-      return { ...r, tags };
-    });
-    
     res.json({
-      results: resultsWithTags,
+      results,
       answer,
-      mode: 'semantic'
+      mode: usedMode
     });
     
   } catch (err) {
@@ -84,81 +107,83 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Simple text search (fallback)
-router.get('/text', (req, res) => {
-  const { projectId, q } = req.query;
-  
-  if (!projectId || !q) {
-    return res.status(400).json({ error: 'projectId and q query params are required' });
+router.get('/text', validate({
+  summary: 'Full-text search (phrase, prefix* and AND/OR/NOT queries)',
+  query: object({
+    projectId: Id,
+    q: { ...NonBlank, description: 'Search query' },
+    types: { ...csvOf(SEARCH_TYPES), description: 'Limit to some result types, e.g. decision,task' },
+    ...filterProperties
+  }, ['projectId', 'q']),
+  responses: {
+    200: arrayOf({ ...SearchResult, description: 'Best match first' }),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
   }
+}), (req, res) => {
+  const { projectId, q, types } = req.query;
+  
+  if (!checkProjectAccess(req, res, projectId, 'viewer')) return;
   
-  const results = db.prepare(`
-    SELECT id, title, description, reason, consequences, createdAt
-    FROM decisions
-    WHERE projectId = ? AND (
-      title LIKE ? OR
-      description LIKE ? OR
-      reason LIKE ? OR
-      consequences LIKE ?
-    )
-    ORDER BY createdAt DESC
-    LIMIT 20
-  `).all(
-    projectId,
-    `%${q}%`,
-    `%${q}%`,
-    `%${q}%`,
-    `%${q}%`
-  );
+  const typeList = types ? types.split(',').map(type => type.trim()) : SEARCH_TYPES;
+  const filters = parseSearchFilters(req.query);
   
-  res.json(results);
+  res.json(searchProjectText(projectId, q, { ...filters, types: typeList }));
 });
 
-// Embed a single decision
-router.post('/embed/:decisionId', async (req, res) => {
+router.post('/embed/:decisionId', validate({
+  summary: 'Queue embedding of a single decision',
+  responses: {
+    202: JobAccepted,
+    403: 'Not allowed in this project',
+    404: 'Decision not found',
+    503: 'Embeddings are not configured'
+  }
+}), (req, res) => {
   if (!isEmbeddingsAvailable()) {
-    return res.status(503).json({ error: 'OpenAI API key not configured' });
+    return res.status(503).json({ error: 'Embeddings are not configured' });
   }
   
-  const decision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(req.params.decisionId);
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.decisionId);
   
   if (!decision) {
     return res.status(404).json({ error: 'Decision not found' });
   }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
   
-  try {
-    await embedDecision(decision);
-    res.json({ success: true, message: 'Decision embedded successfully' });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to embed: ' + err.message });
-  }
+  const job = enqueueJob('embed-decision', { decisionId: decision.id }, { projectId: decision.projectId });
+  res.status(202).json({ job });
 });
 
-// Embed all decisions in a project
-router.post('/embed-project/:projectId', async (req, res) => {
+router.post('/embed-project/:projectId', validate({
+  summary: 'Queue embedding of all decisions in a project that have none yet',
+  responses: {
+    202: JobAccepted,
+    403: 'Not allowed in this project',
+    404: 'Project not found',
+    503: 'Embeddings are not configured'
+  }
+}), (req, res) => {
   if (!isEmbeddingsAvailable()) {
-    return res.status(503).json({ error: 'OpenAI API key not configured' });
+    return res.status(503).json({ error: 'Embeddings are not configured' });
   }
   
-  const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(req.params.projectId);
-  
-  if (!project) {
-    return res.status(404).json({ error: 'Project not found' });
-  }
+  if (!checkProjectAccess(req, res, req.params.projectId, 'editor')) return;
   
-  try {
-    const result = await embedProjectDecisions(req.params.projectId);
-    res.json({ 
-      success: true, 
-      message: `Embedded ${result.embedded} of ${result.total} decisions`
-    });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to embed project: ' + err.message });
-  }
+  const projectId = Number(req.params.projectId);
+  const job = enqueueJob('embed-project', { projectId }, { projectId });
+  res.status(202).json({ job });
 });
 
-// Check search status
-router.get('/status', (req, res) => {
+router.get('/status', validate({
+  summary: 'Check which kinds of search are available',
+  responses: {
+    200: object({
+      aiSearchAvailable: { type: 'boolean' },
+      textSearchAvailable: { type: 'boolean' }
+    }, ['aiSearchAvailable', 'textSearchAvailable'])
+  }
+}), (req, res) => {
   res.json({
     aiSearchAvailable: isEmbeddingsAvailable(),
     textSearchAvailable: true
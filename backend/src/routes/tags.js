@@ -1,8 +1,20 @@
 import { Router } from 'express';
 import db from '../db.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { validate } from '../openapi/index.js';
+import { object, ref, arrayOf, IdInput, NonBlank } from '../openapi/schemas.js';
 
 const router = Router();
 
+// The UI appends alpha digits to tag colors, so only #rrggbb works
+const TagColor = {
+  type: 'string',
+  pattern: '^#[0-9a-fA-F]{6}$',
+  'x-pattern-message': 'must be a hex color like #3b82f6'
+};
+
 // Predefined tag colors
 const TAG_COLORS = {
   architecture: '#8b5cf6',
@@ -17,12 +29,15 @@ const TAG_COLORS = {
   refactoring: '#f97316'
 };
 
-// Get all tags for a project
-router.get('/project/:projectId', (req, res) => {
+router.get('/project/:projectId', validate({
+  summary: 'Get all tags of a project, most used first',
+  responses: { 200: arrayOf(ref('Tag')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('viewer'), (req, res) => {
   const tags = db.prepare(`
-    SELECT t.*, COUNT(dt.decisionId) as usageCount
+    SELECT t.*, COUNT(d.id) as usageCount
     FROM tags t
     LEFT JOIN decision_tags dt ON t.id = dt.tagId
+    LEFT JOIN decisions d ON d.id = dt.decisionId AND d.deletedAt IS NULL
     WHERE t.projectId = ?
     GROUP BY t.id
     ORDER BY usageCount DESC, t.name ASC
@@ -31,28 +46,37 @@ router.get('/project/:projectId', (req, res) => {
   res.json(tags);
 });
 
-// Get single tag
-router.get('/:id', (req, res) => {
+router.get('/:id', validate({
+  summary: 'Get a tag',
+  responses: { 200: ref('Tag'), 403: 'Not allowed in this project', 404: 'Tag not found' }
+}), (req, res) => {
   const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(req.params.id);
   
   if (!tag) {
     return res.status(404).json({ error: 'Tag not found' });
   }
+  if (!checkProjectAccess(req, res, tag.projectId, 'viewer')) return;
   
   res.json(tag);
 });
 
-// Create tag
-router.post('/', (req, res) => {
+router.post('/', validate({
+  summary: 'Create a tag (names are lowercased; an existing tag with the same name is returned as is)',
+  body: object({
+    projectId: IdInput,
+    name: NonBlank,
+    color: { ...TagColor, description: 'Defaults to the predefined color of the name' }
+  }, ['projectId', 'name']),
+  responses: {
+    200: { ...ref('Tag'), description: 'Tag already existed' },
+    201: ref('Tag'),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), (req, res) => {
   const { projectId, name, color } = req.body;
   
-  if (!projectId) {
-    return res.status(400).json({ error: 'Project ID is required' });
-  }
-  
-  if (!name || !name.trim()) {
-    return res.status(400).json({ error: 'Tag name is required' });
-  }
+  if (!checkProjectAccess(req, res, projectId, 'editor')) return;
   
   const tagName = name.trim().toLowerCase();
   
@@ -72,17 +96,23 @@ router.post('/', (req, res) => {
   `).run(projectId, tagName, tagColor);
   
   const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(result.lastInsertRowid);
+  recordAudit(req.user, tag.projectId, 'create', 'tag', tag.id, { after: tag });
+  publishEvent(tag.projectId, 'tag', 'created', tag);
   res.status(201).json(tag);
 });
 
-// Update tag
-router.patch('/:id', (req, res) => {
+router.patch('/:id', validate({
+  summary: 'Rename or recolor a tag',
+  body: object({ name: NonBlank, color: TagColor }),
+  responses: { 200: ref('Tag'), 403: 'Not allowed in this project', 404: 'Tag not found' }
+}), (req, res) => {
   const { name, color } = req.body;
   const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(req.params.id);
   
   if (!tag) {
     return res.status(404).json({ error: 'Tag not found' });
   }
+  if (!checkProjectAccess(req, res, tag.projectId, 'editor')) return;
   
   const updates = [];
   const params = [];
@@ -105,50 +135,75 @@ router.patch('/:id', (req, res) => {
   db.prepare(`UPDATE tags SET ${updates.join(', ')} WHERE id = ?`).run(...params);
   
   const updated = db.prepare('SELECT * FROM tags WHERE id = ?').get(req.params.id);
+  recordAudit(req.user, updated.projectId, 'update', 'tag', updated.id, { before: tag, after: updated });
+  publishEvent(updated.projectId, 'tag', 'updated', updated);
   res.json(updated);
 });
 
-// Delete tag
-router.delete('/:id', (req, res) => {
-  const result = db.prepare('DELETE FROM tags WHERE id = ?').run(req.params.id);
+router.delete('/:id', validate({
+  summary: 'Delete a tag (it is removed from its decisions)',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Tag not found' }
+}), (req, res) => {
+  const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(req.params.id);
   
-  if (result.changes === 0) {
+  if (!tag) {
     return res.status(404).json({ error: 'Tag not found' });
   }
+  if (!checkProjectAccess(req, res, tag.projectId, 'editor')) return;
   
+  db.prepare('DELETE FROM tags WHERE id = ?').run(tag.id);
+  recordAudit(req.user, tag.projectId, 'delete', 'tag', tag.id, { before: tag });
+  publishEvent(tag.projectId, 'tag', 'deleted', { id: tag.id });
   res.status(204).send();
 });
 
-// Add tag to decision
-router.post('/decision/:decisionId', (req, res) => {
+router.post('/decision/:decisionId', validate({
+  summary: 'Add a tag to a decision',
+  description: 'Pass tagId for an existing tag, or tagName and projectId to create the tag if needed.',
+  body: object({
+    tagId: IdInput,
+    tagName: NonBlank,
+    projectId: IdInput
+  }),
+  responses: {
+    200: { ...ref('Tag'), description: 'Tag was already on the decision' },
+    201: ref('Tag'),
+    400: 'Either tagId or (tagName + projectId) is required',
+    403: 'Not allowed in this project',
+    404: 'Decision or tag not found'
+  }
+}), (req, res) => {
   const { tagId, tagName, projectId } = req.body;
   const { decisionId } = req.params;
   
   // Check decision exists
-  const decision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(decisionId);
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ? AND deletedAt IS NULL').get(decisionId);
   if (!decision) {
     return res.status(404).json({ error: 'Decision not found' });
   }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
   
   let tag;
   
   if (tagId) {
-    // Use existing tag
-    tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(tagId);
+    // Use existing tag (tags are per project)
+    tag = db.prepare('SELECT * FROM tags WHERE id = ? AND projectId = ?').get(tagId, decision.projectId);
     if (!tag) {
       return res.status(404).json({ error: 'Tag not found' });
     }
   } else if (tagName && projectId) {
-    // Create or get tag by name
+    // Create or get tag by name in the decision's project
     const name = tagName.trim().toLowerCase();
     tag = db.prepare('SELECT * FROM tags WHERE projectId = ? AND name = ?')
-      .get(projectId, name);
+      .get(decision.projectId, name);
     
     if (!tag) {
       const color = TAG_COLORS[name] || '#667eea';
       const result = db.prepare('INSERT INTO tags (projectId, name, color) VALUES (?, ?, ?)')
-        .run(projectId, name, color);
+        .run(decision.projectId, name, color);
       tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(result.lastInsertRowid);
+      recordAudit(req.user, tag.projectId, 'create', 'tag', tag.id, { after: tag });
+      publishEvent(tag.projectId, 'tag', 'created', tag);
     }
   } else {
     return res.status(400).json({ error: 'Either tagId or (tagName + projectId) is required' });
@@ -165,13 +220,26 @@ router.post('/decision/:decisionId', (req, res) => {
   // Link tag to decision
   db.prepare('INSERT INTO decision_tags (decisionId, tagId) VALUES (?, ?)').run(decisionId, tag.id);
   
+  recordAudit(req.user, decision.projectId, 'create', 'decision_tag', decision.id, {
+    after: { decisionId: decision.id, tagId: tag.id, tagName: tag.name }
+  });
+  publishEvent(decision.projectId, 'decision', 'updated', { id: decision.id });
   res.status(201).json(tag);
 });
 
-// Remove tag from decision
-router.delete('/decision/:decisionId/tag/:tagId', (req, res) => {
+router.delete('/decision/:decisionId/tag/:tagId', validate({
+  summary: 'Remove a tag from a decision',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Decision not found or tag not on it' }
+}), (req, res) => {
   const { decisionId, tagId } = req.params;
   
+  const decision = db.prepare('SELECT id, projectId FROM decisions WHERE id = ? AND deletedAt IS NULL').get(decisionId);
+  if (!decision) {
+    return res.status(404).json({ error: 'Decision not found' });
+  }
+  if (!checkProjectAccess(req, res, decision.projectId, 'editor')) return;
+  
+  const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(tagId);
   const result = db.prepare('DELETE FROM decision_tags WHERE decisionId = ? AND tagId = ?')
     .run(decisionId, tagId);
   
@@ -179,11 +247,23 @@ router.delete('/decision/:decisionId/tag/:tagId', (req, res) => {
     return res.status(404).json({ error: 'Tag not linked to this decision' });
   }
   
+  recordAudit(req.user, decision.projectId, 'delete', 'decision_tag', decision.id, {
+    before: { decisionId: decision.id, tagId: Number(tagId), tagName: tag?.name }
+  });
+  publishEvent(decision.projectId, 'decision', 'updated', { id: decision.id });
   res.status(204).send();
 });
 
-// Get tags for a decision
-router.get('/decision/:decisionId', (req, res) => {
+router.get('/decision/:decisionId', validate({
+  summary: 'Get the tags of a decision',
+  responses: { 200: arrayOf(ref('Tag')), 403: 'Not allowed in this project', 404: 'Decision not found' }
+}), (req, res) => {
+  const decision = db.prepare('SELECT id, projectId FROM decisions WHERE id = ? AND deletedAt IS NULL').get(req.params.decisionId);
+  if (!decision) {
+    return res.status(404).json({ error: 'Decision not found' });
+  }
+  if (!checkProjectAccess(req, res, decision.projectId, 'viewer')) return;
+  
   const tags = db.prepare(`
     SELECT t.* FROM tags t
     JOIN decision_tags dt ON t.id = dt.tagId
@@ -194,8 +274,10 @@ router.get('/decision/:decisionId', (req, res) => {
   res.json(tags);
 });
 
-// Get predefined colors
-router.get('/colors/predefined', (req, res) => {
+router.get('/colors/predefined', validate({
+  summary: 'Get the predefined tag colors by tag name',
+  responses: { 200: { type: 'object', additionalProperties: TagColor } }
+}), (req, res) => {
   res.json(TAG_COLORS);
 });
 
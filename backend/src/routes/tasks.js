@@ -1,113 +1,338 @@
 import { Router } from 'express';
 import db from '../db.js';
+import { publishEvent } from '../services/events.js';
+import { recordAudit } from '../services/audit.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { moveToTrash, restoreFromTrash, getTrashedRow } from '../services/trash.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import { paginate, parseSort, dateRange, textFilter } from '../services/pagination.js';
+import {
+  TASK_STATE_COLUMNS,
+  BLOCKED_CONDITION,
+  urgencyScore,
+  withTaskState,
+  getTaskWithState,
+  getTaskRelations,
+  getReadyTasks,
+  wouldCreateDependencyCycle,
+  wouldCreateParentCycle,
+  getDescendantIds
+} from '../services/taskGraph.js';
+import { statusAssignments } from '../services/taskStatus.js';
+import { parseRecurrence, spawnNextOccurrence } from '../services/recurrence.js';
+import { DEFAULT_MIN_SCORE, findDuplicateTasks, planMerge, mergeTasks, normalizeTitle } from '../services/taskDuplicates.js';
+import { checkWipLimits } from '../services/board.js';
+import { validate } from '../openapi/index.js';
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  TASK_SOURCES,
+  object,
+  ref,
+  arrayOf,
+  nullable,
+  csvOf,
+  pageQuery,
+  Page,
+  listFilters,
+  Id,
+  IdInput,
+  NonBlank,
+  Text,
+  DateString,
+  Timestamp
+} from '../openapi/schemas.js';
 
 const router = Router();
 
-// List tasks by project
-router.get('/project/:projectId', (req, res) => {
-  const { status, priority } = req.query;
-  
-  let query = 'SELECT * FROM tasks WHERE projectId = ?';
+const TaskStatus = { type: 'string', enum: TASK_STATUSES };
+const TaskPriority = { type: 'string', enum: TASK_PRIORITIES };
+const DueDate = { ...nullable(DateString), description: 'Day the task is due (YYYY-MM-DD), null for none' };
+const EstimateMinutes = { ...nullable({ type: 'integer', minimum: 1 }), description: 'Estimated effort in minutes, null for none' };
+const Recurrence = {
+  ...nullable(NonBlank),
+  description: 'Repeat rule: daily, weekly, monthly, "every N days|weeks|months" or a cron expression like "0 9 * * mon"; null stops repeating'
+};
+
+// ?sort= fields of the task list; priority and status sort in workflow order (high first, pending first),
+// tasks without a due date sort after the ones that have one
+const SORT_FIELDS = {
+  priority: "CASE priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END",
+  status: "CASE status WHEN 'pending' THEN 1 WHEN 'in_progress' THEN 2 ELSE 3 END",
+  urgency: urgencyScore,
+  dueDate: "COALESCE(dueDate, '9999-12-31')",
+  createdAt: 'createdAt',
+  title: 'lower(title)'
+};
+const DEFAULT_SORT = 'priority,-createdAt';
+
+const TaskDependency = object({
+  id: Id,
+  taskId: Id,
+  dependsOnTaskId: Id,
+  createdBy: nullable(Id),
+  createdAt: Timestamp
+}, ['id', 'taskId', 'dependsOnTaskId']);
+
+// A parent must be an active task of the same project; returns the error response to send, if any
+function checkParent(res, projectId, parentId) {
+  const parent = db.prepare('SELECT id, projectId FROM tasks WHERE id = ? AND deletedAt IS NULL').get(parentId);
+  if (!parent) {
+    return res.status(404).json({ error: 'Parent task not found' });
+  }
+  if (parent.projectId !== Number(projectId)) {
+    return res.status(400).json({ error: 'Parent task must be in the same project' });
+  }
+  return null;
+}
+
+router.get('/project/:projectId', validate({
+  summary: 'List tasks by project, one page at a time (by priority then newest first by default)',
+  description: 'Each task comes with blockedBy, blocked, subtasks progress and its urgency score.',
+  query: object({
+    status: { ...csvOf(TASK_STATUSES), description: 'One status or several, e.g. pending,in_progress' },
+    blocked: { type: 'boolean', description: 'Only tasks waiting on an unfinished task (true) or only the others (false)' },
+    parentId: { ...Id, description: 'Only the subtasks of this task' },
+    decisionId: { ...Id, description: 'Only the tasks linked to this decision' },
+    priority: { ...csvOf(TASK_PRIORITIES), description: 'One priority or several' },
+    source: { ...csvOf(TASK_SOURCES), description: 'Where the tasks came from: manual, recording, decision or ocr' },
+    ...listFilters,
+    q: { type: 'string', description: 'Text in the title or notes' },
+    ...pageQuery(Object.keys(SORT_FIELDS), DEFAULT_SORT)
+  }),
+  responses: { 200: Page(ref('Task')), 403: 'Not allowed in this project', 404: 'Project not found' }
+}), requireProjectRole('viewer'), (req, res) => {
+  const { blocked, parentId, decisionId, from, to, q, sort, cursor, limit } = req.query;
+  
+  const where = ['projectId = ?', 'deletedAt IS NULL'];
   const params = [req.params.projectId];
   
-  if (status) {
-    query += ' AND status = ?';
-    params.push(status);
+  if (blocked !== undefined) {
+    where.push(blocked === 'true' ? BLOCKED_CONDITION : `NOT ${BLOCKED_CONDITION}`);
   }
   
-  if (priority) {
-    query += ' AND priority = ?';
-    params.push(priority);
+  if (parentId) {
+    where.push('parentId = ?');
+    params.push(parentId);
   }
   
-  query += " ORDER BY CASE priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 WHEN 'low' THEN 3 END, createdAt DESC";
+  if (decisionId) {
+    where.push('decisionId = ?');
+    params.push(decisionId);
+  }
   
-  const tasks = db.prepare(query).all(...params);
-  res.json(tasks);
-});
-
-// Get single task
-router.get('/:id', (req, res) => {
-  const task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
+  for (const column of ['status', 'priority', 'source']) {
+    const values = req.query[column]?.split(',').map(value => value.trim()).filter(Boolean);
+    if (values?.length) {
+      where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+  }
   
-  if (!task) {
-    return res.status(404).json({ error: 'Task not found' });
+  for (const filter of [dateRange('createdAt', { from, to }), textFilter(['title', 'notes'], q)]) {
+    where.push(...filter.where);
+    params.push(...filter.params);
   }
   
-  res.json(task);
+  const page = paginate({
+    select: `tasks.*, ${TASK_STATE_COLUMNS}`,
+    from: 'tasks',
+    where,
+    params,
+    sort: parseSort(sort, SORT_FIELDS, DEFAULT_SORT)
+  }, { limit: Number(limit) || undefined, cursor });
+  
+  res.json({ ...page, items: page.items.map(withTaskState) });
 });
 
-// Create task manually
-router.post('/', (req, res) => {
-  const { projectId, recordingId, decisionId, title, priority } = req.body;
-  
-  if (!projectId) {
-    return res.status(400).json({ error: 'Project ID is required' });
+router.get('/project/:projectId/ready', validate({
+  summary: 'List the tasks that can be started right now, in dependency order',
+  description: 'Pending tasks with no unfinished dependencies, no open subtasks and no blocked parent. '
+    + 'They come in topological order of the open tasks, higher priority and older first among tasks that are free at the same time.',
+  responses: {
+    200: arrayOf({
+      allOf: [ref('Task'), object({
+        unblocks: { type: 'integer', minimum: 0, description: 'Open tasks waiting on this one, directly or not' }
+      }, ['unblocks'])]
+    }),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), requireProjectRole('viewer'), (req, res) => {
+  res.json(getReadyTasks(req.params.projectId));
+});
+
+const Score = { type: 'number', minimum: 0, maximum: 1 };
+
+router.get('/project/:projectId/duplicates', validate({
+  summary: 'Find groups of tasks that look like duplicates, for review before merging',
+  description: 'Task pairs are scored from 0 to 1 on the words of their titles and, when an embeddings model is configured, '
+    + 'on the similarity of their title embeddings; the higher score counts. Pairs scoring at least minScore are grouped into clusters. '
+    + 'A subtask and its parent, or two instances of the same recurring task, are never paired. Nothing is changed.',
+  query: object({ minScore: { ...Score, minimum: 0.3, default: DEFAULT_MIN_SCORE } }),
+  responses: {
+    200: object({
+      semantic: { type: 'boolean', description: 'Whether embeddings were compared as well as words' },
+      clusters: arrayOf(object({
+        confidence: { ...Score, description: 'Average score of the pairs in the cluster' },
+        keepId: { ...Id, description: 'The earliest task, the one a merge keeps' },
+        tasks: { ...arrayOf(ref('Task')), description: 'Earliest first' },
+        pairs: arrayOf(object({
+          taskIds: arrayOf(Id, { minItems: 2, maxItems: 2 }),
+          score: Score,
+          tokenScore: Score,
+          semanticScore: nullable(Score)
+        }, ['taskIds', 'score', 'tokenScore', 'semanticScore']))
+      }, ['confidence', 'keepId', 'tasks', 'pairs']))
+    }, ['semantic', 'clusters']),
+    403: 'Not allowed in this project',
+    404: 'Project not found'
+  }
+}), requireProjectRole('viewer'), async (req, res) => {
+  const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : DEFAULT_MIN_SCORE;
+
+  try {
+    res.json(await findDuplicateTasks(req.params.projectId, { minScore }));
+  } catch (err) {
+    console.error('Duplicate detection error:', err);
+    res.status(500).json({ error: 'Duplicate detection failed: ' + err.message });
+  }
+});
+
+router.get('/:id', validate({
+  summary: 'Get a task with its dependencies, dependents and subtasks',
+  responses: {
+    200: {
+      allOf: [ref('Task'), object({
+        dependencies: { ...arrayOf(ref('TaskSummary')), description: 'Tasks this one waits on' },
+        dependents: { ...arrayOf(ref('TaskSummary')), description: 'Tasks waiting on this one' },
+        children: { ...arrayOf(ref('TaskSummary')), description: 'Subtasks' }
+      }, ['dependencies', 'dependents', 'children'])]
+    },
+    403: 'Not allowed in this project',
+    404: 'Task not found'
   }
+}), (req, res) => {
+  const task = getTaskWithState(req.params.id);
   
-  if (!title || !title.trim()) {
-    return res.status(400).json({ error: 'Task title is required' });
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
   }
+  if (!checkProjectAccess(req, res, task.projectId, 'viewer')) return;
   
-  // Check project exists
-  const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(projectId);
-  if (!project) {
-    return res.status(404).json({ error: 'Project not found' });
+  res.json({ ...task, ...getTaskRelations(task.id) });
+});
+
+router.post('/', validate({
+  summary: 'Create a task manually',
+  body: object({
+    projectId: IdInput,
+    recordingId: nullable(IdInput),
+    decisionId: nullable(IdInput),
+    parentId: { ...nullable(IdInput), description: 'Create it as a subtask of this task' },
+    title: NonBlank,
+    priority: { ...TaskPriority, default: 'medium' },
+    dueDate: DueDate,
+    estimateMinutes: EstimateMinutes,
+    recurrence: Recurrence
+  }, ['projectId', 'title']),
+  responses: {
+    201: ref('Task'),
+    400: 'Parent task must be in the same project',
+    403: 'Not allowed in this project',
+    404: 'Project or parent task not found'
   }
+}), (req, res) => {
+  const { projectId, recordingId, decisionId, parentId, title, priority = 'medium', dueDate, estimateMinutes, recurrence } = req.body;
   
-  // Validate priority
-  const validPriorities = ['low', 'medium', 'high'];
-  const taskPriority = validPriorities.includes(priority) ? priority : 'medium';
+  if (!checkProjectAccess(req, res, projectId, 'editor')) return;
+  if (parentId && checkParent(res, projectId, parentId)) return;
+  const rule = recurrence ? parseRecurrence(recurrence).rule : null;
   
   const result = db.prepare(`
-    INSERT INTO tasks (projectId, recordingId, decisionId, title, priority)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO tasks (projectId, recordingId, decisionId, parentId, title, priority, dueDate, estimateMinutes, recurrence, source, createdBy)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     projectId,
     recordingId || null,
     decisionId || null,
+    parentId || null,
     title.trim(),
-    taskPriority
+    priority,
+    dueDate || null,
+    estimateMinutes || null,
+    rule,
+    recordingId ? 'recording' : decisionId ? 'decision' : 'manual',
+    req.user.id
   );
   
-  const task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(result.lastInsertRowid);
+  const task = getTaskWithState(result.lastInsertRowid);
+  recordAudit(req.user, task.projectId, 'create', 'task', task.id, { after: task });
+  publishEvent(task.projectId, 'task', 'created', task);
+  dispatchWebhookEvent(task.projectId, 'task.created', task);
   res.status(201).json(task);
 });
 
-// Update task (status, priority, title, notes)
-router.patch('/:id', (req, res) => {
-  const task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
+router.patch('/:id', validate({
+  summary: 'Update a task (status, priority, title, notes, due date, estimate, recurrence, parent)',
+  description: 'Changing the status keeps startedAt (first time in progress) and completedAt (cleared when reopened) up to date. '
+    + 'Completing a recurring task creates its next instance.',
+  body: object({
+    status: TaskStatus,
+    priority: TaskPriority,
+    title: NonBlank,
+    notes: nullable(Text),
+    dueDate: DueDate,
+    estimateMinutes: EstimateMinutes,
+    recurrence: Recurrence,
+    parentId: { ...nullable(IdInput), description: 'Move it under another task, null makes it a top-level task' }
+  }),
+  responses: {
+    200: ref('Task'),
+    400: 'No valid updates provided',
+    403: 'Not allowed in this project',
+    404: 'Task or parent task not found',
+    409: 'A task can\'t be moved under itself or one of its subtasks, or the new status\'s board column is at its WIP limit'
+  }
+}), (req, res) => {
+  const task = db.prepare('SELECT * FROM tasks WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
   
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
+  if (!checkProjectAccess(req, res, task.projectId, 'editor')) return;
   
-  const { status, priority, title, notes } = req.body;
+  const { status, priority, title, notes, dueDate, estimateMinutes, recurrence, parentId } = req.body;
   const updates = [];
   const params = [];
   
+  if (parentId !== undefined) {
+    if (parentId) {
+      if (checkParent(res, task.projectId, parentId)) return;
+      if (wouldCreateParentCycle(task.id, Number(parentId))) {
+        return res.status(409).json({ error: 'A task can\'t be moved under itself or one of its subtasks' });
+      }
+    }
+    updates.push('parentId = ?');
+    params.push(parentId || null);
+  }
+  
   if (status !== undefined) {
-    const validStatuses = ['pending', 'in_progress', 'done'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status. Must be: pending, in_progress, or done' });
+    const wipError = checkWipLimits(task.projectId, new Map([[task.id, status]]));
+    if (wipError) {
+      return res.status(409).json({ error: wipError });
     }
-    updates.push('status = ?');
-    params.push(status);
+    const assignments = statusAssignments(status);
+    updates.push(assignments.sql);
+    params.push(...assignments.params);
   }
   
   if (priority !== undefined) {
-    const validPriorities = ['low', 'medium', 'high'];
-    if (!validPriorities.includes(priority)) {
-      return res.status(400).json({ error: 'Invalid priority. Must be: low, medium, or high' });
-    }
     updates.push('priority = ?');
     params.push(priority);
   }
   
   if (title !== undefined) {
-    if (!title.trim()) {
-      return res.status(400).json({ error: 'Task title cannot be empty' });
-    }
     updates.push('title = ?');
     params.push(title.trim());
   }
@@ -117,6 +342,21 @@ router.patch('/:id', (req, res) => {
     params.push(notes || null);
   }
   
+  if (dueDate !== undefined) {
+    updates.push('dueDate = ?');
+    params.push(dueDate || null);
+  }
+  
+  if (estimateMinutes !== undefined) {
+    updates.push('estimateMinutes = ?');
+    params.push(estimateMinutes || null);
+  }
+  
+  if (recurrence !== undefined) {
+    updates.push('recurrence = ?');
+    params.push(recurrence ? parseRecurrence(recurrence).rule : null);
+  }
+  
   if (updates.length === 0) {
     return res.status(400).json({ error: 'No valid updates provided' });
   }
@@ -124,46 +364,237 @@ router.patch('/:id', (req, res) => {
   params.push(req.params.id);
   db.prepare(`UPDATE tasks SET ${updates.join(', ')} WHERE id = ?`).run(...params);
   
-  const updatedTask = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
+  const updatedTask = getTaskWithState(req.params.id);
+  recordAudit(req.user, updatedTask.projectId, 'update', 'task', updatedTask.id, { before: task, after: updatedTask });
+  publishEvent(updatedTask.projectId, 'task', 'updated', updatedTask);
+  if (updatedTask.status === 'done' && task.status !== 'done') {
+    dispatchWebhookEvent(updatedTask.projectId, 'task.done', updatedTask);
+    spawnNextOccurrence(req.user, updatedTask);
+  }
   res.json(updatedTask);
 });
 
-// Delete task
-router.delete('/:id', (req, res) => {
-  const result = db.prepare('DELETE FROM tasks WHERE id = ?').run(req.params.id);
+router.delete('/:id', validate({
+  summary: 'Move a task and its subtasks to the trash (restorable until they are purged)',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Task not found' }
+}), (req, res) => {
+  const task = db.prepare('SELECT * FROM tasks WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
   
-  if (result.changes === 0) {
+  if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
+  if (!checkProjectAccess(req, res, task.projectId, 'editor')) return;
+  
+  const subtasks = getDescendantIds(task.id).map(id => db.prepare('SELECT * FROM tasks WHERE id = ?').get(id));
+  
+  db.transaction(() => {
+    moveToTrash('task', task.id, req.user.id);
+    for (const subtask of subtasks) {
+      moveToTrash('task', subtask.id, req.user.id);
+    }
+  })();
   
+  recordAudit(req.user, task.projectId, 'delete', 'task', task.id, { before: task, context: 'moved to trash' });
+  publishEvent(task.projectId, 'task', 'deleted', { id: task.id });
+  for (const subtask of subtasks) {
+    recordAudit(req.user, task.projectId, 'delete', 'task', subtask.id, { before: subtask, context: 'parent moved to trash' });
+    publishEvent(task.projectId, 'task', 'deleted', { id: subtask.id });
+  }
   res.status(204).send();
 });
 
-// Bulk update tasks (e.g., mark multiple as done)
-router.post('/bulk-update', (req, res) => {
-  const { taskIds, updates } = req.body;
+router.post('/:id/restore', validate({
+  summary: 'Restore a task from the trash, with the subtasks that were trashed along with it',
+  responses: {
+    200: ref('Task'),
+    403: 'Not allowed in this project',
+    404: 'Task not found in trash',
+    409: 'The parent task is in the trash, restore it first'
+  }
+}), (req, res) => {
+  const task = getTrashedRow('task', req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found in trash' });
+  }
+  if (!checkProjectAccess(req, res, task.projectId, 'editor')) return;
+  if (task.parentId && getTrashedRow('task', task.parentId)) {
+    return res.status(409).json({ error: 'The parent task is in the trash, restore it first' });
+  }
+  
+  // Subtasks deleted on their own earlier stay in the trash
+  const subtasks = getDescendantIds(task.id, { deleted: true })
+    .map(id => getTrashedRow('task', id))
+    .filter(subtask => subtask.deletedAt === task.deletedAt && subtask.deletedBy === task.deletedBy);
   
-  if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
-    return res.status(400).json({ error: 'Task IDs array is required' });
+  const restored = db.transaction(() => {
+    for (const subtask of subtasks) {
+      restoreFromTrash('task', subtask.id);
+    }
+    restoreFromTrash('task', task.id);
+    return getTaskWithState(task.id);
+  })();
+  
+  recordAudit(req.user, restored.projectId, 'update', 'task', restored.id, { before: task, after: restored, context: 'restore' });
+  publishEvent(restored.projectId, 'task', 'created', restored);
+  for (const subtask of subtasks) {
+    const after = getTaskWithState(subtask.id);
+    recordAudit(req.user, restored.projectId, 'update', 'task', subtask.id, { before: subtask, after, context: 'restore with parent' });
+    publishEvent(restored.projectId, 'task', 'created', after);
+  }
+  res.json(restored);
+});
+
+router.post('/:id/dependencies', validate({
+  summary: 'Make a task wait on another task of the same project',
+  description: 'The task counts as blocked until the other one is done. Dependencies that would form a cycle are refused.',
+  body: object({ dependsOnTaskId: IdInput }, ['dependsOnTaskId']),
+  responses: {
+    200: { ...TaskDependency, description: 'Dependency already existed' },
+    201: TaskDependency,
+    400: 'A task can\'t depend on itself or on a task of another project',
+    403: 'Not allowed in this project',
+    404: 'Task not found',
+    409: 'The other task already waits on this one'
+  }
+}), (req, res) => {
+  const task = db.prepare('SELECT * FROM tasks WHERE id = ? AND deletedAt IS NULL').get(req.params.id);
+  const blocker = db.prepare('SELECT * FROM tasks WHERE id = ? AND deletedAt IS NULL').get(req.body.dependsOnTaskId);
+  
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  if (!blocker) {
+    return res.status(404).json({ error: 'Task to depend on not found' });
+  }
+  if (!checkProjectAccess(req, res, task.projectId, 'editor')) return;
+  if (task.id === blocker.id) {
+    return res.status(400).json({ error: 'A task can\'t depend on itself' });
+  }
+  if (task.projectId !== blocker.projectId) {
+    return res.status(400).json({ error: 'A task can only depend on tasks of the same project' });
   }
   
+  const existing = db.prepare('SELECT * FROM task_dependencies WHERE taskId = ? AND dependsOnTaskId = ?').get(task.id, blocker.id);
+  if (existing) {
+    return res.json(existing);
+  }
+  if (wouldCreateDependencyCycle(task.id, blocker.id)) {
+    return res.status(409).json({ error: `"${blocker.title}" already waits on "${task.title}", this would create a cycle` });
+  }
+  
+  const result = db.prepare(`
+    INSERT INTO task_dependencies (taskId, dependsOnTaskId, createdBy) VALUES (?, ?, ?)
+  `).run(task.id, blocker.id, req.user.id);
+  
+  const dependency = db.prepare('SELECT * FROM task_dependencies WHERE id = ?').get(result.lastInsertRowid);
+  recordAudit(req.user, task.projectId, 'create', 'task_dependency', dependency.id, {
+    after: { ...dependency, taskTitle: task.title, dependsOnTitle: blocker.title }
+  });
+  publishEvent(task.projectId, 'task', 'updated', getTaskWithState(task.id));
+  res.status(201).json(dependency);
+});
+
+router.delete('/:id/dependencies/:dependsOnTaskId', validate({
+  summary: 'Stop a task from waiting on another task',
+  responses: { 204: null, 403: 'Not allowed in this project', 404: 'Dependency not found' }
+}), (req, res) => {
+  const dependency = db.prepare(`
+    SELECT d.*, t.projectId, t.title as taskTitle, b.title as dependsOnTitle
+    FROM task_dependencies d
+    JOIN tasks t ON t.id = d.taskId
+    JOIN tasks b ON b.id = d.dependsOnTaskId
+    WHERE d.taskId = ? AND d.dependsOnTaskId = ? AND t.deletedAt IS NULL
+  `).get(req.params.id, req.params.dependsOnTaskId);
+  
+  if (!dependency) {
+    return res.status(404).json({ error: 'Dependency not found' });
+  }
+  if (!checkProjectAccess(req, res, dependency.projectId, 'editor')) return;
+  
+  db.prepare('DELETE FROM task_dependencies WHERE id = ?').run(dependency.id);
+  const { projectId, ...before } = dependency;
+  recordAudit(req.user, projectId, 'delete', 'task_dependency', dependency.id, { before });
+  publishEvent(projectId, 'task', 'updated', getTaskWithState(dependency.taskId));
+  res.status(204).send();
+});
+
+router.post('/merge', validate({
+  summary: 'Merge duplicate tasks into the earliest one',
+  description: 'The earliest task is kept. It gets the notes of the others (each under a line naming the merged task), '
+    + 'the recording and decision it lacked, the highest priority, the earliest due date and the most advanced status. '
+    + 'Subtasks, dependencies and dependents move over to it; the other tasks go to the trash.',
+  body: object({
+    taskIds: arrayOf(IdInput, { minItems: 2, uniqueItems: true })
+  }, ['taskIds']),
+  responses: {
+    200: object({
+      task: ref('Task'),
+      merged: arrayOf(object({ id: Id, title: Text }, ['id', 'title']))
+    }, ['task', 'merged']),
+    400: 'Tasks must be in the same project, and not subtasks of each other',
+    403: 'Not allowed in this project',
+    404: 'Task not found',
+    409: 'The kept task\'s new status would put its board column over its WIP limit'
+  }
+}), (req, res) => {
+  const taskIds = req.body.taskIds.map(Number);
+  const getTask = db.prepare('SELECT * FROM tasks WHERE id = ? AND deletedAt IS NULL');
+  const tasks = taskIds.map(id => getTask.get(id));
+
+  const missing = taskIds.find((id, index) => !tasks[index]);
+  if (missing) {
+    return res.status(404).json({ error: `Task ${missing} not found` });
+  }
+  // Access first, so the answer doesn't tell which project a task the user can't see belongs to
+  for (const projectId of new Set(tasks.map(task => task.projectId))) {
+    if (!checkProjectAccess(req, res, projectId, 'editor')) return;
+  }
+  if (tasks.some(task => task.projectId !== tasks[0].projectId)) {
+    return res.status(400).json({ error: 'Tasks must be in the same project' });
+  }
+
+  // Merging a task into its own subtask (or the other way round) would leave it under itself
+  const nested = tasks.find(task => tasks.some(other => other.id !== task.id && wouldCreateParentCycle(other.id, task.id)));
+  if (nested) {
+    return res.status(400).json({ error: `Task ${nested.id} is a subtask of another task being merged` });
+  }
+
+  const { kept, merged, status } = planMerge(tasks);
+  const wipError = checkWipLimits(kept.projectId, new Map([[kept.id, status], ...merged.map(task => [task.id, null])]));
+  if (wipError) {
+    return res.status(409).json({ error: wipError });
+  }
+
+  res.json(mergeTasks(req.user, tasks));
+});
+
+router.post('/bulk-update', validate({
+  summary: 'Update several tasks at once (e.g. mark them done)',
+  description: 'Tasks that are in the trash or don\'t exist are skipped. Nothing is updated when the new status would put '
+    + 'a board column over its WIP limit.',
+  body: object({
+    taskIds: arrayOf(IdInput, { minItems: 1 }),
+    updates: object({ status: TaskStatus, priority: TaskPriority })
+  }, ['taskIds', 'updates']),
+  responses: {
+    200: object({ updated: { type: 'integer', minimum: 0 } }, ['updated']),
+    400: 'No valid updates provided',
+    403: 'Not allowed in one of the projects',
+    409: 'A board column would go over its WIP limit'
+  }
+}), (req, res) => {
+  const { taskIds, updates } = req.body;
+  
   const updateFields = [];
   const params = [];
   
   if (updates.status) {
-    const validStatuses = ['pending', 'in_progress', 'done'];
-    if (!validStatuses.includes(updates.status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
-    updateFields.push('status = ?');
-    params.push(updates.status);
+    const assignments = statusAssignments(updates.status);
+    updateFields.push(assignments.sql);
+    params.push(...assignments.params);
   }
   
   if (updates.priority) {
-    const validPriorities = ['low', 'medium', 'high'];
-    if (!validPriorities.includes(updates.priority)) {
-      return res.status(400).json({ error: 'Invalid priority' });
-    }
     updateFields.push('priority = ?');
     params.push(updates.priority);
   }
@@ -173,53 +604,145 @@ router.post('/bulk-update', (req, res) => {
   }
   
   const placeholders = taskIds.map(() => '?').join(', ');
-  const query = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id IN (${placeholders})`;
+  const active = `id IN (${placeholders}) AND deletedAt IS NULL`;
+  
+  // Every project touched by the update needs editor access
+  const projectIds = db.prepare(`SELECT DISTINCT projectId FROM tasks WHERE ${active}`)
+    .all(...taskIds)
+    .map(row => row.projectId);
+  for (const projectId of projectIds) {
+    if (!checkProjectAccess(req, res, projectId, 'editor')) return;
+  }
+  
+  const query = `UPDATE tasks SET ${updateFields.join(', ')} WHERE ${active}`;
+  const selectTasks = db.prepare(`SELECT * FROM tasks WHERE ${active}`);
   
+  const previous = new Map(selectTasks.all(...taskIds).map(task => [task.id, task]));
+  if (updates.status) {
+    for (const projectId of projectIds) {
+      const statuses = [...previous.values()]
+        .filter(task => task.projectId === projectId)
+        .map(task => [task.id, updates.status]);
+      const wipError = checkWipLimits(projectId, new Map(statuses));
+      if (wipError) {
+        return res.status(409).json({ error: wipError });
+      }
+    }
+  }
   const result = db.prepare(query).run(...params, ...taskIds);
   
+  for (const task of selectTasks.all(...taskIds)) {
+    recordAudit(req.user, task.projectId, 'update', 'task', task.id, {
+      before: previous.get(task.id),
+      after: task,
+      context: 'bulk update'
+    });
+    publishEvent(task.projectId, 'task', 'updated', task);
+    if (task.status === 'done' && previous.get(task.id).status !== 'done') {
+      dispatchWebhookEvent(task.projectId, 'task.done', task);
+      spawnNextOccurrence(req.user, task);
+    }
+  }
+  
   res.json({ updated: result.changes });
 });
 
-// Cleanup duplicate tasks - keep oldest, remove newer duplicates
-router.post('/cleanup/:projectId', (req, res) => {
+router.post('/cleanup/:projectId', validate({
+  summary: 'Clean up duplicate tasks: keep the oldest, move newer duplicates and their subtasks to the trash',
+  description: 'Only exact duplicates: titles are compared case-insensitively, ignoring trailing punctuation, quotes and extra whitespace. '
+    + 'A done duplicate marks the kept task done; nothing is cleaned up when that would put a board column over its WIP limit. '
+    + 'Recurring tasks are left alone. '
+    + 'Use GET /tasks/project/{projectId}/duplicates and POST /tasks/merge to review near-duplicates first.',
+  responses: {
+    200: object({
+      deleted: { type: 'integer', minimum: 0, description: 'Duplicates and subtasks moved to the trash' },
+      remaining: { type: 'integer', minimum: 0 }
+    }, ['deleted', 'remaining']),
+    403: 'Not allowed in this project',
+    404: 'Project not found',
+    409: 'Marking kept tasks done would put a board column over its WIP limit'
+  }
+}), requireProjectRole('editor'), (req, res) => {
   const { projectId } = req.params;
   
-  // Find duplicate tasks (same title, case-insensitive)
+  // Find duplicate tasks (same title, case-insensitive); the instances of a recurring task share
+  // its title, they aren't duplicates
   const allTasks = db.prepare(`
-    SELECT * FROM tasks WHERE projectId = ? ORDER BY createdAt ASC
+    SELECT * FROM tasks
+    WHERE projectId = ? AND deletedAt IS NULL AND recurrence IS NULL AND recurrenceOfId IS NULL
+    ORDER BY createdAt ASC
   `).all(projectId);
   
-  const seen = new Map(); // normalized title -> first task id
+  const seen = new Map(); // normalized title -> first task
   const toDelete = [];
+  const keptIds = new Set(); // originals that have duplicates
+  const toComplete = new Map(); // id -> kept task a done duplicate marks done
   
   for (const task of allTasks) {
-    const normalizedTitle = task.title.toLowerCase().trim()
-      .replace(/[.,!?;:]+$/g, '') // remove trailing punctuation
-      .replace(/\s+/g, ' '); // normalize whitespace
+    const normalizedTitle = normalizeTitle(task.title);
     
     if (seen.has(normalizedTitle)) {
       // This is a duplicate - mark for deletion
-      // But if this one is 'done' and the original is not, update the original first
-      const originalId = seen.get(normalizedTitle);
-      if (task.status === 'done') {
-        db.prepare('UPDATE tasks SET status = ? WHERE id = ?').run('done', originalId);
+      // But if this one is 'done' and the original is not, the original is marked done
+      const original = seen.get(normalizedTitle);
+      keptIds.add(original.id);
+      if (task.status === 'done' && original.status !== 'done') {
+        toComplete.set(original.id, original);
       }
-      toDelete.push(task.id);
+      toDelete.push(task);
     } else {
-      seen.set(normalizedTitle, task.id);
+      seen.set(normalizedTitle, task);
+    }
+  }
+  
+  // Duplicates go to the trash with their subtasks, like DELETE /tasks/:id. A duplicate holding
+  // a kept task among its subtasks is left alone, trashing it would take the kept task along.
+  const trashed = new Map(); // id -> { task, parent: ID of the duplicate it goes with, or null }
+  for (const task of toDelete) {
+    const subtaskIds = getDescendantIds(task.id);
+    if (subtaskIds.some(id => keptIds.has(id))) continue;
+    if (!trashed.has(task.id)) trashed.set(task.id, { task, parent: null });
+    for (const id of subtaskIds) {
+      if (!trashed.has(id)) trashed.set(id, { task: db.prepare('SELECT * FROM tasks WHERE id = ?').get(id), parent: task.id });
     }
   }
   
-  // Delete duplicates
-  if (toDelete.length > 0) {
-    const placeholders = toDelete.map(() => '?').join(', ');
-    db.prepare(`DELETE FROM tasks WHERE id IN (${placeholders})`).run(...toDelete);
+  const wipError = checkWipLimits(projectId, new Map([
+    ...[...toComplete.keys()].map(id => [id, 'done']),
+    ...[...trashed.keys()].map(id => [id, null])
+  ]));
+  if (wipError) {
+    return res.status(409).json({ error: wipError });
+  }
+  
+  const done = statusAssignments('done');
+  db.transaction(() => {
+    for (const id of toComplete.keys()) {
+      db.prepare(`UPDATE tasks SET ${done.sql} WHERE id = ?`).run(...done.params, id);
+    }
+    for (const id of trashed.keys()) {
+      moveToTrash('task', id, req.user.id);
+    }
+  })();
+  
+  for (const before of toComplete.values()) {
+    const after = getTaskWithState(before.id);
+    recordAudit(req.user, projectId, 'update', 'task', after.id, { before, after, context: 'duplicate cleanup' });
+    publishEvent(projectId, 'task', 'updated', after);
+    dispatchWebhookEvent(projectId, 'task.done', after);
+  }
+  for (const { task, parent } of trashed.values()) {
+    recordAudit(req.user, projectId, 'delete', 'task', task.id, {
+      before: task,
+      context: parent ? 'parent moved to trash' : 'duplicate cleanup'
+    });
+    publishEvent(projectId, 'task', 'deleted', { id: task.id });
   }
   
-  const remaining = db.prepare('SELECT COUNT(*) as count FROM tasks WHERE projectId = ?').get(projectId);
+  const remaining = db.prepare('SELECT COUNT(*) as count FROM tasks WHERE projectId = ? AND deletedAt IS NULL').get(projectId);
   
   res.json({
-    deleted: toDelete.length,
+    deleted: trashed.size,
     remaining: remaining.count
   });
 });
@@ -0,0 +1,238 @@
+import { Router } from 'express';
+import db from '../db.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { recordAudit } from '../services/audit.js';
+import { checkProjectAccess, requireProjectRole } from '../services/auth.js';
+import {
+  WEBHOOK_EVENTS,
+  serializeWebhook,
+  generateWebhookSecret,
+  createPingDelivery,
+  checkWebhookTarget,
+  attemptDelivery,
+  listDeliveries
+} from '../services/webhooks.js';
+import { validate } from '../openapi/index.js';
+import { object, ref, arrayOf, nullable, JobAccepted, Text, Limit } from '../openapi/schemas.js';
+
+const router = Router();
+
+const MAX_DELIVERIES = 100;
+
+const WebhookUrl = {
+  type: 'string',
+  format: 'uri',
+  pattern: '^https?://',
+  'x-pattern-message': 'must use http or https'
+};
+
+const WebhookEvents = arrayOf({ type: 'string', enum: WEBHOOK_EVENTS }, { minItems: 1 });
+
+const ownerErrors = { 403: 'Only project owners manage webhooks', 404: 'Webhook not found' };
+
+// Check the receiver isn't on the server's own network, or send the error response
+async function checkTarget(res, url) {
+  try {
+    await checkWebhookTarget(url);
+    return true;
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return false;
+  }
+}
+
+// Load a webhook and check that the user owns its project, or send the error response
+function getOwnedWebhook(req, res, webhookId = req.params.id) {
+  const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhookId);
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  if (!checkProjectAccess(req, res, webhook.projectId, 'owner')) return null;
+  return webhook;
+}
+
+router.get('/project/:projectId', validate({
+  summary: 'List a project\'s webhooks with the outcome of their latest delivery (owners only)',
+  responses: { 200: arrayOf(ref('Webhook')), ...ownerErrors, 404: 'Project not found' }
+}), requireProjectRole('owner'), (req, res) => {
+  const webhooks = db.prepare(`
+    SELECT w.*,
+      (SELECT status FROM webhook_deliveries WHERE webhookId = w.id ORDER BY id DESC LIMIT 1) as lastDeliveryStatus,
+      (SELECT createdAt FROM webhook_deliveries WHERE webhookId = w.id ORDER BY id DESC LIMIT 1) as lastDeliveryAt
+    FROM webhooks w
+    WHERE w.projectId = ?
+    ORDER BY w.createdAt DESC
+  `).all(req.params.projectId);
+
+  res.json(webhooks.map(webhook => serializeWebhook(webhook)));
+});
+
+router.post('/project/:projectId', validate({
+  summary: 'Subscribe a URL to project events (owners only)',
+  description: 'The signing secret is only returned in this response.',
+  body: object({
+    url: WebhookUrl,
+    events: WebhookEvents,
+    description: nullable(Text),
+    secret: { type: 'string', minLength: 16, description: 'Generated when left out' }
+  }, ['url', 'events']),
+  responses: {
+    201: ref('Webhook'),
+    400: 'URL resolves to a private, loopback or link-local address',
+    ...ownerErrors,
+    404: 'Project not found'
+  }
+}), requireProjectRole('owner'), async (req, res) => {
+  const { url, events, description, secret } = req.body;
+  if (!await checkTarget(res, url.trim())) return;
+
+  const result = db.prepare(`
+    INSERT INTO webhooks (projectId, url, secret, events, description, createdBy)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    req.params.projectId,
+    url.trim(),
+    secret || generateWebhookSecret(),
+    JSON.stringify([...new Set(events)]),
+    description?.trim() || null,
+    req.user.id
+  );
+
+  const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(result.lastInsertRowid);
+  recordAudit(req.user, webhook.projectId, 'create', 'webhook', webhook.id, { after: serializeWebhook(webhook) });
+  res.status(201).json(serializeWebhook(webhook, { includeSecret: true }));
+});
+
+router.patch('/:id', validate({
+  summary: 'Update a webhook',
+  description: 'rotateSecret: true generates a new signing secret and returns it.',
+  body: object({
+    url: WebhookUrl,
+    events: WebhookEvents,
+    description: nullable(Text),
+    active: { type: 'boolean' },
+    rotateSecret: { type: 'boolean' }
+  }),
+  responses: {
+    200: ref('Webhook'),
+    400: 'No valid updates provided, or the URL resolves to a private address',
+    ...ownerErrors
+  }
+}), async (req, res) => {
+  const webhook = getOwnedWebhook(req, res);
+  if (!webhook) return;
+
+  const { url, events, description, active, rotateSecret } = req.body;
+  const updates = [];
+  const params = [];
+
+  if (url !== undefined) {
+    if (!await checkTarget(res, url.trim())) return;
+    updates.push('url = ?');
+    params.push(url.trim());
+  }
+
+  if (events !== undefined) {
+    updates.push('events = ?');
+    params.push(JSON.stringify([...new Set(events)]));
+  }
+
+  if (description !== undefined) {
+    updates.push('description = ?');
+    params.push(description?.trim() || null);
+  }
+
+  if (active !== undefined) {
+    updates.push('active = ?');
+    params.push(active ? 1 : 0);
+  }
+
+  if (rotateSecret) {
+    updates.push('secret = ?');
+    params.push(generateWebhookSecret());
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No valid updates provided' });
+  }
+
+  params.push(webhook.id);
+  db.prepare(`UPDATE webhooks SET ${updates.join(', ')}, updatedAt = datetime('now') WHERE id = ?`).run(...params);
+
+  const updated = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhook.id);
+  recordAudit(req.user, webhook.projectId, 'update', 'webhook', webhook.id, {
+    before: serializeWebhook(webhook),
+    after: serializeWebhook(updated),
+    context: rotateSecret ? 'secret rotated' : null
+  });
+  res.json(serializeWebhook(updated, { includeSecret: Boolean(rotateSecret) }));
+});
+
+router.delete('/:id', validate({
+  summary: 'Delete a webhook and its delivery log',
+  responses: { 204: null, ...ownerErrors }
+}), (req, res) => {
+  const webhook = getOwnedWebhook(req, res);
+  if (!webhook) return;
+
+  db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhook.id);
+  recordAudit(req.user, webhook.projectId, 'delete', 'webhook', webhook.id, { before: serializeWebhook(webhook) });
+  res.status(204).send();
+});
+
+router.post('/:id/test', validate({
+  summary: 'Send a signed "ping" delivery right away (no retries) and return how it went',
+  responses: { 200: ref('WebhookDelivery'), ...ownerErrors }
+}), async (req, res) => {
+  const webhook = getOwnedWebhook(req, res);
+  if (!webhook) return;
+
+  const deliveryId = createPingDelivery(webhook, req.user);
+  try {
+    await attemptDelivery(deliveryId, { final: true });
+  } catch {
+    // The failed attempt is logged on the delivery
+  }
+
+  const [delivery] = listDeliveries(webhook.id, 1);
+  res.json(delivery);
+});
+
+router.get('/:id/deliveries', validate({
+  summary: 'Get the delivery log of a webhook, newest first',
+  query: object({ limit: Limit(MAX_DELIVERIES, 20) }),
+  responses: { 200: arrayOf(ref('WebhookDelivery')), ...ownerErrors }
+}), (req, res) => {
+  const webhook = getOwnedWebhook(req, res);
+  if (!webhook) return;
+
+  res.json(listDeliveries(webhook.id, Number(req.query.limit) || 20));
+});
+
+router.post('/deliveries/:deliveryId/redeliver', validate({
+  summary: 'Queue a failed delivery again (same payload and delivery ID)',
+  responses: {
+    202: JobAccepted,
+    ...ownerErrors,
+    404: 'Delivery not found',
+    409: 'Only failed deliveries can be sent again'
+  }
+}), (req, res) => {
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  const webhook = getOwnedWebhook(req, res, delivery.webhookId);
+  if (!webhook) return;
+
+  if (delivery.status !== 'failed') {
+    return res.status(409).json({ error: 'Only failed deliveries can be sent again' });
+  }
+
+  db.prepare(`UPDATE webhook_deliveries SET status = 'pending', error = NULL WHERE id = ?`).run(delivery.id);
+  const job = enqueueJob('deliver-webhook', { deliveryId: delivery.id }, { projectId: webhook.projectId });
+  res.status(202).json({ job });
+});
+
+export default router;
@@ -0,0 +1,620 @@
+import db from '../db.js';
+import { recordInitialStatus, transitionDecisionStatus } from './decisionStatus.js';
+
+export const ADR_FORMATS = ['madr', 'nygard'];
+
+const RELATION_LABELS = {
+  supersedes: { outgoing: 'Supersedes', incoming: 'Superseded by' },
+  relates: { outgoing: 'Relates to', incoming: 'Related from' },
+  blocks: { outgoing: 'Blocks', incoming: 'Blocked by' },
+  implements: { outgoing: 'Implements', incoming: 'Implemented by' }
+};
+
+/**
+ * Turn text into a filename-safe slug
+ * @param {string} text - Text to slugify
+ * @returns {string}
+ */
+export function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'decision';
+}
+
+function padNumber(number) {
+  return String(number).padStart(4, '0');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatDate(dateString) {
+  return (dateString || '').split(/[ T]/)[0];
+}
+
+/**
+ * Load everything needed to render a project's ADRs, numbered by creation order
+ * @param {number} projectId - Project ID
+ * @returns {Array} - Decisions with number, filename, links, tags and relations
+ */
+export function loadProjectRecords(projectId) {
+  const decisions = db.prepare(`
+    SELECT * FROM decisions WHERE projectId = ? AND deletedAt IS NULL ORDER BY createdAt ASC, id ASC
+  `).all(projectId);
+
+  const records = decisions.map((decision, index) => ({
+    ...decision,
+    number: index + 1,
+    filename: `${padNumber(index + 1)}-${slugify(decision.title)}.md`,
+    links: db.prepare('SELECT type, reference FROM links WHERE decisionId = ?').all(decision.id),
+    tags: db.prepare(`
+      SELECT t.name FROM tags t
+      JOIN decision_tags dt ON t.id = dt.tagId
+      WHERE dt.decisionId = ?
+      ORDER BY t.name ASC
+    `).all(decision.id).map(t => t.name),
+    relations: []
+  }));
+
+  const byId = new Map(records.map(r => [r.id, r]));
+
+  const relations = db.prepare(`
+    SELECT r.fromDecisionId, r.toDecisionId, r.relationType
+    FROM decision_relations r
+    JOIN decisions d ON r.fromDecisionId = d.id
+    WHERE d.projectId = ?
+  `).all(projectId);
+
+  for (const relation of relations) {
+    const from = byId.get(relation.fromDecisionId);
+    const to = byId.get(relation.toDecisionId);
+    if (!from || !to) continue;
+
+    const labels = RELATION_LABELS[relation.relationType];
+    from.relations.push({ label: labels.outgoing, type: relation.relationType, direction: 'outgoing', target: to });
+    to.relations.push({ label: labels.incoming, type: relation.relationType, direction: 'incoming', target: from });
+  }
+
+  return records;
+}
+
+function recordLink(record) {
+  return `[ADR-${padNumber(record.number)}: ${record.title}](${record.filename})`;
+}
+
+function renderLinks(record) {
+  const lines = [];
+
+  for (const relation of record.relations) {
+    if (relation.type === 'supersedes') continue; // Shown in the status section
+    lines.push(`- ${relation.label} ${recordLink(relation.target)}`);
+  }
+
+  for (const link of record.links) {
+    const reference = link.reference.startsWith('http') ? `<${link.reference}>` : `\`${link.reference}\``;
+    lines.push(`- ${capitalize(link.type)}: ${reference}`);
+  }
+
+  return lines;
+}
+
+function renderSupersedeLines(record) {
+  return record.relations
+    .filter(r => r.type === 'supersedes')
+    .map(r => `${r.label} ${recordLink(r.target)}`);
+}
+
+/**
+ * Render a decision as a Nygard-style ADR
+ * @param {object} record - Record from loadProjectRecords
+ * @returns {string} - Markdown
+ */
+export function renderNygard(record) {
+  const lines = [
+    `# ${record.number}. ${record.title}`,
+    '',
+    `Date: ${formatDate(record.createdAt)}`,
+    '',
+    '## Status',
+    '',
+    capitalize(record.status || 'accepted')
+  ];
+
+  const supersedeLines = renderSupersedeLines(record);
+  if (supersedeLines.length > 0) {
+    lines.push('', ...supersedeLines);
+  }
+
+  lines.push('', '## Context', '', record.reason || '_No context recorded._');
+  lines.push('', '## Decision', '', record.description || record.title);
+  lines.push('', '## Consequences', '', record.consequences || '_No consequences recorded._');
+
+  if (record.tags.length > 0) {
+    lines.push('', '## Tags', '', record.tags.join(', '));
+  }
+
+  const links = renderLinks(record);
+  if (links.length > 0) {
+    lines.push('', '## Links', '', ...links);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a decision as a MADR (Markdown Architectural Decision Record)
+ * @param {object} record - Record from loadProjectRecords
+ * @returns {string} - Markdown
+ */
+export function renderMadr(record) {
+  const lines = [
+    '---',
+    `status: ${record.status || 'accepted'}`,
+    `date: ${formatDate(record.createdAt)}`
+  ];
+
+  if (record.tags.length > 0) {
+    lines.push(`tags: [${record.tags.join(', ')}]`);
+  }
+
+  lines.push('---', '', `# ${record.title}`);
+
+  const supersedeLines = renderSupersedeLines(record);
+  if (supersedeLines.length > 0) {
+    lines.push('', ...supersedeLines);
+  }
+
+  lines.push('', '## Context and Problem Statement', '', record.reason || '_No context recorded._');
+  lines.push('', '## Decision Outcome', '', record.description || `Chosen option: "${record.title}".`);
+
+  if (record.consequences) {
+    lines.push('', '### Consequences', '', record.consequences);
+  }
+
+  const links = renderLinks(record);
+  if (links.length > 0) {
+    lines.push('', '## More Information', '', ...links);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the index file listing all ADRs
+ * @param {object} project - Project row
+ * @param {Array} records - Records from loadProjectRecords
+ * @returns {string} - Markdown
+ */
+export function renderIndex(project, records) {
+  const lines = [
+    `# Architecture Decision Records: ${project.name}`,
+    ''
+  ];
+
+  if (project.description) {
+    lines.push(project.description, '');
+  }
+
+  for (const record of records) {
+    lines.push(`- ${recordLink(record)} (${record.status || 'accepted'})`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Import: parse existing ADR markdown (Nygard, MADR, Y-statements)
+// ---------------------------------------------------------------------------
+
+const STATUS_ALIASES = {
+  proposed: 'proposed',
+  draft: 'proposed',
+  open: 'proposed',
+  accepted: 'accepted',
+  approved: 'accepted',
+  done: 'accepted',
+  deprecated: 'deprecated',
+  rejected: 'deprecated',
+  superseded: 'superseded'
+};
+
+const LINK_TYPES = ['commit', 'pr', 'task', 'file', 'note'];
+
+// Matches "ADR-0005", "ADR 5", "adr-005" or a markdown link to "0005-something.md"
+const ADR_REFERENCE = /(?:adr[\s-]*0*(\d+))|(?:\(\.?\/?0*(\d+)-[^)]*\.md\))/gi;
+
+const Y_STATEMENT = /in the context of\s+(.+?),\s*facing\s+(.+?),\s*we decided (?:for|on|to)\s+(.+?)(?:,?\s*and neglected\s+(.+?))?,\s*to achieve\s+(.+?),\s*accepting(?: that)?\s+(.+?)(?:\.|$)/is;
+
+function parseFrontMatter(markdown) {
+  const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: markdown };
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (pair) meta[pair[1].toLowerCase()] = pair[2].trim().replace(/^["']|["']$/g, '');
+  }
+  return { meta, body: markdown.slice(match[0].length) };
+}
+
+function splitSections(body) {
+  const sections = {};
+  let current = '_preamble';
+  sections[current] = [];
+
+  for (const line of body.split(/\r?\n/)) {
+    const heading = line.match(/^(#{2,3})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      current = heading[2].toLowerCase();
+      sections[current] = [];
+    } else {
+      sections[current].push(line);
+    }
+  }
+
+  const result = {};
+  for (const [name, lines] of Object.entries(sections)) {
+    result[name] = lines.join('\n').trim();
+  }
+  return result;
+}
+
+function findSection(sections, ...names) {
+  for (const name of names) {
+    const key = Object.keys(sections).find(k => k === name || k.startsWith(`${name} `) || k.startsWith(`${name}:`));
+    if (key && sections[key]) return sections[key];
+  }
+  return null;
+}
+
+// Read "* Status: accepted" / "Date: 2020-01-01" style metadata lines
+function findMetaLine(text, name) {
+  const match = (text || '').match(new RegExp(`^[\\s*-]*${name}\\s*:\\s*(.+)$`, 'im'));
+  return match ? match[1].trim() : null;
+}
+
+function parseStatus(text) {
+  const word = (text || '').trim().toLowerCase().match(/[a-z]+/);
+  return word ? STATUS_ALIASES[word[0]] || null : null;
+}
+
+function parseReferences(text) {
+  const numbers = new Set();
+  for (const match of (text || '').matchAll(ADR_REFERENCE)) {
+    numbers.add(Number(match[1] || match[2]));
+  }
+  return [...numbers];
+}
+
+function parseDate(text) {
+  const match = (text || '').match(/(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?/);
+  if (!match) return null;
+  const time = match[2] ? (match[2].length === 5 ? `${match[2]}:00` : match[2]) : '00:00:00';
+  return `${match[1]} ${time}`;
+}
+
+function cleanText(text) {
+  if (!text) return null;
+  const cleaned = text
+    .replace(/^_No (?:context|consequences) recorded\._$/im, '')
+    .trim();
+  return cleaned || null;
+}
+
+function parseTitle(line, filename) {
+  let title = line.replace(/^#\s+/, '').trim();
+  let number = null;
+
+  const prefixed = title.match(/^(?:adr[\s-]*)?0*(\d+)\s*[.:\-–]\s*(.+)$/i);
+  if (prefixed) {
+    number = Number(prefixed[1]);
+    title = prefixed[2].trim();
+  }
+
+  if (number === null) {
+    const fromFile = (filename || '').match(/(?:^|\/)(?:adr-)?0*(\d+)[-_]/i);
+    if (fromFile) number = Number(fromFile[1]);
+  }
+
+  return { title, number };
+}
+
+// Parse "- Commit: `abc`" / "- Relates to [ADR-0003: ...](...)" lines from a links section
+function parseLinkLines(text) {
+  const links = [];
+  const relations = [];
+
+  for (const line of (text || '').split(/\r?\n/)) {
+    const item = line.match(/^\s*[-*]\s+(.+)$/);
+    if (!item) continue;
+    const content = item[1];
+
+    const relation = Object.entries(RELATION_LABELS).find(([, labels]) =>
+      content.toLowerCase().startsWith(labels.outgoing.toLowerCase())
+    );
+    if (relation) {
+      for (const number of parseReferences(content)) {
+        relations.push({ type: relation[0], number });
+      }
+      continue;
+    }
+
+    const typed = content.match(/^(\w+)\s*:\s*(.+)$/);
+    if (typed && LINK_TYPES.includes(typed[1].toLowerCase())) {
+      links.push({
+        type: typed[1].toLowerCase(),
+        reference: typed[2].trim().replace(/^[<`]|[>`]$/g, '')
+      });
+      continue;
+    }
+
+    const url = content.match(/https?:\/\/[^\s)>]+/);
+    if (url) {
+      links.push({ type: 'note', reference: url[0] });
+    }
+  }
+
+  return { links, relations };
+}
+
+/**
+ * Parse an ADR markdown file into decision fields
+ * @param {string} markdown - File contents
+ * @param {string} filename - Original filename (used for numbering)
+ * @returns {object|null} - Parsed record or null if no title was found
+ */
+export function parseAdr(markdown, filename) {
+  const { meta, body } = parseFrontMatter(markdown.replace(/^\uFEFF/, ''));
+  const titleLine = body.split(/\r?\n/).find(line => /^#\s+/.test(line));
+  if (!titleLine) return null;
+
+  const { title, number } = parseTitle(titleLine, filename);
+  const sections = splitSections(body.slice(body.indexOf(titleLine) + titleLine.length));
+  const preamble = sections._preamble;
+
+  const statusText = findSection(sections, 'status') || meta.status || findMetaLine(preamble, 'status') || '';
+  const dateText = meta.date || findMetaLine(preamble, 'date') || findMetaLine(statusText, 'date');
+
+  const record = {
+    filename,
+    number,
+    title,
+    status: parseStatus(statusText),
+    createdAt: parseDate(dateText),
+    description: null,
+    reason: null,
+    consequences: null,
+    tags: [],
+    links: [],
+    relations: [],
+    supersedes: [],
+    supersededBy: []
+  };
+
+  // Supersede lines may live in the status section or right under the title (MADR export)
+  const supersedeText = `${statusText}\n${meta.status || ''}\n${preamble}`;
+  for (const line of supersedeText.split(/\r?\n/)) {
+    if (/superseded\s+by/i.test(line)) {
+      record.supersededBy.push(...parseReferences(line));
+    } else if (/supersedes/i.test(line)) {
+      record.supersedes.push(...parseReferences(line));
+    }
+  }
+
+  // Nygard / MADR sections
+  record.reason = cleanText(
+    findSection(sections, 'context and problem statement', 'context', 'decision drivers')
+  );
+  record.description = cleanText(findSection(sections, 'decision outcome', 'decision'));
+  record.consequences = cleanText(
+    findSection(sections, 'consequences', 'positive consequences', 'negative consequences')
+  );
+
+  const options = findSection(sections, 'considered options');
+  if (options && record.description) {
+    record.description += `\n\nConsidered options:\n${options}`;
+  }
+
+  // Y-statement: "In the context of X, facing Y, we decided for Z ..., to achieve Q, accepting D."
+  const yStatement = body.match(Y_STATEMENT);
+  if (yStatement && !record.reason && !record.consequences) {
+    const [, context, concern, option, neglected, quality, downside] = yStatement;
+    record.reason = `In the context of ${context.trim()}, facing ${concern.trim()}. Goal: ${quality.trim()}.`;
+    record.description = `We decided for ${option.trim()}${neglected ? ` and neglected ${neglected.trim()}` : ''}.`;
+    record.consequences = `Accepting ${downside.trim()}.`;
+  }
+
+  // Fall back to the free text under the title
+  if (!record.description && !record.reason) {
+    const text = preamble.replace(/^[\s*-]*(status|date|deciders|technical story)\s*:.*$/gim, '').trim();
+    record.description = cleanText(text);
+  }
+
+  const tagsText = meta.tags || findSection(sections, 'tags');
+  if (tagsText) {
+    record.tags = tagsText
+      .replace(/[[\]]/g, '')
+      .split(/[,\n]/)
+      .map(t => t.replace(/^[\s*-]+/, '').trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  const { links, relations } = parseLinkLines(findSection(sections, 'links', 'more information'));
+  record.links = links;
+  record.relations = relations;
+
+  return record;
+}
+
+/**
+ * Check parsed ADRs against each other and the target project
+ * @param {number} projectId - Target project ID
+ * @param {Array} records - Parsed records (from parseAdr)
+ * @returns {Array} - Conflicts: { type, filename, message }
+ */
+export function findImportConflicts(projectId, records) {
+  const conflicts = [];
+
+  const existingTitles = new Set(
+    db.prepare('SELECT title FROM decisions WHERE projectId = ? AND deletedAt IS NULL').all(projectId)
+      .map(d => d.title.toLowerCase())
+  );
+
+  const numbers = new Map();
+  for (const record of records) {
+    if (record.number === null) continue;
+    if (numbers.has(record.number)) {
+      conflicts.push({
+        type: 'duplicate_number',
+        filename: record.filename,
+        message: `ADR number ${record.number} is also used by ${numbers.get(record.number).filename}`
+      });
+    } else {
+      numbers.set(record.number, record);
+    }
+  }
+
+  for (const record of records) {
+    if (existingTitles.has(record.title.toLowerCase())) {
+      conflicts.push({
+        type: 'duplicate_title',
+        filename: record.filename,
+        message: `A decision titled "${record.title}" already exists in this project`
+      });
+    }
+
+    if (!record.createdAt) {
+      conflicts.push({
+        type: 'missing_date',
+        filename: record.filename,
+        message: 'No date found, the import time will be used'
+      });
+    }
+
+    const references = [
+      ...record.supersedes,
+      ...record.supersededBy,
+      ...record.relations.map(r => r.number)
+    ];
+    for (const number of references) {
+      if (!numbers.has(number)) {
+        conflicts.push({
+          type: 'unresolved_reference',
+          filename: record.filename,
+          message: `References ADR ${number}, which is not part of this import`
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Create decisions, links, tags and relations from parsed ADRs
+ * @param {number} projectId - Target project ID
+ * @param {Array} records - Parsed records (from parseAdr)
+ * @param {object} options - { skipFilenames: Set of filenames to leave out, createdBy: importing user ID }
+ * @returns {{decisions: number, relations: number, skipped: number, superseded: Array}} - superseded holds
+ *   the decisions that already existed and were moved to superseded, as they were before the import
+ */
+export function importAdrRecords(projectId, records, { skipFilenames = new Set(), createdBy = null } = {}) {
+  const insertDecision = db.prepare(`
+    INSERT INTO decisions (projectId, title, description, reason, consequences, status, createdAt, createdBy)
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')), ?)
+  `);
+  const insertLink = db.prepare('INSERT INTO links (decisionId, type, reference) VALUES (?, ?, ?)');
+  const findTag = db.prepare('SELECT id FROM tags WHERE projectId = ? AND name = ?');
+  const insertTag = db.prepare('INSERT INTO tags (projectId, name) VALUES (?, ?)');
+  const linkTag = db.prepare('INSERT OR IGNORE INTO decision_tags (decisionId, tagId) VALUES (?, ?)');
+  const findExisting = db.prepare('SELECT id FROM decisions WHERE projectId = ? AND LOWER(title) = LOWER(?) AND deletedAt IS NULL');
+  const insertRelation = db.prepare(`
+    INSERT OR IGNORE INTO decision_relations (fromDecisionId, toDecisionId, relationType)
+    VALUES (?, ?, ?)
+  `);
+
+  const transaction = db.transaction(() => {
+    const idsByNumber = new Map();
+    let skipped = 0;
+
+    for (const record of records) {
+      if (skipFilenames.has(record.filename)) {
+        // Relations to a skipped ADR point at the decision that already exists
+        const existing = findExisting.get(projectId, record.title);
+        if (existing && record.number !== null && !idsByNumber.has(record.number)) {
+          idsByNumber.set(record.number, existing.id);
+        }
+        skipped++;
+        continue;
+      }
+
+      const status = record.status || 'accepted';
+      const result = insertDecision.run(
+        projectId,
+        record.title,
+        record.description,
+        record.reason,
+        record.consequences,
+        status,
+        record.createdAt,
+        createdBy
+      );
+      const decisionId = result.lastInsertRowid;
+      recordInitialStatus(decisionId, status);
+
+      for (const link of record.links) {
+        insertLink.run(decisionId, link.type, link.reference);
+      }
+
+      for (const name of record.tags) {
+        const tag = findTag.get(projectId, name);
+        const tagId = tag ? tag.id : insertTag.run(projectId, name).lastInsertRowid;
+        linkTag.run(decisionId, tagId);
+      }
+
+      if (record.number !== null && !idsByNumber.has(record.number)) {
+        idsByNumber.set(record.number, decisionId);
+      }
+      record.decisionId = decisionId;
+    }
+
+    let relations = 0;
+    const createdIds = new Set(records.map(r => r.decisionId).filter(Boolean));
+    const superseded = [];
+    function relate(fromId, toId, type) {
+      if (!fromId || !toId || fromId === toId) return;
+      relations += insertRelation.run(fromId, toId, type).changes;
+      if (type === 'supersedes') {
+        const target = db.prepare('SELECT * FROM decisions WHERE id = ?').get(toId);
+        if (target.status !== 'superseded' && transitionDecisionStatus(target, 'superseded') && !createdIds.has(target.id)) {
+          superseded.push(target);
+        }
+      }
+    }
+
+    for (const record of records) {
+      if (!record.decisionId) continue;
+      // Supersede/relation lines are read from imported files only
+      for (const number of record.supersedes) {
+        relate(record.decisionId, idsByNumber.get(number), 'supersedes');
+      }
+      // "Superseded by ADR-X" means X supersedes this one
+      for (const number of record.supersededBy) {
+        relate(idsByNumber.get(number), record.decisionId, 'supersedes');
+      }
+      for (const relation of record.relations) {
+        relate(record.decisionId, idsByNumber.get(relation.number), relation.type);
+      }
+    }
+
+    const imported = records.filter(r => r.decisionId).length;
+    return { decisions: imported, relations, skipped, superseded };
+  });
+
+  return transaction();
+}
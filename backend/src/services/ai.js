@@ -1,53 +1,28 @@
-import OpenAI from 'openai';
-import fs from 'fs';
+import AdmZip from 'adm-zip';
+import { complete, transcribe } from './llm/index.js';
 
-// Lazy initialization - only create client when needed
-let openai = null;
-
-function getClient() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openai;
+// Parse a JSON answer; local models often wrap it in a markdown code fence
+function parseJsonResponse(content) {
+  const unfenced = (content || '').replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(unfenced);
 }
 
 /**
- * Transcribe audio file using OpenAI Whisper
+ * Transcribe audio file with the configured transcription model
  * @param {string} audioPath - Path to audio file
  * @returns {Promise<string>} - Transcription text
  */
 export async function transcribeAudio(audioPath) {
-  const client = getClient();
-  if (!client) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
-
-  const audioFile = fs.createReadStream(audioPath);
-  
-  const transcription = await client.audio.transcriptions.create({
-    file: audioFile,
-    model: 'whisper-1',
-    response_format: 'text'
-  });
-
-  return transcription;
+  return transcribe(audioPath);
 }
 
 /**
- * Extract tasks from transcript using GPT
+ * Extract tasks from transcript with the chat model
  * @param {string} transcript - Transcription text
  * @returns {Promise<Array<{title: string, priority: string}>>} - Array of tasks
  */
 export async function extractTasksFromTranscript(transcript) {
-  const client = getClient();
-  if (!client) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
-
-  const response = await client.chat.completions.create({
-    model: 'gpt-4.1-mini',
+  const response = await complete({
     messages: [
       {
         role: 'system',
@@ -72,13 +47,13 @@ Format: [{"title": "Task description", "priority": "low|medium|high"}]`
       }
     ],
     temperature: 0.3,
-    max_tokens: 1000
+    maxTokens: 1000
   });
 
-  const content = response.choices[0]?.message?.content?.trim();
+  const content = response?.trim();
   
   try {
-    const tasks = JSON.parse(content);
+    const tasks = parseJsonResponse(content);
     if (!Array.isArray(tasks)) {
       return [];
     }
@@ -90,24 +65,19 @@ Format: [{"title": "Task description", "priority": "low|medium|high"}]`
         priority: ['low', 'medium', 'high'].includes(t.priority) ? t.priority : 'medium'
       }));
   } catch (e) {
-    console.error('Failed to parse GPT response:', content);
+    console.error('Failed to parse task extraction response:', content);
     return [];
   }
 }
 
 /**
- * Analyze image with GPT-4 Vision (OCR + understanding)
+ * Analyze image with the vision model (OCR + understanding)
  * @param {string} base64Image - Base64 encoded image
  * @param {string} mimeType - Image MIME type
  * @param {string} analysisType - Type of analysis: 'conversation', 'document', 'screenshot', 'whiteboard'
  * @returns {Promise<{extractedText: string, summary: string, tasks: string[]}>}
  */
 export async function analyzeImage(base64Image, mimeType, analysisType = 'conversation') {
-  const client = getClient();
-  if (!client) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
-
   const prompts = {
     conversation: `Analyze this image of a conversation or task list.
 
@@ -157,10 +127,8 @@ Extract:
 3. tasks: With done/pending status based on visual strikethrough`
   };
 
-  const visionModel = process.env.OPENAI_VISION_MODEL || 'gpt-4o';
-  
-  const response = await client.chat.completions.create({
-    model: visionModel,
+  const response = await complete({
+    capability: 'vision',
     messages: [
       {
         role: 'system',
@@ -214,15 +182,15 @@ Always respond in the same language as the content in the image.`
         ]
       }
     ],
-    max_tokens: 4000,
+    maxTokens: 4000,
     temperature: 0.2
   });
 
-  const content = response.choices[0]?.message?.content?.trim();
+  const content = response?.trim();
 
   try {
     // Try to parse as JSON
-    const result = JSON.parse(content);
+    const result = parseJsonResponse(content);
     return {
       extractedText: result.extractedText || '',
       summary: result.summary || '',
@@ -246,11 +214,6 @@ Always respond in the same language as the content in the image.`
  * @returns {Promise<{extractedText: string, summary: string, tasks: Array}>}
  */
 export async function analyzeText(textContent, analysisType = 'conversation') {
-  const client = getClient();
-  if (!client) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
-
   const prompts = {
     conversation: `Analyze this text from a conversation or meeting transcript.
 Extract any actionable tasks, decisions, or important items mentioned.`,
@@ -265,8 +228,7 @@ Extract and organize the information, identifying any tasks or actionable items.
 Extract ideas, tasks, and action items.`
   };
 
-  const response = await client.chat.completions.create({
-    model: 'gpt-4.1-mini',
+  const response = await complete({
     messages: [
       {
         role: 'system',
@@ -299,14 +261,14 @@ Always respond in the same language as the content.`
         content: `${prompts[analysisType] || prompts.conversation}\n\nText to analyze:\n\n${textContent}`
       }
     ],
-    max_tokens: 4000,
+    maxTokens: 4000,
     temperature: 0.2
   });
 
-  const content = response.choices[0]?.message?.content?.trim();
+  const content = response?.trim();
 
   try {
-    const result = JSON.parse(content);
+    const result = parseJsonResponse(content);
     return {
       extractedText: result.extractedText || textContent.slice(0, 2000),
       summary: result.summary || '',
@@ -323,8 +285,20 @@ Always respond in the same language as the content.`
 }
 
 /**
- * Check if OpenAI is configured
+ * Extract text from a DOCX file (simple extraction without external dependencies)
+ * @param {string} filePath - Path to .docx file
+ * @returns {Promise<string>} - Document text
  */
-export function isOpenAIConfigured() {
-  return !!process.env.OPENAI_API_KEY;
+export async function extractDocxText(filePath) {
+  const zip = new AdmZip(filePath);
+  const documentXml = zip.readAsText('word/document.xml');
+  
+  // Simple XML text extraction - get text between <w:t> tags
+  const textMatches = documentXml.match(/<w:t[^>]*>([^<]*)<\/w:t>/g) || [];
+  const text = textMatches
+    .map(match => match.replace(/<[^>]+>/g, ''))
+    .join('');
+  
+  // Add paragraph breaks
+  return text.replace(/([.!?])\s*/g, '$1\n');
 }
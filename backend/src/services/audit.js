@@ -0,0 +1,97 @@
+import db from '../db.js';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+// Binary columns (embeddings) are noise in a history and can be regenerated
+function snapshot(row) {
+  if (!row) return null;
+  const copy = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (Buffer.isBuffer(value)) continue;
+    copy[key] = value;
+  }
+  return JSON.stringify(copy);
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {object|null} actor - User who made the change (req.user), null for background jobs
+ * @param {number} projectId - Project the entity belongs to
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {string} entityType - e.g. decision, task, board_column, checklist_template, tag, relation, link, recording, analysis, project, member
+ * @param {number} entityId - ID of the changed row
+ * @param {object} options - { before, after: row state around the change, context: operation it was part of }
+ */
+export function recordAudit(actor, projectId, action, entityType, entityId, { before = null, after = null, context = null } = {}) {
+  db.prepare(`
+    INSERT INTO audit_log (projectId, userId, actorName, action, entityType, entityId, context, before, after)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    projectId ? Number(projectId) : null,
+    actor?.id ?? null,
+    actor ? actor.username : 'system',
+    action,
+    entityType,
+    entityId != null ? Number(entityId) : null,
+    context,
+    snapshot(before),
+    snapshot(after)
+  );
+}
+
+function parseEntry(row) {
+  return {
+    ...row,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null
+  };
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {object} filters - { projectId, userId: only projects the user is a member of, entityType, entityId,
+ *   action, from/to: YYYY-MM-DD bounds, beforeId: return entries older than this ID (paging), limit }
+ * @returns {Array}
+ */
+export function queryAuditLog({ projectId, userId, entityType, entityId, action, from, to, beforeId, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (projectId) {
+    conditions.push('projectId = ?');
+    params.push(projectId);
+  }
+  if (userId) {
+    conditions.push('projectId IN (SELECT projectId FROM project_members WHERE userId = ?)');
+    params.push(userId);
+  }
+  if (entityType) {
+    conditions.push('entityType = ?');
+    params.push(entityType);
+  }
+  if (entityId) {
+    conditions.push('entityId = ?');
+    params.push(entityId);
+  }
+  if (action) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  if (from) {
+    conditions.push('date(createdAt) >= date(?)');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date(createdAt) <= date(?)');
+    params.push(to);
+  }
+  if (beforeId) {
+    conditions.push('id < ?');
+    params.push(beforeId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`)
+    .all(...params, limit)
+    .map(parseEntry);
+}
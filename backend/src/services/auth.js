@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import db from '../db.js';
+
+// Roles from least to most privileged; each role can do everything the ones before it can
+export const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+export const SESSION_COOKIE = 'braindev_session';
+const SESSION_DAYS = 30;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt (scrypt)
+ * @param {string} password - Plain text password
+ * @returns {string} - "scrypt$<salt>$<hash>", hex encoded
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Value from hashPassword
+ * @returns {boolean}
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a hash of the token is stored, so a leaked database can't be used to log in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Start a login session
+ * @param {number} userId - User ID
+ * @returns {{ token: string, expiresAt: string }}
+ */
+export function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  db.prepare(`
+    INSERT INTO sessions (userId, tokenHash, expiresAt) VALUES (?, ?, ?)
+  `).run(userId, hashToken(token), expiresAt);
+
+  return { token, expiresAt };
+}
+
+/**
+ * End a login session
+ * @param {string} token - Session token
+ */
+export function deleteSession(token) {
+  db.prepare('DELETE FROM sessions WHERE tokenHash = ?').run(hashToken(token));
+}
+
+/**
+ * Look up the user of a session token
+ * @param {string} token - Session token
+ * @returns {object|null} - User without the password hash, null if the session is unknown or expired
+ */
+export function getSessionUser(token) {
+  if (!token) return null;
+
+  const session = db.prepare('SELECT * FROM sessions WHERE tokenHash = ?').get(hashToken(token));
+  if (!session) return null;
+
+  if (new Date(session.expiresAt) < new Date()) {
+    db.prepare('DELETE FROM sessions WHERE id = ?').run(session.id);
+    return null;
+  }
+
+  return db.prepare('SELECT id, username, name, createdAt FROM users WHERE id = ?').get(session.userId) || null;
+}
+
+/**
+ * Read the session token from the Authorization header (API clients) or the session cookie (browser)
+ * @param {Request} req - Express request
+ * @returns {string|null}
+ */
+export function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Express middleware: reject requests without a valid session and set req.user
+ */
+export function requireAuth(req, res, next) {
+  const user = getSessionUser(getRequestToken(req));
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Get a user's role in a project
+ * @param {number} projectId - Project ID
+ * @param {number} userId - User ID
+ * @param {object} options - { includeDeleted: also look at projects in the trash }
+ * @returns {string|null} - One of PROJECT_ROLES, null if the user is not a member
+ *   (or the project is in the trash)
+ */
+export function getProjectRole(projectId, userId, { includeDeleted = false } = {}) {
+  const member = db.prepare(`
+    SELECT pm.role FROM project_members pm
+    JOIN projects p ON p.id = pm.projectId
+    WHERE pm.projectId = ? AND pm.userId = ? AND (? OR p.deletedAt IS NULL)
+  `).get(projectId, userId, includeDeleted ? 1 : 0);
+  return member?.role || null;
+}
+
+/**
+ * Check whether a role includes the permissions of another
+ * @param {string} role - Role the user has
+ * @param {string} minRole - Role that is required
+ * @returns {boolean}
+ */
+export function hasRole(role, minRole) {
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+}
+
+/**
+ * Check that the request's user has at least minRole in a project, answering the request if not.
+ * Non-members get a 404 so project IDs can't be probed.
+ * @param {Request} req - Express request (after requireAuth)
+ * @param {Response} res - Express response
+ * @param {number} projectId - Project ID
+ * @param {string} minRole - One of PROJECT_ROLES
+ * @returns {boolean} - true if the handler may continue
+ */
+export function checkProjectAccess(req, res, projectId, minRole = 'viewer') {
+  const role = projectId ? getProjectRole(projectId, req.user.id) : null;
+
+  if (!role) {
+    res.status(404).json({ error: 'Project not found' });
+    return false;
+  }
+
+  if (!hasRole(role, minRole)) {
+    res.status(403).json({ error: `This action requires the ${minRole} role` });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Express middleware for routes whose project ID is in the URL or body
+ * @param {string} minRole - One of PROJECT_ROLES
+ * @param {Function} getProjectId - Reads the project ID from the request (defaults to :projectId)
+ */
+export function requireProjectRole(minRole, getProjectId = req => req.params.projectId) {
+  return (req, res, next) => {
+    if (checkProjectAccess(req, res, getProjectId(req), minRole)) {
+      next();
+    }
+  };
+}
+
+/**
+ * Add a user to a project or change their role
+ * @param {number} projectId - Project ID
+ * @param {number} userId - User ID
+ * @param {string} role - One of PROJECT_ROLES
+ */
+export function setProjectMember(projectId, userId, role) {
+  db.prepare(`
+    INSERT INTO project_members (projectId, userId, role) VALUES (?, ?, ?)
+    ON CONFLICT (projectId, userId) DO UPDATE SET role = excluded.role
+  `).run(projectId, userId, role);
+}
+
+/**
+ * List the members of a project
+ * @param {number} projectId - Project ID
+ * @returns {Array} - { id, username, name, role, createdAt }
+ */
+export function getProjectMembers(projectId) {
+  return db.prepare(`
+    SELECT u.id, u.username, u.name, pm.role, pm.createdAt
+    FROM project_members pm
+    JOIN users u ON u.id = pm.userId
+    WHERE pm.projectId = ?
+    ORDER BY CASE pm.role WHEN 'owner' THEN 1 WHEN 'editor' THEN 2 ELSE 3 END, u.username
+  `).all(projectId);
+}
+
+/**
+ * Give the first user ownership of every project that has no members yet
+ * (projects created before accounts existed)
+ * @param {number} userId - User ID
+ * @returns {number} - Number of projects claimed
+ */
+export function claimUnownedProjects(userId) {
+  const result = db.prepare(`
+    INSERT INTO project_members (projectId, userId, role)
+    SELECT p.id, ?, 'owner' FROM projects p
+    WHERE NOT EXISTS (SELECT 1 FROM project_members pm WHERE pm.projectId = p.id)
+  `).run(userId);
+  return result.changes;
+}
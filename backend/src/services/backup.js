@@ -0,0 +1,387 @@
+import path from 'path';
+import fs from 'fs';
+import AdmZip from 'adm-zip';
+import db, { uploadsDir } from '../db.js';
+import { setProjectMember } from './auth.js';
+
+// Bump when the bundle layout or the meaning of exported columns changes
+export const BUNDLE_SCHEMA_VERSION = 1;
+
+const imagesDir = path.join(uploadsDir, 'images');
+
+/**
+ * Column names of a table, used to only restore columns this instance knows about
+ * @param {string} table - Table name
+ * @returns {Set<string>}
+ */
+function tableColumns(table) {
+  return new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+}
+
+/**
+ * Insert a bundled row into a table, dropping its old id and unknown columns
+ * @param {string} table - Table name
+ * @param {object} row - Row from the bundle
+ * @param {object} overrides - Remapped values (projectId, foreign keys, filenames)
+ * @returns {number} - New row id
+ */
+function insertRow(table, row, overrides = {}) {
+  const columns = tableColumns(table);
+  const values = { ...row, ...overrides };
+  const keys = Object.keys(values).filter(key => key !== 'id' && columns.has(key));
+
+  const result = db.prepare(`
+    INSERT INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})
+  `).run(...keys.map(key => values[key]));
+
+  return result.lastInsertRowid;
+}
+
+// Embeddings are BLOBs, store them as base64 so they survive JSON
+function encodeDecision(decision) {
+  return {
+    ...decision,
+    embedding: decision.embedding ? Buffer.from(decision.embedding).toString('base64') : null
+  };
+}
+
+function decodeDecision(decision) {
+  return {
+    ...decision,
+    embedding: decision.embedding ? Buffer.from(decision.embedding, 'base64') : null
+  };
+}
+
+// New unique filename in the same style as the upload handlers
+function uniqueFilename(prefix, originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${prefix}${uniqueSuffix}${path.extname(originalName)}`;
+}
+
+// Bundled file names become paths under uploads (and are deleted from there by trash purges),
+// so only plain file names are accepted
+function bundledFilename(filename) {
+  if (typeof filename !== 'string' || !filename || filename === '.' || filename === '..' || path.basename(filename) !== filename) {
+    throw new Error(`Invalid file name ${JSON.stringify(filename)} in bundle`);
+  }
+  return filename;
+}
+
+/**
+ * Load every row belonging to a project (items in the trash are left out)
+ * @param {number} projectId - Project ID
+ * @returns {object|null} - Rows grouped by table, null if the project does not exist
+ */
+export function loadProjectData(projectId) {
+  const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+  if (!project) return null;
+
+  const byDecision = (table) => db.prepare(`
+    SELECT t.* FROM ${table} t
+    JOIN decisions d ON d.id = t.decisionId
+    WHERE d.projectId = ? AND d.deletedAt IS NULL
+  `).all(projectId);
+
+  // User IDs differ between instances, authors are matched by username on restore
+  const authors = db.prepare(`
+    SELECT id, username FROM users WHERE id IN (
+      SELECT createdBy FROM decisions WHERE projectId = ?
+      UNION SELECT createdBy FROM tasks WHERE projectId = ?
+      UNION SELECT createdBy FROM recordings WHERE projectId = ?
+    )
+  `).all(projectId, projectId, projectId);
+
+  return {
+    project,
+    authors,
+    decisions: db.prepare('SELECT * FROM decisions WHERE projectId = ? AND deletedAt IS NULL ORDER BY id').all(projectId).map(encodeDecision),
+    decisionRevisions: byDecision('decision_revisions'),
+    decisionStatusHistory: byDecision('decision_status_history'),
+    links: byDecision('links'),
+    tags: db.prepare('SELECT * FROM tags WHERE projectId = ? ORDER BY id').all(projectId),
+    decisionTags: byDecision('decision_tags'),
+    relations: db.prepare(`
+      SELECT r.* FROM decision_relations r
+      JOIN decisions d1 ON d1.id = r.fromDecisionId
+      JOIN decisions d2 ON d2.id = r.toDecisionId
+      WHERE d1.projectId = ? AND d1.deletedAt IS NULL AND d2.deletedAt IS NULL
+    `).all(projectId),
+    recordings: db.prepare('SELECT * FROM recordings WHERE projectId = ? AND deletedAt IS NULL ORDER BY id').all(projectId),
+    boardColumns: db.prepare('SELECT * FROM board_columns WHERE projectId = ? ORDER BY position, id').all(projectId),
+    checklistTemplates: db.prepare('SELECT * FROM checklist_templates WHERE projectId = ? ORDER BY id').all(projectId),
+    tasks: db.prepare('SELECT * FROM tasks WHERE projectId = ? AND deletedAt IS NULL ORDER BY id').all(projectId),
+    taskDependencies: db.prepare(`
+      SELECT d.* FROM task_dependencies d
+      JOIN tasks t1 ON t1.id = d.taskId
+      JOIN tasks t2 ON t2.id = d.dependsOnTaskId
+      WHERE t1.projectId = ? AND t1.deletedAt IS NULL AND t2.deletedAt IS NULL
+    `).all(projectId),
+    imageAnalyses: db.prepare('SELECT * FROM image_analyses WHERE projectId = ? ORDER BY id').all(projectId)
+  };
+}
+
+/**
+ * Build a backup bundle (zip) of a project with its uploaded files
+ * Layout: manifest.json, data.json, files/recordings/*, files/images/*
+ * @param {number} projectId - Project ID
+ * @returns {{ zip: AdmZip, manifest: object }|null}
+ */
+export function buildProjectBundle(projectId) {
+  const data = loadProjectData(projectId);
+  if (!data) return null;
+
+  const zip = new AdmZip();
+  const missingFiles = [];
+
+  for (const recording of data.recordings) {
+    const filePath = path.join(uploadsDir, recording.filename);
+    if (fs.existsSync(filePath)) {
+      zip.addLocalFile(filePath, 'files/recordings');
+    } else {
+      missingFiles.push(`recordings/${recording.filename}`);
+    }
+  }
+
+  // Archived projects share image rows with their fresh copy, add each file once
+  for (const filename of new Set(data.imageAnalyses.map(a => a.filename))) {
+    const filePath = path.join(imagesDir, filename);
+    if (fs.existsSync(filePath)) {
+      zip.addLocalFile(filePath, 'files/images');
+    } else {
+      missingFiles.push(`images/${filename}`);
+    }
+  }
+
+  const manifest = {
+    schemaVersion: BUNDLE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: { name: data.project.name, description: data.project.description },
+    counts: {
+      decisions: data.decisions.length,
+      links: data.links.length,
+      tags: data.tags.length,
+      relations: data.relations.length,
+      tasks: data.tasks.length,
+      recordings: data.recordings.length,
+      imageAnalyses: data.imageAnalyses.length
+    },
+    missingFiles
+  };
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf-8'));
+  zip.addFile('data.json', Buffer.from(JSON.stringify(data), 'utf-8'));
+
+  return { zip, manifest };
+}
+
+/**
+ * Read and validate the manifest and data of a bundle
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {{ zip: AdmZip, manifest: object, data: object }}
+ * @throws {Error} - If the archive is not a valid bundle
+ */
+export function readProjectBundle(buffer) {
+  const zip = new AdmZip(buffer);
+  const manifestEntry = zip.getEntry('manifest.json');
+  const dataEntry = zip.getEntry('data.json');
+
+  if (!manifestEntry || !dataEntry) {
+    throw new Error('Not a project bundle (manifest.json or data.json missing)');
+  }
+
+  const manifest = JSON.parse(manifestEntry.getData().toString('utf-8'));
+  if (!Number.isInteger(manifest.schemaVersion)) {
+    throw new Error('Bundle manifest has no schema version');
+  }
+  if (manifest.schemaVersion > BUNDLE_SCHEMA_VERSION) {
+    throw new Error(`Bundle schema version ${manifest.schemaVersion} is newer than supported version ${BUNDLE_SCHEMA_VERSION}`);
+  }
+
+  const data = JSON.parse(dataEntry.getData().toString('utf-8'));
+  if (!data.project || !Array.isArray(data.decisions)) {
+    throw new Error('Bundle data is incomplete');
+  }
+
+  return { zip, manifest, data };
+}
+
+/**
+ * Restore a bundle as a new project, remapping all IDs and copying uploaded files
+ * @param {Buffer} buffer - Zip file contents
+ * @param {object} options - { name: override for the restored project name, userId: becomes the project owner }
+ * @returns {{ project: object, manifest: object, restored: object }}
+ * @throws {Error} - If the archive is not a valid bundle
+ */
+export function restoreProjectBundle(buffer, { name, userId } = {}) {
+  const { zip, manifest, data } = readProjectBundle(buffer);
+  const writtenFiles = [];
+
+  // Copy a bundled file into uploads under a fresh name. Without the file in the bundle the row
+  // still gets a fresh name, one that points at nothing, never the name from the bundle.
+  function restoreFile(entryName, targetDir, prefix) {
+    const entry = zip.getEntry(entryName);
+    if (!entry) return { filename: uniqueFilename(prefix, entryName), restored: false };
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+    const filename = uniqueFilename(prefix, entryName);
+    const filePath = path.join(targetDir, filename);
+    fs.writeFileSync(filePath, entry.getData());
+    writtenFiles.push(filePath);
+    return { filename, restored: true };
+  }
+
+  const decisionIds = new Map();
+  const tagIds = new Map();
+  const recordingIds = new Map();
+  const taskIds = new Map();
+  const columnIds = new Map();
+  const imageFilenames = new Map();
+  const authorIds = new Map();
+  for (const author of data.authors || []) {
+    const user = db.prepare('SELECT id FROM users WHERE username = ?').get(author.username);
+    if (user) authorIds.set(author.id, user.id);
+  }
+  const createdBy = (row) => authorIds.get(row.createdBy) ?? null;
+  const restored = { decisions: 0, links: 0, tags: 0, relations: 0, tasks: 0, recordings: 0, imageAnalyses: 0, files: 0 };
+
+  const transaction = db.transaction(() => {
+    // Only the project's own fields: the git repository is set again by an owner (and validated then)
+    const projectId = insertRow('projects', {
+      name: name?.trim() || data.project.name,
+      description: data.project.description ?? null,
+      ...(data.project.createdAt && { createdAt: data.project.createdAt })
+    });
+    if (userId) {
+      setProjectMember(projectId, userId, 'owner');
+    }
+
+    for (const decision of data.decisions) {
+      decisionIds.set(decision.id, insertRow('decisions', decodeDecision(decision), {
+        projectId,
+        createdBy: createdBy(decision)
+      }));
+      restored.decisions++;
+    }
+
+    for (const revision of data.decisionRevisions || []) {
+      if (!decisionIds.has(revision.decisionId)) continue;
+      insertRow('decision_revisions', revision, { decisionId: decisionIds.get(revision.decisionId) });
+    }
+
+    for (const change of data.decisionStatusHistory || []) {
+      if (!decisionIds.has(change.decisionId)) continue;
+      insertRow('decision_status_history', change, { decisionId: decisionIds.get(change.decisionId) });
+    }
+
+    for (const link of data.links || []) {
+      if (!decisionIds.has(link.decisionId)) continue;
+      insertRow('links', link, { decisionId: decisionIds.get(link.decisionId) });
+      restored.links++;
+    }
+
+    for (const tag of data.tags || []) {
+      tagIds.set(tag.id, insertRow('tags', tag, { projectId }));
+      restored.tags++;
+    }
+
+    for (const decisionTag of data.decisionTags || []) {
+      if (!decisionIds.has(decisionTag.decisionId) || !tagIds.has(decisionTag.tagId)) continue;
+      insertRow('decision_tags', decisionTag, {
+        decisionId: decisionIds.get(decisionTag.decisionId),
+        tagId: tagIds.get(decisionTag.tagId)
+      });
+    }
+
+    for (const relation of data.relations || []) {
+      if (!decisionIds.has(relation.fromDecisionId) || !decisionIds.has(relation.toDecisionId)) continue;
+      insertRow('decision_relations', relation, {
+        fromDecisionId: decisionIds.get(relation.fromDecisionId),
+        toDecisionId: decisionIds.get(relation.toDecisionId)
+      });
+      restored.relations++;
+    }
+
+    for (const recording of data.recordings || []) {
+      const file = restoreFile(`files/recordings/${bundledFilename(recording.filename)}`, uploadsDir, 'recording-');
+      if (file.restored) restored.files++;
+      recordingIds.set(recording.id, insertRow('recordings', recording, {
+        projectId,
+        filename: file.filename,
+        createdBy: createdBy(recording)
+      }));
+      restored.recordings++;
+    }
+
+    for (const column of data.boardColumns || []) {
+      columnIds.set(column.id, insertRow('board_columns', column, { projectId }));
+    }
+
+    for (const task of data.tasks || []) {
+      taskIds.set(task.id, insertRow('tasks', task, {
+        projectId,
+        recordingId: recordingIds.get(task.recordingId) ?? null,
+        decisionId: decisionIds.get(task.decisionId) ?? null,
+        parentId: null,
+        recurrenceOfId: null,
+        columnId: columnIds.get(task.columnId) ?? null,
+        createdBy: createdBy(task)
+      }));
+      restored.tasks++;
+    }
+
+    // Parents can come after their subtasks, link them once every task has its new ID
+    const setParent = db.prepare('UPDATE tasks SET parentId = ? WHERE id = ?');
+    const setRecurrenceOf = db.prepare('UPDATE tasks SET recurrenceOfId = ? WHERE id = ?');
+    for (const task of data.tasks || []) {
+      if (taskIds.has(task.parentId)) {
+        setParent.run(taskIds.get(task.parentId), taskIds.get(task.id));
+      }
+      if (taskIds.has(task.recurrenceOfId)) {
+        setRecurrenceOf.run(taskIds.get(task.recurrenceOfId), taskIds.get(task.id));
+      }
+    }
+
+    for (const template of data.checklistTemplates || []) {
+      insertRow('checklist_templates', template, { projectId, createdBy: createdBy(template) });
+    }
+
+    for (const dependency of data.taskDependencies || []) {
+      if (!taskIds.has(dependency.taskId) || !taskIds.has(dependency.dependsOnTaskId)) continue;
+      insertRow('task_dependencies', dependency, {
+        taskId: taskIds.get(dependency.taskId),
+        dependsOnTaskId: taskIds.get(dependency.dependsOnTaskId),
+        createdBy: createdBy(dependency)
+      });
+    }
+
+    for (const analysis of data.imageAnalyses || []) {
+      if (!imageFilenames.has(analysis.filename)) {
+        const file = restoreFile(`files/images/${bundledFilename(analysis.filename)}`, imagesDir, '');
+        if (file.restored) restored.files++;
+        imageFilenames.set(analysis.filename, file.filename);
+      }
+      insertRow('image_analyses', analysis, {
+        projectId,
+        filename: imageFilenames.get(analysis.filename)
+      });
+      restored.imageAnalyses++;
+    }
+
+    return projectId;
+  });
+
+  let projectId;
+  try {
+    projectId = transaction();
+  } catch (err) {
+    // Don't leave orphaned uploads behind when the database restore fails
+    for (const filePath of writtenFiles) {
+      fs.rmSync(filePath, { force: true });
+    }
+    throw err;
+  }
+
+  const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+  return { project, manifest, restored };
+}
@@ -0,0 +1,103 @@
+import db from '../db.js';
+import { TASK_STATE_COLUMNS, withTaskState } from './taskGraph.js';
+
+// Columns every board starts with, one per task status
+export const DEFAULT_COLUMNS = [
+  { name: 'To Do', status: 'pending' },
+  { name: 'In Progress', status: 'in_progress' },
+  { name: 'Done', status: 'done' }
+];
+
+/**
+ * A project's board columns in display order; the default columns are created the first time
+ * @param {number} projectId - Project ID
+ * @returns {Array} - Column rows
+ */
+export function getBoardColumns(projectId) {
+  const select = db.prepare('SELECT * FROM board_columns WHERE projectId = ? ORDER BY position, id');
+  const columns = select.all(projectId);
+  if (columns.length > 0) return columns;
+
+  const insert = db.prepare('INSERT INTO board_columns (projectId, name, status, position) VALUES (?, ?, ?, ?)');
+  db.transaction(() => {
+    DEFAULT_COLUMNS.forEach(({ name, status }, index) => insert.run(projectId, name, status, index));
+  })();
+  return select.all(projectId);
+}
+
+/**
+ * Column a task shows in: the one it was put in while that column still matches its status
+ * (the status can change outside the board), otherwise the first column of its status
+ * @param {Array} columns - Board columns in display order
+ * @param {object} task - Task row
+ * @returns {object|undefined}
+ */
+export function placeTask(columns, task) {
+  return columns.find(column => column.id === task.columnId && column.status === task.status)
+    || columns.find(column => column.status === task.status);
+}
+
+/**
+ * Why a column refuses more tasks
+ * @param {object} column - Board column with a WIP limit
+ * @returns {string}
+ */
+export function wipLimitError(column) {
+  return `"${column.name}" is limited to ${column.wipLimit} task${column.wipLimit === 1 ? '' : 's'}, finish or move one first`;
+}
+
+/**
+ * Check a status change made outside the board against the WIP limits of the columns the tasks
+ * land in (see placeTask). Tasks leaving a column make room for ones arriving in the same change.
+ * @param {number} projectId - Project ID
+ * @param {Map<number, string|null>} statuses - Task ID -> new status, null for tasks going to the trash
+ * @returns {string|null} - Why the change is refused, null when every column has room
+ */
+export function checkWipLimits(projectId, statuses) {
+  const limited = db.prepare('SELECT 1 FROM board_columns WHERE projectId = ? AND wipLimit IS NOT NULL LIMIT 1').get(projectId);
+  if (!limited || statuses.size === 0) return null;
+
+  const { columns } = getBoard(projectId);
+  const counts = new Map(columns.map(column => [column.id, column.tasks.length]));
+  const arriving = new Set();
+
+  for (const column of columns) {
+    for (const task of column.tasks) {
+      const status = statuses.get(task.id);
+      if (status === undefined || status === task.status) continue;
+      counts.set(column.id, counts.get(column.id) - 1);
+      const target = status && placeTask(columns, { ...task, status });
+      if (target) {
+        counts.set(target.id, counts.get(target.id) + 1);
+        arriving.add(target);
+      }
+    }
+  }
+
+  const full = [...arriving].find(column => column.wipLimit && counts.get(column.id) > column.wipLimit);
+  return full ? wipLimitError(full) : null;
+}
+
+/**
+ * A project's board: its columns with their tasks in manual order. Tasks that were never
+ * ordered come after the others, by priority then newest first.
+ * @param {number} projectId - Project ID
+ * @returns {object} - { columns: [{ ...column, tasks }] }, tasks with their derived state
+ */
+export function getBoard(projectId) {
+  const columns = getBoardColumns(projectId).map(column => ({ ...column, tasks: [] }));
+
+  const tasks = db.prepare(`
+    SELECT tasks.*, ${TASK_STATE_COLUMNS} FROM tasks
+    WHERE projectId = ? AND deletedAt IS NULL
+    ORDER BY position IS NULL, position,
+      CASE priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END, createdAt DESC, id DESC
+  `).all(projectId);
+
+  for (const row of tasks) {
+    const task = withTaskState(row);
+    placeTask(columns, task)?.tasks.push(task);
+  }
+
+  return { columns };
+}
@@ -0,0 +1,68 @@
+import db from '../db.js';
+
+export const DECISION_STATUSES = ['proposed', 'accepted', 'deprecated', 'superseded'];
+
+// Allowed lifecycle transitions (from -> to)
+export const STATUS_TRANSITIONS = {
+  proposed: ['accepted', 'deprecated', 'superseded'],
+  accepted: ['deprecated', 'superseded'],
+  deprecated: ['accepted', 'superseded'],
+  superseded: ['accepted']
+};
+
+/**
+ * Check if a decision can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Record the initial status of a newly created decision
+ * @param {number} decisionId - Decision ID
+ * @param {string} status - Initial status
+ */
+export function recordInitialStatus(decisionId, status) {
+  db.prepare(`
+    INSERT INTO decision_status_history (decisionId, fromStatus, toStatus) VALUES (?, NULL, ?)
+  `).run(decisionId, status);
+}
+
+/**
+ * Move a decision to a new status and record the transition
+ * @param {object} decision - Decision row (needs id and status)
+ * @param {string} toStatus - Target status
+ * @returns {boolean} - false if the transition is not allowed
+ */
+export function transitionDecisionStatus(decision, toStatus) {
+  if (!canTransition(decision.status, toStatus)) {
+    return false;
+  }
+
+  const transaction = db.transaction(() => {
+    db.prepare('UPDATE decisions SET status = ? WHERE id = ?').run(toStatus, decision.id);
+    db.prepare(`
+      INSERT INTO decision_status_history (decisionId, fromStatus, toStatus) VALUES (?, ?, ?)
+    `).run(decision.id, decision.status, toStatus);
+  });
+
+  transaction();
+  return true;
+}
+
+/**
+ * Get status transitions of a decision (oldest first)
+ * @param {number} decisionId - Decision ID
+ * @returns {Array}
+ */
+export function getStatusHistory(decisionId) {
+  return db.prepare(`
+    SELECT fromStatus, toStatus, changedAt
+    FROM decision_status_history
+    WHERE decisionId = ?
+    ORDER BY changedAt ASC, id ASC
+  `).all(decisionId);
+}
@@ -1,34 +1,13 @@
-import OpenAI from 'openai';
 import db from '../db.js';
-
-let openai = null;
-
-function getClient() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openai;
-}
+import { complete, embed, isAIAvailable } from './llm/index.js';
 
 /**
- * Generate embedding for text using OpenAI
+ * Generate embedding for text with the configured embeddings model
  * @param {string} text - Text to embed
  * @returns {Promise<number[]>} - Embedding vector
  */
 export async function generateEmbedding(text) {
-  const client = getClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
-  }
-
-  const response = await client.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: text,
-  });
-
-  return response.data[0].embedding;
+  return embed(text);
 }
 
 /**
@@ -78,8 +57,9 @@ export function getEmbedding(decisionId) {
 /**
  * Generate and store embedding for a decision
  * @param {object} decision - Decision object with title, description, reason, consequences
+ * @param {object} options - { throwOnError: rethrow instead of logging (for retrying jobs) }
  */
-export async function embedDecision(decision) {
+export async function embedDecision(decision, { throwOnError = false } = {}) {
   const text = [
     decision.title,
     decision.description,
@@ -94,6 +74,7 @@ export async function embedDecision(decision) {
     storeEmbedding(decision.id, embedding);
     return embedding;
   } catch (err) {
+    if (throwOnError) throw err;
     console.error(`Failed to embed decision ${decision.id}:`, err.message);
     return null;
   }
@@ -104,23 +85,40 @@ export async function embedDecision(decision) {
  * @param {number} projectId - Project ID
  * @param {string} query - Search query
  * @param {number} limit - Max results
+ * @param {object} options - { minScore: similarity threshold, tags: tag names a decision must all have, from/to: YYYY-MM-DD creation date bounds }
  * @returns {Promise<Array>} - Matching decisions with scores
  */
-export async function searchDecisions(projectId, query, limit = 5) {
-  const client = getClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
-  }
-  
+export async function searchDecisions(projectId, query, limit = 5, { minScore = 0.3, tags = [], from, to } = {}) {
   // Generate query embedding
   const queryEmbedding = await generateEmbedding(query);
   
   // Get all decisions with embeddings for this project
+  const conditions = ['projectId = ?', 'embedding IS NOT NULL', 'deletedAt IS NULL'];
+  const params = [projectId];
+  if (tags.length > 0) {
+    conditions.push(`id IN (
+      SELECT dt.decisionId FROM decision_tags dt
+      JOIN tags t ON t.id = dt.tagId
+      WHERE t.name IN (${tags.map(() => '?').join(', ')})
+      GROUP BY dt.decisionId
+      HAVING COUNT(DISTINCT t.name) = ?
+    )`);
+    params.push(...tags, tags.length);
+  }
+  if (from) {
+    conditions.push('date(createdAt) >= date(?)');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date(createdAt) <= date(?)');
+    params.push(to);
+  }
+  
   const decisions = db.prepare(`
-    SELECT id, title, description, reason, consequences, embedding, createdAt
+    SELECT id, title, description, reason, consequences, status, embedding, createdAt
     FROM decisions 
-    WHERE projectId = ? AND embedding IS NOT NULL
-  `).all(projectId);
+    WHERE ${conditions.join(' AND ')}
+  `).all(...params);
   
   // Calculate similarity scores
   const results = decisions
@@ -133,11 +131,12 @@ export async function searchDecisions(projectId, query, limit = 5) {
         description: decision.description,
         reason: decision.reason,
         consequences: decision.consequences,
+        status: decision.status,
         createdAt: decision.createdAt,
         score
       };
     })
-    .filter(d => d.score > 0.3) // Minimum similarity threshold
+    .filter(d => d.score > minScore) // Minimum similarity threshold
     .sort((a, b) => b.score - a.score)
     .slice(0, limit);
   
@@ -145,17 +144,12 @@ export async function searchDecisions(projectId, query, limit = 5) {
 }
 
 /**
- * Generate an answer from search results using GPT
+ * Generate an answer from search results with the answers model
  * @param {string} query - User's question
  * @param {Array} decisions - Relevant decisions
  * @returns {Promise<string>} - Generated answer
  */
 export async function generateAnswer(query, decisions) {
-  const client = getClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
-  }
-  
   if (decisions.length === 0) {
     return null;
   }
@@ -167,8 +161,8 @@ ${d.reason ? `Reason: ${d.reason}` : ''}
 ${d.consequences ? `Consequences: ${d.consequences}` : ''}
   `).join('\n---\n');
   
-  const response = await client.chat.completions.create({
-    model: 'gpt-4o-mini',
+  const response = await complete({
+    capability: 'answers',
     messages: [
       {
         role: 'system',
@@ -183,34 +177,37 @@ Answer in the same language as the question.`
       }
     ],
     temperature: 0.5,
-    max_tokens: 500
+    maxTokens: 500
   });
   
-  return response.choices[0]?.message?.content || null;
+  return response || null;
 }
 
 /**
- * Check if embeddings are available (OpenAI configured)
+ * Check if embeddings are available (the AI provider has an embeddings model)
  */
 export function isEmbeddingsAvailable() {
-  return !!process.env.OPENAI_API_KEY;
+  return isAIAvailable('embeddings');
 }
 
 /**
  * Embed all decisions in a project that don't have embeddings yet
  * @param {number} projectId - Project ID
+ * @param {object} options - { signal: AbortSignal to stop early, onProgress: (done, total) => void }
  */
-export async function embedProjectDecisions(projectId) {
+export async function embedProjectDecisions(projectId, { signal, onProgress } = {}) {
   const decisions = db.prepare(`
     SELECT id, title, description, reason, consequences
     FROM decisions 
-    WHERE projectId = ? AND embedding IS NULL
+    WHERE projectId = ? AND embedding IS NULL AND deletedAt IS NULL
   `).all(projectId);
   
   let embedded = 0;
-  for (const decision of decisions) {
+  for (const [index, decision] of decisions.entries()) {
+    if (signal?.aborted) break;
     const result = await embedDecision(decision);
     if (result) embedded++;
+    onProgress?.(index + 1, decisions.length);
   }
   
   return { total: decisions.length, embedded };
@@ -0,0 +1,87 @@
+import { EventEmitter } from 'events';
+import { jobEvents } from './jobQueue.js';
+import { getRequestToken, getSessionUser, getProjectRole } from './auth.js';
+
+export const EVENT_ENTITIES = ['decision', 'task', 'board', 'tag', 'relation', 'recording', 'analysis', 'job'];
+export const EVENT_ACTIONS = ['created', 'updated', 'deleted'];
+
+const HEARTBEAT_INTERVAL = 25000;
+
+const projectEvents = new EventEmitter();
+// One listener per open browser tab
+projectEvents.setMaxListeners(0);
+
+/**
+ * Publish a change to everyone watching a project
+ * @param {number} projectId - Project the entity belongs to
+ * @param {string} entity - One of EVENT_ENTITIES
+ * @param {string} action - One of EVENT_ACTIONS
+ * @param {object} data - The entity (at least its id; deletes only carry the id)
+ */
+export function publishEvent(projectId, entity, action, data) {
+  if (!projectId) return;
+  projectEvents.emit(`project:${Number(projectId)}`, {
+    entity,
+    action,
+    id: data?.id ?? null,
+    data: data ?? null,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Listen to changes of one project
+ * @param {number} projectId - Project ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToProject(projectId, listener) {
+  const channel = `project:${Number(projectId)}`;
+  projectEvents.on(channel, listener);
+  return () => projectEvents.off(channel, listener);
+}
+
+/**
+ * Express handler streaming a project's events as Server-Sent Events.
+ * Access is checked again before every write: the stream ends once the session
+ * is logged out or expires, or the user is no longer a member of the project.
+ */
+export function streamProjectEvents(req, res) {
+  const token = getRequestToken(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+
+  const unsubscribe = subscribeToProject(req.params.id, (event) => {
+    send(`data: ${JSON.stringify(event)}\n\n`);
+  });
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  function send(chunk) {
+    const user = getSessionUser(token);
+    if (!user || !getProjectRole(req.params.id, user.id)) {
+      close();
+      res.end();
+      return;
+    }
+    res.write(chunk);
+  }
+
+  req.on('close', close);
+}
+
+// Job status changes (queued, progress, finished) go out on the same stream
+jobEvents.on('update', (job) => {
+  publishEvent(job.projectId, 'job', 'updated', job);
+});
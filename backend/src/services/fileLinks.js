@@ -0,0 +1,150 @@
+import db from '../db.js';
+
+// How a file link matched the looked-up path, most specific first
+export const MATCH_KINDS = ['exact', 'pattern', 'directory'];
+
+/**
+ * Normalize a file link or looked-up path to a repository-relative path:
+ * forward slashes, no leading "./" or "/", no trailing slash or line anchor.
+ * Links to a file on a code host (".../blob/main/src/db.js") keep the path after the branch.
+ * @param {string} reference - File path, glob or URL
+ * @returns {string}
+ */
+export function normalizeFilePath(reference) {
+  let value = String(reference).trim().replace(/\\/g, '/');
+
+  const hosted = value.match(/^https?:\/\/[^/]+\/.*?\/(?:blob|tree|src)\/[^/]+\/(.+)$/);
+  if (hosted) {
+    value = hosted[1];
+  }
+
+  return value
+    .replace(/#L\d+(-L?\d+)?$/, '')
+    .replace(/^(\.\/)+/, '')
+    .replace(/^\/+/, '')
+    .replace(/\/+$/, '');
+}
+
+export function isGlob(value) {
+  return /[*?]/.test(value);
+}
+
+// "src/**/*.js" -> /^src\/(?:.*\/)?[^/]*\.js$/
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Directories above the first wildcard: "src/routes/*.js" -> "src/routes"
+function staticPrefix(glob) {
+  const segments = glob.split('/');
+  const firstWildcard = segments.findIndex(isGlob);
+  return segments.slice(0, firstWildcard).join('/');
+}
+
+function isInside(childPath, directory) {
+  return directory === '' || childPath.startsWith(`${directory}/`);
+}
+
+/**
+ * How a linked path relates to a looked-up path or glob
+ * @param {string} linkPath - Normalized file link (a path, directory or glob)
+ * @param {string} queryPath - Normalized path or glob being looked up
+ * @returns {string|null} - One of MATCH_KINDS, or null if unrelated
+ */
+export function matchFileLink(linkPath, queryPath) {
+  if (!linkPath) return null;
+  if (linkPath === queryPath) return 'exact';
+
+  if (isGlob(queryPath)) {
+    if (!isGlob(linkPath) && globToRegExp(queryPath).test(linkPath)) return 'pattern';
+    // A linked directory covers everything the glob can match below it
+    if (!isGlob(linkPath) && isInside(staticPrefix(queryPath), linkPath)) return 'directory';
+    return null;
+  }
+
+  if (isGlob(linkPath)) {
+    return globToRegExp(linkPath).test(queryPath) ? 'pattern' : null;
+  }
+  return isInside(queryPath, linkPath) ? 'directory' : null;
+}
+
+/**
+ * Find the decisions whose file links cover a path: the file itself, a glob matching it
+ * or a parent directory. Current decisions come first, newest first; superseded and
+ * deprecated ones follow and are flagged.
+ * @param {number} projectId - Project ID
+ * @param {string} filePath - Path or glob, relative to the repository root
+ * @returns {Array} - Decisions with { match, references, superseded, supersededBy }
+ */
+export function findDecisionsForPath(projectId, filePath) {
+  const queryPath = normalizeFilePath(filePath);
+
+  const links = db.prepare(`
+    SELECT l.decisionId, l.reference
+    FROM links l
+    JOIN decisions d ON d.id = l.decisionId
+    WHERE d.projectId = ? AND d.deletedAt IS NULL AND l.type = 'file'
+  `).all(projectId);
+
+  const matches = new Map();
+  for (const link of links) {
+    const kind = matchFileLink(normalizeFilePath(link.reference), queryPath);
+    if (!kind) continue;
+
+    const entry = matches.get(link.decisionId) || { match: kind, references: [] };
+    if (MATCH_KINDS.indexOf(kind) < MATCH_KINDS.indexOf(entry.match)) {
+      entry.match = kind;
+    }
+    entry.references.push(link.reference);
+    matches.set(link.decisionId, entry);
+  }
+
+  if (matches.size === 0) return [];
+
+  const ids = [...matches.keys()];
+  const placeholders = ids.map(() => '?').join(', ');
+  const decisions = db.prepare(`
+    SELECT id, title, status, description, createdAt, updatedAt
+    FROM decisions WHERE id IN (${placeholders})
+  `).all(...ids);
+
+  const supersededBy = db.prepare(`
+    SELECT r.toDecisionId, d.id, d.title
+    FROM decision_relations r
+    JOIN decisions d ON d.id = r.fromDecisionId AND d.deletedAt IS NULL
+    WHERE r.relationType = 'supersedes' AND r.toDecisionId IN (${placeholders})
+  `).all(...ids);
+
+  return decisions
+    .map(decision => {
+      const successors = supersededBy
+        .filter(r => r.toDecisionId === decision.id)
+        .map(({ id, title }) => ({ id, title }));
+      return {
+        ...decision,
+        ...matches.get(decision.id),
+        superseded: decision.status === 'superseded' || successors.length > 0,
+        supersededBy: successors
+      };
+    })
+    .sort((a, b) => {
+      const rank = (d) => (d.superseded ? 2 : d.status === 'deprecated' ? 1 : 0);
+      const recency = (d) => d.updatedAt || d.createdAt;
+      return rank(a) - rank(b) || recency(b).localeCompare(recency(a)) || b.id - a.id;
+    });
+}
@@ -0,0 +1,234 @@
+import db from '../db.js';
+
+export const SEARCH_TYPES = ['decision', 'task', 'recording', 'image'];
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Per type: FTS table, joined row alias, selected columns, bm25 column weights
+// (title-like columns rank higher) and whether rows can be in the trash
+const SOURCES = {
+  decision: {
+    fts: 'decisions_fts',
+    table: 'decisions',
+    alias: 'd',
+    columns: 'd.id, d.title, d.status, d.createdAt',
+    weights: '10.0, 4.0, 2.0, 2.0',
+    trashable: true
+  },
+  task: {
+    fts: 'tasks_fts',
+    table: 'tasks',
+    alias: 't',
+    columns: 't.id, t.title, t.status, t.priority, t.createdAt',
+    weights: '10.0, 3.0',
+    trashable: true
+  },
+  recording: {
+    fts: 'recordings_fts',
+    table: 'recordings',
+    alias: 'r',
+    columns: 'r.id, r.title, r.status, r.createdAt',
+    weights: '10.0, 1.0',
+    trashable: true
+  },
+  image: {
+    fts: 'image_analyses_fts',
+    table: 'image_analyses',
+    alias: 'i',
+    columns: 'i.id, i.filename AS title, i.analysisType, i.createdAt',
+    weights: '1.0, 2.0'
+  }
+};
+
+/**
+ * Build the ranked MATCH query for one result type
+ * @param {string} type - One of SEARCH_TYPES
+ * @param {object} filters - { tags, from, to }
+ * @returns {{ sql: string, params: Array }} - params to bind after the MATCH expression and project ID
+ */
+function buildSourceQuery(type, { tags = [], from, to } = {}) {
+  const { fts, table, alias, columns, weights, trashable } = SOURCES[type];
+  const conditions = [`${fts} MATCH ?`, `${alias}.projectId = ?`];
+  const params = [];
+
+  if (trashable) {
+    conditions.push(`${alias}.deletedAt IS NULL`);
+  }
+
+  if (type === 'decision' && tags.length > 0) {
+    conditions.push(`${alias}.id IN (
+      SELECT dt.decisionId FROM decision_tags dt
+      JOIN tags tg ON tg.id = dt.tagId
+      WHERE tg.name IN (${tags.map(() => '?').join(', ')})
+      GROUP BY dt.decisionId
+      HAVING COUNT(DISTINCT tg.name) = ?
+    )`);
+    params.push(...tags, tags.length);
+  }
+  if (from) {
+    conditions.push(`date(${alias}.createdAt) >= date(?)`);
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(`date(${alias}.createdAt) <= date(?)`);
+    params.push(to);
+  }
+
+  const sql = `
+    SELECT ${columns},
+      snippet(${fts}, -1, '<mark>', '</mark>', '…', 16) AS snippet,
+      bm25(${fts}, ${weights}) AS rank
+    FROM ${fts}
+    JOIN ${table} ${alias} ON ${alias}.id = ${fts}.rowid
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY rank
+    LIMIT ?
+  `;
+
+  return { sql, params };
+}
+
+/**
+ * Split user input into FTS5 tokens: "quoted phrases", prefix*, AND/OR/NOT, parentheses and words
+ * @param {string} input - Raw search query
+ * @returns {Array<{ kind: string, value: string }>}
+ */
+function tokenize(input) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\()|(\))|([^\s()"]+)/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) tokens.push({ kind: 'phrase', value: match[1] });
+    } else if (match[2]) {
+      tokens.push({ kind: 'open', value: '(' });
+    } else if (match[3]) {
+      tokens.push({ kind: 'close', value: ')' });
+    } else if (OPERATORS.includes(match[4])) {
+      tokens.push({ kind: 'operator', value: match[4] });
+    } else {
+      tokens.push({ kind: 'word', value: match[4] });
+    }
+  }
+
+  return tokens;
+}
+
+// Quote a term so punctuation can't be read as FTS5 syntax
+function quote(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+function renderTerm(token) {
+  if (token.kind === 'phrase') return quote(token.value);
+  const prefix = token.value.endsWith('*');
+  const word = token.value.replace(/\*+$/, '');
+  if (!word) return null;
+  return prefix ? `${quote(word)}*` : quote(word);
+}
+
+/**
+ * Turn a user query into an FTS5 MATCH expression.
+ * Supports "exact phrases", prefix* matching and AND / OR / NOT with parentheses;
+ * terms without an operator between them must all match.
+ * Falls back to plain AND of all terms when the operators don't form a valid expression.
+ * @param {string} input - Raw search query
+ * @returns {string|null} - MATCH expression, null if nothing is searchable
+ */
+export function buildFtsQuery(input) {
+  const tokens = tokenize(input || '');
+  const terms = tokens.filter(t => t.kind === 'word' || t.kind === 'phrase').map(renderTerm).filter(Boolean);
+  if (terms.length === 0) return null;
+
+  const parts = [];
+  let depth = 0;
+  let expectTerm = true;
+  let valid = true;
+
+  for (const token of tokens) {
+    if (token.kind === 'operator') {
+      if (expectTerm) { valid = false; break; }
+      parts.push(token.value);
+      expectTerm = true;
+    } else if (token.kind === 'open') {
+      if (!expectTerm) parts.push('AND');
+      parts.push('(');
+      depth++;
+      expectTerm = true;
+    } else if (token.kind === 'close') {
+      if (expectTerm || depth === 0) { valid = false; break; }
+      parts.push(')');
+      depth--;
+    } else {
+      const term = renderTerm(token);
+      if (!term) continue;
+      if (!expectTerm) parts.push('AND');
+      parts.push(term);
+      expectTerm = false;
+    }
+  }
+
+  if (!valid || expectTerm || depth !== 0) {
+    return terms.join(' AND ');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Full-text search across a project's decisions, tasks, recordings and image analyses
+ * @param {number} projectId - Project ID
+ * @param {string} query - Raw search query
+ * @param {object} options - { types: subset of SEARCH_TYPES, limit: max results overall,
+ *   tags: decision tag names (other types are left out when set), from/to: YYYY-MM-DD creation date bounds }
+ * @returns {Array} - Results ranked by bm25 (best first): { type, id, title, snippet, rank, ... }
+ */
+export function searchProjectText(projectId, query, { types = SEARCH_TYPES, limit = 20, tags = [], from, to } = {}) {
+  const match = buildFtsQuery(query);
+  if (!match) return [];
+
+  const searchTypes = tags.length > 0 ? types.filter(type => type === 'decision') : types;
+
+  const results = [];
+  for (const type of searchTypes) {
+    const { sql, params } = buildSourceQuery(type, { tags, from, to });
+    const rows = db.prepare(sql).all(match, projectId, ...params, limit);
+    results.push(...rows.map(row => ({ type, ...row })));
+  }
+
+  // bm25 is lower-is-better; scores from different tables are close enough to interleave
+  results.sort((a, b) => a.rank - b.rank);
+  const top = results.slice(0, limit);
+
+  for (const result of top) {
+    if (result.type === 'decision') {
+      result.tags = getDecisionTags(result.id);
+    }
+  }
+
+  return top;
+}
+
+/**
+ * Get tags of a decision for search results
+ * @param {number} decisionId - Decision ID
+ * @returns {Array}
+ */
+export function getDecisionTags(decisionId) {
+  return db.prepare(`
+    SELECT t.id, t.name, t.color
+    FROM tags t
+    JOIN decision_tags dt ON t.id = dt.tagId
+    WHERE dt.decisionId = ?
+  `).all(decisionId);
+}
+
+/**
+ * Get the highlighted terms of a search snippet
+ * @param {string} snippet - Snippet with <mark> highlights
+ * @returns {Array<string>} - Distinct matched terms (lowercased)
+ */
+export function getMatchedTerms(snippet) {
+  const terms = [...(snippet || '').matchAll(/<mark>(.*?)<\/mark>/g)].map(m => m[1].toLowerCase());
+  return [...new Set(terms)];
+}
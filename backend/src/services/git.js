@@ -0,0 +1,262 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 10000;
+const GIT_MAX_BUFFER = 10 * 1024 * 1024;
+
+// Abbreviated or full hex object name; anything else is never passed to git
+export const COMMIT_SHA_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+// Commit pages on GitHub, GitLab, Gitea, Bitbucket: ".../commit/<sha>" or ".../commits/<sha>"
+const COMMIT_URL_PATTERN = /^https?:\/\/\S+\/commits?\/([0-9a-f]{4,40})(?:[/?#]\S*)?$/i;
+
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+// "#123", "123" or a link to the pull request
+const PR_REFERENCE_PATTERN = /^(#?\d+|https?:\/\/\S+)$/;
+
+// Unit and record separators keep multi-line commit bodies intact in --format output
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+const COMMIT_FORMAT = ['%H', '%an', '%ae', '%aI', '%s', '%b'].join('%x1f') + '%x1e';
+
+// Commits never change, so resolved ones are kept (per repository) until the cache is full
+const COMMIT_CACHE_SIZE = 500;
+const commitCache = new Map();
+
+// Wording in commit messages that usually means a decision was made
+const DECISION_PATTERNS = [
+  { label: 'decided', pattern: /\b(decid(e|ed|es|ing)|decision)\b/i },
+  { label: 'chose', pattern: /\b(we (will|chose|choose|opted|agreed)|opt(ed)? (for|to)|chose|choose)\b/i },
+  { label: 'switched', pattern: /\b(switch(ed|es|ing)?|migrat(e|ed|es|ing)) (to|from|away)\b/i },
+  { label: 'replaced', pattern: /\breplac(e|ed|es|ing)\b.+\bwith\b/i },
+  { label: 'adopted', pattern: /\b(adopt(ed|s|ing)?|mov(e|ed|es|ing) to)\b/i },
+  { label: 'deprecated', pattern: /\b(deprecat(e|ed|es|ing)|drop(ped|s)? support|remov(e|ed|es|ing) support)\b/i },
+  { label: 'trade-off', pattern: /\b(instead of|in favou?r of|rather than|trade-?off)\b/i },
+  { label: 'ADR', pattern: /\b(ADR|architecture decision)\b/i }
+];
+
+/**
+ * Error from a git lookup that should be shown to the user
+ */
+export class GitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GitError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve a repository path and check it lies inside GIT_REPOS_ROOT. Symlinks are resolved
+ * on both sides, so a link inside the root can't point the server at another directory.
+ * @param {string} repoPath - Absolute path
+ * @returns {object} - { root, realPath } with symlinks resolved
+ * @throws {GitError} - 403 if no root is configured or the path is outside it, 400 if it doesn't exist
+ */
+function resolveInsideReposRoot(repoPath) {
+  if (!process.env.GIT_REPOS_ROOT) {
+    throw new GitError('Git repositories are disabled on this server (GIT_REPOS_ROOT is not set)', 403);
+  }
+  let root;
+  try {
+    root = fs.realpathSync(process.env.GIT_REPOS_ROOT);
+  } catch {
+    throw new GitError('GIT_REPOS_ROOT does not exist on the server', 403);
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(repoPath);
+  } catch {
+    throw new GitError(`Repository path does not exist: ${path.resolve(repoPath)}`);
+  }
+  if (realPath !== root && !realPath.startsWith(root + path.sep)) {
+    throw new GitError(`Repository path must be inside ${root}`, 403);
+  }
+  return { root, realPath };
+}
+
+async function git(repoPath, args) {
+  const { root, realPath } = resolveInsideReposRoot(repoPath);
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', realPath, ...args], {
+      // Stop git from picking up a repository above the root
+      env: { ...process.env, GIT_CEILING_DIRECTORIES: root },
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: GIT_MAX_BUFFER
+    });
+    return stdout;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new GitError('git is not installed on the server', 503);
+    }
+    const message = (err.stderr || err.message).trim().split('\n')[0];
+    throw new GitError(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+function parseCommit(record) {
+  const [sha, author, authorEmail, date, subject, body] = record.split(FIELD_SEPARATOR);
+  return {
+    sha,
+    shortSha: sha.slice(0, 7),
+    author,
+    authorEmail,
+    date,
+    subject,
+    body: body.trim()
+  };
+}
+
+// --name-status lines: "M\tpath", or "R100\told\tnew" for renames and copies
+function parseChangedFiles(output) {
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [status, ...paths] = line.split('\t');
+      return {
+        status: status.charAt(0),
+        path: paths[paths.length - 1],
+        ...(paths.length > 1 && { previousPath: paths[0] })
+      };
+    });
+}
+
+/**
+ * Check that a path is a git working tree (or bare repository) inside GIT_REPOS_ROOT
+ * @param {string} repoPath - Absolute path
+ * @returns {Promise<string>} - Real path, symlinks resolved
+ * @throws {GitError} - If the path is not absolute, is outside the root, doesn't exist or is not a repository
+ */
+export async function validateRepoPath(repoPath) {
+  if (!path.isAbsolute(repoPath)) {
+    throw new GitError('Repository path must be absolute');
+  }
+  const normalized = resolveInsideReposRoot(repoPath).realPath;
+  if (!fs.statSync(normalized).isDirectory()) {
+    throw new GitError(`Repository path does not exist: ${normalized}`);
+  }
+
+  try {
+    await git(normalized, ['rev-parse', '--git-dir']);
+  } catch (err) {
+    if (err.status === 503) throw err;
+    throw new GitError(`Not a git repository: ${normalized}`);
+  }
+  return normalized;
+}
+
+/**
+ * Resolve a (possibly abbreviated) commit SHA to its author, date, message and changed files
+ * @param {string} repoPath - Repository path
+ * @param {string} ref - Commit SHA, at least 4 hex characters
+ * @returns {Promise<object>} - { sha, shortSha, author, authorEmail, date, subject, body, files }
+ * @throws {GitError} - 400 if ref is not a SHA, 404 if the repository has no such commit
+ */
+export async function getCommit(repoPath, ref) {
+  const sha = String(ref).trim();
+  if (!COMMIT_SHA_PATTERN.test(sha)) {
+    throw new GitError('Commit reference must be a SHA (4-40 hex characters)');
+  }
+
+  const cacheKey = `${repoPath}:${sha.toLowerCase()}`;
+  if (commitCache.has(cacheKey)) {
+    return commitCache.get(cacheKey);
+  }
+
+  let fullSha;
+  try {
+    fullSha = (await git(repoPath, ['rev-parse', '--verify', '--quiet', `${sha}^{commit}`])).trim();
+  } catch (err) {
+    // Only a failed lookup means the commit is missing; a refused path or missing git is passed on
+    if (err.status === 403 || err.status === 503) throw err;
+    throw new GitError(`Commit ${sha} not found in repository`, 404);
+  }
+
+  const output = await git(repoPath, ['show', '--no-color', '--name-status', `--format=${COMMIT_FORMAT}`, fullSha]);
+  const separatorIndex = output.indexOf(RECORD_SEPARATOR);
+  const commit = {
+    ...parseCommit(output.slice(0, separatorIndex)),
+    files: parseChangedFiles(output.slice(separatorIndex + 1))
+  };
+
+  if (commitCache.size >= COMMIT_CACHE_SIZE) {
+    commitCache.delete(commitCache.keys().next().value);
+  }
+  commitCache.set(cacheKey, commit);
+  return commit;
+}
+
+/**
+ * Validate a decision link before it is stored. Commit links are a SHA or a URL; when the
+ * project has a git repository the commit must exist in it and is stored with its full SHA.
+ * @param {string|null} repoPath - Project repository path
+ * @param {object} link - { type, reference }
+ * @returns {Promise<object>} - { type, reference } to store
+ * @throws {GitError} - If the reference is not valid for its type
+ */
+export async function validateLink(repoPath, { type, reference }) {
+  const ref = String(reference).trim();
+
+  if (type === 'commit') {
+    const sha = COMMIT_SHA_PATTERN.test(ref) ? ref : ref.match(COMMIT_URL_PATTERN)?.[1];
+    if (repoPath) {
+      if (!sha) {
+        throw new GitError('Commit links must be a SHA (4-40 hex characters) or a commit URL');
+      }
+      const commit = await getCommit(repoPath, sha);
+      return { type, reference: commit.sha };
+    }
+    if (!sha && !URL_PATTERN.test(ref)) {
+      throw new GitError('Commit links must be a SHA (4-40 hex characters) or a URL');
+    }
+  }
+
+  if (type === 'pr' && !PR_REFERENCE_PATTERN.test(ref)) {
+    throw new GitError('PR links must be a number (#123) or a URL');
+  }
+
+  return { type, reference: ref };
+}
+
+// "feat(api): Switch to Postgres" -> "Switch to Postgres"
+function titleFromSubject(subject) {
+  const title = subject.replace(/^\w+(\([^)]*\))?!?:\s*/, '').trim();
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Scan commit history for messages that read like architecture decisions
+ * @param {string} repoPath - Repository path
+ * @param {object} options - { limit, since (YYYY-MM-DD), maxCommits, exclude (SHAs or prefixes to skip) }
+ * @returns {Promise<Array>} - Commits with { suggestedTitle, matches, score }, best matches first
+ */
+export async function suggestDecisionsFromHistory(repoPath, { limit = 20, since, maxCommits = 500, exclude = [] } = {}) {
+  const args = ['log', '--no-merges', '--no-color', `--max-count=${maxCommits}`, `--format=${COMMIT_FORMAT}`];
+  if (since) {
+    args.push(`--since=${since}`);
+  }
+  const output = await git(repoPath, args);
+  const excluded = exclude.map(ref => ref.toLowerCase());
+
+  return output
+    .split(RECORD_SEPARATOR)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map(parseCommit)
+    .filter(commit => !excluded.some(ref => commit.sha.startsWith(ref)))
+    .map(commit => {
+      const message = `${commit.subject}\n${commit.body}`;
+      const matches = DECISION_PATTERNS.filter(({ pattern }) => pattern.test(message)).map(({ label }) => label);
+      return { ...commit, suggestedTitle: titleFromSubject(commit.subject), matches, score: matches.length };
+    })
+    .filter(commit => commit.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.date) - new Date(a.date))
+    .slice(0, limit);
+}
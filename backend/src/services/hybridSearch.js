@@ -0,0 +1,96 @@
+import { searchDecisions, isEmbeddingsAvailable } from './embeddings.js';
+import { searchProjectText, getDecisionTags, getMatchedTerms } from './fullTextSearch.js';
+
+export const SEARCH_MODES = ['hybrid', 'semantic', 'keyword'];
+
+// Reciprocal-rank fusion constant; higher values flatten the advantage of top ranks
+const RRF_K = 60;
+
+// How many candidates each ranking contributes before fusion
+const CANDIDATES = 50;
+
+// Semantic hits below this similarity only count when keyword search found them too
+const SEMANTIC_MIN_SCORE = 0.2;
+
+/**
+ * Explain a result's match in one line
+ * @param {object} match - { keyword: { rank, terms }, semantic: { rank, similarity } }
+ * @returns {string}
+ */
+function describeMatch(match) {
+  const reasons = [];
+  if (match.keyword) {
+    reasons.push(match.keyword.terms.length > 0
+      ? `keyword match on ${match.keyword.terms.map(t => `"${t}"`).join(', ')}`
+      : 'keyword match');
+  }
+  if (match.semantic) {
+    reasons.push(`${Math.round(match.semantic.similarity * 100)}% semantic similarity`);
+  }
+  const text = reasons.join(' and ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Search a project with keyword ranking, semantic ranking or both fused with reciprocal-rank fusion.
+ * Only decisions have embeddings, so tasks, recordings and images always come from the keyword side.
+ * @param {number} projectId - Project ID
+ * @param {string} query - Search query
+ * @param {object} options - { mode: one of SEARCH_MODES, limit, tags: tag names, from/to: YYYY-MM-DD }
+ * @returns {Promise<{ mode: string, results: Array }>} - Each result has `match` (per-ranking rank and
+ *   evidence) and `reason` (human-readable explanation); `mode` is the mode actually used
+ */
+export async function hybridSearch(projectId, query, { mode = 'hybrid', limit = 10, tags = [], from, to } = {}) {
+  // Without embeddings hybrid search degrades to keyword-only
+  const effectiveMode = mode === 'hybrid' && !isEmbeddingsAvailable() ? 'keyword' : mode;
+  const filters = { tags, from, to };
+
+  const keywordResults = effectiveMode === 'semantic'
+    ? []
+    : searchProjectText(projectId, query, { ...filters, limit: CANDIDATES });
+
+  const semanticResults = effectiveMode === 'keyword'
+    ? []
+    : await searchDecisions(projectId, query, CANDIDATES, {
+      ...filters,
+      minScore: effectiveMode === 'semantic' ? 0.3 : 0
+    });
+
+  const fused = new Map();
+  function entry(type, id, data) {
+    const key = `${type}:${id}`;
+    if (!fused.has(key)) {
+      fused.set(key, { type, ...data, score: 0, match: {} });
+    }
+    return fused.get(key);
+  }
+
+  keywordResults.forEach((result, index) => {
+    const { rank, ...data } = result;
+    const item = entry(result.type, result.id, data);
+    item.score += 1 / (RRF_K + index + 1);
+    item.match.keyword = { rank: index + 1, terms: getMatchedTerms(result.snippet) };
+  });
+
+  semanticResults.forEach((result, index) => {
+    const { score, ...data } = result;
+    if (score < SEMANTIC_MIN_SCORE && !fused.has(`decision:${result.id}`)) return;
+    const item = entry('decision', result.id, data);
+    item.description ??= data.description;
+    item.score += 1 / (RRF_K + index + 1);
+    item.match.semantic = { rank: index + 1, similarity: score };
+  });
+
+  const results = [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => ({
+      ...result,
+      // Semantic-only mode keeps the familiar similarity score
+      score: effectiveMode === 'semantic' ? result.match.semantic.similarity : result.score,
+      tags: result.type === 'decision' ? (result.tags || getDecisionTags(result.id)) : undefined,
+      reason: describeMatch(result.match)
+    }));
+
+  return { mode: effectiveMode, results };
+}
@@ -0,0 +1,278 @@
+import path from 'path';
+import fs from 'fs';
+import db, { uploadsDir } from '../db.js';
+import { registerJobHandler, enqueueJob, PermanentJobError } from './jobQueue.js';
+import { publishEvent } from './events.js';
+import { recordAudit } from './audit.js';
+import {
+  transcribeAudio,
+  extractTasksFromTranscript,
+  analyzeImage,
+  analyzeText,
+  extractDocxText
+} from './ai.js';
+import { embedDecision, embedProjectDecisions } from './embeddings.js';
+import { purgeExpiredTrash } from './trash.js';
+import { dispatchWebhookEvent, attemptDelivery, failDelivery, DELIVERY_MAX_ATTEMPTS } from './webhooks.js';
+
+const imagesDir = path.join(uploadsDir, 'images');
+
+const TRASH_PURGE_INTERVAL_SECONDS = 24 * 60 * 60;
+
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Transcribe a recording and extract tasks from the transcript
+async function transcribeRecording({ recordingId }, { signal, setProgress }) {
+  const recording = db.prepare('SELECT * FROM recordings WHERE id = ? AND deletedAt IS NULL').get(recordingId);
+  if (!recording) {
+    throw new PermanentJobError('Recording not found');
+  }
+
+  const audioPath = path.join(uploadsDir, recording.filename);
+  if (!fs.existsSync(audioPath)) {
+    throw new PermanentJobError('Audio file not found');
+  }
+
+  db.prepare('UPDATE recordings SET status = ? WHERE id = ?').run('processing', recording.id);
+  publishEvent(recording.projectId, 'recording', 'updated', { ...recording, status: 'processing' });
+
+  const transcript = await transcribeAudio(audioPath);
+  if (signal.aborted) return null;
+  setProgress(50);
+
+  const extractedTasks = await extractTasksFromTranscript(transcript);
+  if (signal.aborted) return null;
+
+  const insertTask = db.prepare(`
+    INSERT INTO tasks (projectId, recordingId, title, priority, source, createdBy)
+    VALUES (?, ?, ?, ?, 'recording', ?)
+  `);
+
+  // Save transcript and tasks together so a retry never duplicates tasks
+  const save = db.transaction(() => {
+    db.prepare(`
+      UPDATE recordings SET transcript = ?, status = ? WHERE id = ?
+    `).run(transcript, 'completed', recording.id);
+
+    return extractedTasks.map(task => {
+      const result = insertTask.run(recording.projectId, recording.id, task.title, task.priority, recording.createdBy);
+      return {
+        id: result.lastInsertRowid,
+        projectId: recording.projectId,
+        recordingId: recording.id,
+        title: task.title,
+        priority: task.priority,
+        status: 'pending'
+      };
+    });
+  });
+
+  const createdTasks = save();
+  const updatedRecording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recording.id);
+
+  recordAudit(null, recording.projectId, 'update', 'recording', recording.id, {
+    before: recording,
+    after: updatedRecording,
+    context: 'transcription'
+  });
+  publishEvent(recording.projectId, 'recording', 'updated', updatedRecording);
+  dispatchWebhookEvent(recording.projectId, 'recording.transcribed', { ...updatedRecording, tasks: createdTasks });
+  for (const task of createdTasks) {
+    recordAudit(null, recording.projectId, 'create', 'task', task.id, { after: task, context: 'transcription' });
+    publishEvent(recording.projectId, 'task', 'created', task);
+    dispatchWebhookEvent(recording.projectId, 'task.created', task);
+  }
+
+  return {
+    ...updatedRecording,
+    tasks: createdTasks,
+    message: `Transcribed successfully. Extracted ${createdTasks.length} tasks.`
+  };
+}
+
+// Analyze an uploaded image, text or docx file and save the analysis to the project
+async function analyzeUpload({ projectId, filename, kind, mimeType, analysisType }) {
+  const filePath = path.join(imagesDir, filename);
+  if (!fs.existsSync(filePath)) {
+    throw new PermanentJobError('Uploaded file not found');
+  }
+
+  let analysis;
+  if (kind === 'image') {
+    const base64Image = fs.readFileSync(filePath).toString('base64');
+    analysis = await analyzeImage(base64Image, mimeType, analysisType);
+  } else if (kind === 'text') {
+    analysis = await analyzeText(fs.readFileSync(filePath, 'utf-8'), analysisType);
+  } else if (kind === 'docx') {
+    analysis = await analyzeText(await extractDocxText(filePath), analysisType);
+  } else {
+    throw new PermanentJobError('Unsupported file type');
+  }
+
+  // Save to database if projectId provided
+  // Note: Tasks are NOT auto-created, the user merges or creates them via the UI
+  let savedAnalysis = null;
+  if (projectId) {
+    const result = db.prepare(`
+      INSERT INTO image_analyses (projectId, filename, analysisType, extractedText, summary, tasks, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    `).run(
+      projectId,
+      filename,
+      analysisType,
+      analysis.extractedText || null,
+      analysis.summary || null,
+      analysis.tasks ? JSON.stringify(analysis.tasks) : null
+    );
+    savedAnalysis = db.prepare('SELECT * FROM image_analyses WHERE id = ?').get(result.lastInsertRowid);
+    recordAudit(null, projectId, 'create', 'analysis', savedAnalysis.id, { after: savedAnalysis, context: 'analysis' });
+    publishEvent(projectId, 'analysis', 'created', savedAnalysis);
+  }
+
+  return {
+    success: true,
+    analysis: {
+      ...analysis,
+      id: savedAnalysis?.id,
+      filename
+    }
+  };
+}
+
+// Re-run the vision model on an image that was analyzed before
+async function reanalyzeImage({ projectId, filename, analysisType }) {
+  const imagePath = path.join(imagesDir, filename);
+  if (!fs.existsSync(imagePath)) {
+    throw new PermanentJobError('Image not found');
+  }
+
+  const base64Image = fs.readFileSync(imagePath).toString('base64');
+  const mimeType = IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()] || 'image/jpeg';
+  const analysis = await analyzeImage(base64Image, mimeType, analysisType);
+
+  // Update the database record if projectId provided
+  if (projectId) {
+    const before = db.prepare('SELECT * FROM image_analyses WHERE projectId = ? AND filename = ?').get(projectId, filename);
+    db.prepare(`
+      UPDATE image_analyses
+      SET analysisType = ?, extractedText = ?, summary = ?, tasks = ?, createdAt = datetime('now')
+      WHERE projectId = ? AND filename = ?
+    `).run(
+      analysisType,
+      analysis.extractedText || null,
+      analysis.summary || null,
+      analysis.tasks ? JSON.stringify(analysis.tasks) : null,
+      projectId,
+      filename
+    );
+    const updated = db.prepare('SELECT * FROM image_analyses WHERE projectId = ? AND filename = ?').get(projectId, filename);
+    if (updated) {
+      recordAudit(null, projectId, 'update', 'analysis', updated.id, { before, after: updated, context: 'reanalysis' });
+      publishEvent(projectId, 'analysis', 'updated', updated);
+    }
+  }
+
+  return {
+    success: true,
+    analysis: {
+      ...analysis,
+      filename
+    }
+  };
+}
+
+async function embedSingleDecision({ decisionId }) {
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(decisionId);
+  if (!decision) {
+    throw new PermanentJobError('Decision not found');
+  }
+
+  await embedDecision(decision, { throwOnError: true });
+  return { decisionId };
+}
+
+async function embedProject({ projectId }, { signal, setProgress }) {
+  const result = await embedProjectDecisions(projectId, {
+    signal,
+    onProgress: (done, total) => setProgress((done / total) * 100)
+  });
+  return { ...result, message: `Embedded ${result.embedded} of ${result.total} decisions` };
+}
+
+// POST a webhook delivery; the queue retries failed attempts with backoff
+async function deliverWebhook({ deliveryId }, { signal }) {
+  const delivery = await attemptDelivery(deliveryId, { signal });
+  return { deliveryId, responseStatus: delivery.responseStatus };
+}
+
+// Remove trash past its retention period, then plan the next run
+async function purgeTrash() {
+  const result = purgeExpiredTrash();
+  scheduleTrashPurge(TRASH_PURGE_INTERVAL_SECONDS);
+  return result;
+}
+
+/**
+ * Queue the trash purge unless a run is already waiting
+ * @param {number} delaySeconds - Seconds until the purge runs
+ */
+export function scheduleTrashPurge(delaySeconds = 0) {
+  const pending = db.prepare(`SELECT id FROM jobs WHERE type = 'purge-trash' AND status = 'queued'`).get();
+  if (!pending) {
+    enqueueJob('purge-trash', {}, { delaySeconds });
+  }
+}
+
+/**
+ * Register all background job types with the queue
+ */
+export function registerJobHandlers() {
+  registerJobHandler('transcribe-recording', transcribeRecording, {
+    concurrency: 1,
+    onFailure: ({ recordingId }) => {
+      const before = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recordingId);
+      db.prepare('UPDATE recordings SET status = ? WHERE id = ?').run('failed', recordingId);
+      const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recordingId);
+      if (recording) {
+        recordAudit(null, recording.projectId, 'update', 'recording', recording.id, {
+          before,
+          after: recording,
+          context: 'transcription failed'
+        });
+        publishEvent(recording.projectId, 'recording', 'updated', recording);
+      }
+    }
+  });
+
+  registerJobHandler('analyze-upload', analyzeUpload, {
+    concurrency: 2,
+    // Don't keep files nobody can see in the history
+    onFailure: ({ filename }) => {
+      fs.rmSync(path.join(imagesDir, filename), { force: true });
+    }
+  });
+
+  registerJobHandler('reanalyze-image', reanalyzeImage, { concurrency: 2 });
+
+  registerJobHandler('embed-decision', embedSingleDecision, { concurrency: 2, maxAttempts: 5 });
+
+  registerJobHandler('embed-project', embedProject, { concurrency: 1 });
+
+  registerJobHandler('deliver-webhook', deliverWebhook, {
+    concurrency: 2,
+    maxAttempts: DELIVERY_MAX_ATTEMPTS,
+    onFailure: ({ deliveryId }, err) => failDelivery(deliveryId, err.message)
+  });
+
+  registerJobHandler('purge-trash', purgeTrash, {
+    concurrency: 1,
+    // Keep the daily schedule going even if one run fails
+    onFailure: () => scheduleTrashPurge(TRASH_PURGE_INTERVAL_SECONDS)
+  });
+}
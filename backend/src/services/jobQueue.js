@@ -0,0 +1,267 @@
+import { EventEmitter } from 'events';
+import db from '../db.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Jobs running at once across all types (each type also has its own limit)
+const MAX_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const POLL_INTERVAL_MS = 1000;
+// Retry delays: 5s, 10s, 20s, ...
+const RETRY_BASE_SECONDS = 5;
+
+// Emits 'update' with the job row whenever a job changes
+export const jobEvents = new EventEmitter();
+
+const handlers = new Map();
+const running = new Map();
+let pollTimer = null;
+
+/**
+ * Error that should fail a job right away instead of being retried
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+function parseJob(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    payload: JSON.parse(row.payload),
+    result: row.result ? JSON.parse(row.result) : null
+  };
+}
+
+function publish(id) {
+  const job = getJob(id);
+  if (job) jobEvents.emit('update', job);
+  return job;
+}
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} run - async (payload, { signal, setProgress, attempt }) => result (JSON-serializable)
+ * @param {object} options - { concurrency: max running jobs of this type, maxAttempts,
+ *   onFailure: (payload, error) => void, called once when the job fails for good or is cancelled }
+ */
+export function registerJobHandler(type, run, { concurrency = 1, maxAttempts = 3, onFailure } = {}) {
+  handlers.set(type, { run, concurrency, maxAttempts, onFailure });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Registered job type
+ * @param {object} payload - Job input (JSON-serializable)
+ * @param {object} options - { projectId: for listing and cleanup, maxAttempts: overrides the handler default,
+ *   delaySeconds: don't start the job before this many seconds have passed }
+ * @returns {object} - Queued job
+ */
+export function enqueueJob(type, payload = {}, { projectId = null, maxAttempts, delaySeconds = 0 } = {}) {
+  const handler = handlers.get(type);
+  if (!handler) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const result = db.prepare(`
+    INSERT INTO jobs (type, projectId, payload, maxAttempts, runAt) VALUES (?, ?, ?, ?, datetime('now', ?))
+  `).run(type, projectId, JSON.stringify(payload), maxAttempts || handler.maxAttempts, `+${delaySeconds} seconds`);
+
+  const job = publish(result.lastInsertRowid);
+  setImmediate(pump);
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {number} id - Job ID
+ * @returns {object|null}
+ */
+export function getJob(id) {
+  return parseJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+}
+
+/**
+ * List recent jobs, newest first
+ * @param {object} filters - { projectId, userId: only projects the user is a member of, status, type, limit }
+ * @returns {Array}
+ */
+export function listJobs({ projectId, userId, status, type, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (projectId) {
+    conditions.push('projectId = ?');
+    params.push(projectId);
+  }
+  if (userId) {
+    conditions.push('projectId IN (SELECT projectId FROM project_members WHERE userId = ?)');
+    params.push(userId);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`).all(...params, limit).map(parseJob);
+}
+
+/**
+ * Cancel a queued or running job. Running handlers see their signal aborted.
+ * @param {number} id - Job ID
+ * @returns {object|null} - Updated job, null if not found; unchanged if it already finished
+ */
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return job;
+
+  db.prepare(`
+    UPDATE jobs SET status = 'cancelled', finishedAt = datetime('now') WHERE id = ?
+  `).run(id);
+
+  running.get(job.id)?.abort();
+  handlers.get(job.type)?.onFailure?.(job.payload, new Error('Cancelled'));
+
+  return publish(id);
+}
+
+/**
+ * Put a failed or cancelled job back in the queue with fresh attempts
+ * @param {number} id - Job ID
+ * @returns {object|null} - Updated job, null if not found; unchanged if it isn't failed or cancelled
+ */
+export function retryJob(id) {
+  const job = getJob(id);
+  if (!job || !['failed', 'cancelled'].includes(job.status)) return job;
+
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'queued', attempts = 0, error = NULL, progress = NULL,
+      runAt = datetime('now'), startedAt = NULL, finishedAt = NULL
+    WHERE id = ?
+  `).run(id);
+
+  setImmediate(pump);
+  return publish(id);
+}
+
+function runningCount(type) {
+  let count = 0;
+  for (const controller of running.values()) {
+    if (controller.type === type) count++;
+  }
+  return count;
+}
+
+// Start as many due jobs as the concurrency limits allow
+function pump() {
+  if (!pollTimer) return;
+
+  const due = db.prepare(`
+    SELECT id, type FROM jobs
+    WHERE status = 'queued' AND runAt <= datetime('now')
+    ORDER BY runAt, id
+    LIMIT 50
+  `).all();
+
+  for (const { id, type } of due) {
+    if (running.size >= MAX_CONCURRENCY) break;
+
+    const handler = handlers.get(type);
+    if (!handler || runningCount(type) >= handler.concurrency) continue;
+
+    const claimed = db.prepare(`
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1, startedAt = datetime('now')
+      WHERE id = ? AND status = 'queued'
+    `).run(id);
+
+    if (claimed.changes > 0) {
+      execute(id, type, handler);
+    }
+  }
+}
+
+async function execute(id, type, handler) {
+  const controller = new AbortController();
+  controller.type = type;
+  running.set(id, controller);
+
+  const job = publish(id);
+  const context = {
+    signal: controller.signal,
+    attempt: job.attempts,
+    setProgress(progress) {
+      if (controller.signal.aborted) return;
+      db.prepare('UPDATE jobs SET progress = ? WHERE id = ?').run(Math.round(progress), id);
+      publish(id);
+    }
+  };
+
+  try {
+    const result = await handler.run(job.payload, context);
+    if (!controller.signal.aborted) {
+      db.prepare(`
+        UPDATE jobs SET status = 'completed', result = ?, error = NULL, progress = 100, finishedAt = datetime('now')
+        WHERE id = ?
+      `).run(JSON.stringify(result ?? null), id);
+    }
+  } catch (err) {
+    // A cancelled job is already marked, whatever the handler threw on the way out
+    if (!controller.signal.aborted) {
+      const retry = !(err instanceof PermanentJobError) && job.attempts < job.maxAttempts;
+      console.error(`Job ${id} (${type}) attempt ${job.attempts} failed:`, err.message);
+
+      if (retry) {
+        const delay = RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+        db.prepare(`
+          UPDATE jobs SET status = 'queued', error = ?, runAt = datetime('now', ?) WHERE id = ?
+        `).run(err.message, `+${delay} seconds`, id);
+      } else {
+        db.prepare(`
+          UPDATE jobs SET status = 'failed', error = ?, finishedAt = datetime('now') WHERE id = ?
+        `).run(err.message, id);
+        handler.onFailure?.(job.payload, err);
+      }
+    }
+  } finally {
+    running.delete(id);
+    publish(id);
+    setImmediate(pump);
+  }
+}
+
+/**
+ * Start processing jobs. Jobs left running by a previous process are queued again.
+ */
+export function startJobWorker() {
+  if (pollTimer) return;
+
+  const recovered = db.prepare(`
+    UPDATE jobs SET status = 'queued', runAt = datetime('now') WHERE status = 'running'
+  `).run();
+  if (recovered.changes > 0) {
+    console.log(`Re-queued ${recovered.changes} interrupted job(s)`);
+  }
+
+  // Polling picks up retries whose backoff has elapsed
+  pollTimer = setInterval(pump, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  setImmediate(pump);
+}
+
+/**
+ * Stop starting new jobs (running jobs finish on their own)
+ */
+export function stopJobWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
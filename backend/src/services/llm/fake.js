@@ -0,0 +1,54 @@
+import path from 'path';
+import { createHash } from 'crypto';
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// Hash a word to a stable bucket so texts sharing words get similar vectors
+function bucket(word) {
+  return createHash('md5').update(word).digest().readUInt32LE(0) % EMBEDDING_DIMENSIONS;
+}
+
+function lastUserText(messages) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * Deterministic offline provider for tests and demos. Never calls the network:
+ * the same input always gives the same output.
+ * @param {object} [options]
+ * @param {string|Function} [options.chatResponse] - Fixed completion, or (messages, capability) => string
+ * @returns {object} - Provider
+ */
+export function createFakeProvider({ chatResponse } = {}) {
+  return {
+    name: 'fake',
+    models: { chat: 'fake', assistant: 'fake', answers: 'fake', vision: 'fake', transcription: 'fake', embeddings: 'fake' },
+
+    isAvailable() {
+      return true;
+    },
+
+    async complete({ capability = 'chat', messages }) {
+      if (typeof chatResponse === 'function') return chatResponse(messages, capability);
+      if (chatResponse !== undefined) return chatResponse;
+      return `[fake ${capability}] ${lastUserText(messages).slice(0, 200)}`;
+    },
+
+    async transcribe(filePath) {
+      return `[fake transcript] ${path.basename(filePath)}`;
+    },
+
+    // Bag-of-words vector, normalized so cosine similarity reflects shared words
+    async embed(text) {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      for (const word of (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        vector[bucket(word)] += 1;
+      }
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return vector.map(v => v / norm);
+    }
+  };
+}
@@ -0,0 +1,158 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createFakeProvider } from './fake.js';
+
+export const LLM_PROVIDERS = ['openai', 'local', 'fake'];
+export const LLM_CAPABILITIES = ['chat', 'assistant', 'answers', 'vision', 'transcription', 'embeddings'];
+
+// Chat completions used by the assistant and for search answers; without a model of their own they use the chat model
+const CHAT_CAPABILITIES = ['assistant', 'answers'];
+
+// Per-capability defaults; override with the MODEL_VARS below.
+// The OpenAI ones are the models each feature used before the provider layer existed.
+const DEFAULT_MODELS = {
+  openai: {
+    chat: 'gpt-4.1-mini',
+    assistant: 'gpt-4.1',
+    answers: 'gpt-4o-mini',
+    vision: 'gpt-4o',
+    transcription: 'whisper-1',
+    embeddings: 'text-embedding-3-small'
+  },
+  // Ollama model names; there is no default transcription model since Ollama doesn't serve one
+  local: {
+    chat: 'llama3.1',
+    vision: 'llava',
+    transcription: null,
+    embeddings: 'nomic-embed-text'
+  }
+};
+
+// Env vars configuring the model of each capability, newest name first
+const MODEL_VARS = {
+  chat: ['LLM_CHAT_MODEL'],
+  assistant: ['LLM_ASSISTANT_MODEL', 'OPENAI_CHAT_MODEL', 'OPENAI_VISION_MODEL'],
+  answers: ['LLM_ANSWER_MODEL'],
+  vision: ['LLM_VISION_MODEL', 'OPENAI_VISION_MODEL'],
+  transcription: ['LLM_TRANSCRIPTION_MODEL'],
+  embeddings: ['LLM_EMBEDDING_MODEL']
+};
+
+let provider = null;
+
+function configuredModels(providerName) {
+  const models = {};
+  for (const capability of LLM_CAPABILITIES) {
+    const envVar = MODEL_VARS[capability].find(name => process.env[name]);
+    models[capability] = envVar ? process.env[envVar] : DEFAULT_MODELS[providerName][capability];
+  }
+  for (const capability of CHAT_CAPABILITIES) {
+    models[capability] ??= models.chat;
+  }
+  return models;
+}
+
+/**
+ * Build the provider selected by LLM_PROVIDER (openai by default)
+ * @returns {object} - Provider
+ */
+function createProviderFromEnv() {
+  const name = process.env.LLM_PROVIDER || 'openai';
+
+  if (name === 'fake') {
+    return createFakeProvider();
+  }
+
+  if (name === 'local') {
+    return createOpenAICompatibleProvider({
+      name,
+      apiKey: process.env.LLM_API_KEY || 'local',
+      baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      models: configuredModels(name)
+    });
+  }
+
+  if (name !== 'openai') {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Must be one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  return createOpenAICompatibleProvider({
+    name,
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    models: configuredModels(name)
+  });
+}
+
+/**
+ * Get the active provider (created from the environment on first use)
+ * @returns {object}
+ */
+export function getProvider() {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider, e.g. with createFakeProvider() in tests.
+ * Pass null to go back to the environment configuration.
+ * @param {object|null} newProvider
+ */
+export function setProvider(newProvider) {
+  provider = newProvider;
+}
+
+/**
+ * Check if the active provider can handle a capability
+ * @param {string} capability - One of LLM_CAPABILITIES
+ * @returns {boolean}
+ */
+export function isAIAvailable(capability = 'chat') {
+  return getProvider().isAvailable(capability);
+}
+
+/**
+ * Provider name and per-capability model/availability, for health checks
+ * @returns {object}
+ */
+export function getAIStatus() {
+  const active = getProvider();
+  const capabilities = {};
+  for (const capability of LLM_CAPABILITIES) {
+    capabilities[capability] = {
+      available: active.isAvailable(capability),
+      model: active.models[capability] || null
+    };
+  }
+  return { provider: active.name, capabilities };
+}
+
+/**
+ * Chat completion
+ * @param {object} options - { capability: 'chat' | 'assistant' | 'answers' | 'vision', messages (OpenAI format), temperature, maxTokens }
+ * @returns {Promise<string|null>} - Completion text
+ */
+export function complete(options) {
+  return getProvider().complete(options);
+}
+
+/**
+ * Transcribe an audio file
+ * @param {string} filePath - Path to audio file
+ * @returns {Promise<string>} - Transcription text
+ */
+export function transcribe(filePath) {
+  return getProvider().transcribe(filePath);
+}
+
+/**
+ * Embed text
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+export function embed(text) {
+  return getProvider().embed(text);
+}
+
+export { createFakeProvider, createOpenAICompatibleProvider };
@@ -0,0 +1,69 @@
+import OpenAI from 'openai';
+import fs from 'fs';
+
+/**
+ * Provider for the OpenAI API or any server speaking the same protocol
+ * (Ollama, llama.cpp server, vLLM, LocalAI...)
+ * @param {object} options
+ * @param {string} options.name - Provider name for status and error messages
+ * @param {string} options.apiKey - API key (local servers accept any value)
+ * @param {string} [options.baseURL] - API base URL, defaults to api.openai.com
+ * @param {object} options.models - Model per capability: { chat, assistant, answers, vision, transcription, embeddings };
+ *   a capability without a model is reported as unavailable
+ * @returns {object} - Provider
+ */
+export function createOpenAICompatibleProvider({ name, apiKey, baseURL, models }) {
+  // Lazy initialization - only create client when needed
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  }
+
+  function isAvailable(capability) {
+    return !!apiKey && !!models[capability];
+  }
+
+  function requireModel(capability) {
+    if (!isAvailable(capability)) {
+      throw new Error(`AI provider "${name}" is not configured for ${capability}`);
+    }
+    return models[capability];
+  }
+
+  return {
+    name,
+    models,
+    isAvailable,
+
+    async complete({ capability = 'chat', messages, temperature, maxTokens }) {
+      const response = await getClient().chat.completions.create({
+        model: requireModel(capability),
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      });
+      return response.choices[0]?.message?.content ?? null;
+    },
+
+    async transcribe(filePath) {
+      const transcription = await getClient().audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model: requireModel('transcription'),
+        response_format: 'json'
+      });
+      return transcription.text;
+    },
+
+    async embed(text) {
+      const response = await getClient().embeddings.create({
+        model: requireModel('embeddings'),
+        input: text
+      });
+      return response.data[0].embedding;
+    }
+  };
+}
@@ -0,0 +1,160 @@
+import db from '../db.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * A cursor that can't be decoded or was issued for a different sort order.
+ * Answered with a 400 by the error handler.
+ */
+export class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+/**
+ * Parse a ?sort= value like "-createdAt" or "priority,-createdAt" ("-" sorts descending)
+ * @param {string} value - Requested sort (validated against the field names beforehand)
+ * @param {object} fields - Sortable field name -> SQL expression (must never be NULL), or a function
+ *   building it for a reference time when it depends on the current time (see paginate)
+ * @param {string} defaultSort - Used when value is empty
+ * @returns {Array} - [{ name, sql, direction }]
+ */
+export function parseSort(value, fields, defaultSort) {
+  return (value || defaultSort).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const name = part.replace(/^-/, '');
+    return { name, sql: fields[name], direction: part.startsWith('-') ? 'DESC' : 'ASC' };
+  });
+}
+
+/**
+ * Condition matching rows whose created date falls in a YYYY-MM-DD range
+ * @param {string} column - Timestamp column
+ * @param {object} range - { from, to }, either may be missing
+ * @returns {object} - { where: conditions, params }
+ */
+export function dateRange(column, { from, to }) {
+  const where = [];
+  const params = [];
+  if (from) {
+    where.push(`date(${column}) >= date(?)`);
+    params.push(from);
+  }
+  if (to) {
+    where.push(`date(${column}) <= date(?)`);
+    params.push(to);
+  }
+  return { where, params };
+}
+
+/**
+ * Condition matching rows where any of the columns contains the text (case-insensitive)
+ * @param {Array<string>} columns - Text columns
+ * @param {string} text - Text to look for
+ * @returns {object} - { where: conditions, params }
+ */
+export function textFilter(columns, text) {
+  const needle = text?.trim();
+  if (!needle) return { where: [], params: [] };
+
+  const pattern = `%${needle.replace(/[\\%_]/g, '\\$&')}%`;
+  return {
+    where: [`(${columns.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`],
+    params: columns.map(() => pattern)
+  };
+}
+
+// 'YYYY-MM-DD HH:MM:SS' in UTC, the format of SQLite's datetime('now')
+const REFERENCE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+function encodeCursor(sortKey, values, asOf) {
+  return Buffer.from(JSON.stringify({ s: sortKey, v: values, t: asOf })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKey, length) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch {
+    throw new CursorError('is not a valid cursor');
+  }
+  if (typeof decoded?.s !== 'string' || !Array.isArray(decoded.v)) {
+    throw new CursorError('is not a valid cursor');
+  }
+  if (decoded.s !== sortKey) {
+    throw new CursorError('was issued for a different sort, start again without it');
+  }
+  if (decoded.v.length !== length || !REFERENCE_TIME_PATTERN.test(decoded.t)) {
+    throw new CursorError('is not a valid cursor');
+  }
+  return { values: decoded.v, asOf: decoded.t };
+}
+
+// Rows after the cursor: (k0 > v0) OR (k0 = v0 AND k1 > v1) OR ... with > or < per direction
+function afterCursor(keys, values) {
+  const alternatives = keys.map((key, index) => {
+    const equal = keys.slice(0, index).map(previous => `${previous.sql} = ?`);
+    return `(${[...equal, `${key.sql} ${key.direction === 'DESC' ? '<' : '>'} ?`].join(' AND ')})`;
+  });
+  const params = keys.flatMap((key, index) => [...values.slice(0, index), values[index]]);
+  return { sql: `(${alternatives.join(' OR ')})`, params };
+}
+
+/**
+ * Run a list query one page at a time (keyset pagination, stable while rows are added).
+ * Sort expressions given as functions (e.g. urgency, which changes with the clock) are built for
+ * the time the first page was read; the cursor carries that time so every page compares the same values.
+ * @param {object} query - {
+ *   select: columns (default "*"), from: table and joins, where: conditions joined with AND, params,
+ *   sort: keys from parseSort, id: unique column used as the last sort key (default "id")
+ * }
+ * @param {object} page - { limit, cursor: nextCursor of the previous page }
+ * @returns {object} - { items, total: rows matching the filters, nextCursor: null on the last page }
+ * @throws {CursorError} - If the cursor is invalid or belongs to another sort
+ */
+export function paginate({ select = '*', from, where = [], params = [], sort, id = 'id' }, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const idKey = { name: 'id', sql: id, direction: sort.at(-1)?.direction || 'ASC' };
+  const sortKey = [...sort, idKey].map(key => `${key.direction === 'DESC' ? '-' : ''}${key.name}`).join(',');
+  const filters = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM ${from} ${filters}`).get(...params);
+
+  let asOf = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  let cursorValues = null;
+  if (cursor) {
+    ({ values: cursorValues, asOf } = decodeCursor(cursor, sortKey, sort.length + 1));
+  }
+  const keys = [...sort.map(key => (typeof key.sql === 'function' ? { ...key, sql: key.sql(asOf) } : key)), idKey];
+
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (cursorValues) {
+    const after = afterCursor(keys, cursorValues);
+    pageWhere.push(after.sql);
+    pageParams.push(...after.params);
+  }
+
+  const rows = db.prepare(`
+    SELECT ${select}, ${keys.map((key, index) => `${key.sql} as _sort${index}`).join(', ')}
+    FROM ${from}
+    ${pageWhere.length > 0 ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+    ORDER BY ${keys.map(key => `${key.sql} ${key.direction}`).join(', ')}
+    LIMIT ?
+  `).all(...pageParams, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const last = pageRows.at(-1);
+
+  return {
+    items: pageRows.map(row => {
+      const item = { ...row };
+      keys.forEach((key, index) => delete item[`_sort${index}`]);
+      return item;
+    }),
+    total,
+    nextCursor: hasMore ? encodeCursor(sortKey, keys.map((key, index) => last[`_sort${index}`]), asOf) : null
+  };
+}
@@ -0,0 +1,205 @@
+import db from '../db.js';
+import { recordAudit } from './audit.js';
+import { publishEvent } from './events.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+import { getTaskWithState } from './taskGraph.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHORTCUTS = { daily: 'every 1 day', weekly: 'every 1 week', monthly: 'every 1 month' };
+const INTERVAL_UNITS = { day: 'day', days: 'day', week: 'week', weeks: 'week', month: 'month', months: 'month' };
+const MAX_INTERVAL = 365;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// A cron rule that matches no day in this window never matches (e.g. "0 0 30 2 *")
+const CRON_SEARCH_DAYS = 366 * 8;
+
+const RULE_HELP = 'must be daily, weekly, monthly, "every N days|weeks|months" or a cron expression '
+  + '(minute hour day-of-month month day-of-week)';
+
+/**
+ * A recurrence rule that can't be parsed. Answered with a 400 by the error handler.
+ */
+export class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// "1-5", "*/2", "mon,wed,fri"... -> the set of values it allows
+function parseCronField(text, min, max, label, names = []) {
+  const value = (token) => {
+    const named = names.indexOf(token);
+    const number = named !== -1 ? named + (label === 'month' ? 1 : 0) : Number(token);
+    if ((named === -1 && !/^\d+$/.test(token)) || number < min || number > max) {
+      throw new RecurrenceError(`has an invalid ${label} field "${text}"`);
+    }
+    return number;
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new RecurrenceError(`has an invalid ${label} field "${text}"`);
+    }
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = value(from);
+      end = to !== undefined ? value(to) : stepText !== undefined ? max : start;
+    }
+    if (start > end) {
+      throw new RecurrenceError(`has an invalid ${label} field "${text}"`);
+    }
+    for (let current = start; current <= end; current += step) values.add(current);
+  }
+  return values;
+}
+
+function nextMatchingDay(parsed, after) {
+  const date = toDate(after);
+
+  if (parsed.type === 'interval') {
+    if (parsed.unit === 'day') return toDay(new Date(date.getTime() + parsed.count * DAY_MS));
+    if (parsed.unit === 'week') return toDay(new Date(date.getTime() + parsed.count * 7 * DAY_MS));
+    // Months: same day of the month, or the month's last day when it is shorter
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + parsed.count;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return toDay(new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay))));
+  }
+
+  for (let offset = 1; offset <= CRON_SEARCH_DAYS; offset++) {
+    const candidate = new Date(date.getTime() + offset * DAY_MS);
+    if (!parsed.months.has(candidate.getUTCMonth() + 1)) continue;
+    const dayMatches = parsed.days.has(candidate.getUTCDate());
+    const weekdayMatches = parsed.weekdays.has(candidate.getUTCDay());
+    // Like cron: when both day fields are restricted, either one matching is enough
+    const matches = parsed.anyDay || parsed.anyWeekday ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+    if (matches) return toDay(candidate);
+  }
+  return null;
+}
+
+/**
+ * Parse a recurrence rule. Tasks are due on days, so the minute and hour of a cron expression
+ * are checked but don't change when the next task is due.
+ * @param {string} rule - "daily", "weekly", "monthly", "every 2 weeks" or a cron expression like "0 9 * * mon"
+ * @returns {object} - Parsed rule, rule is the normalized text to store
+ * @throws {RecurrenceError} - If the rule is invalid or never matches a day
+ */
+export function parseRecurrence(rule) {
+  const text = String(rule).trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const interval = (SHORTCUTS[text] || text).match(/^every (\d+) (days?|weeks?|months?)$/);
+  if (interval) {
+    const count = Number(interval[1]);
+    if (count < 1 || count > MAX_INTERVAL) {
+      throw new RecurrenceError(`must repeat every 1 to ${MAX_INTERVAL} days, weeks or months`);
+    }
+    return { rule: text, type: 'interval', count, unit: INTERVAL_UNITS[interval[2]] };
+  }
+
+  const fields = text.split(' ');
+  if (fields.length !== 5) {
+    throw new RecurrenceError(RULE_HELP);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  parseCronField(minute, 0, 59, 'minute');
+  parseCronField(hour, 0, 23, 'hour');
+  const parsed = {
+    rule: text,
+    type: 'cron',
+    days: parseCronField(dayOfMonth, 1, 31, 'day-of-month'),
+    months: parseCronField(month, 1, 12, 'month', MONTH_NAMES),
+    weekdays: new Set([...parseCronField(dayOfWeek, 0, 7, 'day-of-week', WEEKDAY_NAMES)].map(day => day % 7)),
+    anyDay: dayOfMonth === '*',
+    anyWeekday: dayOfWeek === '*'
+  };
+
+  if (!nextMatchingDay(parsed, today())) {
+    throw new RecurrenceError('never matches a day');
+  }
+  return parsed;
+}
+
+/**
+ * First day a rule falls on after another day
+ * @param {string} rule - Recurrence rule
+ * @param {string} after - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ * @throws {RecurrenceError} - If the rule is invalid
+ */
+export function nextOccurrence(rule, after) {
+  return nextMatchingDay(parseRecurrence(rule), after);
+}
+
+/**
+ * Create the next instance of a recurring task that was just completed. It is due on the rule's
+ * next day after the finished one's due date (or after today when it had none), skipping days
+ * already past. Each instance spawns at most one successor, so reopening and finishing it again
+ * doesn't duplicate it.
+ * @param {object|null} actor - User who completed the task (null for the system)
+ * @param {object} task - The task row, after it was marked done
+ * @returns {object|null} - The new task with its state, null if nothing was created
+ */
+export function spawnNextOccurrence(actor, task) {
+  if (!task.recurrence || task.status !== 'done' || task.deletedAt) return null;
+  if (db.prepare('SELECT 1 FROM tasks WHERE recurrenceOfId = ?').get(task.id)) return null;
+
+  let parsed;
+  try {
+    parsed = parseRecurrence(task.recurrence);
+  } catch {
+    return null;
+  }
+
+  const now = today();
+  let dueDate = nextMatchingDay(parsed, task.dueDate || now);
+  while (dueDate && dueDate < now) {
+    dueDate = nextMatchingDay(parsed, dueDate);
+  }
+  if (!dueDate) return null;
+
+  const parent = task.parentId
+    ? db.prepare('SELECT id FROM tasks WHERE id = ? AND deletedAt IS NULL').get(task.parentId)
+    : null;
+
+  const result = db.prepare(`
+    INSERT INTO tasks (projectId, recordingId, decisionId, parentId, title, notes, priority, estimateMinutes,
+      dueDate, recurrence, recurrenceOfId, source, createdBy)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    task.projectId,
+    task.recordingId,
+    task.decisionId,
+    parent?.id ?? null,
+    task.title,
+    task.notes,
+    task.priority,
+    task.estimateMinutes,
+    dueDate,
+    parsed.rule,
+    task.id,
+    task.source,
+    actor?.id ?? task.createdBy
+  );
+
+  const next = getTaskWithState(result.lastInsertRowid);
+  recordAudit(actor, next.projectId, 'create', 'task', next.id, { after: next, context: `repeats task #${task.id}` });
+  publishEvent(next.projectId, 'task', 'created', next);
+  dispatchWebhookEvent(next.projectId, 'task.created', next);
+  return next;
+}
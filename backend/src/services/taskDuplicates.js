@@ -0,0 +1,289 @@
+import db from '../db.js';
+import { recordAudit } from './audit.js';
+import { publishEvent } from './events.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+import { generateEmbedding, cosineSimilarity, isEmbeddingsAvailable } from './embeddings.js';
+import { getTaskWithState, wouldCreateDependencyCycle } from './taskGraph.js';
+import { statusAssignments } from './taskStatus.js';
+import { spawnNextOccurrence } from './recurrence.js';
+import { moveToTrash } from './trash.js';
+
+export const DEFAULT_MIN_SCORE = 0.7;
+
+// Only the most recently created tasks are compared, every pair is scored
+const MAX_TASKS = 1000;
+
+// Cosine similarity of unrelated titles from the same project rarely drops much below this,
+// so the semantic score counts from here up
+const SEMANTIC_FLOOR = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'into',
+  'is', 'are', 'be', 'it', 'its', 'this', 'that', 'we', 'our', 'some', 'all'
+]);
+
+const STATUS_RANK = { pending: 0, in_progress: 1, done: 2 };
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+/**
+ * Normalize a title for exact matching: lowercase, no trailing punctuation, quotes or extra spaces
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  return title
+    .toLowerCase()
+    .trim()
+    .replace(/[.,!?;:]+$/g, '') // remove trailing punctuation
+    .replace(/['"]/g, '') // remove quotes
+    .replace(/\s+/g, ' '); // normalize whitespace
+}
+
+// Words that carry the meaning of a title, with plurals folded ("bugs" -> "bug")
+function titleTokens(title) {
+  const words = title.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(words
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+}
+
+/**
+ * How alike two titles are from their words, 0 to 1. Averages the Dice coefficient with the share
+ * of the shorter title found in the longer one, so "Fix login bug" and "fix the login bug on mobile"
+ * score high while "Fix login bug" and "Fix signup bug" don't.
+ * @param {string} a - Title
+ * @param {string} b - Title
+ * @returns {number}
+ */
+export function titleSimilarity(a, b) {
+  if (normalizeTitle(a) === normalizeTitle(b)) return 1;
+
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+  const smaller = Math.min(tokensA.size, tokensB.size);
+  if (smaller === 0) return 0;
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const dice = (2 * shared) / (tokensA.size + tokensB.size);
+  // A single shared word says little, only trust containment for longer titles
+  return smaller >= 2 ? (dice + shared / smaller) / 2 : dice;
+}
+
+// Title embeddings of the tasks, from the cache or generated (and cached) for new or renamed tasks
+async function getTitleEmbeddings(tasks) {
+  const cached = db.prepare('SELECT text, embedding FROM task_embeddings WHERE taskId = ?');
+  const store = db.prepare(`
+    INSERT INTO task_embeddings (taskId, text, embedding) VALUES (?, ?, ?)
+    ON CONFLICT(taskId) DO UPDATE SET text = excluded.text, embedding = excluded.embedding, createdAt = datetime('now')
+  `);
+
+  const embeddings = new Map();
+  for (const task of tasks) {
+    const row = cached.get(task.id);
+    if (row && row.text === task.title) {
+      // Copy into a fresh buffer, the row's may not be aligned for floats
+      embeddings.set(task.id, Array.from(new Float32Array(new Uint8Array(row.embedding).buffer)));
+      continue;
+    }
+    const embedding = await generateEmbedding(task.title);
+    store.run(task.id, task.title, Buffer.from(new Float32Array(embedding).buffer));
+    embeddings.set(task.id, embedding);
+  }
+  return embeddings;
+}
+
+/**
+ * Find groups of tasks in a project that look like the same work, e.g. repeated by several transcripts
+ * or screenshots. Pairs are scored on their title words and, when an embeddings model is configured,
+ * on title embeddings; the higher score counts. Pairs at or above minScore are joined into clusters.
+ * Subtasks and their parent, and instances of the same recurring task, are never paired.
+ * @param {number} projectId - Project ID
+ * @param {object} options - { minScore: 0-1 }
+ * @returns {Promise<object>} - { semantic: whether embeddings were used, clusters: [{ confidence, keepId,
+ *   tasks (earliest first), pairs: [{ taskIds, score, tokenScore, semanticScore }] }] }, most confident first
+ */
+export async function findDuplicateTasks(projectId, { minScore = DEFAULT_MIN_SCORE } = {}) {
+  const tasks = db.prepare(`
+    SELECT id, title, parentId, recurrenceOfId, createdAt FROM tasks
+    WHERE projectId = ? AND deletedAt IS NULL
+    ORDER BY createdAt DESC, id DESC
+    LIMIT ?
+  `).all(projectId, MAX_TASKS).reverse();
+
+  let embeddings = null;
+  if (isEmbeddingsAvailable()) {
+    try {
+      embeddings = await getTitleEmbeddings(tasks);
+    } catch (err) {
+      console.error(`Failed to embed tasks of project ${projectId}, comparing words only:`, err.message);
+    }
+  }
+
+  // Instances of a recurring task all lead back to the first one
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const seriesOf = (task) => {
+    let current = task;
+    const seen = new Set();
+    while (current.recurrenceOfId && byId.has(current.recurrenceOfId) && !seen.has(current.id)) {
+      seen.add(current.id);
+      current = byId.get(current.recurrenceOfId);
+    }
+    return current.id;
+  };
+  const series = new Map(tasks.map(task => [task.id, seriesOf(task)]));
+
+  const pairs = [];
+  for (let i = 0; i < tasks.length; i++) {
+    for (let j = i + 1; j < tasks.length; j++) {
+      const a = tasks[i];
+      const b = tasks[j];
+      if (a.parentId === b.id || b.parentId === a.id || series.get(a.id) === series.get(b.id)) continue;
+
+      const tokenScore = titleSimilarity(a.title, b.title);
+      const semanticScore = embeddings
+        ? Math.max(0, (cosineSimilarity(embeddings.get(a.id), embeddings.get(b.id)) - SEMANTIC_FLOOR) / (1 - SEMANTIC_FLOOR))
+        : null;
+      const score = Math.max(tokenScore, semanticScore ?? 0);
+      if (score >= minScore) {
+        const round = (value) => Math.round(value * 100) / 100;
+        pairs.push({
+          taskIds: [a.id, b.id],
+          score: round(score),
+          tokenScore: round(tokenScore),
+          semanticScore: semanticScore === null ? null : round(semanticScore)
+        });
+      }
+    }
+  }
+
+  // Union-find over the pairs: every task linked by a pair ends up in one cluster
+  const root = new Map();
+  const find = (id) => {
+    while (root.get(id) !== id) id = root.get(id);
+    return id;
+  };
+  for (const { taskIds: [a, b] } of pairs) {
+    if (!root.has(a)) root.set(a, a);
+    if (!root.has(b)) root.set(b, b);
+    const [rootA, rootB] = [find(a), find(b)];
+    if (rootA !== rootB) root.set(Math.max(rootA, rootB), Math.min(rootA, rootB));
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const key = find(pair.taskIds[0]);
+    if (!clusters.has(key)) clusters.set(key, { ids: new Set(), pairs: [] });
+    const cluster = clusters.get(key);
+    pair.taskIds.forEach(id => cluster.ids.add(id));
+    cluster.pairs.push(pair);
+  }
+
+  return {
+    semantic: Boolean(embeddings),
+    clusters: [...clusters.values()]
+      .map(({ ids, pairs: clusterPairs }) => {
+        const clusterTasks = tasks.filter(task => ids.has(task.id)).map(task => getTaskWithState(task.id));
+        const confidence = clusterPairs.reduce((sum, pair) => sum + pair.score, 0) / clusterPairs.length;
+        return {
+          confidence: Math.round(confidence * 100) / 100,
+          keepId: clusterTasks[0].id,
+          tasks: clusterTasks,
+          pairs: clusterPairs.sort((x, y) => y.score - x.score)
+        };
+      })
+      .sort((x, y) => y.confidence - x.confidence || x.keepId - y.keepId)
+  };
+}
+
+/**
+ * Which task a merge keeps and the status it ends up with
+ * @param {object[]} tasks - Task rows to merge
+ * @returns {object} - { kept: the earliest task, merged: the others, status: the most advanced status }
+ */
+export function planMerge(tasks) {
+  const [kept, ...merged] = [...tasks].sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id);
+  const status = tasks.reduce((best, task) => (STATUS_RANK[task.status] > STATUS_RANK[best] ? task.status : best), kept.status);
+  return { kept, merged, status };
+}
+
+/**
+ * Merge duplicate tasks into the earliest one and move the others to the trash. The kept task gets
+ * their notes (under a line naming each merged task), the recording and decision it lacked, the
+ * highest priority, the earliest due date and the most advanced status. Their subtasks, dependencies
+ * and dependents move over to it; dependencies that would close a cycle are dropped. The merged
+ * tasks go to the trash and can be restored from there.
+ * @param {object} actor - User merging
+ * @param {object[]} tasks - Task rows of one project, none in the trash and none under another
+ * @returns {object} - { task: the kept task with its state, merged: [{ id, title }] }
+ */
+export function mergeTasks(actor, tasks) {
+  const { kept, merged, status } = planMerge(tasks);
+
+  const notes = [kept.notes, ...merged.map(task => [
+    `Merged from task #${task.id}: ${task.title}`,
+    task.notes
+  ].filter(Boolean).join('\n'))].filter(Boolean).join('\n\n');
+
+  const pick = (field) => kept[field] ?? merged.find(task => task[field] != null)?.[field] ?? null;
+  const dueDates = tasks.map(task => task.dueDate).filter(Boolean).sort();
+  const priority = tasks.reduce((best, task) => (PRIORITY_RANK[task.priority] > PRIORITY_RANK[best] ? task.priority : best), kept.priority);
+
+  const assignments = statusAssignments(status);
+  const mergedIds = merged.map(task => task.id);
+  const placeholders = mergedIds.map(() => '?').join(', ');
+  const subtasks = db.prepare(`SELECT * FROM tasks WHERE parentId IN (${placeholders}) AND deletedAt IS NULL`).all(...mergedIds);
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE tasks SET notes = ?, recordingId = ?, decisionId = ?, priority = ?, dueDate = ?, estimateMinutes = ?, recurrence = ?
+      WHERE id = ?
+    `).run(notes || null, pick('recordingId'), pick('decisionId'), priority, dueDates[0] ?? null,
+      pick('estimateMinutes'), pick('recurrence'), kept.id);
+    if (status !== kept.status) {
+      db.prepare(`UPDATE tasks SET ${assignments.sql} WHERE id = ?`).run(...assignments.params, kept.id);
+    }
+
+    const setParent = db.prepare('UPDATE tasks SET parentId = ? WHERE id = ?');
+    subtasks.forEach(subtask => setParent.run(kept.id, subtask.id));
+
+    // Copy the edges instead of moving them, the merged tasks keep theirs for a restore
+    const edges = db.prepare(`
+      SELECT taskId, dependsOnTaskId FROM task_dependencies WHERE taskId IN (${placeholders}) OR dependsOnTaskId IN (${placeholders})
+    `).all(...mergedIds, ...mergedIds);
+    const addEdge = db.prepare('INSERT OR IGNORE INTO task_dependencies (taskId, dependsOnTaskId, createdBy) VALUES (?, ?, ?)');
+    for (const edge of edges) {
+      const taskId = mergedIds.includes(edge.taskId) ? kept.id : edge.taskId;
+      const dependsOnTaskId = mergedIds.includes(edge.dependsOnTaskId) ? kept.id : edge.dependsOnTaskId;
+      if (taskId !== dependsOnTaskId && !wouldCreateDependencyCycle(taskId, dependsOnTaskId)) {
+        addEdge.run(taskId, dependsOnTaskId, actor.id);
+      }
+    }
+
+    for (const task of merged) {
+      moveToTrash('task', task.id, actor.id);
+    }
+  })();
+
+  const task = getTaskWithState(kept.id);
+  recordAudit(actor, kept.projectId, 'update', 'task', kept.id, {
+    before: kept,
+    after: task,
+    context: `merged tasks ${mergedIds.map(id => `#${id}`).join(', ')}`
+  });
+  publishEvent(kept.projectId, 'task', 'updated', task);
+  for (const subtask of subtasks) {
+    const after = getTaskWithState(subtask.id);
+    recordAudit(actor, kept.projectId, 'update', 'task', subtask.id, { before: subtask, after, context: `parent merged into task #${kept.id}` });
+    publishEvent(kept.projectId, 'task', 'updated', after);
+  }
+  for (const mergedTask of merged) {
+    recordAudit(actor, kept.projectId, 'delete', 'task', mergedTask.id, { before: mergedTask, context: `merged into task #${kept.id}` });
+    publishEvent(kept.projectId, 'task', 'deleted', { id: mergedTask.id });
+  }
+  if (task.status === 'done' && kept.status !== 'done') {
+    dispatchWebhookEvent(task.projectId, 'task.done', task);
+    spawnNextOccurrence(actor, task);
+  }
+
+  return { task, merged: merged.map(({ id, title }) => ({ id, title })) };
+}
@@ -0,0 +1,243 @@
+import db from '../db.js';
+
+// WHERE condition for tasks that wait on an unfinished task
+export const BLOCKED_CONDITION = `(
+  tasks.status != 'done' AND EXISTS (
+    SELECT 1 FROM task_dependencies d
+    JOIN tasks blocker ON blocker.id = d.dependsOnTaskId
+    WHERE d.taskId = tasks.id AND blocker.status != 'done' AND blocker.deletedAt IS NULL
+  )
+)`;
+
+const PRIORITY_RANK = { high: 1, medium: 2, low: 3 };
+
+// Urgency of an open task, higher first (never below 0, done tasks score 0):
+//   priority        high 30, medium 20, low 10
+//   due date        overdue 50 + 1 per day late (up to 30 days); due in the next 14 days up to 40, more as it gets closer
+//   age             up to 10 over the first 60 days, so old tasks don't sink forever
+//   blocking        5 per open task waiting on it, up to 20
+//   blocked         -30, it can't be worked on yet
+// urgencyScore(asOf) computes it at a fixed 'YYYY-MM-DD HH:MM:SS' time (UTC) instead of now,
+// so the pages of a list sorted by urgency compare against the same values.
+export function urgencyScore(asOf = 'now') {
+  if (asOf !== 'now' && !/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(asOf)) {
+    throw new Error(`Invalid urgency reference time: ${asOf}`);
+  }
+  return `(
+  CASE WHEN tasks.status = 'done' THEN 0 ELSE round(max(0,
+    CASE tasks.priority WHEN 'high' THEN 30 WHEN 'medium' THEN 20 ELSE 10 END
+    + CASE
+        WHEN tasks.dueDate IS NULL THEN 0
+        WHEN tasks.dueDate < date('${asOf}') THEN 50 + min(julianday(date('${asOf}')) - julianday(tasks.dueDate), 30)
+        ELSE max(0, 40 * (14 - (julianday(tasks.dueDate) - julianday(date('${asOf}')))) / 14)
+      END
+    + min(max(julianday('${asOf}') - julianday(tasks.createdAt), 0), 60) / 6
+    + min(5 * (
+        SELECT COUNT(*) FROM task_dependencies d
+        JOIN tasks waiting ON waiting.id = d.taskId
+        WHERE d.dependsOnTaskId = tasks.id AND waiting.status != 'done' AND waiting.deletedAt IS NULL
+      ), 20)
+    - CASE WHEN ${BLOCKED_CONDITION} THEN 30 ELSE 0 END
+  ), 1) END
+)`;
+}
+
+export const URGENCY_SCORE = urgencyScore();
+
+// Derived per task (select them from "tasks" unaliased): open blockers, subtask progress and urgency.
+// Blockers in the trash or done don't count.
+export const TASK_STATE_COLUMNS = `
+  (
+    SELECT json_group_array(d.dependsOnTaskId) FROM task_dependencies d
+    JOIN tasks blocker ON blocker.id = d.dependsOnTaskId
+    WHERE d.taskId = tasks.id AND blocker.status != 'done' AND blocker.deletedAt IS NULL
+  ) as blockedBy,
+  (SELECT COUNT(*) FROM tasks sub WHERE sub.parentId = tasks.id AND sub.deletedAt IS NULL) as subtasksTotal,
+  (SELECT COUNT(*) FROM tasks sub WHERE sub.parentId = tasks.id AND sub.deletedAt IS NULL AND sub.status = 'done') as subtasksDone,
+  ${URGENCY_SCORE} as urgency`;
+
+/**
+ * Turn the TASK_STATE_COLUMNS of a row into { blockedBy, blocked, subtasks }
+ * @param {object} row - Task row selected with TASK_STATE_COLUMNS
+ * @returns {object} - Task with blockedBy (IDs), blocked and subtasks ({ total, done })
+ */
+export function withTaskState({ blockedBy, subtasksTotal, subtasksDone, ...task }) {
+  const blockers = JSON.parse(blockedBy || '[]');
+  return {
+    ...task,
+    blockedBy: blockers,
+    blocked: task.status !== 'done' && blockers.length > 0,
+    subtasks: { total: subtasksTotal, done: subtasksDone }
+  };
+}
+
+/**
+ * Get a task that isn't in the trash, with its derived state
+ * @param {number} id - Task ID
+ * @returns {object|null}
+ */
+export function getTaskWithState(id) {
+  const row = db.prepare(`SELECT tasks.*, ${TASK_STATE_COLUMNS} FROM tasks WHERE id = ? AND deletedAt IS NULL`).get(id);
+  return row ? withTaskState(row) : null;
+}
+
+/**
+ * Get the tasks around a task: what it waits on, what waits on it and its subtasks
+ * @param {number} taskId - Task ID
+ * @returns {object} - { dependencies, dependents, children }, each a list of { id, title, status, priority }
+ */
+export function getTaskRelations(taskId) {
+  const summary = 't.id, t.title, t.status, t.priority';
+  return {
+    dependencies: db.prepare(`
+      SELECT ${summary} FROM task_dependencies d
+      JOIN tasks t ON t.id = d.dependsOnTaskId
+      WHERE d.taskId = ? AND t.deletedAt IS NULL
+      ORDER BY t.status = 'done', d.id
+    `).all(taskId),
+    dependents: db.prepare(`
+      SELECT ${summary} FROM task_dependencies d
+      JOIN tasks t ON t.id = d.taskId
+      WHERE d.dependsOnTaskId = ? AND t.deletedAt IS NULL
+      ORDER BY t.status = 'done', d.id
+    `).all(taskId),
+    children: db.prepare(`
+      SELECT ${summary} FROM tasks t WHERE t.parentId = ? AND t.deletedAt IS NULL ORDER BY t.id
+    `).all(taskId)
+  };
+}
+
+/**
+ * Check whether "taskId depends on dependsOnTaskId" would close a loop, i.e. dependsOnTaskId
+ * already waits on taskId (directly or through other tasks). Edges of trashed tasks count,
+ * they come back on restore.
+ * @param {number} taskId - Task that would wait
+ * @param {number} dependsOnTaskId - Task it would wait on
+ * @returns {boolean}
+ */
+export function wouldCreateDependencyCycle(taskId, dependsOnTaskId) {
+  return Boolean(db.prepare(`
+    WITH RECURSIVE upstream(id) AS (
+      SELECT ?
+      UNION
+      SELECT d.dependsOnTaskId FROM task_dependencies d JOIN upstream u ON d.taskId = u.id
+    )
+    SELECT 1 FROM upstream WHERE id = ?
+  `).get(dependsOnTaskId, taskId));
+}
+
+/**
+ * Check whether making parentId the parent of taskId would put the task under itself
+ * @param {number} taskId - Task being moved
+ * @param {number} parentId - New parent
+ * @returns {boolean}
+ */
+export function wouldCreateParentCycle(taskId, parentId) {
+  return Boolean(db.prepare(`
+    WITH RECURSIVE ancestors(id) AS (
+      SELECT ?
+      UNION
+      SELECT t.parentId FROM tasks t JOIN ancestors a ON t.id = a.id WHERE t.parentId IS NOT NULL
+    )
+    SELECT 1 FROM ancestors WHERE id = ?
+  `).get(parentId, taskId));
+}
+
+/**
+ * IDs of a task's subtasks, their subtasks and so on
+ * @param {number} taskId - Task ID
+ * @param {object} options - { deleted: true for subtasks in the trash, false for active ones }
+ * @returns {Array<number>}
+ */
+export function getDescendantIds(taskId, { deleted = false } = {}) {
+  return db.prepare(`
+    WITH RECURSIVE descendants(id) AS (
+      SELECT id FROM tasks WHERE parentId = ?
+      UNION
+      SELECT t.id FROM tasks t JOIN descendants s ON t.parentId = s.id
+    )
+    SELECT t.id FROM tasks t JOIN descendants s ON s.id = t.id
+    WHERE t.deletedAt IS ${deleted ? 'NOT NULL' : 'NULL'}
+    ORDER BY t.id
+  `).all(taskId).map(row => row.id);
+}
+
+/**
+ * Tasks that can be started right now, in topological order of the project's open tasks
+ * (higher priority, then older, first among tasks that are free at the same time).
+ * A task is ready when it is pending, has no unfinished dependencies, no open subtasks
+ * and no blocked parent.
+ * @param {number} projectId - Project ID
+ * @returns {Array} - Tasks with their state and unblocks (open tasks waiting on them, directly or not)
+ */
+export function getReadyTasks(projectId) {
+  const open = new Map(db.prepare(`
+    SELECT tasks.*, ${TASK_STATE_COLUMNS} FROM tasks
+    WHERE projectId = ? AND deletedAt IS NULL AND status != 'done'
+  `).all(projectId).map(row => [row.id, withTaskState(row)]));
+
+  const waitingOn = new Map([...open.keys()].map(id => [id, 0]));
+  const dependents = new Map([...open.keys()].map(id => [id, []]));
+  for (const { taskId, dependsOnTaskId } of db.prepare(`
+    SELECT d.taskId, d.dependsOnTaskId FROM task_dependencies d
+    JOIN tasks t ON t.id = d.taskId
+    WHERE t.projectId = ?
+  `).all(projectId)) {
+    if (!open.has(taskId) || !open.has(dependsOnTaskId)) continue;
+    waitingOn.set(taskId, waitingOn.get(taskId) + 1);
+    dependents.get(dependsOnTaskId).push(taskId);
+  }
+
+  const rank = (a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]
+    || a.createdAt.localeCompare(b.createdAt)
+    || a.id - b.id;
+
+  // Kahn's algorithm with the queue kept in rank order
+  const queue = [...open.values()].filter(task => waitingOn.get(task.id) === 0).sort(rank);
+  const enqueue = (task) => {
+    let low = 0;
+    let high = queue.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (rank(queue[middle], task) <= 0) low = middle + 1;
+      else high = middle;
+    }
+    queue.splice(low, 0, task);
+  };
+
+  const order = [];
+  while (queue.length > 0) {
+    const task = queue.shift();
+    order.push(task);
+    for (const dependentId of dependents.get(task.id)) {
+      waitingOn.set(dependentId, waitingOn.get(dependentId) - 1);
+      if (waitingOn.get(dependentId) === 0) enqueue(open.get(dependentId));
+    }
+  }
+
+  const hasBlockedAncestor = (task) => {
+    for (let parent = open.get(task.parentId); parent; parent = open.get(parent.parentId)) {
+      if (parent.blocked) return true;
+    }
+    return false;
+  };
+
+  const countUnblocks = (taskId) => {
+    const seen = new Set();
+    const stack = [...dependents.get(taskId)];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...dependents.get(id));
+    }
+    return seen.size;
+  };
+
+  return order
+    .filter(task => task.status === 'pending'
+      && !task.blocked
+      && task.subtasks.done === task.subtasks.total
+      && !hasBlockedAncestor(task))
+    .map(task => ({ ...task, unblocks: countUnblocks(task.id) }));
+}
@@ -0,0 +1,15 @@
+/**
+ * SET clause for a task status change that also keeps the work timestamps:
+ * startedAt is set the first time the task goes in progress, completedAt when it becomes done
+ * and cleared when it is reopened.
+ * @param {string} status - New status (pending, in_progress or done)
+ * @returns {object} - { sql, params } to splice into an UPDATE tasks statement
+ */
+export function statusAssignments(status) {
+  return {
+    sql: `status = ?,
+      startedAt = CASE WHEN ? = 'in_progress' THEN COALESCE(startedAt, datetime('now')) ELSE startedAt END,
+      completedAt = CASE WHEN ? != 'done' THEN NULL WHEN status = 'done' THEN completedAt ELSE datetime('now') END`,
+    params: [status, status, status]
+  };
+}
@@ -0,0 +1,184 @@
+import path from 'path';
+import fs from 'fs';
+import db, { uploadsDir } from '../db.js';
+import { recordAudit } from './audit.js';
+
+// Days a deleted item stays in the trash before the purge job removes it for good
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const imagesDir = path.join(uploadsDir, 'images');
+
+// Entity types that are soft-deleted, and their tables
+export const TRASH_TABLES = {
+  project: 'projects',
+  decision: 'decisions',
+  task: 'tasks',
+  recording: 'recordings'
+};
+
+const retentionModifier = (days) => `+${days} days`;
+
+/**
+ * Get a row that is in the trash
+ * @param {string} type - Key of TRASH_TABLES
+ * @param {number} id - Row ID
+ * @returns {object|null}
+ */
+export function getTrashedRow(type, id) {
+  return db.prepare(`SELECT * FROM ${TRASH_TABLES[type]} WHERE id = ? AND deletedAt IS NOT NULL`).get(id) || null;
+}
+
+/**
+ * Move a row to the trash. Dependent rows (links, tags, relations, tasks) are left in place
+ * and hidden with it, so restoring brings them back.
+ * @param {string} type - Key of TRASH_TABLES
+ * @param {number} id - Row ID
+ * @param {number} userId - User who deleted it
+ * @returns {boolean} - false if the row doesn't exist or is already in the trash
+ */
+export function moveToTrash(type, id, userId) {
+  const result = db.prepare(`
+    UPDATE ${TRASH_TABLES[type]} SET deletedAt = datetime('now'), deletedBy = ?
+    WHERE id = ? AND deletedAt IS NULL
+  `).run(userId, id);
+  return result.changes > 0;
+}
+
+/**
+ * Take a row out of the trash
+ * @param {string} type - Key of TRASH_TABLES
+ * @param {number} id - Row ID
+ * @returns {object|null} - Restored row, null if it wasn't in the trash
+ */
+export function restoreFromTrash(type, id) {
+  const table = TRASH_TABLES[type];
+  const result = db.prepare(`
+    UPDATE ${table} SET deletedAt = NULL, deletedBy = NULL WHERE id = ? AND deletedAt IS NOT NULL
+  `).run(id);
+  if (result.changes === 0) return null;
+  return db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+}
+
+/**
+ * List a project's trash, most recently deleted first
+ * @param {number} projectId - Project ID
+ * @returns {Array} - { type, id, title, deletedAt, deletedByUsername, purgeAt, dependents }
+ */
+export function listProjectTrash(projectId) {
+  const modifier = retentionModifier(TRASH_RETENTION_DAYS);
+  const select = (type, extra = '') => db.prepare(`
+    SELECT '${type}' as type, x.id, x.title, x.deletedAt, u.username as deletedByUsername,
+      datetime(x.deletedAt, ?) as purgeAt ${extra}
+    FROM ${TRASH_TABLES[type]} x
+    LEFT JOIN users u ON u.id = x.deletedBy
+    WHERE x.projectId = ? AND x.deletedAt IS NOT NULL
+  `).all(modifier, projectId);
+
+  const decisions = select('decision', `,
+    (SELECT COUNT(*) FROM links WHERE decisionId = x.id) as links,
+    (SELECT COUNT(*) FROM decision_tags WHERE decisionId = x.id) as tags,
+    (SELECT COUNT(*) FROM decision_relations WHERE fromDecisionId = x.id OR toDecisionId = x.id) as relations`
+  ).map(({ links, tags, relations, ...row }) => ({ ...row, dependents: { links, tags, relations } }));
+
+  const recordings = select('recording', `,
+    (SELECT COUNT(*) FROM tasks WHERE recordingId = x.id AND deletedAt IS NULL) as tasks`
+  ).map(({ tasks, ...row }) => ({ ...row, dependents: { tasks } }));
+
+  // Direct subtasks deleted along with the task
+  const tasks = select('task', `,
+    (SELECT COUNT(*) FROM tasks WHERE parentId = x.id AND deletedAt = x.deletedAt) as subtasks`
+  ).map(({ subtasks, ...row }) => ({ ...row, dependents: { subtasks } }));
+
+  return [...decisions, ...recordings, ...tasks]
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || b.id - a.id);
+}
+
+/**
+ * List deleted projects the user owns (only owners can restore a project)
+ * @param {number} userId - User ID
+ * @returns {Array}
+ */
+export function listDeletedProjects(userId) {
+  return db.prepare(`
+    SELECT p.*, u.username as deletedByUsername, datetime(p.deletedAt, ?) as purgeAt
+    FROM projects p
+    JOIN project_members pm ON pm.projectId = p.id AND pm.userId = ? AND pm.role = 'owner'
+    LEFT JOIN users u ON u.id = p.deletedBy
+    WHERE p.deletedAt IS NOT NULL
+    ORDER BY p.deletedAt DESC
+  `).all(retentionModifier(TRASH_RETENTION_DAYS), userId);
+}
+
+function removeFile(filePath) {
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period,
+ * including the audio and image files it owned
+ * @param {number} retentionDays - Days to keep trashed items
+ * @returns {object} - Number of purged { projects, decisions, tasks, recordings, files }
+ */
+export function purgeExpiredTrash(retentionDays = TRASH_RETENTION_DAYS) {
+  const cutoff = `-${retentionDays} days`;
+  const expired = (type) => db.prepare(`
+    SELECT * FROM ${TRASH_TABLES[type]} WHERE deletedAt IS NOT NULL AND deletedAt <= datetime('now', ?)
+  `).all(cutoff);
+
+  const purge = db.transaction(() => {
+    const rows = {
+      task: expired('task'),
+      decision: expired('decision'),
+      recording: expired('recording'),
+      project: expired('project')
+    };
+
+    // Deleting a project cascades to everything in it, so collect its files first
+    const audioFiles = rows.recording.map(r => r.filename);
+    const imageFiles = [];
+    for (const project of rows.project) {
+      audioFiles.push(...db.prepare('SELECT filename FROM recordings WHERE projectId = ?').all(project.id).map(r => r.filename));
+      imageFiles.push(...db.prepare('SELECT filename FROM image_analyses WHERE projectId = ?').all(project.id).map(r => r.filename));
+    }
+
+    for (const [type, list] of Object.entries(rows)) {
+      const remove = db.prepare(`DELETE FROM ${TRASH_TABLES[type]} WHERE id = ?`);
+      for (const row of list) {
+        remove.run(row.id);
+        recordAudit(null, type === 'project' ? row.id : row.projectId, 'delete', type, row.id, {
+          before: row,
+          context: 'purged from trash'
+        });
+      }
+    }
+
+    // Archived copies share image files with the original project, keep those still in use
+    const stillUsed = db.prepare('SELECT 1 FROM image_analyses WHERE filename = ?');
+    const unusedImages = [...new Set(imageFiles)].filter(filename => !stillUsed.get(filename));
+
+    return { rows, audioFiles, unusedImages };
+  });
+
+  const { rows, audioFiles, unusedImages } = purge();
+
+  // Files go only after the rows are gone for good
+  let files = 0;
+  for (const filename of audioFiles) {
+    if (removeFile(path.join(uploadsDir, filename))) files++;
+  }
+  for (const filename of unusedImages) {
+    if (removeFile(path.join(imagesDir, filename))) files++;
+  }
+
+  return {
+    projects: rows.project.length,
+    decisions: rows.decision.length,
+    tasks: rows.task.length,
+    recordings: rows.recording.length,
+    files
+  };
+}
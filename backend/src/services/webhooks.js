@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import db from '../db.js';
+import { enqueueJob, PermanentJobError } from './jobQueue.js';
+
+export const WEBHOOK_EVENTS = [
+  'decision.created',
+  'decision.superseded',
+  'task.created',
+  'task.done',
+  'recording.transcribed'
+];
+
+// Sent by the test-delivery endpoint, can't be subscribed to
+export const PING_EVENT = 'ping';
+
+// Attempts per delivery; the job queue waits 5s, 10s, 20s, ... between them
+export const DELIVERY_MAX_ATTEMPTS = 6;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Finished deliveries kept per webhook
+const DELIVERY_LOG_SIZE = 100;
+const RESPONSE_BODY_LIMIT = 1000;
+
+export const SIGNATURE_HEADER = 'X-Brain-Signature-256';
+
+// Loopback, private, link-local (cloud metadata at 169.254.169.254), shared and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Webhook URL pointing at the server's own network
+ */
+export class WebhookTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookTargetError';
+  }
+}
+
+// Receivers on the local network (e.g. in development) need WEBHOOK_ALLOW_PRIVATE=true
+function privateTargetsAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Hostname without the brackets of an IPv6 address
+function urlHost(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '');
+}
+
+function privateTargetError(host) {
+  return new WebhookTargetError(`${host} is a private, loopback or link-local address`);
+}
+
+/**
+ * Check that a webhook URL resolves to public addresses only
+ * @param {string} url - http(s) URL
+ * @returns {Promise<void>}
+ * @throws {WebhookTargetError} - If the host doesn't resolve or one of its addresses is private
+ */
+export async function checkWebhookTarget(url) {
+  if (privateTargetsAllowed()) return;
+
+  const host = urlHost(url);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+  } catch {
+    throw new WebhookTargetError(`Could not resolve ${host}`);
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw privateTargetError(host);
+  }
+}
+
+// dns.lookup for deliveries: the addresses actually connected to are checked, so a host
+// can't resolve to a public address for checkWebhookTarget and a private one for the request
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (!privateTargetsAllowed() && addresses.some(isPrivateAddress)) {
+      return callback(privateTargetError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+// POST without following redirects; only the start of the response body is kept.
+// IP addresses in the URL skip the lookup, so they are checked here.
+function postToReceiver(url, { headers, body, signal }) {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const host = urlHost(url);
+  return new Promise((resolve, reject) => {
+    if (!privateTargetsAllowed() && isPrivateAddress(host)) {
+      return reject(privateTargetError(host));
+    }
+
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (text.length < RESPONSE_BODY_LIMIT) text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: text.slice(0, RESPONSE_BODY_LIMIT) }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Generate a signing secret for a new webhook
+ * @returns {string}
+ */
+export function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Sign a request body the way receivers should verify it
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex HMAC>"
+ */
+export function signWebhookPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Shape a webhook row for API responses. The secret is only shown in full when the webhook is created.
+ * @param {object} row - webhooks row
+ * @param {object} options - { includeSecret }
+ * @returns {object}
+ */
+export function serializeWebhook(row, { includeSecret = false } = {}) {
+  const { secret, ...webhook } = row;
+  return {
+    ...webhook,
+    events: JSON.parse(row.events),
+    active: Boolean(row.active),
+    ...(includeSecret ? { secret } : { secretHint: `…${secret.slice(-4)}` })
+  };
+}
+
+// Embeddings are internal and large, everything else about the entity goes out
+function payloadData(data) {
+  if (!data || typeof data !== 'object') return data ?? null;
+  const { embedding, ...rest } = data;
+  return rest;
+}
+
+function createDelivery(webhook, event, data) {
+  const project = db.prepare('SELECT id, name FROM projects WHERE id = ?').get(webhook.projectId);
+  const result = db.prepare(`
+    INSERT INTO webhook_deliveries (webhookId, event, payload) VALUES (?, ?, '{}')
+  `).run(webhook.id, event);
+  const deliveryId = result.lastInsertRowid;
+
+  // The payload carries its own delivery ID so receivers can drop duplicates of a retried delivery
+  const payload = {
+    id: deliveryId,
+    event,
+    timestamp: new Date().toISOString(),
+    project,
+    data: payloadData(data)
+  };
+  db.prepare('UPDATE webhook_deliveries SET payload = ? WHERE id = ?').run(JSON.stringify(payload), deliveryId);
+
+  db.prepare(`
+    DELETE FROM webhook_deliveries
+    WHERE webhookId = ? AND status != 'pending' AND id NOT IN (
+      SELECT id FROM webhook_deliveries WHERE webhookId = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(webhook.id, webhook.id, DELIVERY_LOG_SIZE);
+
+  return deliveryId;
+}
+
+/**
+ * Queue a delivery to every active webhook of the project subscribed to the event
+ * @param {number} projectId - Project the event happened in
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - The decision, task or recording
+ * @returns {number} - Number of deliveries queued
+ */
+export function dispatchWebhookEvent(projectId, event, data) {
+  if (!projectId) return 0;
+
+  const webhooks = db.prepare(`
+    SELECT w.* FROM webhooks w, json_each(w.events) e
+    WHERE w.projectId = ? AND w.active = 1 AND e.value = ?
+  `).all(projectId, event);
+
+  for (const webhook of webhooks) {
+    const deliveryId = createDelivery(webhook, event, data);
+    enqueueJob('deliver-webhook', { deliveryId }, { projectId });
+  }
+  return webhooks.length;
+}
+
+/**
+ * Create a ping delivery for a webhook (sent right away by the test endpoint)
+ * @param {object} webhook - webhooks row
+ * @param {object} user - User who asked for it
+ * @returns {number} - Delivery ID
+ */
+export function createPingDelivery(webhook, user) {
+  return createDelivery(webhook, PING_EVENT, {
+    message: 'Test delivery',
+    webhookId: webhook.id,
+    events: JSON.parse(webhook.events),
+    requestedBy: user.username
+  });
+}
+
+/**
+ * POST a delivery to its webhook and log the attempt
+ * @param {number} deliveryId - Delivery ID
+ * @param {object} options - { signal, final } final marks the delivery failed instead of pending on error
+ * @returns {Promise<object>} - Updated delivery
+ * @throws {Error} - If the receiver can't be reached or doesn't answer 2xx (PermanentJobError for 4xx)
+ */
+export async function attemptDelivery(deliveryId, { signal, final = false } = {}) {
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+  if (!delivery) {
+    throw new PermanentJobError('Delivery not found (the webhook was deleted)');
+  }
+  const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(delivery.webhookId);
+  if (!webhook.active && delivery.event !== PING_EVENT) {
+    throw new PermanentJobError('Webhook is disabled');
+  }
+
+  const started = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  let refused = false;
+
+  try {
+    const timeout = AbortSignal.timeout(DELIVERY_TIMEOUT_MS);
+    const response = await postToReceiver(webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SecondBrain-Webhook/1.0',
+        'X-Brain-Event': delivery.event,
+        'X-Brain-Delivery': String(delivery.id),
+        [SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, delivery.payload)
+      },
+      body: delivery.payload,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    responseStatus = response.status;
+    responseBody = response.body;
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Receiver answered ${response.status}`;
+    }
+  } catch (err) {
+    refused = err.name === 'WebhookTargetError';
+    error = err.cause?.name === 'TimeoutError'
+      ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`
+      : err.cause?.message || err.message;
+  }
+
+  // Client errors won't fix themselves, except timeouts and rate limits; neither will a refused address
+  const permanent = refused || (responseStatus >= 400 && responseStatus < 500 && ![408, 429].includes(responseStatus));
+  const status = !error ? 'succeeded' : final || permanent ? 'failed' : 'pending';
+
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = attempts + 1, responseStatus = ?, responseBody = ?, error = ?,
+      durationMs = ?, lastAttemptAt = datetime('now')
+    WHERE id = ?
+  `).run(status, responseStatus, responseBody, error, Date.now() - started, deliveryId);
+
+  if (error) {
+    throw permanent ? new PermanentJobError(error) : new Error(error);
+  }
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+}
+
+/**
+ * Mark a delivery failed once its job has given up
+ * @param {number} deliveryId - Delivery ID
+ * @param {string} error - Last error
+ */
+export function failDelivery(deliveryId, error) {
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'failed', error = COALESCE(error, ?) WHERE id = ? AND status = 'pending'
+  `).run(error, deliveryId);
+}
+
+/**
+ * List a webhook's deliveries, newest first
+ * @param {number} webhookId - Webhook ID
+ * @param {number} limit - Max rows
+ * @returns {Array}
+ */
+export function listDeliveries(webhookId, limit = 50) {
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries WHERE webhookId = ? ORDER BY id DESC LIMIT ?
+  `).all(webhookId, limit).map(delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) }));
+}
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { configureApi } from '../src/api.js';
+import { resolveSettings } from '../src/config.js';
+import { COMMANDS, UsageError } from '../src/commands.js';
+
+// Accepted by every command
+const GLOBAL_OPTIONS = {
+  project: { type: 'string', short: 'p' },
+  url: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function printHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  console.log([
+    'Usage: brain <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    '',
+    'Options:',
+    '  -p, --project <id>  Project to use (default: .brain.json, then BRAIN_PROJECT)',
+    '  --url <server>      Server URL (default: BRAIN_URL, .brain.json, then http://localhost:3001)',
+    '  --json              Print JSON for scripting',
+    '',
+    'Run `brain <command> --help` for the options of a command.'
+  ].join('\n'));
+}
+
+async function main() {
+  const [name, ...argv] = process.argv.slice(2);
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    printHelp();
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}"`);
+  }
+
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  if (args.values.help) {
+    console.log(`Usage: brain ${command.usage}\n\n${command.summary}`);
+    return;
+  }
+
+  const settings = resolveSettings(args.values);
+  configureApi(settings);
+  await command.run(args, { ...settings, json: Boolean(args.values.json) });
+}
+
+main().catch(err => {
+  console.error(`brain: ${err.message}`);
+  if (err instanceof UsageError) {
+    const command = COMMANDS[process.argv[2]];
+    console.error(command ? `Usage: brain ${command.usage}` : 'Run `brain --help` for the list of commands.');
+    process.exit(2);
+  }
+  process.exit(1);
+});
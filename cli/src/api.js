@@ -0,0 +1,129 @@
+// Same routes and function names as frontend/src/api.js, authenticated with a bearer token
+
+let settings = { url: 'http://localhost:3001', token: null };
+
+export function configureApi({ url, token }) {
+  settings = { url: url.replace(/\/+$/, ''), token };
+}
+
+/**
+ * Error response from the server
+ */
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+async function request(path, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${settings.url}/api${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(settings.token && { Authorization: `Bearer ${settings.token}` }),
+        ...options.headers
+      }
+    });
+  } catch (err) {
+    throw new ApiError(`Could not reach ${settings.url} (${err.cause?.code || err.message})`, 0);
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Request failed' }));
+    const message = response.status === 401 && path !== '/auth/login'
+      ? 'Not logged in or session expired, run `brain login`'
+      : error.error || 'Request failed';
+    throw new ApiError(message, response.status);
+  }
+
+  if (response.status === 204) {
+    return null;
+  }
+
+  return response.json();
+}
+
+// "?a=1&b=2" from the params that are set, "" when none are
+function queryString(params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') query.set(key, value);
+  }
+  const string = query.toString();
+  return string ? `?${string}` : '';
+}
+
+// Project lists come one page at a time as { items, total, nextCursor }
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Follow nextCursor until every item of a project list is loaded
+ * @param {Function} getPage - Called with { limit, cursor }, returns a page
+ * @returns {Promise<Array>} - All items
+ */
+export async function getAllPages(getPage) {
+  const items = [];
+  let cursor;
+  do {
+    const page = await getPage({ limit: MAX_PAGE_SIZE, cursor });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+// Auth
+export const login = (username, password) => request('/auth/login', {
+  method: 'POST',
+  body: JSON.stringify({ username, password })
+});
+export const logout = () => request('/auth/logout', {
+  method: 'POST'
+});
+export const getCurrentUser = () => request('/auth/me');
+
+// Projects
+export const getProjects = () => request('/projects');
+export const getProject = (id) => request(`/projects/${id}`);
+
+// Decisions
+// params: tag, status, from, to, q, sort, limit, cursor
+export const getDecisionsByProject = (projectId, params = {}) =>
+  request(`/decisions/project/${projectId}${queryString(params)}`);
+export const getDecision = (id) => request(`/decisions/${id}`);
+export const createDecision = (data) => request('/decisions', {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
+export const getDecisionsForPath = (projectId, path) => request(
+  `/decisions/project/${projectId}/files?path=${encodeURIComponent(path)}`
+);
+
+// Links
+export const addLink = (decisionId, link) => request(`/decisions/${decisionId}/links`, {
+  method: 'POST',
+  body: JSON.stringify(link)
+});
+
+// Tasks
+// params: status, priority, source, from, to, q, sort, limit, cursor
+export const getTasksByProject = (projectId, params = {}) =>
+  request(`/tasks/project/${projectId}${queryString(params)}`);
+export const createTask = (data) => request('/tasks', {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
+export const updateTask = (id, data) => request(`/tasks/${id}`, {
+  method: 'PATCH',
+  body: JSON.stringify(data)
+});
+
+// Search
+export const searchProject = (projectId, query, { mode = 'hybrid', tags, from, to } = {}) => request('/search', {
+  method: 'POST',
+  body: JSON.stringify({ projectId, query, mode, tags, from, to })
+});
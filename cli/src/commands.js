@@ -0,0 +1,352 @@
+import readline from 'readline';
+import * as api from './api.js';
+import { writeProjectFile, saveToken, removeToken } from './config.js';
+import { renderDecisionTemplate, parseDecisionTemplate, editText } from './editor.js';
+import { resolveCommit, toRepoPath } from './git.js';
+
+const DECISION_STATUSES = ['proposed', 'accepted', 'deprecated', 'superseded'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const TASK_STATUSES = ['pending', 'in_progress', 'done'];
+const SEARCH_MODES = ['hybrid', 'semantic', 'keyword'];
+
+/**
+ * Wrong arguments; printed together with the command's usage
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function requireProject(ctx) {
+  if (!ctx.projectId) {
+    throw new UsageError('No project selected. Run `brain init <projectId>` here, or pass --project / set BRAIN_PROJECT');
+  }
+  return ctx.projectId;
+}
+
+function requireOneOf(name, value, allowed) {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw new UsageError(`Invalid ${name} "${value}". Must be one of: ${allowed.join(', ')}`);
+  }
+}
+
+// Print JSON for scripts, or the human-readable lines
+function output(ctx, data, format) {
+  if (ctx.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    const text = format(data);
+    if (text) console.log(text);
+  }
+}
+
+// One interface for all questions, so piped input (printf 'me\nsecret\n' | brain login) isn't lost between them
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+  const lines = rl[Symbol.asyncIterator]();
+  let muted = false;
+  rl._writeToOutput = (text) => {
+    if (!muted) rl.output.write(text);
+  };
+
+  return {
+    async ask(question, { hidden = false } = {}) {
+      process.stdout.write(question);
+      muted = hidden;
+      const { value, done } = await lines.next();
+      muted = false;
+      if (hidden) process.stdout.write('\n');
+      return done ? '' : value.trim();
+    },
+    close: () => rl.close()
+  };
+}
+
+const formatDecision = (d) => `#${d.id}  ${d.status.padEnd(10)}  ${d.title}`;
+const formatTask = (t) => `#${t.id}  ${`[${t.priority}]`.padEnd(8)}  ${t.status.padEnd(11)}  ${t.title}`;
+const stripMarks = (snippet) => (snippet || '').replace(/<mark>(.*?)<\/mark>/g, '*$1*').replace(/\s+/g, ' ');
+
+async function login(args, ctx) {
+  const prompt = createPrompt();
+  let username, password;
+  try {
+    username = args.values.username || await prompt.ask('Username: ');
+    password = await prompt.ask('Password: ', { hidden: true });
+  } finally {
+    prompt.close();
+  }
+  const { user, token } = await api.login(username, password);
+  saveToken(ctx.url, { token, username: user.username });
+  output(ctx, user, () => `Logged in to ${ctx.url} as ${user.username}`);
+}
+
+async function logout(args, ctx) {
+  if (ctx.token) {
+    await api.logout().catch(() => {});
+  }
+  removeToken(ctx.url);
+  output(ctx, { ok: true }, () => `Logged out of ${ctx.url}`);
+}
+
+async function whoami(args, ctx) {
+  const user = await api.getCurrentUser();
+  output(ctx, { ...user, url: ctx.url, projectId: ctx.projectId }, () => [
+    `${user.username} on ${ctx.url}`,
+    ctx.projectId ? `Project #${ctx.projectId}${ctx.projectFile ? ` (from ${ctx.projectFile})` : ''}` : 'No project selected'
+  ].join('\n'));
+}
+
+async function projects(args, ctx) {
+  const list = await api.getProjects();
+  output(ctx, list, () => list.length === 0
+    ? 'No projects'
+    : list.map(p => `#${p.id}  ${p.role.padEnd(6)}  ${p.name}${p.id === ctx.projectId ? '  (current)' : ''}`).join('\n'));
+}
+
+async function init(args, ctx) {
+  const [projectId] = args.positionals;
+  if (!projectId) {
+    throw new UsageError('Project ID is required');
+  }
+  const project = await api.getProject(projectId);
+  const config = { projectId: project.id };
+  if (args.values.url) config.url = ctx.url;
+  const file = writeProjectFile(process.cwd(), config);
+  output(ctx, { ...config, file }, () => `Using project #${project.id} "${project.name}" in this directory (${file})`);
+}
+
+// Links given as flags: --commit HEAD --pr 12 --file src/db.js --task 4 --note "..."
+function collectLinks(values) {
+  const links = [];
+  for (const ref of values.commit || []) links.push({ type: 'commit', reference: resolveCommit(ref) });
+  for (const ref of values.pr || []) links.push({ type: 'pr', reference: ref });
+  for (const ref of values.file || []) links.push({ type: 'file', reference: toRepoPath(ref) });
+  for (const ref of values.task || []) links.push({ type: 'task', reference: ref });
+  for (const ref of values.note || []) links.push({ type: 'note', reference: ref });
+  return links;
+}
+
+async function decide(args, ctx) {
+  const projectId = requireProject(ctx);
+  const { values } = args;
+  requireOneOf('status', values.status, DECISION_STATUSES);
+
+  let fields = {
+    title: args.positionals.join(' ') || null,
+    description: values.description || null,
+    reason: values.reason || null,
+    consequences: values.consequences || null
+  };
+
+  // Without a title (or with --edit) the decision is written in the editor
+  if (!fields.title || values.edit) {
+    fields = parseDecisionTemplate(editText(renderDecisionTemplate({ ...fields, status: values.status })));
+    if (!fields.title) {
+      throw new Error('Aborted: the decision has no title');
+    }
+  }
+
+  const decision = await api.createDecision({
+    projectId,
+    ...fields,
+    status: values.status || 'accepted',
+    links: collectLinks(values)
+  });
+  output(ctx, decision, () => `Created decision #${decision.id} "${decision.title}"`
+    + (decision.links.length ? ` with ${decision.links.length} link${decision.links.length === 1 ? '' : 's'}` : ''));
+}
+
+async function decisions(args, ctx) {
+  const projectId = requireProject(ctx);
+  const { status, tag } = args.values;
+  const list = await api.getAllPages(page => api.getDecisionsByProject(projectId, { status, tag, ...page }));
+  output(ctx, list, () => list.length === 0 ? 'No decisions' : list.map(formatDecision).join('\n'));
+}
+
+// Links go to the given decision, or the project's newest one
+async function link(args, ctx) {
+  const projectId = requireProject(ctx);
+  const links = collectLinks(args.values);
+  if (links.length === 0) {
+    throw new UsageError('Nothing to link. Use --commit, --pr, --file, --task or --note');
+  }
+
+  let decisionId = args.values.decision || args.positionals[0];
+  if (!decisionId) {
+    const { items: [latest] } = await api.getDecisionsByProject(projectId, { limit: 1 });
+    if (!latest) {
+      throw new Error('The project has no decisions yet');
+    }
+    decisionId = latest.id;
+  }
+
+  const decision = await api.getDecision(decisionId);
+  const created = [];
+  for (const item of links) {
+    created.push(await api.addLink(decision.id, item));
+  }
+  output(ctx, created, () => created
+    .map(l => `Linked ${l.type} ${l.reference} to decision #${decision.id} "${decision.title}"`)
+    .join('\n'));
+}
+
+async function task(args, ctx) {
+  const [action, ...rest] = args.positionals;
+
+  if (action === 'add') {
+    const projectId = requireProject(ctx);
+    const title = rest.join(' ');
+    if (!title) {
+      throw new UsageError('Task title is required');
+    }
+    requireOneOf('priority', args.values.priority, TASK_PRIORITIES);
+    const created = await api.createTask({
+      projectId,
+      title,
+      priority: args.values.priority || 'medium',
+      decisionId: args.values.decision ? Number(args.values.decision) : undefined
+    });
+    return output(ctx, created, () => `Created task #${created.id} [${created.priority}] ${created.title}`);
+  }
+
+  if (action === 'done' || action === 'start') {
+    if (rest.length === 0) {
+      throw new UsageError('Task ID is required');
+    }
+    const status = action === 'done' ? 'done' : 'in_progress';
+    const updated = [];
+    for (const id of rest) {
+      updated.push(await api.updateTask(id, { status }));
+    }
+    return output(ctx, updated, () => updated.map(formatTask).join('\n'));
+  }
+
+  throw new UsageError(action ? `Unknown task command "${action}"` : 'Task command is required');
+}
+
+async function tasks(args, ctx) {
+  const projectId = requireProject(ctx);
+  const { priority, status } = args.values;
+  requireOneOf('priority', priority, TASK_PRIORITIES);
+  requireOneOf('status', status, TASK_STATUSES);
+
+  const filters = {};
+  if (priority) filters.priority = priority;
+  if (status) filters.status = status;
+  const list = await api.getAllPages(page => api.getTasksByProject(projectId, { ...filters, ...page }));
+  output(ctx, list, () => list.length === 0 ? 'No tasks' : list.map(formatTask).join('\n'));
+}
+
+async function search(args, ctx) {
+  const projectId = requireProject(ctx);
+  const query = args.positionals.join(' ');
+  if (!query) {
+    throw new UsageError('Search query is required');
+  }
+  requireOneOf('mode', args.values.mode, SEARCH_MODES);
+
+  const result = await api.searchProject(projectId, query, { mode: args.values.mode });
+  output(ctx, result, () => {
+    if (result.results.length === 0) return 'No results';
+    const lines = result.results.map(r => [
+      `${r.type} #${r.id}  ${r.title || ''}`,
+      r.snippet && `    ${stripMarks(r.snippet)}`,
+      r.reason && `    (${r.reason})`
+    ].filter(Boolean).join('\n'));
+    if (result.answer) lines.unshift(result.answer, '');
+    return lines.join('\n');
+  });
+}
+
+async function why(args, ctx) {
+  const projectId = requireProject(ctx);
+  if (args.positionals.length === 0) {
+    throw new UsageError('A path or glob is required');
+  }
+
+  const results = [];
+  for (const filePath of args.positionals) {
+    const repoPath = toRepoPath(filePath);
+    results.push({ path: repoPath, decisions: await api.getDecisionsForPath(projectId, repoPath) });
+  }
+  output(ctx, results, () => results.map(({ path, decisions }) => decisions.length === 0
+    ? `${path}: no linked decisions`
+    : [`${path}:`, ...decisions.map(d => `  ${formatDecision(d)}${d.superseded ? '  (superseded)' : ''}`)].join('\n')
+  ).join('\n'));
+}
+
+const LINK_OPTIONS = {
+  commit: { type: 'string', multiple: true },
+  pr: { type: 'string', multiple: true },
+  file: { type: 'string', multiple: true },
+  task: { type: 'string', multiple: true },
+  note: { type: 'string', multiple: true }
+};
+
+// Command name -> { usage, summary, options for util.parseArgs, run(args, ctx) }
+export const COMMANDS = {
+  login: {
+    usage: 'login [--username <name>]',
+    summary: 'Log in and store the session token for the server',
+    options: { username: { type: 'string', short: 'u' } },
+    run: login
+  },
+  logout: { usage: 'logout', summary: 'End the session and forget the token', run: logout },
+  whoami: { usage: 'whoami', summary: 'Show the user, server and project in use', run: whoami },
+  projects: { usage: 'projects', summary: 'List your projects', run: projects },
+  init: {
+    usage: 'init <projectId> [--url <server>]',
+    summary: 'Use a project (and server) for this directory and below',
+    run: init
+  },
+  decide: {
+    usage: 'decide [title] [--status <status>] [--description ..] [--reason ..] [--consequences ..] [--edit] [--commit <ref>] [--pr ..] [--file ..]',
+    summary: 'Record a decision; without a title opens $EDITOR with a template',
+    options: {
+      status: { type: 'string', short: 's' },
+      description: { type: 'string', short: 'd' },
+      reason: { type: 'string', short: 'r' },
+      consequences: { type: 'string', short: 'c' },
+      edit: { type: 'boolean', short: 'e' },
+      ...LINK_OPTIONS
+    },
+    run: decide
+  },
+  decisions: {
+    usage: 'decisions [--status <status,...>] [--tag <name>]',
+    summary: 'List decisions, newest first',
+    options: { status: { type: 'string', short: 's' }, tag: { type: 'string' } },
+    run: decisions
+  },
+  link: {
+    usage: 'link [decisionId] --commit <ref> | --pr <number|url> | --file <path> | --task <id> | --note <text>',
+    summary: 'Link commits, PRs, files or notes to a decision (default: the newest one)',
+    options: { decision: { type: 'string' }, ...LINK_OPTIONS },
+    run: link
+  },
+  task: {
+    usage: 'task add <title> [--priority low|medium|high] [--decision <id>] | task start|done <id>...',
+    summary: 'Add a task or change its status',
+    options: { priority: { type: 'string' }, decision: { type: 'string' } },
+    run: task
+  },
+  tasks: {
+    usage: 'tasks [--priority low|medium|high] [--status pending|in_progress|done]',
+    summary: 'List tasks, highest priority first',
+    options: { priority: { type: 'string' }, status: { type: 'string', short: 's' } },
+    run: tasks
+  },
+  search: {
+    usage: 'search <query> [--mode hybrid|semantic|keyword]',
+    summary: 'Search decisions, tasks, transcripts and images',
+    options: { mode: { type: 'string', short: 'm' } },
+    run: search
+  },
+  why: {
+    usage: 'why <path or glob>...',
+    summary: 'Show the decisions linked to a file or its directories',
+    run: why
+  }
+};
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Per-directory settings, found by walking up from the working directory like .git
+export const PROJECT_FILE = '.brain.json';
+
+export const DEFAULT_URL = 'http://localhost:3001';
+
+function credentialsPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'brain', 'credentials.json');
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Find the nearest project file
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} - Path of the file
+ */
+export function findProjectFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const file = path.join(dir, PROJECT_FILE);
+    if (fs.existsSync(file)) return file;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Write the project file for a directory
+ * @param {string} dir - Directory
+ * @param {object} config - { projectId, url }
+ * @returns {string} - Path of the file
+ */
+export function writeProjectFile(dir, config) {
+  const file = path.join(dir, PROJECT_FILE);
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n');
+  return file;
+}
+
+// Tokens are stored per server URL, readable by the current user only
+function readCredentials() {
+  return readJson(credentialsPath()) || { servers: {} };
+}
+
+export function saveToken(url, { token, username }) {
+  const file = credentialsPath();
+  const credentials = readCredentials();
+  credentials.servers[url] = { token, username };
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(credentials, null, 2) + '\n', { mode: 0o600 });
+}
+
+export function removeToken(url) {
+  const credentials = readCredentials();
+  if (!credentials.servers[url]) return false;
+  delete credentials.servers[url];
+  fs.writeFileSync(credentialsPath(), JSON.stringify(credentials, null, 2) + '\n', { mode: 0o600 });
+  return true;
+}
+
+/**
+ * Resolve server, token and project. Flags win over environment variables,
+ * which win over the project file and stored credentials. BRAIN_TOKEN is only sent
+ * to a server chosen with --url or BRAIN_URL: a .brain.json from a cloned repository
+ * must not be able to redirect it elsewhere.
+ * @param {object} flags - { project, url }
+ * @returns {object} - { url, token, projectId, projectFile }
+ */
+export function resolveSettings(flags = {}) {
+  const projectFile = findProjectFile();
+  const local = projectFile ? readJson(projectFile) || {} : {};
+
+  const explicitUrl = flags.url || process.env.BRAIN_URL;
+  const url = (explicitUrl || local.url || DEFAULT_URL).replace(/\/+$/, '');
+  const envToken = explicitUrl ? process.env.BRAIN_TOKEN : null;
+  const token = envToken || readCredentials().servers[url]?.token || null;
+  const projectId = flags.project || process.env.BRAIN_PROJECT || local.projectId || null;
+
+  return { url, token, projectId: projectId ? Number(projectId) : null, projectFile };
+}
@@ -0,0 +1,82 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Template sections and the decision fields they fill
+const SECTIONS = [
+  { field: 'description', heading: 'Description', hint: 'What was decided?' },
+  { field: 'reason', heading: 'Reason', hint: 'Why? Which alternatives were considered?' },
+  { field: 'consequences', heading: 'Consequences', hint: 'What becomes easier or harder because of it?' }
+];
+
+/**
+ * Render the decision template shown in the editor
+ * @param {object} values - { title, description, reason, consequences, status }
+ * @returns {string}
+ */
+export function renderDecisionTemplate(values = {}) {
+  const lines = [`# ${values.title || ''}`, ''];
+  for (const section of SECTIONS) {
+    lines.push(`## ${section.heading}`, `<!-- ${section.hint} -->`);
+    if (values[section.field]) lines.push(values[section.field]);
+    lines.push('');
+  }
+  lines.push(
+    '<!--',
+    `Status: ${values.status || 'accepted'} (change it with --status)`,
+    'Save and close to create the decision. Leave the title empty to cancel.',
+    '-->',
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Read a filled-in template back into decision fields
+ * @param {string} text - Template contents
+ * @returns {object} - { title, description, reason, consequences }, empty fields are null
+ */
+export function parseDecisionTemplate(text) {
+  const content = text.replace(/<!--[\s\S]*?-->/g, '');
+  const result = { title: content.match(/^# (.*)$/m)?.[1].trim() || null };
+
+  const parts = content.split(/^## (.+)$/m);
+  for (let i = 1; i < parts.length; i += 2) {
+    const section = SECTIONS.find(s => s.heading.toLowerCase() === parts[i].trim().toLowerCase());
+    if (section) {
+      result[section.field] = parts[i + 1].trim() || null;
+    }
+  }
+  for (const { field } of SECTIONS) {
+    result[field] ??= null;
+  }
+  return result;
+}
+
+/**
+ * Let the user edit text in $VISUAL / $EDITOR (vi by default)
+ * @param {string} initial - Starting contents
+ * @returns {string} - Saved contents
+ * @throws {Error} - If the editor can't be started or exits with an error
+ */
+export function editText(initial) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-'));
+  const file = path.join(dir, 'DECISION.md');
+  fs.writeFileSync(file, initial);
+
+  try {
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    // Through the shell so editors configured with arguments ("code --wait") work
+    const result = spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+    if (result.error) {
+      throw new Error(`Could not start editor "${editor}": ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+      throw new Error(`Editor "${editor}" exited with status ${result.status}`);
+    }
+    return fs.readFileSync(file, 'utf8');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,32 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+/**
+ * Resolve a commit-ish (HEAD, a branch, a short SHA) in the current repository to its full SHA
+ * @param {string} ref - Commit-ish
+ * @returns {string}
+ */
+export function resolveCommit(ref) {
+  try {
+    return git(['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`]);
+  } catch {
+    throw new Error(`Not a commit in this repository: ${ref}`);
+  }
+}
+
+export function repositoryRoot() {
+  try {
+    return git(['rev-parse', '--show-toplevel']);
+  } catch {
+    return process.cwd();
+  }
+}
+
+// File links are stored relative to the repository root
+export function toRepoPath(filePath) {
+  return path.relative(repositoryRoot(), path.resolve(filePath)).split(path.sep).join('/');
+}
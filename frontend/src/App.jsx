@@ -1,31 +1,64 @@
+import { useState, useEffect } from 'react';
 import { Routes, Route } from 'react-router-dom';
+import { getCurrentUser, logout, setUnauthorizedHandler } from './api';
 import ProjectList from './components/ProjectList';
 import ProjectDashboard from './components/ProjectDashboard';
 import DecisionView from './components/DecisionView';
 import NewDecision from './components/NewDecision';
 import RecordingView from './components/RecordingView';
 import GraphView from './components/GraphView';
+import TaskBoard from './components/TaskBoard';
 import QuickNotes from './components/QuickNotes';
+import Login from './components/Login';
+import UndoToast from './components/UndoToast';
 
 export default function App() {
+  const [user, setUser] = useState(undefined); // undefined while checking the session, null when logged out
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null));
+  }, []);
+
+  async function handleLogout() {
+    await logout().catch(() => {});
+    setUser(null);
+  }
+
   return (
     <div className="app">
       <header className="app-header">
         <a href="/" className="app-logo">
           <img src="/logobrain.svg" alt="Second Brain for Devs" className="logo-img" />
         </a>
+        {user && (
+          <div className="app-user">
+            <span className="app-user-name">{user.name || user.username}</span>
+            <button className="btn btn-small" onClick={handleLogout}>Sign out</button>
+          </div>
+        )}
       </header>
       <main className="app-main">
-        <Routes>
-          <Route path="/" element={<ProjectList />} />
-          <Route path="/project/:projectId" element={<ProjectDashboard />} />
-          <Route path="/project/:projectId/decision/new" element={<NewDecision />} />
-          <Route path="/project/:projectId/graph" element={<GraphView />} />
-          <Route path="/decision/:decisionId" element={<DecisionView />} />
-          <Route path="/recording/:recordingId" element={<RecordingView />} />
-        </Routes>
+        {user === undefined ? (
+          <div className="loading">Loading...</div>
+        ) : user === null ? (
+          <Login onLogin={setUser} />
+        ) : (
+          <Routes>
+            <Route path="/" element={<ProjectList />} />
+            <Route path="/project/:projectId" element={<ProjectDashboard />} />
+            <Route path="/project/:projectId/decision/new" element={<NewDecision />} />
+            <Route path="/project/:projectId/graph" element={<GraphView />} />
+            <Route path="/project/:projectId/board" element={<TaskBoard />} />
+            <Route path="/decision/:decisionId" element={<DecisionView />} />
+            <Route path="/recording/:recordingId" element={<RecordingView />} />
+          </Routes>
+        )}
       </main>
-      <QuickNotes />
+      {user && <QuickNotes />}
+      <UndoToast />
     </div>
   );
-}
\ No newline at end of file
+}
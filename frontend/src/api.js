@@ -1,5 +1,11 @@
 const API_BASE = '/api';
 
+// Called when the session is missing or expired so the app can show the login page
+let unauthorizedHandler = null;
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
 async function request(path, options = {}) {
   const response = await fetch(`${API_BASE}${path}`, {
     headers: {
@@ -9,6 +15,10 @@ async function request(path, options = {}) {
     ...options
   });
 
+  if (response.status === 401 && unauthorizedHandler && !path.startsWith('/auth/')) {
+    unauthorizedHandler();
+  }
+
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Request failed' }));
     throw new Error(error.error || 'Request failed');
@@ -21,6 +31,46 @@ async function request(path, options = {}) {
   return response.json();
 }
 
+// "?a=1&b=2" from the params that are set, "" when none are
+function queryString(params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') query.set(key, value);
+  }
+  const string = query.toString();
+  return string ? `?${string}` : '';
+}
+
+// Project lists come one page at a time as { items, total, nextCursor }
+export const MAX_PAGE_SIZE = 200;
+
+// Follow nextCursor until every item is loaded, for views that need the whole list
+export async function getAllPages(getPage) {
+  const items = [];
+  let cursor;
+  do {
+    const page = await getPage({ limit: MAX_PAGE_SIZE, cursor });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+// Auth (session cookie is set by the server)
+export const getAuthConfig = () => request('/auth/config');
+export const getCurrentUser = () => request('/auth/me');
+export const login = (username, password) => request('/auth/login', {
+  method: 'POST',
+  body: JSON.stringify({ username, password })
+});
+export const register = (data) => request('/auth/register', {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
+export const logout = () => request('/auth/logout', {
+  method: 'POST'
+});
+
 // Projects
 export const getProjects = () => request('/projects');
 export const getProject = (id) => request(`/projects/${id}`);
@@ -35,17 +85,36 @@ export const updateProject = (id, data) => request(`/projects/${id}`, {
 export const deleteProject = (id) => request(`/projects/${id}`, {
   method: 'DELETE'
 });
+export const restoreProject = (id) => request(`/projects/${id}/restore`, {
+  method: 'POST'
+});
+export const getDeletedProjects = () => request('/projects/trash');
+export const getProjectTrash = (projectId) => request(`/projects/${projectId}/trash`);
 
 // Decisions
-export const getDecisionsByProject = (projectId) => request(`/decisions/project/${projectId}`);
+// params: tag, status, from, to, q, sort, limit, cursor
+export const getDecisionsByProject = (projectId, params = {}) =>
+  request(`/decisions/project/${projectId}${queryString(params)}`);
 export const getDecision = (id) => request(`/decisions/${id}`);
 export const createDecision = (data) => request('/decisions', {
   method: 'POST',
   body: JSON.stringify(data)
 });
+export const updateDecision = (id, data) => request(`/decisions/${id}`, {
+  method: 'PATCH',
+  body: JSON.stringify(data)
+});
 export const deleteDecision = (id) => request(`/decisions/${id}`, {
   method: 'DELETE'
 });
+export const restoreDecision = (id) => request(`/decisions/${id}/restore`, {
+  method: 'POST'
+});
+export const getDecisionRevisions = (id) => request(`/decisions/${id}/revisions`);
+export const changeDecisionStatus = (id, status) => request(`/decisions/${id}/status`, {
+  method: 'POST',
+  body: JSON.stringify({ status })
+});
 
 // Links
 export const addLink = (decisionId, data) => request(`/decisions/${decisionId}/links`, {
@@ -57,11 +126,16 @@ export const deleteLink = (linkId) => request(`/decisions/links/${linkId}`, {
 });
 
 // Recordings
-export const getRecordingsByProject = (projectId) => request(`/recordings/project/${projectId}`);
+// params: status, from, to, q, sort, limit, cursor
+export const getRecordingsByProject = (projectId, params = {}) =>
+  request(`/recordings/project/${projectId}${queryString(params)}`);
 export const getRecording = (id) => request(`/recordings/${id}`);
 export const deleteRecording = (id) => request(`/recordings/${id}`, {
   method: 'DELETE'
 });
+export const restoreRecording = (id) => request(`/recordings/${id}/restore`, {
+  method: 'POST'
+});
 export const transcribeRecording = (id) => request(`/recordings/${id}/transcribe`, {
   method: 'POST'
 });
@@ -91,11 +165,10 @@ export async function uploadRecording(projectId, audioBlob, title, duration) {
 }
 
 // Tasks
-export const getTasksByProject = (projectId, filters = {}) => {
-  const params = new URLSearchParams(filters).toString();
-  const query = params ? `?${params}` : '';
-  return request(`/tasks/project/${projectId}${query}`);
-};
+// params: status, priority, source, blocked, parentId, decisionId, from, to, q, limit, cursor,
+// sort (priority, status, urgency, dueDate, createdAt or title, "-" for descending)
+export const getTasksByProject = (projectId, params = {}) =>
+  request(`/tasks/project/${projectId}${queryString(params)}`);
 export const getTask = (id) => request(`/tasks/${id}`);
 export const createTask = (data) => request('/tasks', {
   method: 'POST',
@@ -108,6 +181,59 @@ export const updateTask = (id, data) => request(`/tasks/${id}`, {
 export const deleteTask = (id) => request(`/tasks/${id}`, {
   method: 'DELETE'
 });
+export const restoreTask = (id) => request(`/tasks/${id}/restore`, {
+  method: 'POST'
+});
+export const getReadyTasks = (projectId) => request(`/tasks/project/${projectId}/ready`);
+export const addTaskDependency = (taskId, dependsOnTaskId) => request(`/tasks/${taskId}/dependencies`, {
+  method: 'POST',
+  body: JSON.stringify({ dependsOnTaskId })
+});
+export const removeTaskDependency = (taskId, dependsOnTaskId) => request(`/tasks/${taskId}/dependencies/${dependsOnTaskId}`, {
+  method: 'DELETE'
+});
+
+// Task board
+export const getBoard = (projectId) => request(`/board/project/${projectId}`);
+// taskIds: the column's new order from the top; returns the whole board
+export const reorderBoardTasks = (projectId, columnId, taskIds) => request(`/board/project/${projectId}/reorder`, {
+  method: 'POST',
+  body: JSON.stringify({ columnId, taskIds })
+});
+export const createBoardColumn = (projectId, data) => request(`/board/project/${projectId}/columns`, {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
+export const updateBoardColumn = (id, data) => request(`/board/columns/${id}`, {
+  method: 'PATCH',
+  body: JSON.stringify(data)
+});
+export const deleteBoardColumn = (id) => request(`/board/columns/${id}`, {
+  method: 'DELETE'
+});
+export const reorderBoardColumns = (projectId, columnIds) => request(`/board/project/${projectId}/columns/order`, {
+  method: 'PUT',
+  body: JSON.stringify({ columnIds })
+});
+
+// Checklists
+export const getChecklistTemplates = (projectId) => request(`/checklists/project/${projectId}`);
+export const createChecklistTemplate = (projectId, data) => request(`/checklists/project/${projectId}`, {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
+export const updateChecklistTemplate = (id, data) => request(`/checklists/${id}`, {
+  method: 'PATCH',
+  body: JSON.stringify(data)
+});
+export const deleteChecklistTemplate = (id) => request(`/checklists/${id}`, {
+  method: 'DELETE'
+});
+// data: { decisionId?, dueDate? }; returns { tasks }
+export const instantiateChecklist = (id, data = {}) => request(`/checklists/${id}/instantiate`, {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
 
 // Tags
 export const getTagsByProject = (projectId) => request(`/tags/project/${projectId}`);
@@ -145,16 +271,10 @@ export const deleteRelation = (id) => request(`/relations/${id}`, {
 export const getGraphData = (projectId) => request(`/relations/graph/${projectId}`);
 export const getRelationTypes = () => request('/relations/types');
 
-// Decisions with filters
-export const getDecisionsByProjectWithFilter = (projectId, tag) => {
-  const query = tag ? `?tag=${encodeURIComponent(tag)}` : '';
-  return request(`/decisions/project/${projectId}${query}`);
-};
-
 // Search
-export const searchProject = (projectId, query) => request('/search', {
+export const searchProject = (projectId, query, { mode = 'hybrid', tags, from, to } = {}) => request('/search', {
   method: 'POST',
-  body: JSON.stringify({ projectId, query })
+  body: JSON.stringify({ projectId, query, mode, tags, from, to })
 });
 
 // OCR / Image Analysis
@@ -177,8 +297,9 @@ export async function analyzeImage(projectId, imageFile, analysisType = 'convers
   return response.json();
 }
 
-export const getImageAnalyses = (projectId, includeAll = false) => 
-  request(`/ocr/project/${projectId}${includeAll ? '?includeAll=true' : ''}`);
+// params: includeAll, analysisType, from, to, q, sort, limit, cursor
+export const getImageAnalyses = (projectId, params = {}) =>
+  request(`/ocr/project/${projectId}${queryString(params)}`);
 export const getImageAnalysis = (id) => request(`/ocr/${id}`);
 export const deleteImageAnalysis = (id) => request(`/ocr/${id}`, { method: 'DELETE' });
 export const saveOcrTasks = (projectId, tasks, mode = 'merge') => request('/ocr/save-tasks', {
@@ -192,8 +313,13 @@ export const reanalyzeImage = (projectId, filename, analysisType = 'conversation
 });
 
 // Task cleanup
-export const cleanupDuplicateTasks = (projectId) => request(`/tasks/cleanup/${projectId}`, {
-  method: 'POST'
+// Clusters of likely duplicates to review, nothing is changed; minScore from 0.3 to 1
+export const findDuplicateTasks = (projectId, minScore) =>
+  request(`/tasks/project/${projectId}/duplicates${queryString({ minScore })}`);
+// Keeps the earliest of the tasks and moves the others to the trash; returns { task, merged }
+export const mergeTasks = (taskIds) => request('/tasks/merge', {
+  method: 'POST',
+  body: JSON.stringify({ taskIds })
 });
 
 export const bulkUpdateTasks = (taskIds, updates) => request('/tasks/bulk-update', {
@@ -201,10 +327,178 @@ export const bulkUpdateTasks = (taskIds, updates) => request('/tasks/bulk-update
   body: JSON.stringify({ taskIds, updates })
 });
 
+// ADR export (zip download, so we only build the URL)
+export const getAdrExportUrl = (projectId, format = 'madr') =>
+  `${API_BASE}/projects/${projectId}/export/adr?format=${format}`;
+
+// ADR import (multipart: .md files or a .zip)
+export async function importAdrs(projectId, files, { dryRun = false, onConflict = 'skip' } = {}) {
+  const formData = new FormData();
+  for (const file of files) {
+    formData.append('files', file);
+  }
+  formData.append('dryRun', dryRun ? 'true' : 'false');
+  formData.append('onConflict', onConflict);
+  
+  const response = await fetch(`${API_BASE}/projects/${projectId}/import/adr`, {
+    method: 'POST',
+    body: formData
+  });
+  
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Import failed' }));
+    throw new Error(error.error || 'Import failed');
+  }
+  
+  return response.json();
+}
+
+// Project backup bundle (zip download with data, recordings and images)
+export const getProjectBundleUrl = (projectId) => `${API_BASE}/projects/${projectId}/export/bundle`;
+
+// Restore a backup bundle as a new project
+export async function restoreProjectBundle(file, name) {
+  const formData = new FormData();
+  formData.append('bundle', file);
+  if (name) {
+    formData.append('name', name);
+  }
+  
+  const response = await fetch(`${API_BASE}/projects/import/bundle`, {
+    method: 'POST',
+    body: formData
+  });
+  
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Restore failed' }));
+    throw new Error(error.error || 'Restore failed');
+  }
+  
+  return response.json();
+}
+
+// Project members
+export const getProjectMembers = (projectId) => request(`/projects/${projectId}/members`);
+export const addProjectMember = (projectId, username, role) => request(`/projects/${projectId}/members`, {
+  method: 'POST',
+  body: JSON.stringify({ username, role })
+});
+export const updateProjectMember = (projectId, userId, role) => request(`/projects/${projectId}/members/${userId}`, {
+  method: 'PATCH',
+  body: JSON.stringify({ role })
+});
+export const removeProjectMember = (projectId, userId) => request(`/projects/${projectId}/members/${userId}`, {
+  method: 'DELETE'
+});
+
+// Webhooks (project owners only)
+export const getWebhooks = (projectId) => request(`/webhooks/project/${projectId}`);
+export const createWebhook = (projectId, data) => request(`/webhooks/project/${projectId}`, {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
+export const updateWebhook = (id, data) => request(`/webhooks/${id}`, {
+  method: 'PATCH',
+  body: JSON.stringify(data)
+});
+export const deleteWebhook = (id) => request(`/webhooks/${id}`, {
+  method: 'DELETE'
+});
+export const testWebhook = (id) => request(`/webhooks/${id}/test`, {
+  method: 'POST'
+});
+export const getWebhookDeliveries = (id, limit = 20) => request(`/webhooks/${id}/deliveries?limit=${limit}`);
+export const redeliverWebhookDelivery = (deliveryId) => request(`/webhooks/deliveries/${deliveryId}/redeliver`, {
+  method: 'POST'
+});
+
 export const archiveProject = (projectId) => request(`/projects/${projectId}/archive`, {
   method: 'POST'
 });
 
+// Live updates
+// Calls onChange(events) whenever something in the project is created, updated or deleted.
+// Events arriving close together are delivered as one batch so a bulk change triggers one reload.
+// Returns a function that closes the stream.
+export function subscribeToProject(projectId, onChange, { entities, delay = 250 } = {}) {
+  const source = new EventSource(`${API_BASE}/projects/${projectId}/events`);
+  let pending = [];
+  let timer = null;
+
+  source.onmessage = (message) => {
+    const event = JSON.parse(message.data);
+    if (entities && !entities.includes(event.entity)) return;
+    pending.push(event);
+    if (!timer) {
+      timer = setTimeout(() => {
+        const events = pending;
+        pending = [];
+        timer = null;
+        onChange(events);
+      }, delay);
+    }
+  };
+
+  return () => {
+    clearTimeout(timer);
+    source.close();
+  };
+}
+
+// Background jobs
+export const getJobs = ({ projectId, status, type } = {}) => {
+  const params = new URLSearchParams();
+  if (projectId) params.append('projectId', projectId);
+  if (status) params.append('status', status);
+  if (type) params.append('type', type);
+  const query = params.toString();
+  return request(`/jobs${query ? `?${query}` : ''}`);
+};
+export const getJob = (id) => request(`/jobs/${id}`);
+export const cancelJob = (id) => request(`/jobs/${id}/cancel`, {
+  method: 'POST'
+});
+export const retryJob = (id) => request(`/jobs/${id}/retry`, {
+  method: 'POST'
+});
+
+// Poll a job until it finishes; resolves with its result, throws if it failed or was cancelled
+export async function waitForJob(jobId, { interval = 1000, onUpdate } = {}) {
+  for (;;) {
+    const job = await getJob(jobId);
+    if (onUpdate) onUpdate(job);
+    if (job.status === 'completed') return job.result;
+    if (job.status === 'failed') throw new Error(job.error || 'Job failed');
+    if (job.status === 'cancelled') throw new Error('Job was cancelled');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+// Audit log
+export const getAuditLog = ({ projectId, entityType, entityId, action, from, to, beforeId, limit } = {}) => {
+  const params = new URLSearchParams();
+  if (projectId) params.append('projectId', projectId);
+  if (entityType) params.append('entityType', entityType);
+  if (entityId) params.append('entityId', entityId);
+  if (action) params.append('action', action);
+  if (from) params.append('from', from);
+  if (to) params.append('to', to);
+  if (beforeId) params.append('beforeId', beforeId);
+  if (limit) params.append('limit', limit);
+  const query = params.toString();
+  return request(`/audit${query ? `?${query}` : ''}`);
+};
+
+// Git repository
+export const getCommit = (projectId, sha) => request(`/git/project/${projectId}/commits/${encodeURIComponent(sha)}`);
+export const getDecisionSuggestions = (projectId, { since, limit } = {}) => {
+  const params = new URLSearchParams();
+  if (since) params.append('since', since);
+  if (limit) params.append('limit', limit);
+  const query = params.toString();
+  return request(`/git/project/${projectId}/suggestions${query ? `?${query}` : ''}`);
+};
+
 // AI Assistant
 export const askAssistant = (projectId, question) => request('/assistant/ask', {
   method: 'POST',
@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { getAuditLog, subscribeToProject } from '../api';
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TYPES = ['decision', 'task', 'task_dependency', 'board_column', 'checklist_template', 'tag', 'relation', 'link', 'decision_tag', 'recording', 'analysis', 'project', 'member', 'webhook'];
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted'
+};
+
+// Bookkeeping columns that change on every write and say nothing about the edit
+const IGNORED_FIELDS = ['updatedAt', 'createdAt'];
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Fields whose value differs between the before and after snapshots
+function changedFields(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...keys]
+    .filter(key => !IGNORED_FIELDS.includes(key))
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ key, before: before[key], after: after[key] }));
+}
+
+function entryLabel(entry) {
+  const snapshot = entry.after || entry.before || {};
+  if (snapshot.dependsOnTitle) return `${snapshot.taskTitle} waits on ${snapshot.dependsOnTitle}`;
+  return snapshot.title || snapshot.name || snapshot.tagName || snapshot.username || null;
+}
+
+export default function ActivityFeed({ projectId }) {
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState({ entityType: '', action: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadEntries();
+  }, [projectId, filters]);
+
+  // Every change to the project adds an audit entry, so reload the first page on any event
+  useEffect(() => {
+    return subscribeToProject(projectId, () => loadEntries());
+  }, [projectId, filters]);
+
+  async function loadEntries() {
+    try {
+      setError(null);
+      const page = await getAuditLog({ projectId, ...filters, limit: PAGE_SIZE });
+      setEntries(page);
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadMore() {
+    const oldest = entries[entries.length - 1];
+    if (!oldest) return;
+
+    try {
+      const page = await getAuditLog({ projectId, ...filters, beforeId: oldest.id, limit: PAGE_SIZE });
+      setEntries([...entries, ...page]);
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function formatTimestamp(dateString) {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  if (loading) {
+    return <div className="loading">Loading activity...</div>;
+  }
+
+  return (
+    <div className="activity-feed">
+      <div className="activity-filters">
+        <select
+          value={filters.entityType}
+          onChange={(e) => setFilters({ ...filters, entityType: e.target.value })}
+        >
+          <option value="">All entities</option>
+          {ENTITY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select
+          value={filters.action}
+          onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+        >
+          <option value="">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="form-error">{error}</div>}
+
+      {entries.length === 0 ? (
+        <div className="empty-state">
+          <p>No activity recorded yet.</p>
+        </div>
+      ) : (
+        <ul className="activity-list">
+          {entries.map(entry => {
+            const label = entryLabel(entry);
+            const changes = entry.action === 'update' ? changedFields(entry) : [];
+            const isExpanded = expanded === entry.id;
+
+            return (
+              <li key={entry.id} className={`activity-item activity-${entry.action}`}>
+                <div className="activity-summary">
+                  <span className="activity-actor">{entry.actorName}</span>
+                  {' '}{ACTION_LABELS[entry.action]}{' '}
+                  <span className="activity-entity">{entry.entityType} #{entry.entityId}</span>
+                  {label && <span className="activity-label"> “{label}”</span>}
+                  {entry.context && <span className="activity-context">{entry.context}</span>}
+                  <span className="activity-time">{formatTimestamp(entry.createdAt)}</span>
+                  {changes.length > 0 && (
+                    <button
+                      type="button"
+                      className="link-btn"
+                      onClick={() => setExpanded(isExpanded ? null : entry.id)}
+                    >
+                      {isExpanded ? 'Hide changes' : `${changes.length} field${changes.length === 1 ? '' : 's'} changed`}
+                    </button>
+                  )}
+                </div>
+
+                {isExpanded && (
+                  <table className="activity-changes">
+                    <tbody>
+                      {changes.map(change => (
+                        <tr key={change.key}>
+                          <th>{change.key}</th>
+                          <td className="diff-removed">{formatValue(change.before)}</td>
+                          <td className="diff-added">{formatValue(change.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {hasMore && (
+        <button type="button" className="btn btn-small" onClick={loadMore}>
+          Load older activity
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { importAdrs } from '../api';
+import StatusBadge from './StatusBadge';
+
+const CONFLICT_LABELS = {
+  duplicate_title: 'Already exists',
+  duplicate_number: 'Duplicate number',
+  unresolved_reference: 'Unknown reference',
+  missing_date: 'No date',
+  parse_error: 'Not an ADR'
+};
+
+export default function AdrImportModal({ projectId, isOpen, onClose, onImported }) {
+  const [files, setFiles] = useState([]);
+  const [onConflict, setOnConflict] = useState('skip');
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  function reset() {
+    setFiles([]);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  }
+
+  function handleClose() {
+    reset();
+    onClose();
+  }
+
+  async function loadPreview(selectedFiles, conflictMode) {
+    if (selectedFiles.length === 0) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await importAdrs(projectId, selectedFiles, { dryRun: true, onConflict: conflictMode });
+      setPreview(data);
+    } catch (err) {
+      setError(err.message);
+      setPreview(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleFileSelect(e) {
+    const selected = Array.from(e.target.files || []);
+    setFiles(selected);
+    setResult(null);
+    loadPreview(selected, onConflict);
+  }
+
+  function handleConflictModeChange(mode) {
+    setOnConflict(mode);
+    loadPreview(files, mode);
+  }
+
+  async function handleImport() {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await importAdrs(projectId, files, { onConflict });
+      setResult(data.imported);
+      setPreview(null);
+      if (onImported) onImported();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (!isOpen) return null;
+
+  const importCount = preview?.records.filter(r => r.willImport).length || 0;
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import ADRs</h2>
+          <button className="modal-close" onClick={handleClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-form">
+          {error && <div className="form-error">{error}</div>}
+
+          <div className="form-group">
+            <label htmlFor="adr-files">ADR markdown files or a zip of docs/adr</label>
+            <input
+              id="adr-files"
+              type="file"
+              accept=".md,.markdown,.zip"
+              multiple
+              onChange={handleFileSelect}
+              disabled={loading}
+            />
+            <p className="form-hint">Nygard, MADR and Y-statement templates are recognised.</p>
+          </div>
+
+          {loading && (
+            <div className="search-loading">
+              <div className="spinner"></div>
+              <span>Reading ADRs...</span>
+            </div>
+          )}
+
+          {result && (
+            <p className="tasks-note tasks-saved">
+              ✓ Imported {result.decisions} decision(s) and {result.relations} relation(s)
+              {result.skipped > 0 && `, skipped ${result.skipped} existing`}.
+            </p>
+          )}
+
+          {preview && !loading && (
+            <>
+              {preview.conflicts.length > 0 && (
+                <div className="adr-import-conflicts">
+                  <h4>Conflicts ({preview.conflicts.length})</h4>
+                  <ul>
+                    {preview.conflicts.map((conflict, i) => (
+                      <li key={i}>
+                        <span className="adr-conflict-type">{CONFLICT_LABELS[conflict.type] || conflict.type}</span>
+                        <span className="adr-conflict-file">{conflict.filename}</span>
+                        {conflict.message}
+                      </li>
+                    ))}
+                  </ul>
+                  {preview.conflicts.some(c => c.type === 'duplicate_title') && (
+                    <div className="history-toggle">
+                      <button
+                        className={`toggle-btn ${onConflict === 'skip' ? 'active' : ''}`}
+                        onClick={() => handleConflictModeChange('skip')}
+                      >
+                        Skip existing
+                      </button>
+                      <button
+                        className={`toggle-btn ${onConflict === 'import' ? 'active' : ''}`}
+                        onClick={() => handleConflictModeChange('import')}
+                      >
+                        Import anyway
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <ul className="adr-import-preview">
+                {preview.records.map(record => (
+                  <li key={record.filename} className={record.willImport ? '' : 'skipped'}>
+                    <span className="adr-import-number">
+                      {record.number !== null ? `#${record.number}` : '–'}
+                    </span>
+                    <span className="adr-import-title">{record.title}</span>
+                    <StatusBadge status={record.status || 'accepted'} size="small" />
+                    <span className="adr-import-date">
+                      {record.createdAt ? record.createdAt.split(' ')[0] : 'no date'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" className="btn" onClick={handleClose}>
+              {result ? 'Close' : 'Cancel'}
+            </button>
+            {preview && (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleImport}
+                disabled={loading || importCount === 0}
+              >
+                Import {importCount} decision(s)
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
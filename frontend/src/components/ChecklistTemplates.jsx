@@ -0,0 +1,266 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  getChecklistTemplates,
+  createChecklistTemplate,
+  updateChecklistTemplate,
+  deleteChecklistTemplate,
+  instantiateChecklist,
+  getDecisionsByProject,
+  getAllPages
+} from '../api';
+
+const PRIORITY_ICONS = { high: '🔴', medium: '🟡', low: '🟢' };
+
+const emptyItem = () => ({ title: '', priority: 'medium' });
+
+// decision: when set, checklists are used for that decision only (from the decision page)
+// onInstantiated: called with the created tasks
+export default function ChecklistTemplates({ projectId, decision = null, canEdit = true, onClose, onInstantiated }) {
+  const [templates, setTemplates] = useState([]);
+  const [decisions, setDecisions] = useState([]);
+  const [editing, setEditing] = useState(null); // { id?, name, description, items }
+  const [using, setUsing] = useState(null); // { templateId, decisionId, dueDate }
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const modalRef = useRef(null);
+
+  useEffect(() => {
+    loadTemplates();
+    if (!decision) loadDecisions();
+  }, [projectId]);
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+    function handleClickOutside(e) {
+      if (modalRef.current && !modalRef.current.contains(e.target)) onClose();
+    }
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [onClose]);
+
+  async function loadTemplates() {
+    try {
+      setTemplates(await getChecklistTemplates(projectId));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function loadDecisions() {
+    try {
+      setDecisions(await getAllPages(page => getDecisionsByProject(projectId, page)));
+    } catch (err) {
+      console.error('Failed to load decisions:', err);
+    }
+  }
+
+  // Run a change, then show the checklists as stored
+  async function run(action) {
+    try {
+      setError(null);
+      setMessage(null);
+      await action();
+      await loadTemplates();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function updateItem(index, changes) {
+    setEditing({ ...editing, items: editing.items.map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    const items = editing.items
+      .filter(item => item.title.trim())
+      .map(item => ({ ...item, title: item.title.trim() }));
+    const data = { name: editing.name.trim(), description: editing.description.trim() || null, items };
+    run(async () => {
+      if (editing.id) await updateChecklistTemplate(editing.id, data);
+      else await createChecklistTemplate(projectId, data);
+      setEditing(null);
+    });
+  }
+
+  function handleDelete(template) {
+    if (!confirm(`Delete the "${template.name}" checklist? Tasks already created from it are kept.`)) return;
+    run(() => deleteChecklistTemplate(template.id));
+  }
+
+  function handleUse(e) {
+    e.preventDefault();
+    const template = templates.find(t => t.id === using.templateId);
+    run(async () => {
+      const { tasks } = await instantiateChecklist(template.id, {
+        decisionId: decision?.id ?? (Number(using.decisionId) || null),
+        dueDate: using.dueDate || null
+      });
+      setUsing(null);
+      setMessage(`Added ${tasks.length} task${tasks.length === 1 ? '' : 's'} from "${template.name}"`);
+      if (onInstantiated) onInstantiated(tasks);
+    });
+  }
+
+  const canSave = editing && editing.name.trim() && editing.items.some(item => item.title.trim());
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal modal-wide checklist-modal" ref={modalRef}>
+        <div className="modal-header">
+          <h2>{decision ? `Checklists for "${decision.title}"` : 'Checklists'}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="form-error">{error}</div>}
+        {message && <div className="checklist-message">{message}</div>}
+
+        {editing ? (
+          <form className="modal-form checklist-form" onSubmit={handleSave}>
+            <div className="form-group">
+              <label htmlFor="checklist-name">Name</label>
+              <input
+                id="checklist-name"
+                type="text"
+                value={editing.name}
+                onChange={e => setEditing({ ...editing, name: e.target.value })}
+                placeholder="e.g. Release checklist"
+                autoFocus
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="checklist-description">Description</label>
+              <input
+                id="checklist-description"
+                type="text"
+                value={editing.description}
+                onChange={e => setEditing({ ...editing, description: e.target.value })}
+                placeholder="Optional"
+              />
+            </div>
+            <div className="form-group">
+              <label>Tasks</label>
+              <ul className="checklist-items">
+                {editing.items.map((item, index) => (
+                  <li key={index} className="checklist-item-row">
+                    <input
+                      type="text"
+                      value={item.title}
+                      onChange={e => updateItem(index, { title: e.target.value })}
+                      placeholder={`Task ${index + 1}`}
+                    />
+                    <select value={item.priority} onChange={e => updateItem(index, { priority: e.target.value })}>
+                      <option value="high">🔴 High</option>
+                      <option value="medium">🟡 Medium</option>
+                      <option value="low">🟢 Low</option>
+                    </select>
+                    <button
+                      type="button"
+                      className="btn-icon"
+                      onClick={() => setEditing({ ...editing, items: editing.items.filter((_, i) => i !== index) })}
+                      disabled={editing.items.length === 1}
+                      title="Remove task"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => setEditing({ ...editing, items: [...editing.items, emptyItem()] })}
+              >
+                + Add task
+              </button>
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="btn" onClick={() => setEditing(null)}>Cancel</button>
+              <button type="submit" className="btn btn-primary" disabled={!canSave}>Save checklist</button>
+            </div>
+          </form>
+        ) : (
+          <div className="checklist-body">
+            {templates.length === 0 && (
+              <p className="checklist-empty">No checklists yet. Save steps you repeat, like a release or onboarding, and add them as tasks in one go.</p>
+            )}
+            <ul className="checklist-list">
+              {templates.map(template => (
+                <li key={template.id} className="checklist-template">
+                  <div className="checklist-template-header">
+                    <div>
+                      <h3>{template.name}</h3>
+                      {template.description && <p className="checklist-description">{template.description}</p>}
+                    </div>
+                    {canEdit && (
+                      <div className="checklist-template-actions">
+                        <button
+                          className="btn btn-small btn-primary"
+                          onClick={() => setUsing({ templateId: template.id, decisionId: '', dueDate: '' })}
+                        >
+                          Use
+                        </button>
+                        <button
+                          className="btn btn-small"
+                          onClick={() => setEditing({
+                            id: template.id,
+                            name: template.name,
+                            description: template.description || '',
+                            items: template.items.map(({ title, priority }) => ({ title, priority }))
+                          })}
+                        >
+                          Edit
+                        </button>
+                        <button className="btn-icon" onClick={() => handleDelete(template)} title="Delete checklist">×</button>
+                      </div>
+                    )}
+                  </div>
+                  <ol className="checklist-preview">
+                    {template.items.map((item, index) => (
+                      <li key={index}>{PRIORITY_ICONS[item.priority]} {item.title}</li>
+                    ))}
+                  </ol>
+
+                  {using?.templateId === template.id && (
+                    <form className="checklist-use" onSubmit={handleUse}>
+                      {!decision && (
+                        <select value={using.decisionId} onChange={e => setUsing({ ...using, decisionId: e.target.value })}>
+                          <option value="">Not linked to a decision</option>
+                          {decisions.map(d => (
+                            <option key={d.id} value={d.id}>{d.title}</option>
+                          ))}
+                        </select>
+                      )}
+                      <label>
+                        Due
+                        <input type="date" value={using.dueDate} onChange={e => setUsing({ ...using, dueDate: e.target.value })} />
+                      </label>
+                      <button type="submit" className="btn btn-small btn-primary">
+                        Add {template.items.length} task{template.items.length === 1 ? '' : 's'}
+                      </button>
+                      <button type="button" className="btn btn-small" onClick={() => setUsing(null)}>Cancel</button>
+                    </form>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {canEdit && (
+              <button
+                className="btn"
+                onClick={() => setEditing({ name: '', description: '', items: [emptyItem()] })}
+              >
+                + New checklist
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
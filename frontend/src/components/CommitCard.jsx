@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { getCommit } from '../api';
+
+const FILE_STATUS_LABELS = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'type changed'
+};
+
+// Commit links resolved against the project's git repository
+export default function CommitCard({ projectId, sha, onRemove }) {
+  const [commit, setCommit] = useState(null);
+  const [error, setError] = useState(null);
+  const [showFiles, setShowFiles] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setCommit(null);
+    setError(null);
+
+    getCommit(projectId, sha)
+      .then(data => !cancelled && setCommit(data))
+      .catch(err => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, sha]);
+
+  function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  return (
+    <li className="reference-item commit-card">
+      <div className="commit-card-main">
+        <div className="commit-card-header">
+          <span className="reference-icon">⟠</span>
+          <code className="commit-sha" title={commit?.sha || sha}>{commit?.shortSha || sha.slice(0, 7)}</code>
+          {commit ? (
+            <span className="commit-subject">{commit.subject}</span>
+          ) : (
+            <span className={error ? 'commit-error' : 'commit-loading'}>
+              {error || 'Loading commit...'}
+            </span>
+          )}
+        </div>
+
+        {commit && (
+          <div className="commit-meta">
+            <span title={commit.authorEmail}>{commit.author}</span>
+            {' · '}{formatDate(commit.date)}
+            {commit.files.length > 0 && (
+              <>
+                {' · '}
+                <button type="button" className="link-btn" onClick={() => setShowFiles(!showFiles)}>
+                  {showFiles ? 'Hide files' : `${commit.files.length} file${commit.files.length === 1 ? '' : 's'} changed`}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {commit && commit.body && <p className="commit-body">{commit.body}</p>}
+
+        {showFiles && (
+          <ul className="commit-files">
+            {commit.files.map(file => (
+              <li key={`${file.status}-${file.path}`} className={`commit-file commit-file-${file.status}`}>
+                <span className="commit-file-status" title={FILE_STATUS_LABELS[file.status]}>{file.status}</span>
+                {file.previousPath && <span className="commit-file-previous">{file.previousPath} → </span>}
+                <span>{file.path}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {onRemove && (
+        <button className="btn-icon" onClick={onRemove} aria-label="Remove link">
+          ×
+        </button>
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getDecisionSuggestions } from '../api';
+
+export default function CommitSuggestionsModal({ projectId, isOpen, onClose }) {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [since, setSince] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadSuggestions();
+    }
+  }, [isOpen, since]);
+
+  async function loadSuggestions() {
+    setLoading(true);
+    setError(null);
+    try {
+      setSuggestions(await getDecisionSuggestions(projectId, { since }));
+    } catch (err) {
+      setError(err.message);
+      setSuggestions([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Open the new decision form filled in from the commit, linked back to it
+  function handleCreate(commit) {
+    onClose();
+    navigate(`/project/${projectId}/decision/new`, {
+      state: {
+        prefill: {
+          title: commit.suggestedTitle,
+          description: commit.body,
+          links: [{ type: 'commit', reference: commit.sha }]
+        }
+      }
+    });
+  }
+
+  function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Decisions from Commit History</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-form">
+          {error && <div className="form-error">{error}</div>}
+
+          <div className="form-group">
+            <label htmlFor="suggestions-since">Commits since</label>
+            <input
+              id="suggestions-since"
+              type="date"
+              value={since}
+              onChange={(e) => setSince(e.target.value)}
+            />
+            <p className="form-hint">
+              Commit messages that read like a decision ("switch to", "instead of", "we decided"...).
+              Commits already linked to a decision are left out.
+            </p>
+          </div>
+
+          {loading ? (
+            <div className="loading">Scanning commits...</div>
+          ) : suggestions.length === 0 ? (
+            !error && <p className="empty-hint">No decision-like commits found.</p>
+          ) : (
+            <ul className="suggestion-list">
+              {suggestions.map(commit => (
+                <li key={commit.sha} className="suggestion-item">
+                  <div className="suggestion-info">
+                    <span className="suggestion-title">{commit.subject}</span>
+                    <span className="commit-meta">
+                      <code className="commit-sha">{commit.shortSha}</code>
+                      {' · '}{commit.author}{' · '}{formatDate(commit.date)}
+                    </span>
+                    <span className="suggestion-matches">
+                      {commit.matches.map(match => (
+                        <span key={match} className="suggestion-match">{match}</span>
+                      ))}
+                    </span>
+                  </div>
+                  <button type="button" className="btn btn-small" onClick={() => handleCreate(commit)}>
+                    Create Decision
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
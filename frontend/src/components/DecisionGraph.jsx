@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import * as d3 from 'd3';
+import { STATUS_CONFIG } from './StatusBadge';
 
 const RELATION_COLORS = {
   supersedes: '#ef4444',
@@ -16,6 +17,10 @@ const RELATION_LABELS = {
   implements: 'implements'
 };
 
+function isInactive(decision) {
+  return decision.status === 'superseded' || decision.status === 'deprecated';
+}
+
 export default function DecisionGraph({ nodes, edges, onNodeClick }) {
   const svgRef = useRef(null);
   const containerRef = useRef(null);
@@ -119,8 +124,22 @@ export default function DecisionGraph({ nodes, edges, onNodeClick }) {
         }
         return '#667eea';
       })
-      .attr('stroke', 'rgba(255,255,255,0.3)')
-      .attr('stroke-width', 2);
+      .attr('stroke', d => STATUS_CONFIG[d.status]?.color || 'rgba(255,255,255,0.3)')
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', d => isInactive(d) ? '4 3' : null);
+
+    // Fade decisions we no longer live with
+    node.attr('opacity', d => isInactive(d) ? 0.55 : 1);
+
+    // Add status labels under titles
+    node.append('text')
+      .attr('class', 'graph-node-status')
+      .attr('dy', 49)
+      .attr('text-anchor', 'middle')
+      .attr('fill', d => STATUS_CONFIG[d.status]?.color || 'rgba(255,255,255,0.5)')
+      .attr('font-size', '9px')
+      .attr('font-weight', '600')
+      .text(d => (STATUS_CONFIG[d.status]?.label || d.status || '').toUpperCase());
 
     // Add labels to nodes
     node.append('text')
@@ -258,6 +277,15 @@ export default function DecisionGraph({ nodes, edges, onNodeClick }) {
             <span>{RELATION_LABELS[type]}</span>
           </div>
         ))}
+        {Object.entries(STATUS_CONFIG).map(([status, config]) => (
+          <div key={status} className="graph-legend-item">
+            <div 
+              className="graph-legend-dot" 
+              style={{ borderColor: config.color }}
+            />
+            <span>{config.label}</span>
+          </div>
+        ))}
       </div>
     </div>
   );
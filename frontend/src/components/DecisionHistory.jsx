@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { getDecisionRevisions } from '../api';
+
+const FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'reason', label: 'Reason' },
+  { key: 'consequences', label: 'Consequences & Trade-offs' }
+];
+
+// Word-level diff based on longest common subsequence
+function diffWords(before, after) {
+  const a = (before || '').split(/(\s+)/).filter(Boolean);
+  const b = (after || '').split(/(\s+)/).filter(Boolean);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  function push(type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
+
+export default function DecisionHistory({ decision }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedRevision, setSelectedRevision] = useState(null);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [decision.id, decision.updatedAt]);
+
+  async function loadRevisions() {
+    try {
+      setLoading(true);
+      const data = await getDecisionRevisions(decision.id);
+      setRevisions(data);
+      setSelectedRevision(data[0]?.revision ?? null);
+    } catch (err) {
+      console.error('Failed to load revisions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function formatDateTime(dateString) {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  if (loading) {
+    return <p className="empty-hint">Loading history...</p>;
+  }
+
+  if (revisions.length === 0) {
+    return <p className="empty-hint">This decision has not been edited yet.</p>;
+  }
+
+  // Revisions are newest first; each one is compared with the version that replaced it
+  const index = revisions.findIndex(r => r.revision === selectedRevision);
+  const before = revisions[index];
+  const after = index > 0 ? revisions[index - 1] : decision;
+
+  return (
+    <div className="decision-history">
+      <ul className="revision-list">
+        <li>
+          <div className="revision-item current">
+            <span className="revision-number">Current</span>
+            <span className="revision-date">{formatDateTime(decision.updatedAt || decision.createdAt)}</span>
+          </div>
+        </li>
+        {revisions.map(revision => (
+          <li key={revision.id}>
+            <button
+              className={`revision-item ${revision.revision === selectedRevision ? 'active' : ''}`}
+              onClick={() => setSelectedRevision(revision.revision)}
+            >
+              <span className="revision-number">v{revision.revision}</span>
+              <span className="revision-date">{formatDateTime(revision.createdAt)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {before && (
+        <div className="revision-diff">
+          <div className="revision-diff-header">
+            Changes from v{before.revision} to {index > 0 ? `v${after.revision}` : 'current'}
+          </div>
+          {FIELDS.map(({ key, label }) => {
+            if ((before[key] || '') === (after[key] || '')) return null;
+            return (
+              <div key={key} className="revision-diff-field">
+                <h4>{label}</h4>
+                <p className="decision-text">
+                  {diffWords(before[key], after[key]).map((part, i) => (
+                    part.type === 'same'
+                      ? <span key={i}>{part.text}</span>
+                      : <span key={i} className={`diff-${part.type}`}>{part.text}</span>
+                  ))}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,21 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { getDecision, getProject, deleteDecision, addLink, deleteLink } from '../api';
+import { getDecision, getProject, updateDecision, changeDecisionStatus, deleteDecision, restoreDecision, addLink, deleteLink, getTasksByProject, getAllPages } from '../api';
+import { showUndoToast } from './UndoToast';
+import CommitCard from './CommitCard';
+import DecisionHistory from './DecisionHistory';
+import ChecklistTemplates from './ChecklistTemplates';
+import StatusBadge, { STATUS_CONFIG } from './StatusBadge';
 
 const LINK_TYPES = ['commit', 'pr', 'task', 'file', 'note'];
 
+const LINK_PLACEHOLDERS = {
+  commit: 'Commit SHA or URL',
+  pr: '#123 or pull request URL'
+};
+
+const TASK_STATUS_ICONS = { pending: '○', in_progress: '◐', done: '✓' };
+
 export default function DecisionView() {
   const { decisionId } = useParams();
   const navigate = useNavigate();
@@ -14,6 +26,12 @@ export default function DecisionView() {
   const [showLinkForm, setShowLinkForm] = useState(false);
   const [newLink, setNewLink] = useState({ type: 'commit', reference: '' });
   const [addingLink, setAddingLink] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [editData, setEditData] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [tasks, setTasks] = useState([]);
+  const [showChecklists, setShowChecklists] = useState(false);
 
   useEffect(() => {
     loadDecision();
@@ -28,6 +46,7 @@ export default function DecisionView() {
       const projectData = await getProject(decisionData.projectId);
       setProject(projectData);
       setError(null);
+      loadTasks(decisionData.projectId);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -35,17 +54,68 @@ export default function DecisionView() {
     }
   }
 
+  // Tasks linked to the decision, from the recording or a checklist
+  async function loadTasks(projectId) {
+    try {
+      setTasks(await getAllPages(page => getTasksByProject(projectId, { ...page, decisionId, sort: 'createdAt' })));
+    } catch (err) {
+      console.error('Failed to load tasks:', err);
+    }
+  }
+
   async function handleDelete() {
-    if (!confirm('Are you sure you want to delete this decision?')) return;
-    
     try {
       await deleteDecision(decisionId);
+      // The dashboard picks the decision up again through live updates
+      showUndoToast(`"${decision.title}" moved to trash`, () => restoreDecision(decisionId));
       navigate(`/project/${decision.projectId}`);
     } catch (err) {
       setError(err.message);
     }
   }
 
+  function handleStartEdit() {
+    setEditData({
+      title: decision.title || '',
+      description: decision.description || '',
+      reason: decision.reason || '',
+      consequences: decision.consequences || ''
+    });
+    setEditing(true);
+  }
+
+  function handleEditChange(e) {
+    const { name, value } = e.target;
+    setEditData({ ...editData, [name]: value });
+  }
+
+  async function handleSaveEdit(e) {
+    e.preventDefault();
+    if (!editData.title.trim()) return;
+
+    try {
+      setSaving(true);
+      const updated = await updateDecision(decisionId, editData);
+      setDecision({ ...decision, ...updated });
+      setEditing(false);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleStatusChange(status) {
+    try {
+      const updated = await changeDecisionStatus(decisionId, status);
+      setDecision({ ...decision, ...updated });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
   async function handleAddLink(e) {
     e.preventDefault();
     if (!newLink.reference.trim()) return;
@@ -141,30 +211,131 @@ export default function DecisionView() {
       {error && <div className="error-message">{error}</div>}
 
       <article className="decision-article" onClick={(e) => e.stopPropagation()}>
-        <header className="decision-header">
-          <h1>{decision.title}</h1>
-          <time className="decision-time">{formatDateTime(decision.createdAt)}</time>
-        </header>
-
-        {decision.description && (
-          <section className="decision-section">
-            <h2>Description</h2>
-            <p className="decision-text">{decision.description}</p>
-          </section>
-        )}
+        {editing ? (
+          <form className="decision-edit-form" onSubmit={handleSaveEdit}>
+            <div className="form-group">
+              <label htmlFor="title">Decision Title *</label>
+              <input
+                id="title"
+                name="title"
+                type="text"
+                value={editData.title}
+                onChange={handleEditChange}
+                required
+                autoFocus
+              />
+            </div>
 
-        {decision.reason && (
-          <section className="decision-section">
-            <h2>Reason</h2>
-            <p className="decision-text">{decision.reason}</p>
-          </section>
-        )}
+            <div className="form-group">
+              <label htmlFor="description">Description</label>
+              <textarea
+                id="description"
+                name="description"
+                value={editData.description}
+                onChange={handleEditChange}
+                rows={4}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="reason">Reason (Why?)</label>
+              <textarea
+                id="reason"
+                name="reason"
+                value={editData.reason}
+                onChange={handleEditChange}
+                rows={3}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="consequences">Consequences & Trade-offs</label>
+              <textarea
+                id="consequences"
+                name="consequences"
+                value={editData.consequences}
+                onChange={handleEditChange}
+                rows={3}
+              />
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="btn" onClick={() => setEditing(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <header className="decision-header">
+              <div className="decision-header-top">
+                <h1>{decision.title}</h1>
+                <button className="btn btn-small" onClick={handleStartEdit}>
+                  Edit
+                </button>
+              </div>
+              <time className="decision-time">{formatDateTime(decision.createdAt)}</time>
+              {decision.createdByUsername && (
+                <span className="decision-time"> by {decision.createdByUsername}</span>
+              )}
+              {decision.updatedAt && (
+                <span className="decision-time decision-edited">
+                  {' '}· edited {formatDateTime(decision.updatedAt)}
+                </span>
+              )}
+              <div className="decision-status-row">
+                <StatusBadge status={decision.status} />
+                {decision.allowedTransitions?.length > 0 && (
+                  <select
+                    className="decision-status-select"
+                    value=""
+                    onChange={(e) => e.target.value && handleStatusChange(e.target.value)}
+                  >
+                    <option value="">Change status...</option>
+                    {decision.allowedTransitions.map(status => (
+                      <option key={status} value={status}>
+                        {STATUS_CONFIG[status]?.label || status}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              {decision.statusHistory?.length > 1 && (
+                <ul className="status-history">
+                  {decision.statusHistory.map((entry, i) => (
+                    <li key={i}>
+                      {STATUS_CONFIG[entry.toStatus]?.label || entry.toStatus}
+                      <span className="status-history-date">{formatDateTime(entry.changedAt)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </header>
 
-        {decision.consequences && (
-          <section className="decision-section">
-            <h2>Consequences & Trade-offs</h2>
-            <p className="decision-text">{decision.consequences}</p>
-          </section>
+            {decision.description && (
+              <section className="decision-section">
+                <h2>Description</h2>
+                <p className="decision-text">{decision.description}</p>
+              </section>
+            )}
+
+            {decision.reason && (
+              <section className="decision-section">
+                <h2>Reason</h2>
+                <p className="decision-text">{decision.reason}</p>
+              </section>
+            )}
+
+            {decision.consequences && (
+              <section className="decision-section">
+                <h2>Consequences & Trade-offs</h2>
+                <p className="decision-text">{decision.consequences}</p>
+              </section>
+            )}
+          </>
         )}
 
         <section className="decision-section">
@@ -192,7 +363,7 @@ export default function DecisionView() {
                 type="text"
                 value={newLink.reference}
                 onChange={(e) => setNewLink({ ...newLink, reference: e.target.value })}
-                placeholder="URL, commit hash, or reference"
+                placeholder={LINK_PLACEHOLDERS[newLink.type] || 'URL or reference'}
                 autoFocus
               />
               <button type="submit" className="btn btn-primary" disabled={addingLink}>
@@ -203,7 +374,14 @@ export default function DecisionView() {
 
           {decision.links && decision.links.length > 0 ? (
             <ul className="reference-list">
-              {decision.links.map(link => (
+              {decision.links.map(link => link.type === 'commit' && project?.repoPath ? (
+                <CommitCard
+                  key={link.id}
+                  projectId={decision.projectId}
+                  sha={link.reference}
+                  onRemove={() => handleDeleteLink(link.id)}
+                />
+              ) : (
                 <li key={link.id} className="reference-item">
                   <span className="reference-icon">{getLinkIcon(link.type)}</span>
                   <span className="reference-type">{link.type}</span>
@@ -234,12 +412,60 @@ export default function DecisionView() {
           )}
         </section>
 
+        <section className="decision-section">
+          <div className="section-header">
+            <h2>Tasks</h2>
+            {project?.role !== 'viewer' && (
+              <button className="btn btn-small" onClick={() => setShowChecklists(true)}>
+                Add checklist
+              </button>
+            )}
+          </div>
+
+          {tasks.length > 0 ? (
+            <ul className="decision-task-list">
+              {tasks.map(task => (
+                <li key={task.id} className={`decision-task ${task.status}`}>
+                  <span className="decision-task-status">{TASK_STATUS_ICONS[task.status]}</span>
+                  <span className="decision-task-title">{task.title}</span>
+                  {task.dueDate && task.status !== 'done' && <span className="task-due">📅 {task.dueDate}</span>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="empty-hint">No tasks linked yet.</p>
+          )}
+        </section>
+
+        <section className="decision-section">
+          <div className="section-header">
+            <h2>History</h2>
+            <button 
+              className="btn btn-small" 
+              onClick={() => setShowHistory(!showHistory)}
+            >
+              {showHistory ? 'Hide' : 'Show History'}
+            </button>
+          </div>
+
+          {showHistory && <DecisionHistory decision={decision} />}
+        </section>
+
         <footer className="decision-footer">
           <button className="btn btn-danger" onClick={handleDelete}>
             Delete Decision
           </button>
         </footer>
       </article>
+
+      {showChecklists && (
+        <ChecklistTemplates
+          projectId={decision.projectId}
+          decision={decision}
+          onClose={() => setShowChecklists(false)}
+          onInstantiated={() => loadTasks(decision.projectId)}
+        />
+      )}
     </div>
   );
 }
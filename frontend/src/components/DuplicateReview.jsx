@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react';
+import { findDuplicateTasks, mergeTasks } from '../api';
+
+const STATUS_ICONS = { pending: '○', in_progress: '◐', done: '✓' };
+
+const SENSITIVITY = [
+  { minScore: 0.9, label: 'Near-identical titles' },
+  { minScore: 0.7, label: 'Likely duplicates' },
+  { minScore: 0.5, label: 'Loosely similar' }
+];
+
+const percent = (score) => `${Math.round(score * 100)}%`;
+
+// Best score linking a task to the rest of its cluster, with the evidence behind it
+function bestPair(cluster, taskId) {
+  return cluster.pairs.find(pair => pair.taskIds.includes(taskId));
+}
+
+// onMerged: called with the merge result ({ task, merged }) after each merge
+export default function DuplicateReview({ projectId, onClose, onMerged }) {
+  const [minScore, setMinScore] = useState(0.7);
+  const [result, setResult] = useState(null); // { semantic, clusters }
+  const [selected, setSelected] = useState({}); // keepId -> IDs to merge
+  const [loading, setLoading] = useState(true);
+  const [merging, setMerging] = useState(null);
+  const [error, setError] = useState(null);
+  const modalRef = useRef(null);
+
+  useEffect(() => {
+    loadClusters();
+  }, [projectId, minScore]);
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+    function handleClickOutside(e) {
+      if (modalRef.current && !modalRef.current.contains(e.target)) onClose();
+    }
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [onClose]);
+
+  async function loadClusters() {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await findDuplicateTasks(projectId, minScore);
+      setResult(data);
+      setSelected(Object.fromEntries(data.clusters.map(cluster => [cluster.keepId, cluster.tasks.map(t => t.id)])));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function toggleTask(cluster, taskId) {
+    const ids = selected[cluster.keepId] || [];
+    setSelected({
+      ...selected,
+      [cluster.keepId]: ids.includes(taskId) ? ids.filter(id => id !== taskId) : [...ids, taskId]
+    });
+  }
+
+  function dismiss(cluster) {
+    setResult({ ...result, clusters: result.clusters.filter(c => c !== cluster) });
+  }
+
+  async function handleMerge(cluster) {
+    const ids = cluster.tasks.map(t => t.id).filter(id => selected[cluster.keepId]?.includes(id));
+    try {
+      setMerging(cluster.keepId);
+      setError(null);
+      const merged = await mergeTasks(ids);
+      dismiss(cluster);
+      if (onMerged) onMerged(merged);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setMerging(null);
+    }
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal modal-wide duplicate-modal" ref={modalRef}>
+        <div className="modal-header">
+          <h2>Review duplicates</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="duplicate-body">
+          <div className="duplicate-toolbar">
+            <select value={minScore} onChange={e => setMinScore(Number(e.target.value))}>
+              {SENSITIVITY.map(option => (
+                <option key={option.minScore} value={option.minScore}>{option.label}</option>
+              ))}
+            </select>
+            {result && (
+              <span className="duplicate-method">
+                {result.semantic ? 'Compared by words and meaning' : 'Compared by words (no embeddings model configured)'}
+              </span>
+            )}
+          </div>
+
+          {error && <div className="form-error">{error}</div>}
+
+          {loading ? (
+            <div className="loading">Looking for duplicates...</div>
+          ) : result?.clusters.length === 0 ? (
+            <p className="duplicate-empty">No duplicates found.</p>
+          ) : (
+            <ul className="duplicate-clusters">
+              {result?.clusters.map(cluster => {
+                const ids = cluster.tasks.map(t => t.id).filter(id => selected[cluster.keepId]?.includes(id));
+                // The merge keeps the earliest selected task
+                const keepId = ids[0];
+                return (
+                  <li key={cluster.keepId} className="duplicate-cluster">
+                    <div className="duplicate-cluster-header">
+                      <span className="duplicate-confidence" title="Average score of the matching pairs">
+                        {percent(cluster.confidence)} match
+                      </span>
+                      <div className="duplicate-cluster-actions">
+                        <button className="btn btn-small" onClick={() => dismiss(cluster)}>Not duplicates</button>
+                        <button
+                          className="btn btn-small btn-primary"
+                          onClick={() => handleMerge(cluster)}
+                          disabled={ids.length < 2 || merging !== null}
+                        >
+                          {merging === cluster.keepId ? 'Merging...' : `Merge ${ids.length} tasks`}
+                        </button>
+                      </div>
+                    </div>
+                    <ul className="duplicate-tasks">
+                      {cluster.tasks.map(task => {
+                        const pair = bestPair(cluster, task.id);
+                        return (
+                          <li key={task.id} className={`duplicate-task ${task.status}`}>
+                            <input
+                              type="checkbox"
+                              checked={ids.includes(task.id)}
+                              onChange={() => toggleTask(cluster, task.id)}
+                            />
+                            <span className="duplicate-task-status">{STATUS_ICONS[task.status]}</span>
+                            <span className="duplicate-task-title">
+                              {task.title}
+                              {task.notes && <span className="task-notes-indicator" title={task.notes}>📝</span>}
+                            </span>
+                            {task.id === keepId ? (
+                              <span className="duplicate-keep">Kept</span>
+                            ) : pair && (
+                              <span className="duplicate-score" title="Score of its best match: words / meaning">
+                                {percent(pair.tokenScore)}{pair.semanticScore !== null && ` / ${percent(pair.semanticScore)}`}
+                              </span>
+                            )}
+                            <span className="duplicate-task-meta">#{task.id} · {task.source} · {task.createdAt.slice(0, 10)}</span>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <p className="duplicate-hint">
+            Merging keeps the earliest task with the notes, links and subtasks of the others; the others go to the trash.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,23 @@
 import { useState, useEffect, useRef } from 'react';
 import { updateProject } from '../api';
+import ProjectMembers from './ProjectMembers';
+import ProjectWebhooks from './ProjectWebhooks';
 
 export default function EditProjectModal({ project, isOpen, onClose, onSave }) {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
+  const [repoPath, setRepoPath] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const modalRef = useRef(null);
   const inputRef = useRef(null);
+  const isOwner = project?.role === 'owner';
 
   useEffect(() => {
     if (project && isOpen) {
       setName(project.name || '');
       setDescription(project.description || '');
+      setRepoPath(project.repoPath || '');
       setError(null);
       // Focus input after modal opens
       setTimeout(() => inputRef.current?.focus(), 100);
@@ -56,11 +61,17 @@ export default function EditProjectModal({ project, isOpen, onClose, onSave }) {
     setLoading(true);
     setError(null);
     
+    const changes = {
+      name: name.trim(),
+      description: description.trim() || null
+    };
+    // Only owners may change the repository, editors leave it out
+    if (isOwner) {
+      changes.repoPath = repoPath.trim() || null;
+    }
+    
     try {
-      const updated = await updateProject(project.id, {
-        name: name.trim(),
-        description: description.trim() || null
-      });
+      const updated = await updateProject(project.id, changes);
       onSave(updated);
       onClose();
     } catch (err) {
@@ -110,6 +121,23 @@ export default function EditProjectModal({ project, isOpen, onClose, onSave }) {
             />
           </div>
           
+          {isOwner && (
+            <div className="form-group">
+              <label htmlFor="project-repo-path">Git Repository</label>
+              <input
+                id="project-repo-path"
+                type="text"
+                value={repoPath}
+                onChange={(e) => setRepoPath(e.target.value)}
+                placeholder="/path/to/repository on the server (optional)"
+                disabled={loading}
+              />
+              <p className="form-hint">
+                Commit links are checked against this repository and shown with their author, message and changed files. It must be inside the server's repositories folder (GIT_REPOS_ROOT).
+              </p>
+            </div>
+          )}
+          
           <div className="modal-actions">
             <button 
               type="button" 
@@ -128,6 +156,9 @@ export default function EditProjectModal({ project, isOpen, onClose, onSave }) {
             </button>
           </div>
         </form>
+
+        <ProjectMembers projectId={project.id} canManage={isOwner} />
+        {isOwner && <ProjectWebhooks projectId={project.id} />}
       </div>
     </div>
   );
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { getProject, getGraphData } from '../api';
+import { getProject, getGraphData, subscribeToProject } from '../api';
 import DecisionGraph from './DecisionGraph';
 import TagFilter from './TagFilter';
 
@@ -14,11 +14,14 @@ export default function GraphView() {
 
   useEffect(() => {
     loadData();
+    return subscribeToProject(projectId, () => loadData({ silent: true }), {
+      entities: ['decision', 'tag', 'relation']
+    });
   }, [projectId]);
 
-  async function loadData() {
+  async function loadData({ silent = false } = {}) {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const [projectData, graph] = await Promise.all([
         getProject(projectId),
         getGraphData(projectId)
@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
-import { analyzeImage, getImageAnalyses, saveOcrTasks, reanalyzeImage } from '../api';
+import { analyzeImage, getImageAnalyses, saveOcrTasks, reanalyzeImage, waitForJob, subscribeToProject } from '../api';
 
 const ANALYSIS_TYPES = [
   { value: 'conversation', label: 'Conversation / Chat', icon: '💬' },
@@ -8,6 +8,9 @@ const ANALYSIS_TYPES = [
   { value: 'whiteboard', label: 'Whiteboard / Diagram', icon: '📋' }
 ];
 
+// Thumbnails of recent analyses shown above the drop zone
+const HISTORY_SIZE = 8;
+
 export default function ImageAnalyzer({ projectId, onAnalysisComplete }) {
   const [isDragging, setIsDragging] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
@@ -27,12 +30,16 @@ export default function ImageAnalyzer({ projectId, onAnalysisComplete }) {
 
   useEffect(() => {
     loadHistory();
+    return subscribeToProject(projectId, loadHistory, { entities: ['analysis'] });
   }, [projectId, showAllProjects]);
 
   async function loadHistory() {
     try {
-      const analyses = await getImageAnalyses(projectId, showAllProjects);
-      setHistory(analyses);
+      const { items } = await getImageAnalyses(projectId, {
+        includeAll: showAllProjects || undefined,
+        limit: HISTORY_SIZE
+      });
+      setHistory(items);
     } catch (err) {
       console.error('Failed to load history:', err);
     }
@@ -122,7 +129,8 @@ export default function ImageAnalyzer({ projectId, onAnalysisComplete }) {
 
     try {
       console.log('Starting analysis...');
-      const response = await analyzeImage(projectId, file, analysisType);
+      const { job } = await analyzeImage(projectId, file, analysisType);
+      const response = await waitForJob(job.id);
       console.log('Response:', response);
       console.log('Analysis:', response.analysis);
       setResult(response.analysis);
@@ -203,7 +211,8 @@ export default function ImageAnalyzer({ projectId, onAnalysisComplete }) {
     setSaveStats(null);
 
     try {
-      const response = await reanalyzeImage(projectId, historyFilename, analysisType);
+      const { job } = await reanalyzeImage(projectId, historyFilename, analysisType);
+      const response = await waitForJob(job.id);
       setResult(response.analysis);
     } catch (err) {
       console.error('Re-analysis error:', err);
@@ -278,7 +287,7 @@ export default function ImageAnalyzer({ projectId, onAnalysisComplete }) {
       {/* History thumbnails - always visible when no preview */}
       {!preview && history.length > 0 && showHistory && (
         <div className="image-history-thumbnails">
-          {history.slice(0, 8).map(item => (
+          {history.map(item => (
             <button
               key={item.id}
               className="history-thumbnail"
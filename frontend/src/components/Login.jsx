@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import { getAuthConfig, login, register } from '../api';
+
+export default function Login({ onLogin }) {
+  const [mode, setMode] = useState('login'); // login, register
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [formData, setFormData] = useState({ username: '', password: '', name: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getAuthConfig()
+      .then(config => setRegistrationOpen(config.registrationOpen))
+      .catch(() => setRegistrationOpen(false));
+  }, []);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const result = mode === 'login'
+        ? await login(formData.username, formData.password)
+        : await register(formData);
+      onLogin(result.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  function switchMode() {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError(null);
+  }
+
+  return (
+    <div className="login-page">
+      <form className="form login-form" onSubmit={handleSubmit}>
+        <h1>{mode === 'login' ? 'Sign in' : 'Create account'}</h1>
+
+        {error && <div className="form-error">{error}</div>}
+
+        <div className="form-group">
+          <label htmlFor="username">Username</label>
+          <input
+            id="username"
+            type="text"
+            value={formData.username}
+            onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+            autoComplete="username"
+            required
+            autoFocus
+          />
+        </div>
+
+        {mode === 'register' && (
+          <div className="form-group">
+            <label htmlFor="display-name">Display Name</label>
+            <input
+              id="display-name"
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="Optional"
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="password">Password</label>
+          <input
+            id="password"
+            type="password"
+            value={formData.password}
+            onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            minLength={mode === 'register' ? 8 : undefined}
+            required
+          />
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting
+            ? (mode === 'login' ? 'Signing in...' : 'Creating...')
+            : (mode === 'login' ? 'Sign in' : 'Create account')}
+        </button>
+
+        {registrationOpen && (
+          <p className="login-switch">
+            {mode === 'login' ? 'No account yet?' : 'Already have an account?'}{' '}
+            <button type="button" className="link-btn" onClick={switchMode}>
+              {mode === 'login' ? 'Create one' : 'Sign in'}
+            </button>
+          </p>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import { getProject, createDecision } from '../api';
 
 const LINK_TYPES = ['commit', 'pr', 'task', 'file', 'note'];
@@ -7,19 +7,24 @@ const LINK_TYPES = ['commit', 'pr', 'task', 'file', 'note'];
 export default function NewDecision() {
   const { projectId } = useParams();
   const navigate = useNavigate();
+  // Set when the form is opened from a commit suggestion
+  const prefill = useLocation().state?.prefill;
   const [project, setProject] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
   
   const [formData, setFormData] = useState({
-    title: '',
-    description: '',
+    title: prefill?.title || '',
+    description: prefill?.description || '',
     reason: '',
-    consequences: ''
+    consequences: '',
+    status: 'accepted'
   });
   
-  const [links, setLinks] = useState([]);
+  const [links, setLinks] = useState(
+    () => (prefill?.links || []).map((link, i) => ({ ...link, id: Date.now() + i }))
+  );
   const [newLink, setNewLink] = useState({ type: 'commit', reference: '' });
 
   useEffect(() => {
@@ -112,6 +117,19 @@ export default function NewDecision() {
           />
         </div>
 
+        <div className="form-group">
+          <label htmlFor="status">Status</label>
+          <select
+            id="status"
+            name="status"
+            value={formData.status}
+            onChange={handleInputChange}
+          >
+            <option value="accepted">Accepted – we are living with this</option>
+            <option value="proposed">Proposed – still under discussion</option>
+          </select>
+        </div>
+
         <div className="form-group">
           <label htmlFor="description">Description</label>
           <textarea
@@ -1,7 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { getTasksByProject, updateTask, cleanupDuplicateTasks, bulkUpdateTasks, archiveProject, getProjects } from '../api';
+import { getTasksByProject, getAllPages, getReadyTasks, updateTask, bulkUpdateTasks, archiveProject, getProjects, subscribeToProject } from '../api';
 import TaskDetailModal from './TaskDetailModal';
+import ChecklistTemplates from './ChecklistTemplates';
+import DuplicateReview from './DuplicateReview';
+
+// Open tasks due within this many days get their own group at the top
+const DUE_SOON_DAYS = 3;
 
 const PRIORITY_CONFIG = {
   high: {
@@ -24,20 +29,51 @@ const PRIORITY_CONFIG = {
   }
 };
 
+const GROUP_CONFIG = {
+  overdue: {
+    label: 'Overdue',
+    icon: '⏰',
+    color: '#dc2626',
+    description: 'Past their due date - finish or reschedule these'
+  },
+  soon: {
+    label: 'Due Soon',
+    icon: '📅',
+    color: '#ea580c',
+    description: `Due in the next ${DUE_SOON_DAYS} days`
+  },
+  ...PRIORITY_CONFIG
+};
+
+// YYYY-MM-DD in local time, comparable with task due dates
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatEstimate(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h${minutes % 60}m` : `${hours}h`;
+}
+
 export default function PriorityList({ projectId, onTaskUpdate }) {
   const navigate = useNavigate();
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('pending'); // pending, all, done
-  const [cleaning, setCleaning] = useState(false);
-  const [cleanupStats, setCleanupStats] = useState(null);
+  const [readyIds, setReadyIds] = useState([]);
+  const [filter, setFilter] = useState('pending'); // pending, ready, all, done
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [mergedCount, setMergedCount] = useState(0);
   const [archiving, setArchiving] = useState(false);
   const [archivedProjects, setArchivedProjects] = useState([]);
   const [selectedTask, setSelectedTask] = useState(null);
+  const [showChecklists, setShowChecklists] = useState(false);
 
   useEffect(() => {
     loadTasks();
     loadArchivedProjects();
+    return subscribeToProject(projectId, () => loadTasks({ silent: true }), { entities: ['task'] });
   }, [projectId]);
 
   async function loadArchivedProjects() {
@@ -50,12 +86,16 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
     }
   }
 
-  async function loadTasks() {
+  async function loadTasks({ silent = false } = {}) {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       // Always load ALL tasks to calculate correct progress
-      const data = await getTasksByProject(projectId, {});
+      const [data, ready] = await Promise.all([
+        getAllPages(page => getTasksByProject(projectId, { ...page, sort: '-urgency' })),
+        getReadyTasks(projectId)
+      ]);
       setTasks(data);
+      setReadyIds(ready.map(t => t.id));
     } catch (err) {
       console.error('Failed to load tasks:', err);
     } finally {
@@ -70,6 +110,7 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
       if (onTaskUpdate) onTaskUpdate();
     } catch (err) {
       console.error('Failed to update task:', err);
+      alert('Failed to update task: ' + err.message);
     }
   }
 
@@ -82,29 +123,23 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
     }
   }
 
-  async function handleCleanupDuplicates() {
-    if (!confirm('This will remove duplicate tasks (keeping the oldest one). Continue?')) return;
-    
-    setCleaning(true);
-    try {
-      const result = await cleanupDuplicateTasks(projectId);
-      setCleanupStats(result);
-      loadTasks();
-      if (onTaskUpdate) onTaskUpdate();
-      setTimeout(() => setCleanupStats(null), 5000);
-    } catch (err) {
-      console.error('Cleanup failed:', err);
-      alert('Failed to cleanup: ' + err.message);
-    } finally {
-      setCleaning(false);
-    }
+  function handleDuplicatesMerged(result) {
+    setMergedCount(count => count + result.merged.length);
+    loadTasks({ silent: true });
+    if (onTaskUpdate) onTaskUpdate();
   }
 
-  async function handleMarkAllDone(priority) {
-    const tasksToMark = groupedTasks[priority].filter(t => t.status !== 'done');
+  function handleCloseDuplicates() {
+    setShowDuplicates(false);
+    if (mergedCount > 0) setTimeout(() => setMergedCount(0), 5000);
+  }
+
+  async function handleMarkAllDone(group) {
+    const tasksToMark = groupedTasks[group].filter(t => t.status !== 'done');
     if (tasksToMark.length === 0) return;
     
-    if (!confirm(`Mark ${tasksToMark.length} ${priority} priority tasks as done?`)) return;
+    const which = PRIORITY_CONFIG[group] ? `${group} priority` : GROUP_CONFIG[group].label.toLowerCase();
+    if (!confirm(`Mark ${tasksToMark.length} ${which} tasks as done?`)) return;
     
     try {
       await bulkUpdateTasks(tasksToMark.map(t => t.id), { status: 'done' });
@@ -112,6 +147,7 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
       if (onTaskUpdate) onTaskUpdate();
     } catch (err) {
       console.error('Bulk update failed:', err);
+      alert('Failed to mark tasks done: ' + err.message);
     }
   }
 
@@ -133,20 +169,35 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
 
   function handleTaskUpdate(updatedTask) {
     setTasks(tasks.map(t => t.id === updatedTask.id ? updatedTask : t));
+    loadTasks({ silent: true });
     if (onTaskUpdate) onTaskUpdate();
   }
 
-  // Filter tasks based on selected filter for display
-  const filteredTasks = filter === 'all' 
-    ? tasks 
-    : tasks.filter(t => filter === 'done' ? t.status === 'done' : t.status !== 'done');
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+
+  // Filter tasks based on selected filter for display; ready tasks keep the server's dependency order
+  const filteredTasks = filter === 'all'
+    ? tasks
+    : filter === 'ready'
+      ? readyIds.map(id => tasksById.get(id)).filter(Boolean)
+      : tasks.filter(t => filter === 'done' ? t.status === 'done' : t.status !== 'done');
 
-  const groupedTasks = {
-    high: filteredTasks.filter(t => t.priority === 'high'),
-    medium: filteredTasks.filter(t => t.priority === 'medium'),
-    low: filteredTasks.filter(t => t.priority === 'low')
+  // Open tasks with a close due date are pulled out of their priority group; tasks arrive most urgent first
+  const today = new Date();
+  const todayDate = localDate(today);
+  const soonDate = localDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + DUE_SOON_DAYS));
+  const dueGroup = (task) => {
+    if (task.status === 'done' || !task.dueDate) return null;
+    if (task.dueDate < todayDate) return 'overdue';
+    if (task.dueDate <= soonDate) return 'soon';
+    return null;
   };
 
+  const groupedTasks = Object.fromEntries(Object.keys(GROUP_CONFIG).map(group => [group, []]));
+  for (const task of filteredTasks) {
+    groupedTasks[dueGroup(task) || task.priority].push(task);
+  }
+
   // Progress is calculated from ALL tasks, not filtered
   const totalPending = tasks.filter(t => t.status !== 'done').length;
   const totalDone = tasks.filter(t => t.status === 'done').length;
@@ -176,13 +227,19 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
           )}
         </div>
         <div className="priority-actions">
+          <button
+            className="btn btn-small"
+            onClick={() => setShowChecklists(true)}
+            title="Add tasks from a saved checklist"
+          >
+            ☑ Checklists
+          </button>
           <button 
             className="btn btn-small btn-cleanup"
-            onClick={handleCleanupDuplicates}
-            disabled={cleaning}
-            title="Remove duplicate tasks"
+            onClick={() => setShowDuplicates(true)}
+            title="Find duplicate tasks and review them before merging"
           >
-            {cleaning ? '...' : '🧹 Clean duplicates'}
+            🧹 Find duplicates
           </button>
           <button 
             className="btn btn-small btn-archive"
@@ -200,6 +257,13 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
           >
             To Do
           </button>
+          <button 
+            className={`filter-btn ${filter === 'ready' ? 'active' : ''}`}
+            onClick={() => setFilter('ready')}
+            title="Tasks that can be started now, in dependency order"
+          >
+            Ready ({readyIds.length})
+          </button>
           <button 
             className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
             onClick={() => setFilter('all')}
@@ -215,20 +279,20 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
         </div>
       </div>
 
-      {cleanupStats && (
+      {mergedCount > 0 && !showDuplicates && (
         <div className="cleanup-stats">
-          ✓ Cleaned up: {cleanupStats.deleted} duplicate(s) removed, {cleanupStats.remaining} tasks remain
+          ✓ Merged {mergedCount} duplicate{mergedCount === 1 ? '' : 's'}, {tasks.length} tasks remain
         </div>
       )}
 
-      {['high', 'medium', 'low'].map(priority => {
-        const config = PRIORITY_CONFIG[priority];
-        const priorityTasks = groupedTasks[priority];
+      {Object.keys(GROUP_CONFIG).map(group => {
+        const config = GROUP_CONFIG[group];
+        const priorityTasks = groupedTasks[group];
         
         if (priorityTasks.length === 0) return null;
         
         return (
-          <div key={priority} className={`priority-group priority-${priority}`}>
+          <div key={group} className={`priority-group priority-${group}`}>
             <div className="priority-group-header">
               <span className="priority-icon">{config.icon}</span>
               <div className="priority-group-info">
@@ -238,7 +302,7 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
               {filter !== 'done' && priorityTasks.some(t => t.status !== 'done') && (
                 <button 
                   className="btn-mark-all-done"
-                  onClick={() => handleMarkAllDone(priority)}
+                  onClick={() => handleMarkAllDone(group)}
                   title="Mark all as done"
                 >
                   ✓ All done
@@ -249,7 +313,7 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
             
             <ul className="priority-tasks">
               {priorityTasks.map(task => (
-                <li key={task.id} className={`priority-task ${task.status === 'done' ? 'completed' : ''} ${task.notes ? 'has-notes' : ''}`}>
+                <li key={task.id} className={`priority-task ${task.status === 'done' ? 'completed' : ''} ${task.notes ? 'has-notes' : ''} ${task.blocked ? 'blocked' : ''}`}>
                   <button
                     className={`task-checkbox ${task.status === 'done' ? 'checked' : ''}`}
                     onClick={(e) => {
@@ -266,8 +330,34 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
                     onClick={() => setSelectedTask(task)}
                     title="Click to view details & notes"
                   >
+                    {tasksById.has(task.parentId) && (
+                      <span className="task-parent">{tasksById.get(task.parentId).title} ›</span>
+                    )}
                     {task.title}
                     {task.notes && <span className="task-notes-indicator">📝</span>}
+                    {task.subtasks?.total > 0 && (
+                      <span className="subtask-count" title="Subtasks done">
+                        {task.subtasks.done}/{task.subtasks.total}
+                      </span>
+                    )}
+                    {task.dueDate && task.status !== 'done' && (
+                      <span className={`task-due ${dueGroup(task) || ''}`} title="Due date">
+                        📅 {task.dueDate}
+                      </span>
+                    )}
+                    {task.recurrence && (
+                      <span className="task-recurrence" title={`Repeats: ${task.recurrence}`}>🔁</span>
+                    )}
+                    {task.estimateMinutes && (
+                      <span className="task-estimate" title="Estimated effort">
+                        ⏱ {formatEstimate(task.estimateMinutes)}
+                      </span>
+                    )}
+                    {task.blocked && (
+                      <span className="task-blocked" title="Waiting on these tasks">
+                        🔒 {task.blockedBy.map(id => tasksById.get(id)?.title).filter(Boolean).join(', ')}
+                      </span>
+                    )}
                     <span className="task-expand-icon">→</span>
                   </span>
                   
@@ -294,7 +384,11 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
 
       {filteredTasks.length === 0 && (
         <div className="priority-empty">
-          <p>No tasks {filter === 'done' ? 'completed' : 'to do'} yet.</p>
+          <p>
+            {filter === 'ready'
+              ? 'Nothing can be started right now.'
+              : `No tasks ${filter === 'done' ? 'completed' : 'to do'} yet.`}
+          </p>
         </div>
       )}
 
@@ -325,9 +419,30 @@ export default function PriorityList({ projectId, onTaskUpdate }) {
       {selectedTask && (
         <TaskDetailModal
           task={selectedTask}
+          tasks={tasks}
           projectId={projectId}
           onClose={() => setSelectedTask(null)}
           onUpdate={handleTaskUpdate}
+          onTasksChange={() => loadTasks({ silent: true })}
+        />
+      )}
+
+      {showDuplicates && (
+        <DuplicateReview
+          projectId={projectId}
+          onClose={handleCloseDuplicates}
+          onMerged={handleDuplicatesMerged}
+        />
+      )}
+
+      {showChecklists && (
+        <ChecklistTemplates
+          projectId={projectId}
+          onClose={() => setShowChecklists(false)}
+          onInstantiated={() => {
+            loadTasks({ silent: true });
+            if (onTaskUpdate) onTaskUpdate();
+          }}
         />
       )}
     </div>
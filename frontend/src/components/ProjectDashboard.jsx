@@ -1,35 +1,114 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { getProject, getDecisionsByProjectWithFilter, getRecordingsByProject, getTasksByProject, getProjects } from '../api';
+import { getProject, getDecisionsByProject, getRecordingsByProject, getTasksByProject, getProjects, getAdrExportUrl, getProjectBundleUrl, subscribeToProject, MAX_PAGE_SIZE } from '../api';
 import RecordingButton from './RecordingButton';
 import RecordingsList from './RecordingsList';
 import TasksList from './TasksList';
 import TagFilter from './TagFilter';
 import TagBadge from './TagBadge';
+import StatusBadge, { STATUS_CONFIG } from './StatusBadge';
 import SearchBar from './SearchBar';
 import EditProjectModal from './EditProjectModal';
 import ImageAnalyzer from './ImageAnalyzer';
 import PriorityList from './PriorityList';
 import AIAssistant from './AIAssistant';
+import AdrImportModal from './AdrImportModal';
+import CommitSuggestionsModal from './CommitSuggestionsModal';
+import ActivityFeed from './ActivityFeed';
+import TrashBin from './TrashBin';
+
+const PAGE_SIZE = 50;
+
+// A list loaded page by page: the first page on reload, the next ones through loadMore
+function usePagedList(getPage) {
+  const [page, setPage] = useState({ items: [], total: 0, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loaded = useRef(0);
+  // Bumped on reload so a page requested before it is dropped
+  const generation = useRef(0);
+
+  // keepLoaded: fetch as many rows as are shown, so a background refresh doesn't shrink the list
+  async function reload({ keepLoaded = false } = {}) {
+    const current = ++generation.current;
+    const limit = keepLoaded ? Math.min(Math.max(loaded.current, PAGE_SIZE), MAX_PAGE_SIZE) : PAGE_SIZE;
+    const first = await getPage({ limit });
+    if (current !== generation.current) return;
+    loaded.current = first.items.length;
+    setPage(first);
+  }
+
+  async function loadMore() {
+    if (!page.nextCursor || loadingMore) return;
+    const current = generation.current;
+    try {
+      setLoadingMore(true);
+      const next = await getPage({ limit: PAGE_SIZE, cursor: page.nextCursor });
+      if (current !== generation.current) return;
+      loaded.current += next.items.length;
+      setPage(prev => ({ items: [...prev.items, ...next.items], total: next.total, nextCursor: next.nextCursor }));
+    } catch (err) {
+      console.error('Failed to load more:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  return { ...page, loadingMore, reload, loadMore };
+}
+
+// Loads the next page of a list when scrolled into view
+function LoadMore({ list }) {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    if (!list.nextCursor || !sentinelRef.current) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) list.loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [list.nextCursor]);
+
+  if (!list.nextCursor) return null;
+
+  return (
+    <div ref={sentinelRef} className="load-more">
+      {list.loadingMore ? 'Loading more...' : `Showing ${list.items.length} of ${list.total}`}
+    </div>
+  );
+}
 
 export default function ProjectDashboard() {
   const { projectId } = useParams();
   const [project, setProject] = useState(null);
-  const [decisions, setDecisions] = useState([]);
-  const [recordings, setRecordings] = useState([]);
-  const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('decisions');
   const [selectedTag, setSelectedTag] = useState(null);
+  const [selectedStatus, setSelectedStatus] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showSuggestionsModal, setShowSuggestionsModal] = useState(false);
   const [currentProject, setCurrentProject] = useState(null);
 
+  const decisions = usePagedList(page => getDecisionsByProject(projectId, {
+    tag: selectedTag,
+    status: selectedStatus,
+    ...page
+  }));
+  const recordings = usePagedList(page => getRecordingsByProject(projectId, page));
+  const tasks = usePagedList(page => getTasksByProject(projectId, page));
+
   const isArchived = project?.name?.startsWith('[Archived');
 
   useEffect(() => {
     loadData();
-  }, [projectId, selectedTag]);
+    // Reload quietly when a teammate or a finished job changes the project
+    return subscribeToProject(projectId, () => loadData({ silent: true }), {
+      entities: ['decision', 'task', 'tag', 'relation', 'recording']
+    });
+  }, [projectId, selectedTag, selectedStatus]);
 
   useEffect(() => {
     // Find the current (non-archived) version of this project
@@ -42,19 +121,16 @@ export default function ProjectDashboard() {
     }
   }, [project, isArchived]);
 
-  async function loadData() {
+  async function loadData({ silent = false } = {}) {
     try {
-      setLoading(true);
-      const [projectData, decisionsData, recordingsData, tasksData] = await Promise.all([
+      if (!silent) setLoading(true);
+      const [projectData] = await Promise.all([
         getProject(projectId),
-        getDecisionsByProjectWithFilter(projectId, selectedTag),
-        getRecordingsByProject(projectId),
-        getTasksByProject(projectId)
+        decisions.reload({ keepLoaded: silent }),
+        recordings.reload({ keepLoaded: silent }),
+        tasks.reload({ keepLoaded: silent })
       ]);
       setProject(projectData);
-      setDecisions(decisionsData);
-      setRecordings(recordingsData);
-      setTasks(tasksData);
       setError(null);
     } catch (err) {
       setError(err.message);
@@ -151,11 +227,41 @@ export default function ProjectDashboard() {
           )}
         </div>
         <div className="project-actions">
-          <SearchBar projectId={Number(projectId)} tasks={tasks} />
+          <SearchBar projectId={Number(projectId)} onShowTab={setActiveTab} />
           <div className="action-group">
             <Link to={`/project/${projectId}/graph`} className="btn" title="View Decision Graph (⌘G)">
               Graph
             </Link>
+            <Link to={`/project/${projectId}/board`} className="btn" title="Tasks as a kanban board">
+              Board
+            </Link>
+            <div className="export-menu">
+              <button 
+                className="btn" 
+                onClick={() => setShowExportMenu(!showExportMenu)}
+                title="Export or import Architecture Decision Records"
+              >
+                ADRs
+              </button>
+              {showExportMenu && (
+                <div className="export-menu-list" onClick={() => setShowExportMenu(false)}>
+                  <a href={getAdrExportUrl(projectId, 'madr')} download>Export MADR (.zip)</a>
+                  <a href={getAdrExportUrl(projectId, 'nygard')} download>Export Nygard (.zip)</a>
+                  <button onClick={() => setShowImportModal(true)}>Import ADRs...</button>
+                  {project.repoPath && project.role !== 'viewer' && (
+                    <button onClick={() => setShowSuggestionsModal(true)}>Suggest from commits...</button>
+                  )}
+                </div>
+              )}
+            </div>
+            <a
+              href={getProjectBundleUrl(projectId)}
+              className="btn"
+              title="Download a full backup (decisions, tasks, recordings and images)"
+              download
+            >
+              Backup
+            </a>
             <RecordingButton 
               projectId={Number(projectId)} 
               onRecordingComplete={handleRecordingComplete}
@@ -174,24 +280,37 @@ export default function ProjectDashboard() {
         onSave={handleProjectSave}
       />
 
+      <AdrImportModal
+        projectId={Number(projectId)}
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={loadData}
+      />
+
+      <CommitSuggestionsModal
+        projectId={Number(projectId)}
+        isOpen={showSuggestionsModal}
+        onClose={() => setShowSuggestionsModal(false)}
+      />
+
       <div className="dashboard-tabs">
         <button 
           className={`tab ${activeTab === 'decisions' ? 'active' : ''}`}
           onClick={() => setActiveTab('decisions')}
         >
-          Decisions ({decisions.length})
+          Decisions ({decisions.total})
         </button>
         <button 
           className={`tab ${activeTab === 'recordings' ? 'active' : ''}`}
           onClick={() => setActiveTab('recordings')}
         >
-          Recordings ({recordings.length})
+          Recordings ({recordings.total})
         </button>
         <button 
           className={`tab ${activeTab === 'tasks' ? 'active' : ''}`}
           onClick={() => setActiveTab('tasks')}
         >
-          Tasks ({tasks.length})
+          Tasks ({tasks.total})
         </button>
         <button 
           className={`tab tab-priority ${activeTab === 'priority' ? 'active' : ''}`}
@@ -205,6 +324,18 @@ export default function ProjectDashboard() {
         >
           OCR
         </button>
+        <button 
+          className={`tab ${activeTab === 'activity' ? 'active' : ''}`}
+          onClick={() => setActiveTab('activity')}
+        >
+          Activity
+        </button>
+        <button 
+          className={`tab ${activeTab === 'trash' ? 'active' : ''}`}
+          onClick={() => setActiveTab('trash')}
+        >
+          Trash
+        </button>
       </div>
 
       {activeTab === 'decisions' && (
@@ -214,24 +345,49 @@ export default function ProjectDashboard() {
             selectedTag={selectedTag}
             onTagSelect={handleTagSelect}
           />
+
+          <div className="status-filter">
+            <button
+              className={`filter-btn ${!selectedStatus ? 'active' : ''}`}
+              onClick={() => setSelectedStatus(null)}
+            >
+              Any status
+            </button>
+            {Object.entries(STATUS_CONFIG).map(([status, config]) => (
+              <button
+                key={status}
+                className={`filter-btn ${selectedStatus === status ? 'active' : ''}`}
+                onClick={() => setSelectedStatus(selectedStatus === status ? null : status)}
+              >
+                {config.label}
+              </button>
+            ))}
+          </div>
           
-          {decisions.length === 0 ? (
+          {decisions.items.length === 0 ? (
             <div className="empty-state">
-              <p>{selectedTag ? `No decisions with tag "${selectedTag}".` : 'No decisions recorded yet.'}</p>
+              <p>
+                {selectedTag || selectedStatus
+                  ? 'No decisions match the selected filters.'
+                  : 'No decisions recorded yet.'}
+              </p>
               <p>Document your first technical decision to build your project's memory.</p>
             </div>
           ) : (
             <div className="timeline">
-              {decisions.map((decision, index) => (
+              {decisions.items.map((decision, index) => (
                 <div key={decision.id} className="timeline-item">
                   <div className="timeline-marker"></div>
                   <div className="timeline-content">
-                    <Link to={`/decision/${decision.id}`} className="timeline-card">
+                    <Link to={`/decision/${decision.id}`} className={`timeline-card status-${decision.status}`}>
                       <div className="timeline-date">
                         <span>{formatDate(decision.createdAt)}</span>
                         <span className="timeline-time">{formatTime(decision.createdAt)}</span>
                       </div>
-                      <h3 className="timeline-title">{decision.title}</h3>
+                      <div className="timeline-title-row">
+                        <h3 className="timeline-title">{decision.title}</h3>
+                        <StatusBadge status={decision.status} size="small" />
+                      </div>
                       {decision.tags && decision.tags.length > 0 && (
                         <div className="decision-tags">
                           {decision.tags.map(tag => (
@@ -259,22 +415,25 @@ export default function ProjectDashboard() {
               ))}
             </div>
           )}
+          <LoadMore list={decisions} />
         </section>
       )}
 
       {activeTab === 'recordings' && (
         <section className="recordings-section">
-          <RecordingsList recordings={recordings} projectId={projectId} />
+          <RecordingsList recordings={recordings.items} projectId={projectId} />
+          <LoadMore list={recordings} />
         </section>
       )}
 
       {activeTab === 'tasks' && (
         <section className="tasks-section">
           <TasksList 
-            tasks={tasks} 
+            tasks={tasks.items} 
             projectId={Number(projectId)}
-            onTaskUpdate={loadData}
+            onTaskUpdate={() => loadData({ silent: true })}
           />
+          <LoadMore list={tasks} />
         </section>
       )}
 
@@ -296,6 +455,18 @@ export default function ProjectDashboard() {
         </section>
       )}
 
+      {activeTab === 'activity' && (
+        <section className="activity-section">
+          <ActivityFeed projectId={Number(projectId)} />
+        </section>
+      )}
+
+      {activeTab === 'trash' && (
+        <section className="trash-section">
+          <TrashBin projectId={Number(projectId)} canRestore={project.role !== 'viewer'} />
+        </section>
+      )}
+
       <AIAssistant 
         projectId={Number(projectId)}
         projectName={project.name}
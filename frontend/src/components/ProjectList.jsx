@@ -1,6 +1,6 @@
-import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { getProjects, createProject } from '../api';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { getProjects, createProject, restoreProjectBundle } from '../api';
 
 export default function ProjectList() {
   const [projects, setProjects] = useState([]);
@@ -10,6 +10,9 @@ export default function ProjectList() {
   const [formData, setFormData] = useState({ name: '', description: '' });
   const [submitting, setSubmitting] = useState(false);
   const [filter, setFilter] = useState('active'); // active, archived, all
+  const [restoring, setRestoring] = useState(false);
+  const restoreInputRef = useRef(null);
+  const navigate = useNavigate();
 
   useEffect(() => {
     loadProjects();
@@ -56,6 +59,22 @@ export default function ProjectList() {
     }
   }
 
+  async function handleRestore(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setRestoring(true);
+      const result = await restoreProjectBundle(file);
+      navigate(`/project/${result.project.id}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(false);
+    }
+  }
+
   function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -72,12 +91,29 @@ export default function ProjectList() {
     <div className="project-list">
       <div className="page-header">
         <h1>Projects</h1>
-        <button 
-          className="btn btn-primary" 
-          onClick={() => setShowForm(!showForm)}
-        >
-          {showForm ? 'Cancel' : 'New Project'}
-        </button>
+        <div className="page-header-actions">
+          <input
+            ref={restoreInputRef}
+            type="file"
+            accept=".zip"
+            onChange={handleRestore}
+            hidden
+          />
+          <button
+            className="btn"
+            onClick={() => restoreInputRef.current?.click()}
+            disabled={restoring}
+            title="Restore a project from a backup bundle"
+          >
+            {restoring ? 'Restoring...' : 'Restore Backup'}
+          </button>
+          <button 
+            className="btn btn-primary" 
+            onClick={() => setShowForm(!showForm)}
+          >
+            {showForm ? 'Cancel' : 'New Project'}
+          </button>
+        </div>
       </div>
 
       {error && <div className="error-message">{error}</div>}
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { getProjectMembers, addProjectMember, updateProjectMember, removeProjectMember } from '../api';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+export default function ProjectMembers({ projectId, canManage }) {
+  const [members, setMembers] = useState([]);
+  const [username, setUsername] = useState('');
+  const [role, setRole] = useState('editor');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadMembers();
+  }, [projectId]);
+
+  async function loadMembers() {
+    try {
+      setMembers(await getProjectMembers(projectId));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!username.trim()) return;
+
+    try {
+      setError(null);
+      await addProjectMember(projectId, username.trim(), role);
+      setUsername('');
+      loadMembers();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleRoleChange(userId, newRole) {
+    try {
+      setError(null);
+      await updateProjectMember(projectId, userId, newRole);
+      loadMembers();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleRemove(member) {
+    if (!confirm(`Remove ${member.username} from this project?`)) return;
+
+    try {
+      setError(null);
+      await removeProjectMember(projectId, member.id);
+      loadMembers();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="project-members">
+      <h3>Members</h3>
+
+      {error && <div className="form-error">{error}</div>}
+
+      <ul className="member-list">
+        {members.map(member => (
+          <li key={member.id} className="member-item">
+            <span className="member-name">
+              {member.name || member.username}
+              {member.name && <span className="member-username">@{member.username}</span>}
+            </span>
+            {canManage ? (
+              <>
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member.id, e.target.value)}
+                >
+                  {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <button
+                  type="button"
+                  className="modal-close"
+                  onClick={() => handleRemove(member)}
+                  aria-label={`Remove ${member.username}`}
+                >
+                  ×
+                </button>
+              </>
+            ) : (
+              <span className="member-role">{member.role}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <form className="member-add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <button type="submit" className="btn btn-small">Add</button>
+        </form>
+      )}
+    </div>
+  );
+}
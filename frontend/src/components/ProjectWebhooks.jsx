@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react';
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+} from '../api';
+
+const EVENTS = ['decision.created', 'decision.superseded', 'task.created', 'task.done', 'recording.transcribed'];
+
+function formatTime(dateString) {
+  if (!dateString) return '';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+export default function ProjectWebhooks({ projectId }) {
+  const [webhooks, setWebhooks] = useState([]);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(['decision.created']);
+  const [secret, setSecret] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadWebhooks();
+    setOpenId(null);
+    setSecret(null);
+  }, [projectId]);
+
+  async function loadWebhooks() {
+    try {
+      setWebhooks(await getWebhooks(projectId));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function loadDeliveries(webhookId) {
+    try {
+      setDeliveries(await getWebhookDeliveries(webhookId));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function toggleEvent(event) {
+    setEvents(prev => prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]);
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!url.trim()) return;
+
+    try {
+      setError(null);
+      const created = await createWebhook(projectId, { url: url.trim(), events });
+      setSecret({ webhookId: created.id, value: created.secret });
+      setUrl('');
+      loadWebhooks();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleToggleActive(webhook) {
+    try {
+      setError(null);
+      await updateWebhook(webhook.id, { active: !webhook.active });
+      loadWebhooks();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleRotate(webhook) {
+    if (!confirm('Generate a new signing secret? Receivers using the old one will reject deliveries.')) return;
+
+    try {
+      setError(null);
+      const updated = await updateWebhook(webhook.id, { rotateSecret: true });
+      setSecret({ webhookId: webhook.id, value: updated.secret });
+      loadWebhooks();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleDelete(webhook) {
+    if (!confirm(`Delete the webhook for ${webhook.url}?`)) return;
+
+    try {
+      setError(null);
+      await deleteWebhook(webhook.id);
+      if (openId === webhook.id) setOpenId(null);
+      loadWebhooks();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleTest(webhook) {
+    try {
+      setError(null);
+      const delivery = await testWebhook(webhook.id);
+      if (delivery.status !== 'succeeded') {
+        setError(`Test delivery failed: ${delivery.error}`);
+      }
+      loadWebhooks();
+      if (openId === webhook.id) loadDeliveries(webhook.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function handleToggleDeliveries(webhook) {
+    if (openId === webhook.id) {
+      setOpenId(null);
+      return;
+    }
+    setOpenId(webhook.id);
+    setDeliveries([]);
+    loadDeliveries(webhook.id);
+  }
+
+  async function handleRedeliver(delivery) {
+    try {
+      setError(null);
+      await redeliverWebhookDelivery(delivery.id);
+      loadDeliveries(delivery.webhookId);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="project-webhooks">
+      <h3>Webhooks</h3>
+
+      {error && <div className="form-error">{error}</div>}
+
+      {secret && (
+        <div className="webhook-secret">
+          <p>Signing secret for webhook #{secret.webhookId}. Copy it now, it won't be shown again:</p>
+          <code>{secret.value}</code>
+          <button type="button" className="btn btn-small" onClick={() => setSecret(null)}>Done</button>
+        </div>
+      )}
+
+      <ul className="webhook-list">
+        {webhooks.map(webhook => (
+          <li key={webhook.id} className={`webhook-item ${webhook.active ? '' : 'inactive'}`}>
+            <div className="webhook-summary">
+              <label className="webhook-active" title={webhook.active ? 'Active' : 'Disabled'}>
+                <input
+                  type="checkbox"
+                  checked={webhook.active}
+                  onChange={() => handleToggleActive(webhook)}
+                />
+              </label>
+              <div className="webhook-info">
+                <span className="webhook-url">{webhook.url}</span>
+                <span className="webhook-events">{webhook.events.join(', ')}</span>
+              </div>
+              {webhook.lastDeliveryStatus && (
+                <span className={`webhook-status ${webhook.lastDeliveryStatus}`} title={formatTime(webhook.lastDeliveryAt)}>
+                  {webhook.lastDeliveryStatus}
+                </span>
+              )}
+              <button
+                type="button"
+                className="modal-close"
+                onClick={() => handleDelete(webhook)}
+                aria-label={`Delete webhook ${webhook.url}`}
+              >
+                ×
+              </button>
+            </div>
+            <div className="webhook-actions">
+              <button type="button" className="link-btn" onClick={() => handleTest(webhook)}>Send test</button>
+              <button type="button" className="link-btn" onClick={() => handleToggleDeliveries(webhook)}>
+                {openId === webhook.id ? 'Hide deliveries' : 'Deliveries'}
+              </button>
+              <button type="button" className="link-btn" onClick={() => handleRotate(webhook)}>
+                Rotate secret ({webhook.secretHint})
+              </button>
+            </div>
+
+            {openId === webhook.id && (
+              <ul className="webhook-deliveries">
+                {deliveries.length === 0 && <li className="webhook-delivery empty">No deliveries yet</li>}
+                {deliveries.map(delivery => (
+                  <li key={delivery.id} className="webhook-delivery">
+                    <span className={`webhook-status ${delivery.status}`}>{delivery.status}</span>
+                    <span className="webhook-delivery-event">{delivery.event}</span>
+                    <span className="webhook-delivery-detail">
+                      {delivery.error || (delivery.responseStatus && `HTTP ${delivery.responseStatus}`)}
+                      {delivery.attempts > 1 && ` · ${delivery.attempts} attempts`}
+                    </span>
+                    <span className="webhook-delivery-time">{formatTime(delivery.lastAttemptAt || delivery.createdAt)}</span>
+                    {delivery.status === 'failed' && (
+                      <button type="button" className="link-btn" onClick={() => handleRedeliver(delivery)}>
+                        Redeliver
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form className="webhook-add" onSubmit={handleAdd}>
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/hooks/brain"
+        />
+        <div className="webhook-event-options">
+          {EVENTS.map(event => (
+            <label key={event}>
+              <input
+                type="checkbox"
+                checked={events.includes(event)}
+                onChange={() => toggleEvent(event)}
+              />
+              {event}
+            </label>
+          ))}
+        </div>
+        <button type="submit" className="btn btn-small" disabled={events.length === 0}>Add webhook</button>
+      </form>
+    </div>
+  );
+}
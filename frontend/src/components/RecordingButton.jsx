@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
-import { uploadRecording, transcribeRecording } from '../api';
+import { uploadRecording, transcribeRecording, waitForJob } from '../api';
 
 export default function RecordingButton({ projectId, onRecordingComplete }) {
   const [isRecording, setIsRecording] = useState(false);
@@ -108,7 +108,8 @@ export default function RecordingButton({ projectId, onRecordingComplete }) {
       );
       
       setStatus('transcribing');
-      const result = await transcribeRecording(recording.id);
+      const { job } = await transcribeRecording(recording.id);
+      const result = await waitForJob(job.id);
       
       setStatus('done');
       if (onRecordingComplete) {
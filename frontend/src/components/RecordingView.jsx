@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { getRecording, deleteRecording, transcribeRecording, getProject } from '../api';
+import { getRecording, deleteRecording, restoreRecording, transcribeRecording, waitForJob, getProject } from '../api';
+import { showUndoToast } from './UndoToast';
 import TasksList from './TasksList';
 
 export default function RecordingView() {
@@ -36,7 +37,8 @@ export default function RecordingView() {
     try {
       setTranscribing(true);
       setError(null);
-      const result = await transcribeRecording(recordingId);
+      const { job } = await transcribeRecording(recordingId);
+      const result = await waitForJob(job.id);
       setRecording(result);
     } catch (err) {
       setError(err.message);
@@ -46,10 +48,9 @@ export default function RecordingView() {
   }
 
   async function handleDelete() {
-    if (!confirm('Delete this recording and its associated tasks?')) return;
-    
     try {
       await deleteRecording(recordingId);
+      showUndoToast(`"${recording.title}" moved to trash`, () => restoreRecording(recordingId));
       navigate(`/project/${recording.projectId}`);
     } catch (err) {
       setError(err.message);
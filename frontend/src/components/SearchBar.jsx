@@ -2,12 +2,36 @@ import { useState, useRef, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { searchProject } from '../api';
 import TagBadge from './TagBadge';
+import StatusBadge from './StatusBadge';
+
+// Result groups in display order
+const RESULT_GROUPS = [
+  { type: 'decision', label: '📝 Decisions' },
+  { type: 'task', label: '📋 Tasks' },
+  { type: 'recording', label: '🎙️ Recordings' },
+  { type: 'image', label: '🖼️ Images' }
+];
+
+const SEARCH_MODES = [
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'keyword', label: 'Keyword' },
+  { value: 'semantic', label: 'Semantic' }
+];
+
+// Render a search snippet, turning the server's <mark> highlights into elements
+function renderSnippet(snippet) {
+  if (!snippet) return null;
+  return snippet.split(/<mark>(.*?)<\/mark>/g).map((part, i) => (
+    i % 2 === 1 ? <mark key={i}>{part}</mark> : part
+  ));
+}
 
-export default function SearchBar({ projectId, tasks = [] }) {
+export default function SearchBar({ projectId, onShowTab }) {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState(null);
-  const [taskResults, setTaskResults] = useState([]);
   const [answer, setAnswer] = useState(null);
+  const [mode, setMode] = useState('hybrid');
+  const [usedMode, setUsedMode] = useState(null);
   const [loading, setLoading] = useState(false);
   const [showResults, setShowResults] = useState(false);
   const [error, setError] = useState(null);
@@ -53,27 +77,20 @@ export default function SearchBar({ projectId, tasks = [] }) {
     
     if (!query.trim() || !projectId) {
       setResults(null);
-      setTaskResults([]);
       setAnswer(null);
       return;
     }
 
-    // Search tasks locally (instant)
-    const lowerQuery = query.toLowerCase();
-    const matchedTasks = tasks.filter(task => 
-      task.title?.toLowerCase().includes(lowerQuery) ||
-      task.notes?.toLowerCase().includes(lowerQuery)
-    ).slice(0, 5);
-    setTaskResults(matchedTasks);
     setShowResults(true);
     
     debounceRef.current = setTimeout(async () => {
       try {
         setLoading(true);
         setError(null);
-        const response = await searchProject(projectId, query);
+        const response = await searchProject(projectId, query, { mode });
         setResults(response.results);
         setAnswer(response.answer);
+        setUsedMode(response.mode);
         setShowResults(true);
       } catch (err) {
         setError(err.message);
@@ -88,7 +105,7 @@ export default function SearchBar({ projectId, tasks = [] }) {
         clearTimeout(debounceRef.current);
       }
     };
-  }, [query, projectId, tasks]);
+  }, [query, projectId, mode]);
 
   function handleInputChange(e) {
     setQuery(e.target.value);
@@ -100,21 +117,18 @@ export default function SearchBar({ projectId, tasks = [] }) {
     }
   }
 
-  function handleResultClick(decisionId) {
+  function handleResultClick(result) {
     setShowResults(false);
     setQuery('');
-    navigate(`/decision/${decisionId}`);
-  }
-
-  function highlightText(text, searchQuery) {
-    if (!text || !searchQuery) return text;
-    
-    const parts = text.split(new RegExp(`(${searchQuery})`, 'gi'));
-    return parts.map((part, i) => 
-      part.toLowerCase() === searchQuery.toLowerCase() 
-        ? <mark key={i}>{part}</mark>
-        : part
-    );
+    if (result.type === 'decision') {
+      navigate(`/decision/${result.id}`);
+    } else if (result.type === 'recording') {
+      navigate(`/recording/${result.id}`);
+    } else if (result.type === 'task') {
+      onShowTab?.('tasks');
+    } else if (result.type === 'image') {
+      onShowTab?.('ocr');
+    }
   }
 
   function truncateText(text, maxLength = 150) {
@@ -132,7 +146,7 @@ export default function SearchBar({ projectId, tasks = [] }) {
           ref={inputRef}
           type="text"
           className="search-input"
-          placeholder="Search decisions & tasks..."
+          placeholder="Search decisions, tasks, transcripts..."
           value={query}
           onChange={handleInputChange}
           onFocus={handleFocus}
@@ -142,6 +156,21 @@ export default function SearchBar({ projectId, tasks = [] }) {
 
       {showResults && (query.trim() || loading) && (
         <div className="search-results">
+          <div className="search-modes">
+            {SEARCH_MODES.map(option => (
+              <button
+                key={option.value}
+                className={`search-mode-btn ${mode === option.value ? 'active' : ''}`}
+                onClick={() => setMode(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+            {usedMode && usedMode !== mode && !loading && (
+              <span className="search-mode-note">Using {usedMode} search (AI not configured)</span>
+            )}
+          </div>
+
           {loading && (
             <div className="search-loading">
               <div className="spinner"></div>
@@ -155,26 +184,6 @@ export default function SearchBar({ projectId, tasks = [] }) {
             </div>
           )}
 
-          {!loading && !error && taskResults.length > 0 && (
-            <div className="search-section">
-              <div className="search-section-label">📋 Tasks</div>
-              {taskResults.map(task => (
-                <div
-                  key={task.id}
-                  className={`search-result-item search-task-item ${task.status === 'done' ? 'done' : ''}`}
-                >
-                  <span className={`task-status-dot ${task.status}`}></span>
-                  <div className="search-result-title">
-                    {highlightText(task.title, query)}
-                  </div>
-                  <span className={`search-task-priority priority-${task.priority || 'medium'}`}>
-                    {task.priority || 'medium'}
-                  </span>
-                </div>
-              ))}
-            </div>
-          )}
-
           {!loading && !error && answer && (
             <div className="search-answer">
               <div className="search-answer-label">AI Answer</div>
@@ -182,43 +191,59 @@ export default function SearchBar({ projectId, tasks = [] }) {
             </div>
           )}
 
-          {!loading && !error && results && results.length > 0 && (
-            <div className="search-section">
-              <div className="search-section-label">📝 Decisions</div>
-              {results.map(result => (
-                <button
-                  key={result.id}
-                  className="search-result-item"
-                  onClick={() => handleResultClick(result.id)}
-                >
-                  <div className="search-result-title">
-                    {highlightText(result.title, query)}
-                  </div>
-                  {result.description && (
-                    <div className="search-result-snippet">
-                      {highlightText(truncateText(result.description), query)}
+          {!loading && !error && results && RESULT_GROUPS.map(({ type, label }) => {
+            const group = results.filter(r => (r.type || 'decision') === type);
+            if (group.length === 0) return null;
+            return (
+              <div key={type} className="search-section">
+                <div className="search-section-label">{label}</div>
+                {group.map(result => (
+                  <button
+                    key={`${type}-${result.id}`}
+                    className={`search-result-item ${type === 'task' ? 'search-task-item' : ''} ${type === 'task' && result.status === 'done' ? 'done' : ''}`}
+                    onClick={() => handleResultClick(result)}
+                  >
+                    {type === 'task' && <span className={`task-status-dot ${result.status}`}></span>}
+                    <div className="search-result-title">
+                      {result.title}
                     </div>
-                  )}
-                  <div className="search-result-meta">
-                    {result.score && (
-                      <span>Relevance: {Math.round(result.score * 100)}%</span>
+                    {type === 'task' && (
+                      <span className={`search-task-priority priority-${result.priority || 'medium'}`}>
+                        {result.priority || 'medium'}
+                      </span>
                     )}
-                    {result.tags && result.tags.length > 0 && (
-                      <div className="search-result-tags">
-                        {result.tags.map(tag => (
-                          <TagBadge key={tag.id} tag={tag} size="small" />
-                        ))}
+                    {type !== 'task' && (result.snippet || result.description) && (
+                      <div className="search-result-snippet">
+                        {result.snippet ? renderSnippet(result.snippet) : truncateText(result.description)}
                       </div>
                     )}
-                  </div>
-                </button>
-              ))}
-            </div>
-          )}
+                    {type === 'decision' && (
+                      <div className="search-result-meta">
+                        {result.status && <StatusBadge status={result.status} size="small" />}
+                        {usedMode === 'semantic' && result.score && (
+                          <span>Relevance: {Math.round(result.score * 100)}%</span>
+                        )}
+                        {result.tags && result.tags.length > 0 && (
+                          <div className="search-result-tags">
+                            {result.tags.map(tag => (
+                              <TagBadge key={tag.id} tag={tag} size="small" />
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    {result.reason && (
+                      <div className="search-result-reason">{result.reason}</div>
+                    )}
+                  </button>
+                ))}
+              </div>
+            );
+          })}
 
-          {!loading && !error && results && results.length === 0 && taskResults.length === 0 && query.trim() && (
+          {!loading && !error && results && results.length === 0 && query.trim() && (
             <div className="search-empty">
-              <p>No decisions found for "{query}"</p>
+              <p>No results found for "{query}"</p>
             </div>
           )}
         </div>
@@ -0,0 +1,23 @@
+export const STATUS_CONFIG = {
+  proposed: { label: 'Proposed', color: '#3b82f6' },
+  accepted: { label: 'Accepted', color: '#10b981' },
+  deprecated: { label: 'Deprecated', color: '#f59e0b' },
+  superseded: { label: 'Superseded', color: '#ef4444' }
+};
+
+export default function StatusBadge({ status, size = 'normal' }) {
+  const config = STATUS_CONFIG[status] || { label: status, color: '#667eea' };
+
+  return (
+    <span 
+      className={`status-badge ${size === 'small' ? 'status-badge-sm' : ''}`}
+      style={{ 
+        backgroundColor: `${config.color}20`,
+        color: config.color,
+        borderColor: `${config.color}40`
+      }}
+    >
+      {config.label}
+    </span>
+  );
+}
@@ -0,0 +1,345 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  getProject,
+  getBoard,
+  reorderBoardTasks,
+  createBoardColumn,
+  updateBoardColumn,
+  deleteBoardColumn,
+  reorderBoardColumns,
+  subscribeToProject
+} from '../api';
+import TaskDetailModal from './TaskDetailModal';
+
+const STATUS_LABELS = { pending: 'To Do', in_progress: 'In Progress', done: 'Done' };
+const PRIORITY_ICONS = { high: '🔴', medium: '🟡', low: '🟢' };
+
+// Index a dragged card would land at: before the first card whose middle is below the pointer
+function dropIndex(listElement, clientY, draggedId) {
+  const cards = [...listElement.querySelectorAll('.board-card')]
+    .filter(card => Number(card.dataset.taskId) !== draggedId);
+  const index = cards.findIndex(card => {
+    const box = card.getBoundingClientRect();
+    return clientY < box.top + box.height / 2;
+  });
+  return index === -1 ? cards.length : index;
+}
+
+export default function TaskBoard() {
+  const { projectId } = useParams();
+  const [project, setProject] = useState(null);
+  const [board, setBoard] = useState({ columns: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [moveError, setMoveError] = useState(null);
+  const [dragging, setDragging] = useState(null); // { taskId, columnId }
+  const [dropTarget, setDropTarget] = useState(null); // { columnId, index }
+  const [editingColumns, setEditingColumns] = useState(false);
+  const [newColumn, setNewColumn] = useState({ name: '', status: 'in_progress', wipLimit: '' });
+  const [selectedTask, setSelectedTask] = useState(null);
+
+  useEffect(() => {
+    loadData();
+    return subscribeToProject(projectId, () => loadBoard(), { entities: ['task', 'board'] });
+  }, [projectId]);
+
+  async function loadData() {
+    try {
+      setLoading(true);
+      const [projectData, boardData] = await Promise.all([getProject(projectId), getBoard(projectId)]);
+      setProject(projectData);
+      setBoard(boardData);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadBoard() {
+    try {
+      setBoard(await getBoard(projectId));
+    } catch (err) {
+      console.error('Failed to load board:', err);
+    }
+  }
+
+  const canEdit = project && project.role !== 'viewer';
+  const tasks = board.columns.flatMap(column => column.tasks);
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+  function handleDragStart(e, task, column) {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    setDragging({ taskId: task.id, columnId: column.id });
+    setMoveError(null);
+  }
+
+  function handleDragEnd() {
+    setDragging(null);
+    setDropTarget(null);
+  }
+
+  function handleDragOver(e, column) {
+    if (!dragging) return;
+    e.preventDefault();
+    const index = dropIndex(e.currentTarget, e.clientY, dragging.taskId);
+    if (dropTarget?.columnId !== column.id || dropTarget.index !== index) {
+      setDropTarget({ columnId: column.id, index });
+    }
+  }
+
+  async function handleDrop(e, column) {
+    e.preventDefault();
+    if (!dragging) return;
+    const index = dropIndex(e.currentTarget, e.clientY, dragging.taskId);
+    const task = tasksById.get(dragging.taskId);
+    handleDragEnd();
+
+    const order = column.tasks.map(t => t.id).filter(id => id !== task.id);
+    order.splice(index, 0, task.id);
+    if (column.id === dragging.columnId && order.every((id, i) => id === column.tasks[i].id)) return;
+
+    // Show the move right away, the server answers with the board as stored
+    setBoard({
+      columns: board.columns.map(candidate => ({
+        ...candidate,
+        tasks: candidate.id === column.id
+          ? order.map(id => (id === task.id ? { ...task, status: column.status } : tasksById.get(id)))
+          : candidate.tasks.filter(t => t.id !== task.id)
+      }))
+    });
+
+    try {
+      setBoard(await reorderBoardTasks(projectId, column.id, order));
+    } catch (err) {
+      setMoveError(err.message);
+      loadBoard();
+    }
+  }
+
+  // Run a column change, then show the board as stored
+  async function changeColumns(action) {
+    try {
+      setMoveError(null);
+      const result = await action();
+      if (result?.columns) setBoard(result);
+      else await loadBoard();
+    } catch (err) {
+      setMoveError(err.message);
+    }
+  }
+
+  function handleMoveColumn(column, offset) {
+    const ids = board.columns.map(c => c.id);
+    const from = ids.indexOf(column.id);
+    const to = from + offset;
+    if (to < 0 || to >= ids.length) return;
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    changeColumns(() => reorderBoardColumns(projectId, ids));
+  }
+
+  function handleRenameColumn(column, name) {
+    if (!name.trim() || name.trim() === column.name) return;
+    changeColumns(() => updateBoardColumn(column.id, { name: name.trim() }));
+  }
+
+  function handleWipLimitChange(column, value) {
+    const wipLimit = Number(value) > 0 ? Math.round(Number(value)) : null;
+    if (wipLimit === column.wipLimit) return;
+    changeColumns(() => updateBoardColumn(column.id, { wipLimit }));
+  }
+
+  function handleDeleteColumn(column) {
+    if (!confirm(`Remove the "${column.name}" column? Its tasks move to the first other ${STATUS_LABELS[column.status]} column.`)) return;
+    changeColumns(() => deleteBoardColumn(column.id));
+  }
+
+  function handleAddColumn(e) {
+    e.preventDefault();
+    if (!newColumn.name.trim()) return;
+    changeColumns(async () => {
+      await createBoardColumn(projectId, {
+        name: newColumn.name.trim(),
+        status: newColumn.status,
+        wipLimit: Number(newColumn.wipLimit) > 0 ? Math.round(Number(newColumn.wipLimit)) : null
+      });
+      setNewColumn({ ...newColumn, name: '', wipLimit: '' });
+    });
+  }
+
+  if (loading) {
+    return <div className="loading">Loading board...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="error-state">
+        <p className="error-message">{error}</p>
+        <Link to="/" className="btn">Back to Projects</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="board-view">
+      <div className="breadcrumb">
+        <Link to="/">Projects</Link>
+        <span className="breadcrumb-separator">/</span>
+        <Link to={`/project/${projectId}`}>{project?.name || 'Project'}</Link>
+        <span className="breadcrumb-separator">/</span>
+        <span>Board</span>
+      </div>
+
+      <div className="page-header">
+        <h1>Task Board</h1>
+        <div className="page-header-actions">
+          {canEdit && (
+            <button
+              className={`btn ${editingColumns ? 'btn-primary' : ''}`}
+              onClick={() => setEditingColumns(!editingColumns)}
+            >
+              {editingColumns ? 'Done editing' : 'Edit columns'}
+            </button>
+          )}
+          <Link to={`/project/${projectId}`} className="btn">
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+
+      {moveError && <div className="form-error">{moveError}</div>}
+
+      <div className="board-columns">
+        {board.columns.map((column, columnIndex) => {
+          const overLimit = column.wipLimit && column.tasks.length > column.wipLimit;
+          const atLimit = column.wipLimit && column.tasks.length >= column.wipLimit;
+          const showPlaceholder = (index) => dropTarget?.columnId === column.id && dropTarget.index === index;
+          // Drop indexes count the cards other than the dragged one, which stays in place until the drop
+          const others = column.tasks.filter(task => task.id !== dragging?.taskId);
+          const slots = new Map(others.map((task, index) => [task.id, index]));
+
+          return (
+            <div
+              key={column.id}
+              className={`board-column status-${column.status} ${overLimit ? 'over-limit' : ''} ${atLimit && dragging && dragging.columnId !== column.id ? 'at-limit' : ''}`}
+            >
+              <div className="board-column-header">
+                {editingColumns ? (
+                  <input
+                    className="board-column-name-input"
+                    defaultValue={column.name}
+                    onBlur={e => handleRenameColumn(column, e.target.value)}
+                  />
+                ) : (
+                  <h3>{column.name}</h3>
+                )}
+                <span className="board-column-count" title={column.wipLimit ? 'Tasks / WIP limit' : 'Tasks'}>
+                  {column.tasks.length}{column.wipLimit ? ` / ${column.wipLimit}` : ''}
+                </span>
+              </div>
+
+              {editingColumns && (
+                <div className="board-column-settings">
+                  <span className="board-column-status">{STATUS_LABELS[column.status]}</span>
+                  <label>
+                    WIP
+                    <input
+                      type="number"
+                      min="1"
+                      defaultValue={column.wipLimit ?? ''}
+                      placeholder="∞"
+                      onBlur={e => handleWipLimitChange(column, e.target.value)}
+                    />
+                  </label>
+                  <button className="btn-icon" onClick={() => handleMoveColumn(column, -1)} disabled={columnIndex === 0} title="Move left">←</button>
+                  <button className="btn-icon" onClick={() => handleMoveColumn(column, 1)} disabled={columnIndex === board.columns.length - 1} title="Move right">→</button>
+                  <button className="btn-icon" onClick={() => handleDeleteColumn(column)} title="Remove column">×</button>
+                </div>
+              )}
+
+              <ul
+                className="board-cards"
+                onDragOver={e => handleDragOver(e, column)}
+                onDragLeave={e => {
+                  if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+                }}
+                onDrop={e => handleDrop(e, column)}
+              >
+                {column.tasks.map(task => (
+                  <li key={task.id} className="board-card-slot">
+                    {slots.has(task.id) && showPlaceholder(slots.get(task.id)) && <div className="board-drop-placeholder" />}
+                    <div
+                      className={`board-card ${task.blocked ? 'blocked' : ''} ${dragging?.taskId === task.id ? 'dragging' : ''}`}
+                      data-task-id={task.id}
+                      draggable={canEdit}
+                      onDragStart={e => handleDragStart(e, task, column)}
+                      onDragEnd={handleDragEnd}
+                      onClick={() => setSelectedTask(task)}
+                    >
+                      {tasksById.has(task.parentId) && (
+                        <span className="task-parent">{tasksById.get(task.parentId).title} ›</span>
+                      )}
+                      <span className="board-card-title">{task.title}</span>
+                      <div className="board-card-meta">
+                        <span title={`${task.priority} priority`}>{PRIORITY_ICONS[task.priority]}</span>
+                        {task.dueDate && task.status !== 'done' && <span className="task-due">📅 {task.dueDate}</span>}
+                        {task.recurrence && <span className="task-recurrence" title={`Repeats: ${task.recurrence}`}>🔁</span>}
+                        {task.subtasks?.total > 0 && (
+                          <span className="subtask-count" title="Subtasks done">{task.subtasks.done}/{task.subtasks.total}</span>
+                        )}
+                        {task.blocked && <span className="task-blocked" title="Waiting on unfinished tasks">🔒</span>}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+                {showPlaceholder(others.length) && <li className="board-drop-placeholder" />}
+                {column.tasks.length === 0 && !showPlaceholder(0) && (
+                  <li className="board-column-empty">{canEdit ? 'Drop tasks here' : 'No tasks'}</li>
+                )}
+              </ul>
+            </div>
+          );
+        })}
+
+        {editingColumns && (
+          <form className="board-column board-column-new" onSubmit={handleAddColumn}>
+            <h3>New column</h3>
+            <input
+              type="text"
+              value={newColumn.name}
+              onChange={e => setNewColumn({ ...newColumn, name: e.target.value })}
+              placeholder="Name, e.g. Review"
+            />
+            <select value={newColumn.status} onChange={e => setNewColumn({ ...newColumn, status: e.target.value })}>
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                <option key={status} value={status}>Tasks are {label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={newColumn.wipLimit}
+              onChange={e => setNewColumn({ ...newColumn, wipLimit: e.target.value })}
+              placeholder="WIP limit (optional)"
+            />
+            <button type="submit" className="btn btn-primary" disabled={!newColumn.name.trim()}>Add column</button>
+          </form>
+        )}
+      </div>
+
+      {selectedTask && (
+        <TaskDetailModal
+          task={selectedTask}
+          tasks={tasks}
+          projectId={projectId}
+          onClose={() => setSelectedTask(null)}
+          onUpdate={() => loadBoard()}
+          onTasksChange={() => loadBoard()}
+        />
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { updateTask, askTaskAssistant } from '../api';
+import { getTask, updateTask, createTask, addTaskDependency, removeTaskDependency, askTaskAssistant } from '../api';
 
 const PRIORITY_CONFIG = {
   high: { label: 'High', icon: '🔴', color: '#ef4444' },
@@ -7,14 +7,33 @@ const PRIORITY_CONFIG = {
   low: { label: 'Low', icon: '🟢', color: '#10b981' }
 };
 
-export default function TaskDetailModal({ task, projectId, onClose, onUpdate }) {
+const STATUS_ICONS = { pending: '○', in_progress: '◐', done: '✓' };
+
+const REPEAT_PRESETS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+// Server timestamps are UTC without a zone ("YYYY-MM-DD HH:MM:SS")
+function formatTimestamp(timestamp) {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString();
+}
+
+// tasks: the project's tasks to pick blockers from; onTasksChange: called after blockers or subtasks change
+export default function TaskDetailModal({ task, tasks = [], projectId, onClose, onUpdate, onTasksChange }) {
   const [notes, setNotes] = useState(task.notes || '');
   const [status, setStatus] = useState(task.status);
   const [priority, setPriority] = useState(task.priority);
+  const [dueDate, setDueDate] = useState(task.dueDate || '');
+  const [estimateHours, setEstimateHours] = useState(task.estimateMinutes ? String(task.estimateMinutes / 60) : '');
+  // '' for no repeat, a preset, or 'custom' with the rule in customRecurrence
+  const [repeat, setRepeat] = useState(!task.recurrence || REPEAT_PRESETS[task.recurrence] ? task.recurrence || '' : 'custom');
+  const [customRecurrence, setCustomRecurrence] = useState(REPEAT_PRESETS[task.recurrence] ? '' : task.recurrence || '');
   const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
   const [aiQuestion, setAiQuestion] = useState('');
   const [aiResponse, setAiResponse] = useState(null);
   const [aiLoading, setAiLoading] = useState(false);
+  const [details, setDetails] = useState(null);
+  const [newSubtask, setNewSubtask] = useState('');
+  const [relationError, setRelationError] = useState(null);
   const notesRef = useRef(null);
 
   useEffect(() => {
@@ -24,14 +43,70 @@ export default function TaskDetailModal({ task, projectId, onClose, onUpdate })
     }
   }, []);
 
+  useEffect(() => {
+    loadDetails();
+  }, [task.id]);
+
+  async function loadDetails() {
+    try {
+      setDetails(await getTask(task.id));
+    } catch (err) {
+      console.error('Failed to load task details:', err);
+    }
+  }
+
+  // Run a change to blockers or subtasks, then refresh the modal and the list behind it
+  async function changeRelations(action) {
+    try {
+      setRelationError(null);
+      await action();
+      await loadDetails();
+      if (onTasksChange) onTasksChange();
+    } catch (err) {
+      setRelationError(err.message);
+    }
+  }
+
+  function handleAddBlocker(e) {
+    const dependsOnTaskId = Number(e.target.value);
+    if (!dependsOnTaskId) return;
+    changeRelations(() => addTaskDependency(task.id, dependsOnTaskId));
+  }
+
+  function handleAddSubtask(e) {
+    e.preventDefault();
+    if (!newSubtask.trim()) return;
+    changeRelations(async () => {
+      await createTask({ projectId, parentId: task.id, title: newSubtask.trim(), priority: task.priority });
+      setNewSubtask('');
+    });
+  }
+
+  // Candidates for "Blocked by": other unfinished tasks that aren't blockers already
+  const blockerIds = new Set((details?.dependencies || []).map(t => t.id));
+  const blockerOptions = tasks.filter(t => t.id !== task.id && t.status !== 'done' && !blockerIds.has(t.id));
+  const openBlockers = (details?.dependencies || []).filter(t => t.status !== 'done');
+  const children = details?.children || [];
+  const childrenDone = children.filter(t => t.status === 'done').length;
+
   async function handleSave() {
     setSaving(true);
+    setSaveError(null);
     try {
-      const updated = await updateTask(task.id, { notes, status, priority });
+      const hours = Number(estimateHours);
+      const updated = await updateTask(task.id, {
+        notes,
+        status,
+        priority,
+        dueDate: dueDate || null,
+        estimateMinutes: hours > 0 ? Math.max(1, Math.round(hours * 60)) : null,
+        recurrence: repeat === 'custom' ? customRecurrence.trim() || null : repeat || null
+      });
       onUpdate(updated);
       onClose();
     } catch (err) {
       console.error('Failed to save task:', err);
+      setSaveError(err.message);
     } finally {
       setSaving(false);
     }
@@ -103,8 +178,148 @@ export default function TaskDetailModal({ task, projectId, onClose, onUpdate })
                 <option value="low">🟢 Low</option>
               </select>
             </div>
+            <div className="control-group">
+              <label>Due</label>
+              <input
+                type="date"
+                value={dueDate}
+                onChange={e => setDueDate(e.target.value)}
+                className="task-due-input"
+              />
+            </div>
+            <div className="control-group">
+              <label>Estimate (hours)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.25"
+                value={estimateHours}
+                onChange={e => setEstimateHours(e.target.value)}
+                placeholder="—"
+                className="task-estimate-input"
+              />
+            </div>
+            <div className="control-group">
+              <label>Repeat</label>
+              <select value={repeat} onChange={e => setRepeat(e.target.value)} className="task-repeat-select">
+                <option value="">Doesn't repeat</option>
+                {Object.entries(REPEAT_PRESETS).map(([rule, label]) => (
+                  <option key={rule} value={rule}>{label}</option>
+                ))}
+                <option value="custom">Custom...</option>
+              </select>
+            </div>
           </div>
 
+          {repeat === 'custom' && (
+            <div className="task-repeat-custom">
+              <input
+                type="text"
+                value={customRecurrence}
+                onChange={e => setCustomRecurrence(e.target.value)}
+                placeholder='e.g. "every 2 weeks" or "0 9 * * mon-fri"'
+              />
+              <span className="task-repeat-hint">The next one is created when this task is done.</span>
+            </div>
+          )}
+
+          {(task.startedAt || task.completedAt) && (
+            <div className="task-timestamps">
+              {task.startedAt && <span>Started {formatTimestamp(task.startedAt)}</span>}
+              {task.completedAt && <span>Finished {formatTimestamp(task.completedAt)}</span>}
+            </div>
+          )}
+
+          {openBlockers.length > 0 && status !== 'done' && (
+            <div className="task-blocked-warning">
+              🔒 Waiting on {openBlockers.length} unfinished task{openBlockers.length === 1 ? '' : 's'}
+            </div>
+          )}
+
+          {details && (
+            <div className="task-relations">
+              {relationError && <div className="form-error">{relationError}</div>}
+
+              <div className="task-relations-group">
+                <label>Blocked by</label>
+                <ul className="task-relation-list">
+                  {details.dependencies.map(blocker => (
+                    <li key={blocker.id} className={`task-relation ${blocker.status}`}>
+                      <span className="task-relation-status">{STATUS_ICONS[blocker.status]}</span>
+                      <span className="task-relation-title">{blocker.title}</span>
+                      <button
+                        type="button"
+                        className="modal-close"
+                        onClick={() => changeRelations(() => removeTaskDependency(task.id, blocker.id))}
+                        aria-label={`Stop waiting on ${blocker.title}`}
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                {blockerOptions.length > 0 && (
+                  <select className="task-relation-add" value="" onChange={handleAddBlocker}>
+                    <option value="">+ Add a task this one waits on...</option>
+                    {blockerOptions.map(option => (
+                      <option key={option.id} value={option.id}>{option.title}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              {details.dependents.length > 0 && (
+                <div className="task-relations-group">
+                  <label>Blocking</label>
+                  <ul className="task-relation-list">
+                    {details.dependents.map(dependent => (
+                      <li key={dependent.id} className={`task-relation ${dependent.status}`}>
+                        <span className="task-relation-status">{STATUS_ICONS[dependent.status]}</span>
+                        <span className="task-relation-title">{dependent.title}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="task-relations-group">
+                <label>
+                  Subtasks
+                  {children.length > 0 && <span className="subtask-count">{childrenDone}/{children.length}</span>}
+                </label>
+                {children.length > 0 && (
+                  <div className="progress-bar subtask-progress">
+                    <div className="progress-fill" style={{ width: `${Math.round((childrenDone / children.length) * 100)}%` }} />
+                  </div>
+                )}
+                <ul className="task-relation-list">
+                  {children.map(child => (
+                    <li key={child.id} className={`task-relation ${child.status}`}>
+                      <button
+                        type="button"
+                        className={`task-checkbox ${child.status === 'done' ? 'checked' : ''}`}
+                        onClick={() => changeRelations(() => updateTask(child.id, {
+                          status: child.status === 'done' ? 'pending' : 'done'
+                        }))}
+                      >
+                        {child.status === 'done' ? '✓' : ''}
+                      </button>
+                      <span className="task-relation-title">{child.title}</span>
+                    </li>
+                  ))}
+                </ul>
+                <form className="subtask-add" onSubmit={handleAddSubtask}>
+                  <input
+                    type="text"
+                    value={newSubtask}
+                    onChange={e => setNewSubtask(e.target.value)}
+                    placeholder="Add a subtask..."
+                  />
+                </form>
+              </div>
+            </div>
+          )}
+
           <div className="task-notes-section">
             <label>Notes</label>
             <textarea
@@ -173,6 +388,7 @@ export default function TaskDetailModal({ task, projectId, onClose, onUpdate })
         </div>
 
         <div className="task-modal-footer">
+          {saveError && <div className="form-error">{saveError}</div>}
           <button className="btn" onClick={onClose}>Cancel</button>
           <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
             {saving ? 'Saving...' : 'Save Changes'}
@@ -1,5 +1,6 @@
 import { useState } from 'react';
-import { updateTask, deleteTask, createTask } from '../api';
+import { updateTask, deleteTask, restoreTask, createTask } from '../api';
+import { showUndoToast } from './UndoToast';
 
 export default function TasksList({ tasks, projectId, onTaskUpdate, compact = false }) {
   const [editingId, setEditingId] = useState(null);
@@ -14,6 +15,7 @@ export default function TasksList({ tasks, projectId, onTaskUpdate, compact = fa
       if (onTaskUpdate) onTaskUpdate();
     } catch (err) {
       console.error('Failed to update task:', err);
+      alert('Failed to update task: ' + err.message);
     } finally {
       setLoading(null);
     }
@@ -32,11 +34,14 @@ export default function TasksList({ tasks, projectId, onTaskUpdate, compact = fa
   }
 
   async function handleDelete(taskId) {
-    if (!confirm('Delete this task?')) return;
     try {
       setLoading(taskId);
       await deleteTask(taskId);
       if (onTaskUpdate) onTaskUpdate();
+      showUndoToast('Task moved to trash', async () => {
+        await restoreTask(taskId);
+        if (onTaskUpdate) onTaskUpdate();
+      });
     } catch (err) {
       console.error('Failed to delete task:', err);
     } finally {
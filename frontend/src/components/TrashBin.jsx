@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { getProjectTrash, restoreDecision, restoreTask, restoreRecording, subscribeToProject } from '../api';
+
+const TYPE_LABELS = {
+  decision: 'Decision',
+  task: 'Task',
+  recording: 'Recording'
+};
+
+const RESTORE = {
+  decision: restoreDecision,
+  task: restoreTask,
+  recording: restoreRecording
+};
+
+// "3 links, 1 tag" for what comes back together with an item
+function describeDependents(dependents) {
+  return Object.entries(dependents)
+    .filter(([, count]) => count > 0)
+    .map(([name, count]) => `${count} ${count === 1 ? name.replace(/s$/, '') : name}`)
+    .join(', ');
+}
+
+export default function TrashBin({ projectId, canRestore }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadTrash();
+    return subscribeToProject(projectId, () => loadTrash(), {
+      entities: ['decision', 'task', 'recording']
+    });
+  }, [projectId]);
+
+  async function loadTrash() {
+    try {
+      setItems(await getProjectTrash(projectId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleRestore(item) {
+    try {
+      setError(null);
+      setRestoring(`${item.type}-${item.id}`);
+      await RESTORE[item.type](item.id);
+      loadTrash();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(null);
+    }
+  }
+
+  function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  if (loading) {
+    return <div className="loading">Loading trash...</div>;
+  }
+
+  return (
+    <div className="trash-bin">
+      {error && <div className="form-error">{error}</div>}
+
+      {items.length === 0 ? (
+        <div className="empty-state">
+          <p>The trash is empty.</p>
+          <p>Deleted decisions, tasks and recordings stay here until they are purged.</p>
+        </div>
+      ) : (
+        <ul className="trash-list">
+          {items.map(item => {
+            const key = `${item.type}-${item.id}`;
+            const dependents = describeDependents(item.dependents);
+
+            return (
+              <li key={key} className="trash-item">
+                <div className="trash-info">
+                  <span className="trash-type">{TYPE_LABELS[item.type]}</span>
+                  <span className="trash-title">{item.title}</span>
+                  <span className="trash-meta">
+                    Deleted {formatDate(item.deletedAt)}
+                    {item.deletedByUsername && ` by ${item.deletedByUsername}`}
+                    {' · '}purged {formatDate(item.purgeAt)}
+                    {dependents && ` · restores ${dependents}`}
+                  </span>
+                </div>
+                {canRestore && (
+                  <button
+                    type="button"
+                    className="btn btn-small"
+                    onClick={() => handleRestore(item)}
+                    disabled={restoring === key}
+                  >
+                    {restoring === key ? 'Restoring...' : 'Restore'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
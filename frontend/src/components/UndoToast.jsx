@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+
+const TOAST_DURATION_MS = 8000;
+
+// Set by the mounted <UndoToast />, so any component can show a toast without prop drilling
+let showHandler = null;
+
+/**
+ * Show a toast with an Undo button (replaces the toast currently shown)
+ * @param {string} message - What just happened, e.g. "Task moved to trash"
+ * @param {Function} onUndo - async () => void, called when the user clicks Undo
+ */
+export function showUndoToast(message, onUndo) {
+  if (showHandler) showHandler({ message, onUndo });
+}
+
+export default function UndoToast() {
+  const [toast, setToast] = useState(null);
+
+  useEffect(() => {
+    showHandler = (next) => setToast({ ...next, id: Date.now() });
+    return () => {
+      showHandler = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  async function handleUndo() {
+    const { onUndo } = toast;
+    setToast(null);
+    try {
+      await onUndo();
+    } catch (err) {
+      setToast({ message: `Undo failed: ${err.message}`, id: Date.now() });
+    }
+  }
+
+  if (!toast) return null;
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{toast.message}</span>
+      {toast.onUndo && (
+        <button type="button" className="link-btn" onClick={handleUndo}>Undo</button>
+      )}
+      <button type="button" className="modal-close" onClick={() => setToast(null)} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}